@@ -0,0 +1,34 @@
+/**
+ * Move an API client to another plan (billing / operators).
+ * Plans are not self-service: the dashboard only shows them.
+ *
+ *   node set-api-plan.js <client_id> <free|growth|enterprise>
+ */
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const ApiClient = require('./src/models/ApiClient');
+const ApiService = require('./src/services/ApiService');
+const RedisService = require('./src/services/RedisService');
+
+async function setApiPlan(clientId, plan) {
+    if (!clientId || !plan) {
+        console.error(`Usage: node set-api-plan.js <client_id> <${Object.keys(ApiClient.PLANS).join('|')}>`);
+        return 1;
+    }
+
+    const mongoClient = await MongoClient.connect(process.env.MONGO_URI);
+    try {
+        const apiService = new ApiService({ ApiClient: new ApiClient(mongoClient) });
+        const client = await apiService.setClientPlan(clientId, plan);
+        console.log(`${client.client_id} is now on the ${ApiClient.PLANS[client.plan].name} plan`);
+        return 0;
+    } catch (err) {
+        console.error(err.message);
+        return 1;
+    } finally {
+        await mongoClient.close();
+        await RedisService.client.quit();
+    }
+}
+
+setApiPlan(process.argv[2], process.argv[3]).then(code => process.exit(code));
@@ -1,19 +1,23 @@
 const fastify = require('fastify');
 const path = require('path');
+const crypto = require('crypto');
 const AutoLoad = require('@fastify/autoload');
 const mongo = require('@fastify/mongodb');
 const view = require('@fastify/view');
 const ejs = require('ejs');
 const csrf = require('@fastify/csrf-protection');
 const PostFilter = require('./services/PostFilter');
+const AppError = require('./lib/AppError');
 
-const dictionary = {
-    en: require('./locales/en.json')
-};
+const { dictionaries, translator } = require('./utils/Translate');
 
 function buildApp(opts = {}) {
     const isProd = process.env.NODE_ENV === 'production';
-    const app = fastify(opts);
+    const app = fastify({
+        // Returned as X-Request-Id and in every error body (request_id)
+        genReqId: () => `req_${crypto.randomBytes(12).toString('hex')}`,
+        ...opts
+    });
 
     // --- CORE PLUGINS ---
     app.register(mongo, {
@@ -52,34 +56,23 @@ function buildApp(opts = {}) {
         contentSecurityPolicy: false // Allow inline scripts for now
     });
 
+    // --- API DOCS (must be registered before any route) ---
+    app.register(require('./plugins/openapi'));
+
     // --- GLOBAL HOOKS ---
     app.decorateRequest('postFilter', null);
     app.addHook('onRequest', async (req, reply) => {
         req.postFilter = PostFilter;
+        reply.header('X-Request-Id', req.id);
     });
 
     app.addHook('preHandler', async (req, reply) => {
         reply.locals = reply.locals || {};
 
         let lang = req.cookies.lang || 'en';
-        if (!dictionary[lang]) lang = 'en';
-
-        const t = function(key, args = {}) {
-            const parts = key.split('.');
-            let text = dictionary[lang];
-            for (const part of parts) {
-                text = text ? text[part] : undefined;
-            }
-
-            if (!text) return key; 
-            if (args) {
-                for (const [varKey, varValue] of Object.entries(args)) {
-                    // Replace all occurrences
-                    text = text.split(`%{${varKey}}`).join(varValue);
-                }
-            }
-            return text;
-        };
+        if (!dictionaries[lang]) lang = 'en';
+
+        const t = translator(lang);
         
         req.t = t;
         reply.locals.t = t;
@@ -97,30 +90,30 @@ function buildApp(opts = {}) {
 
     app.register(require('./plugins/models'));
     app.register(require('./plugins/auth-guard'));
+    app.register(require('./plugins/idempotency'));
+    app.register(require('./plugins/request-log'));
 
     app.setNotFoundHandler((req, reply) => {
         req.log.info(`404 Not Found: ${req.method} ${req.url}`);
+        if (req.url.startsWith('/api') || req.headers['content-type'] === 'application/json') {
+            return AppError.send(req, reply, new AppError('not_found', `No route for ${req.method} ${req.url.split('?')[0]}`));
+        }
+
         return reply.status(404).view('errors/404.ejs', {
             title: 'Page Not Found',
         });
     });
 
     app.setErrorHandler((error, req, reply) => {
-        req.log.error(error);
+        const wantsJson = req.url.startsWith('/api')
+            || req.headers['content-type'] === 'application/json'
+            || req.headers['x-requested-with'] === 'XMLHttpRequest';
 
-        if (error.validation) {
-            return reply.status(400).send({
-                status: 400,
-                error: error.message
-            });
+        if (error.validation || wantsJson) {
+            return AppError.send(req, reply, error, process.env.NODE_ENV === 'development' ? error.message : 'Server Error');
         }
 
-        if (req.headers['content-type'] === 'application/json' || req.headers['x-requested-with'] === 'XMLHttpRequest') {
-            return reply.status(error.statusCode || 500).send({
-                status: error.statusCode || 500,
-                error: process.env.NODE_ENV === 'development' ? error.message : 'Server Error'
-            });
-        }
+        req.log.error(error);
 
         if (reply.statusCode === 404) {
             return reply.view('errors/404.ejs', { title: 'Not Found', user: req.user });
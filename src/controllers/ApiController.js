@@ -1,3 +1,61 @@
+const AppError = require('../lib/AppError');
+
+// validateCredentials / refreshAccessToken failures → catalog code and detail
+const TOKEN_ERRORS = {
+    invalid_client:       ['invalid_client', 'Invalid client credentials'],
+    invalid_secret:       ['invalid_client', 'Invalid client credentials'],
+    client_revoked:       ['invalid_client', 'This API client has been revoked'],
+    client_inactive:      ['invalid_client', 'This API client has been revoked'],
+    ip_not_whitelisted:   ['ip_not_whitelisted', 'Access denied from this IP address'],
+    invalid_grant:        ['invalid_grant', 'Invalid or expired refresh token'],
+    token_reuse_detected: ['token_reuse_detected', 'Refresh token was already used; all tokens for this client have been revoked']
+};
+
+function tokenError(reason) {
+    const [code, detail] = TOKEN_ERRORS[reason] || TOKEN_ERRORS.invalid_client;
+    return new AppError(code, detail);
+}
+
+/**
+ * Client authentication for the revoke / introspect endpoints:
+ * HTTP Basic (RFC 6749 §2.3.1) or client_id / client_secret in the body.
+ * Returns the client, or sends the error and returns null.
+ */
+async function authenticateClient(req, reply) {
+    let { client_id, client_secret } = req.body || {};
+
+    const header = req.headers['authorization'] || '';
+    if (header.startsWith('Basic ')) {
+        const decoded = Buffer.from(header.substring(6), 'base64').toString('utf8');
+        const split = decoded.indexOf(':');
+        if (split > 0) {
+            try {
+                client_id = decodeURIComponent(decoded.substring(0, split));
+                client_secret = decodeURIComponent(decoded.substring(split + 1));
+            } catch (err) {
+                // URIError: a stray '%' in the form-encoded credentials
+                AppError.send(req, reply, new AppError('invalid_client', 'Malformed Basic credentials'));
+                return null;
+            }
+        }
+    }
+
+    if (!client_id || !client_secret) {
+        AppError.send(req, reply, new AppError('invalid_client', 'Client authentication is required'));
+        return null;
+    }
+
+    const validation = await req.apiService.validateCredentials(client_id, client_secret, req.ip || req.socket.remoteAddress);
+    if (!validation.status) {
+        // Security: Add 500ms delay to thwart timing attacks
+        await new Promise(resolve => setTimeout(resolve, 500));
+        AppError.send(req, reply, tokenError(validation.error));
+        return null;
+    }
+
+    return validation.client;
+}
+
 module.exports = {
 
     token: async (req, reply) => {
@@ -7,14 +65,14 @@ module.exports = {
         try {
             // CLIENT CREDENTIALS FLOW
             if (grant_type === 'client_credentials') {
-                if (!client_id || !client_secret) return reply.code(400).send({ code: 400, error: 'invalid_request' });
+                if (!client_id || !client_secret) return AppError.send(req, reply, new AppError('invalid_request', 'client_id and client_secret are required'));
 
                 const validation = await req.apiService.validateCredentials(client_id, client_secret, requestIp);
                 
                 if (!validation.status) {
                     // Security: Add 500ms delay to thwart timing attacks
                     await new Promise(resolve => setTimeout(resolve, 500));
-                    return reply.code(401).send({ code: 401, error: validation.error });
+                    return AppError.send(req, reply, tokenError(validation.error));
                 }
 
                 const tokens = await req.apiService.generateTokens(validation.client);
@@ -23,62 +81,163 @@ module.exports = {
 
             // 2. REFRESH TOKEN FLOW
             if (grant_type === 'refresh_token') {
-                if (!refresh_token) return reply.code(400).send({ code: 400, error: 'missing_refresh_token' });
+                if (!refresh_token) return AppError.send(req, reply, new AppError('invalid_request', 'refresh_token is required'));
                 
-                const tokens = await req.apiService.refreshAccessToken(refresh_token, requestIp);
+                const result = await req.apiService.refreshAccessToken(refresh_token, requestIp);
                 
-                if (!tokens.status) {
-                    return reply.code(401).send({ code: 401, error: tokens.error });
+                if (!result.status) {
+                    return AppError.send(req, reply, tokenError(result.error));
                 }
                 
-                return reply.code(200).send({code: 200, data: tokens});
+                return reply.code(200).send({code: 200, data: result.tokens});
             }
 
-            return reply.code(400).send({ code: 400, error: 'unsupported_grant_type' });
+            return AppError.send(req, reply, new AppError('unsupported_grant_type'));
         } catch (err) {
-            req.log.error(err);
-            return reply.code(500).send({ code: 500, error: 'server_error' });
+            return AppError.send(req, reply, err, 'Failed to issue token');
+        }
+    },
+
+    // RFC 7009 — always 200 for an authenticated client, known token or not
+    revokeToken: async (req, reply) => {
+        try {
+            const client = await authenticateClient(req, reply);
+            if (!client) return reply;
+
+            await req.apiService.revokeToken(client, req.body.token, req.body.token_type_hint);
+            return reply.code(200).send({ code: 200 });
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to revoke token');
+        }
+    },
+
+    // RFC 7662 — { active: false } for unknown, expired, revoked or foreign tokens
+    introspectToken: async (req, reply) => {
+        try {
+            const client = await authenticateClient(req, reply);
+            if (!client) return reply;
+
+            const result = await req.apiService.introspectToken(client, req.body.token, req.body.token_type_hint);
+            return reply.code(200).send({ code: 200, ...result });
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to introspect token');
         }
     },
 
     getStats: async (req, reply) => {
         try {
-            const stats = await req.apiService.getStats(req.user.id);
-            return reply.code(200).send({code: 200, data: stats});
+            const isLive = req.user.is_live !== false;
+            const stats = await req.apiService.getStats(req.user.user_id, req.query);
+
+            return reply.send({ code: 200, mode: isLive ? 'live' : 'sandbox', data: stats });
 
         } catch (err) {
-            req.log.error(err);
-            return reply.code(500).send({ code: 500, error: 'server_error' });
+            return AppError.send(req, reply, err, 'Failed to retrieve stats');
         }
     },
 
-    getRecentCards: async (req, reply) => {
+    listCards: async (req, reply) => {
         try {
-            let rawLimit = req.query.limit || 10;
-            if (req.postFilter) {
-                rawLimit = req.postFilter.strip(rawLimit.toString());
-            }
-            const limit = parseInt(rawLimit);
-            const isLive = req.user.is_live;
-            const userId = req.user.user_id;
+            const isLive = req.user.is_live !== false;
+            const page = await req.apiService.listCards(req.user.user_id, req.query);
 
-            const cards = await req.apiService.getRecentCards(userId, limit, isLive);
+            return reply.send({
+                code: 200,
+                status: 'success',
+                mode: isLive ? 'live' : 'sandbox',
+                count: page.data.length,
+                has_more: page.has_more,
+                next_cursor: page.next_cursor,
+                prev_cursor: page.prev_cursor,
+                data: page.data.map(card => ({ ...card, is_live: isLive }))
+            });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to retrieve card data');
+        }
+    },
+
+    listTransactions: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const page = await req.apiService.listTransactions(req.user.user_id, req.query);
 
             return reply.send({
                 code: 200,
                 status: 'success',
                 mode: isLive ? 'live' : 'sandbox',
-                count: cards.length,
-                data: cards
+                count: page.data.length,
+                has_more: page.has_more,
+                next_cursor: page.next_cursor,
+                prev_cursor: page.prev_cursor,
+                data: page.data
             });
 
         } catch (err) {
-            req.log.error(err);
-            return reply.code(500).send({ 
-                code: 500, 
-                error: 'Internal Server Error', 
-                message: 'Failed to retrieve card data' 
+            return AppError.send(req, reply, err, 'Failed to retrieve transactions');
+        }
+    },
+
+    getTransaction: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const txn = await req.apiService.getTransaction(req.user.user_id, req.params.trans_id);
+
+            const explorerBase = isLive ? process.env.EXPLORER_URL_MAINNET : process.env.EXPLORER_URL_SEPOLIA;
+            txn.explorer_url = txn.approval_hash ? `${explorerBase}/tx/${txn.approval_hash}` : null;
+
+            return reply.send({
+                code: 200,
+                status: 'success',
+                mode: isLive ? 'live' : 'sandbox',
+                data: txn
             });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to retrieve transaction');
+        }
+    },
+
+    createCard: async (req, reply) => {
+        try {
+            const pf = req.postFilter;
+            const body = req.body;
+            const isLive = req.user.is_live !== false;
+
+            // settlement_mode is shorthand for the two supported delays
+            let settlementDelay = body.settlement_delay;
+            if (body.settlement_mode) {
+                settlementDelay = body.settlement_mode === 'Immediate' ? 0 : 1800;
+            }
+
+            const result = await req.apiService.createCard({
+                userId: req.user.user_id,
+                userName: req.user.name,
+                wallet: pf.strip(body.owner),
+                walletChoice: body.wallet_choice,
+                pinPublicKey: pf.strip(body.pin_public_key),
+                currencies: body.currencies.map(c => pf.strip(c).toUpperCase()),
+                paymentMode: body.payment_mode,
+                maxTxAmount: body.max_transaction_amount,
+                dailySpendLimit: body.daily_spend_limit,
+                dailyTxLimit: body.daily_transaction_limit,
+                slippageBps: body.slippage_tolerance_bps,
+                transferDelay: body.transfer_delay,
+                settlementDelay: settlementDelay,
+                isLive: isLive,
+                device: pf.getDevice(req)
+            });
+
+            return reply.code(200).send({
+                code: 200,
+                message: 'Card created and queued for deployment',
+                mode: isLive ? 'live' : 'sandbox',
+                card_id: result.card_id,
+                status: result.status
+            });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to create card');
         }
     },
 
@@ -97,15 +256,789 @@ module.exports = {
             });
 
         } catch (err) {
-            const code = err.statusCode || 500;
-            req.log.error(err);
-            return reply.code(code).send({
-                code,
-                error: code >= 500 ? 'Internal Server Error' : err.message,
-                message: err.message
+            return AppError.send(req, reply, err, 'Failed to redeploy card');
+        }
+    },
+
+    // ─── Card Lifecycle ─────────────────────────────────────────────
+
+    freezeCard: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.freezeCard({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                reason: req.body.reason ? req.postFilter.strip(req.body.reason) : null,
+                isLive: isLive
             });
+
+            return reply.send({ code: 200, message: 'Card frozen', mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to freeze card');
         }
-    }
+    },
+
+    unfreezeCard: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.unfreezeCard({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive
+            });
+
+            return reply.send({ code: 200, message: 'Card unfrozen', mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to unfreeze card');
+        }
+    },
+
+    burnCard: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.burnCard({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive
+            });
+
+            return reply.send({ code: 200, message: 'Card burned', mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to burn card');
+        }
+    },
+
+    getPinRotation: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.getPinRotation(req.user.user_id, req.params.id, req.query.new_public_key, isLive);
+
+            return reply.send({ code: 200, mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to prepare PIN rotation');
+        }
+    },
+
+    submitPinRotation: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.submitPinRotation({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                newPublicKey: req.body.new_public_key,
+                nonce: req.body.nonce,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive
+            });
+
+            return reply.send({ code: 200, message: 'Rotation signed; send the call from the owner wallet', mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to submit PIN rotation');
+        }
+    },
+
+    confirmPinRotation: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.confirmPinRotation({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                transactionHash: req.body.transaction_hash,
+                isLive: isLive
+            });
+
+            return reply.send({ code: 200, message: 'PIN rotated', mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to confirm PIN rotation');
+        }
+    },
+
+    // ─── Balances ───────────────────────────────────────────────────
+
+    getCardBalances: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.getCardBalances(req.user.user_id, req.params.id, isLive);
+
+            return reply.send({ code: 200, mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to retrieve card balances');
+        }
+    },
+
+    // ─── Spending Limits ────────────────────────────────────────────
+
+    getCardLimits: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.getCardLimits(req.user.user_id, req.params.id, isLive);
+
+            return reply.send({ code: 200, mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to retrieve card limits');
+        }
+    },
+
+    updateCardLimits: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const body = req.body;
+            const result = await req.apiService.updateCardLimits({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                sigR: body.sig_r,
+                sigS: body.sig_s,
+                maxTxAmount: body.max_transaction_amount,
+                dailyTxLimit: body.daily_transaction_limit,
+                dailySpendLimit: body.daily_spend_limit,
+                autoApproveThreshold: body.auto_approve_threshold,
+                thresholdSigR: body.threshold_sig_r,
+                thresholdSigS: body.threshold_sig_s,
+                isLive: isLive
+            });
+
+            return reply.send({ code: 200, message: 'Card limits updated', mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to update card limits');
+        }
+    },
+
+    setMerchantLimit: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.setMerchantLimit({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                merchant: req.params.merchant,
+                maxAmountUsd: req.body.max_amount_usd,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive
+            });
+
+            return reply.send({ code: 200, message: 'Merchant limit set', mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to set merchant limit');
+        }
+    },
+
+    removeMerchantLimit: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.removeMerchantLimit({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                merchant: req.params.merchant,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive
+            });
+
+            return reply.send({ code: 200, message: 'Merchant limit removed', mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to remove merchant limit');
+        }
+    },
+
+    // ─── Auto-Swap Rules ────────────────────────────────────────────
+
+    listAutoSwapRules: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.listAutoSwapRules(req.user.user_id, req.params.id, isLive);
 
+            return reply.send({ code: 200, mode: isLive ? 'live' : 'sandbox', card_id: result.card_id, currencies: result.currencies, data: result.rules });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to retrieve auto-swap rules');
+        }
+    },
+
+    setAutoSwapRule: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.setAutoSwapRule({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                source: req.params.source,
+                target: req.body.target,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive
+            });
+
+            return reply.send({ code: 200, message: 'Auto-swap rule set', mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to set auto-swap rule');
+        }
+    },
+
+    removeAutoSwapRule: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.removeAutoSwapRule({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                source: req.params.source,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive
+            });
+
+            return reply.send({ code: 200, message: 'Auto-swap rule removed', mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to remove auto-swap rule');
+        }
+    },
+
+    runAutoSwap: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.runAutoSwap({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                source: req.params.source,
+                amount: req.body.amount,
+                slippageBps: req.body.slippage_bps,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive
+            });
+
+            return reply.send({ code: 200, message: 'Auto-swap executed', mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to run auto-swap');
+        }
+    },
+
+    // ─── Blocked Merchants ──────────────────────────────────────────
+
+    listBlockedMerchants: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.listBlockedMerchants(req.user.user_id, req.params.id, isLive);
+
+            return reply.send({ code: 200, mode: isLive ? 'live' : 'sandbox', card_id: result.card_id, data: result.merchants });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to retrieve blocked merchants');
+        }
+    },
+
+    blockMerchant: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.blockMerchant({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                merchant: req.body.merchant,
+                transId: req.body.trans_id,
+                requestId: req.body.request_id,
+                reason: req.body.reason,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive
+            });
+
+            return reply.send({ code: 200, message: 'Merchant blocked', mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to block merchant');
+        }
+    },
+
+    unblockMerchant: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.unblockMerchant({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                merchant: req.params.merchant,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive
+            });
+
+            return reply.send({ code: 200, message: 'Merchant unblocked', mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to unblock merchant');
+        }
+    },
+
+    // ─── Fraud Alerts ───────────────────────────────────────────────
+
+    listFraudAlerts: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.listFraudAlerts(req.user.user_id, req.params.id, isLive, {
+                status: req.query.status,
+                limit: req.query.limit
+            });
+
+            return reply.send({ code: 200, mode: isLive ? 'live' : 'sandbox', card_id: result.card_id, card_status: result.card_status, data: result.alerts });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to retrieve fraud alerts');
+        }
+    },
+
+    freezeFromFraudAlert: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.freezeFromFraudAlert({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                alertId: req.params.alert_id,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive
+            });
+
+            return reply.send({ code: 200, message: 'Card frozen', mode: isLive ? 'live' : 'sandbox', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to freeze card');
+        }
+    },
+
+    // ─── Payment Requests ───────────────────────────────────────────
+
+    createPaymentRequest: async (req, reply) => {
+        try {
+            const pf = req.postFilter;
+            const body = req.body;
+            const isLive = req.user.is_live !== false;
+
+            const metadata = {};
+            for (const [key, value] of Object.entries(body.metadata || {})) {
+                metadata[pf.strip(key)] = pf.strip(value);
+            }
+
+            const { request, transaction } = await req.apiService.submitPaymentRequest({
+                client: req.apiClient,
+                cardAddress: body.card_address,
+                amount: body.amount,
+                token: body.token,
+                isRecurring: body.is_recurring === true,
+                description: pf.strip(body.description || ''),
+                metadata: metadata,
+                reference: body.reference,
+                isLive: isLive,
+                device: pf.getDevice(req)
+            });
+
+            await req.webhooks.emitTransactionUpdated(transaction, isLive);
+
+            return reply.send({ code: 200, message: 'Payment request submitted', mode: isLive ? 'live' : 'sandbox', data: request });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to submit payment request');
+        }
+    },
+
+    getPaymentRequest: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const request = await req.apiService.getPaymentRequest({
+                client: req.apiClient,
+                userId: req.user.user_id,
+                cardAddress: req.params.card,
+                requestId: req.params.id,
+                isLive: isLive
+            });
+
+            return reply.send({ code: 200, mode: isLive ? 'live' : 'sandbox', data: request });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to retrieve payment request');
+        }
+    },
+
+    // ─── Payment Request Inbox ──────────────────────────────────────
+
+    listPaymentInbox: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const inbox = await req.apiService.listPaymentInbox({
+                userId: req.user.user_id,
+                cardId: req.query.card_id,
+                isLive: isLive
+            });
+
+            return reply.send({ code: 200, mode: isLive ? 'live' : 'sandbox', data: inbox.requests, cards: inbox.cards });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to retrieve payment requests');
+        }
+    },
+
+    approvePaymentRequest: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const { request, transaction } = await req.apiService.approvePaymentRequest({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                requestId: req.params.request_id,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive,
+                device: req.postFilter.getDevice(req)
+            });
+
+            if (transaction) await req.webhooks.emitTransactionUpdated(transaction, isLive);
+
+            return reply.send({ code: 200, message: 'Payment request approved', mode: isLive ? 'live' : 'sandbox', data: request });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to approve payment request');
+        }
+    },
+
+    rejectPaymentRequest: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const { request, transaction } = await req.apiService.rejectPaymentRequest({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                requestId: req.params.request_id,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive,
+                device: req.postFilter.getDevice(req)
+            });
+
+            if (transaction) await req.webhooks.emitTransactionUpdated(transaction, isLive);
+
+            return reply.send({ code: 200, message: 'Payment request rejected', mode: isLive ? 'live' : 'sandbox', data: request });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to reject payment request');
+        }
+    },
+
+    revokePaymentApproval: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const { request, transaction } = await req.apiService.revokePaymentApproval({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                requestId: req.params.request_id,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive,
+                device: req.postFilter.getDevice(req)
+            });
+
+            if (transaction) await req.webhooks.emitTransactionUpdated(transaction, isLive);
+
+            return reply.send({ code: 200, message: 'Payment approval revoked', mode: isLive ? 'live' : 'sandbox', data: request });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to revoke payment approval');
+        }
+    },
+
+    batchApprovePaymentRequests: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.batchApprovePaymentRequests({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                requestIds: req.body.request_ids,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive,
+                device: req.postFilter.getDevice(req)
+            });
+
+            for (const transaction of result.transactions) {
+                await req.webhooks.emitTransactionUpdated(transaction, isLive);
+            }
+
+            return reply.send({
+                code: 200,
+                message: `${result.approved.length} payment request(s) approved`,
+                mode: isLive ? 'live' : 'sandbox',
+                ...result.operation,
+                approved: result.approved,
+                skipped: result.skipped
+            });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to approve payment requests');
+        }
+    },
+
+    // ─── Transfers ──────────────────────────────────────────────────
+
+    listTransfers: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.listTransfers({
+                userId: req.user.user_id,
+                cardId: req.query.card_id,
+                status: req.query.status
+            });
+
+            return reply.send({ code: 200, mode: isLive ? 'live' : 'sandbox', as_of: result.as_of, data: result.transfers });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to retrieve transfers');
+        }
+    },
+
+    createTransfer: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const { transfer, transaction } = await req.apiService.createTransfer({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                kind: req.body.kind,
+                token: req.body.token,
+                amount: req.body.amount,
+                recipient: req.body.recipient,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive,
+                channel: 'api',
+                device: req.postFilter.getDevice(req)
+            });
+
+            await req.webhooks.emitTransactionUpdated(transaction, isLive);
+
+            const message = transfer.status === 'completed' ? 'Transfer completed' : 'Transfer created';
+            return reply.send({ code: 200, message, mode: isLive ? 'live' : 'sandbox', data: transfer });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to create transfer');
+        }
+    },
+
+    finalizeTransfer: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const { transfer, transaction } = await req.apiService.finalizeTransfer({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                transferId: req.params.transfer_id,
+                isLive: isLive
+            });
+
+            await req.webhooks.emitTransactionUpdated(transaction, isLive);
+
+            return reply.send({ code: 200, message: 'Transfer finalized', mode: isLive ? 'live' : 'sandbox', data: transfer });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to finalize transfer');
+        }
+    },
+
+    cancelTransfer: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const { transfer, transaction } = await req.apiService.cancelTransfer({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                transferId: req.params.transfer_id,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive
+            });
+
+            await req.webhooks.emitTransactionUpdated(transaction, isLive);
+
+            return reply.send({ code: 200, message: 'Transfer cancelled', mode: isLive ? 'live' : 'sandbox', data: transfer });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to cancel transfer');
+        }
+    },
+
+    // ─── Webhooks ───────────────────────────────────────────────────
+
+    listWebhooks: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const endpoints = await req.webhooks.listEndpoints(req.user.user_id, isLive);
+
+            return reply.send({ code: 200, mode: isLive ? 'live' : 'sandbox', data: endpoints });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to retrieve webhook endpoints');
+        }
+    },
+
+    createWebhook: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.webhooks.createEndpoint(req.user.user_id, req.apiClient.client_id, isLive, {
+                url: req.body.url,
+                events: req.body.events,
+                description: req.postFilter.strip(req.body.description || '')
+            });
+
+            return reply.send({
+                code: 200,
+                mode: isLive ? 'live' : 'sandbox',
+                secret: result.secret,
+                data: result.endpoint
+            });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to create webhook endpoint');
+        }
+    },
+
+    updateWebhook: async (req, reply) => {
+        try {
+            const body = req.body;
+            const endpoint = await req.webhooks.updateEndpoint(req.user.user_id, req.params.endpoint_id, req.user.is_live !== false, {
+                url: body.url,
+                events: body.events,
+                description: body.description !== undefined ? req.postFilter.strip(body.description) : undefined
+            });
+
+            return reply.send({ code: 200, data: endpoint });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to update webhook endpoint');
+        }
+    },
+
+    rotateWebhookSecret: async (req, reply) => {
+        try {
+            const result = await req.webhooks.rotateEndpointSecret(req.user.user_id, req.params.endpoint_id, req.user.is_live !== false);
+            return reply.send({ code: 200, message: 'Signing secret rotated', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to rotate signing secret');
+        }
+    },
+
+    deleteWebhook: async (req, reply) => {
+        try {
+            const result = await req.webhooks.deleteEndpoint(req.user.user_id, req.params.endpoint_id, req.user.is_live !== false);
+            return reply.send({ code: 200, message: 'Webhook endpoint deleted', ...result });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to delete webhook endpoint');
+        }
+    },
+
+    listWebhookDeliveries: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const page = await req.webhooks.listDeliveries(req.user.user_id, isLive, req.query);
+
+            return reply.send({
+                code: 200,
+                status: 'success',
+                mode: isLive ? 'live' : 'sandbox',
+                count: page.data.length,
+                has_more: page.has_more,
+                next_cursor: page.next_cursor,
+                prev_cursor: page.prev_cursor,
+                data: page.data
+            });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to retrieve webhook deliveries');
+        }
+    },
+
+    // ─── Sandbox Simulator ──────────────────────────────────────────
+    // Sandbox tokens only (auth-guard rejects live ones)
+
+    simulateTransaction: async (req, reply) => {
+        try {
+            const transaction = await req.sandbox.createTransaction({
+                userId: req.user.user_id,
+                cardId: req.body.card_id,
+                type: req.body.type,
+                amount: req.body.amount,
+                currency: req.body.currency,
+                merchant: req.body.merchant,
+                recipient: req.body.recipient,
+                unlocksIn: req.body.unlocks_in,
+                reference: req.body.reference,
+                metadata: req.body.metadata,
+                device: req.postFilter.getDevice(req)
+            });
+
+            return reply.send({ code: 200, message: 'Transaction simulated', mode: 'sandbox', data: transaction });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to simulate transaction');
+        }
+    },
+
+    advanceSimulatedTransaction: async (req, reply) => {
+        try {
+            const transaction = await req.sandbox.advanceTransaction(
+                req.user.user_id,
+                req.params.trans_id,
+                req.body.action,
+                req.body.note
+            );
+
+            return reply.send({ code: 200, message: `Transaction ${req.body.action} simulated`, mode: 'sandbox', data: transaction });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to advance transaction');
+        }
+    },
+
+    simulateCardStatus: async (req, reply) => {
+        try {
+            const card = await req.sandbox.setCardStatus(
+                req.user.user_id,
+                req.params.id,
+                req.body.status,
+                req.body.reason
+            );
+
+            return reply.send({ code: 200, message: `Card is now ${card.status}`, mode: 'sandbox', data: card });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to update card status');
+        }
+    },
+
+    simulateBridgeCompletion: async (req, reply) => {
+        try {
+            const bridge = await req.sandbox.completeBridge(
+                req.user.user_id,
+                req.params.reference_id,
+                req.body.received_amount
+            );
+
+            return reply.send({ code: 200, message: 'Bridge completed', mode: 'sandbox', data: bridge });
+
+        } catch (err) {
+            return AppError.send(req, reply, err, 'Failed to complete bridge');
+        }
+    }
 
-};
\ No newline at end of file
+};
@@ -2,6 +2,7 @@ const EmailService = require('../services/MailService');
 const OpenCage = require('../utils/OpenCage');
 const Countries = require('../utils/Countries');
 const Telecom = require('../utils/Telecom');
+const AppError = require('../lib/AppError');
 
 // Helper: Verify Cloudflare Turnstile
 async function verifyTurnstile(token, ip) {
@@ -36,19 +37,19 @@ module.exports = {
 
         // 3. Security Checks
         if (!fingerprint || fingerprint === 'unknown') {
-            return reply.code(400).send({ status: 400, error: req.t('invalid_fingerprint') });
+            return AppError.send(req, reply, AppError.status(400, req.t('invalid_fingerprint')));
         }
 
         const isHuman = await verifyTurnstile(captchaToken, req.ip);
         if (!isHuman) {
-            return reply.code(400).send({ status: 400, error: req.t('security_check_failed') });
+            return AppError.send(req, reply, AppError.status(400, req.t('security_check_failed')));
         }
 
-        if (!name || req.postFilter.validateName(name) === false) return reply.code(400).send({ status: 400, error: req.t('please_provide_full_name') });
-        if (!email || !email.includes('@') || req.postFilter.validateEmail(email) === false) return reply.code(400).send({ status: 400, error: req.t('invalid_email') });
-        if (!password) return reply.code(400).send({ status: 400, error: req.t('please_provide_password') });
-        if (password !== confirm) return reply.code(400).send({ status: 400, error: req.t('passwords_do_not_match') });
-        if (terms !== 'on' && terms !== 'accept') return reply.code(400).send({ status: 400, error: req.t('please_accept_terms') });
+        if (!name || req.postFilter.validateName(name) === false) return AppError.send(req, reply, AppError.status(400, req.t('please_provide_full_name')));
+        if (!email || !email.includes('@') || req.postFilter.validateEmail(email) === false) return AppError.send(req, reply, AppError.status(400, req.t('invalid_email')));
+        if (!password) return AppError.send(req, reply, AppError.status(400, req.t('please_provide_password')));
+        if (password !== confirm) return AppError.send(req, reply, AppError.status(400, req.t('passwords_do_not_match')));
+        if (terms !== 'on' && terms !== 'accept') return AppError.send(req, reply, AppError.status(400, req.t('please_accept_terms')));
 
         const identity = req.postFilter.getDevice(req);
         identity.fingerprint = fingerprint;
@@ -86,12 +87,11 @@ module.exports = {
                 });
 
             } else {
-                return reply.code(400).send({ status: 400, error: req.t(result.error) });
+                return AppError.send(req, reply, AppError.status(400, req.t(result.error)));
             }
 
         } catch (err) {
-            req.log.error(err);
-            return reply.code(500).send({ status: 500, error: req.t('server_error') });
+            return AppError.send(req, reply, err, req.t('server_error'));
         }
     },
 
@@ -102,15 +102,15 @@ module.exports = {
         const fingerprint = req.postFilter.strip(req.body.fingerprint);
         const captchaToken = req.body['cf-turnstile-response'];
 
-        if (!fingerprint) return reply.code(400).send({ status: 400, error: req.t('invalid_fingerprint') });
-        if (!username || !password) return reply.code(400).send({ status: 400, error: req.t('invalid_credentials') });
+        if (!fingerprint) return AppError.send(req, reply, AppError.status(400, req.t('invalid_fingerprint')));
+        if (!username || !password) return AppError.send(req, reply, AppError.status(400, req.t('invalid_credentials')));
 
         const device = req.postFilter.getDevice(req);
         device.fingerprint = fingerprint;
 
         const isHuman = await verifyTurnstile(captchaToken, req.ip);
         if (!isHuman) {
-            return reply.code(400).send({ status: 400, error: req.t('security_check_failed') });
+            return AppError.send(req, reply, AppError.status(400, req.t('security_check_failed')));
         }
 
         try {
@@ -131,18 +131,17 @@ module.exports = {
                 return reply.send({ status: 200, redirect: redirect });
 
             } else {
-                if (result.locked) return reply.code(401).send({ status: 401, error: req.t('account_locked') });
-                if (result.review) return reply.code(401).send({ status: 401, error: req.t('account_inactive') });
-                return reply.code(401).send({ status: 401, error: req.t(result.error) });
+                if (result.locked) return AppError.send(req, reply, AppError.status(401, req.t('account_locked')));
+                if (result.review) return AppError.send(req, reply, AppError.status(401, req.t('account_inactive')));
+                return AppError.send(req, reply, AppError.status(401, req.t(result.error)));
             }
         } catch (err) {
-            req.log.error(err);
-            return reply.code(500).send({ status: 500, error: req.t('server_error') });
+            return AppError.send(req, reply, err, req.t('server_error'));
         }
     },
 
     onboarding: async function (req, reply) {
-        if (!req.user) return reply.code(401).send({ status: 401, error: req.t('unauthorized') });
+        if (!req.user) return AppError.send(req, reply, AppError.status(401, req.t('unauthorized')));
 
         try {
 
@@ -154,7 +153,7 @@ module.exports = {
             const sanitizedGender = req.postFilter.strip(gender);
 
             if (!sanitizedDob || !sanitizedCountry || !sanitizedPurpose) {
-                return reply.code(400).send({ status: 400, error: req.t('missing_required_fields') });
+                return AppError.send(req, reply, AppError.status(400, req.t('missing_required_fields')));
             }
 
             const captchaToken = req.body['cf-turnstile-response'];
@@ -164,14 +163,14 @@ module.exports = {
             }
 
             const age = new Date().getFullYear() - new Date(sanitizedDob).getFullYear();
-            if (age < 16) return reply.code(400).send({ status: 400, error: req.t('must_be_16') });
+            if (age < 16) return AppError.send(req, reply, AppError.status(400, req.t('must_be_16')));
 
             if (['north korea', 'iran'].includes(sanitizedCountry.toLowerCase())) {
-                return reply.code(400).send({ status: 400, error: req.t('country_not_supported') });
+                return AppError.send(req, reply, AppError.status(400, req.t('country_not_supported')));
             }
             
             if(sanitizedGender && !['male', 'female', 'other', 'prefer not to say'].includes(sanitizedGender.toLowerCase())) {
-                return reply.code(400).send({ status: 400, error: req.t('invalid_gender') });
+                return AppError.send(req, reply, AppError.status(400, req.t('invalid_gender')));
             }
 
             let businessInfo = {};
@@ -183,20 +182,20 @@ module.exports = {
                 const sanitizedBusinessPhone = req.postFilter.strip(business_phone);
                 const sanitizedDunNumber = req.postFilter.strip(dun_number);
 
-                if (!sanitizedDunNumber) return reply.code(400).send({ status: 400, error: req.t('dun_number_required') });
-                if (!sanitizedBusinessName) return reply.code(400).send({ status: 400, error: req.t('business_name_required') });
-                if (!sanitizedBusinessAddress) return reply.code(400).send({ status: 400, error: req.t('business_address_required') });
-                if (!sanitizedBusinessPhone) return reply.code(400).send({ status: 400, error: req.t('business_phone_required') });
-                if (!sanitizedBusinessEmail || !sanitizedBusinessEmail.includes('@') || req.postFilter.validateEmail(sanitizedBusinessEmail) === false) return reply.code(400).send({ status: 400, error: req.t('invalid_business_email') });
+                if (!sanitizedDunNumber) return AppError.send(req, reply, AppError.status(400, req.t('dun_number_required')));
+                if (!sanitizedBusinessName) return AppError.send(req, reply, AppError.status(400, req.t('business_name_required')));
+                if (!sanitizedBusinessAddress) return AppError.send(req, reply, AppError.status(400, req.t('business_address_required')));
+                if (!sanitizedBusinessPhone) return AppError.send(req, reply, AppError.status(400, req.t('business_phone_required')));
+                if (!sanitizedBusinessEmail || !sanitizedBusinessEmail.includes('@') || req.postFilter.validateEmail(sanitizedBusinessEmail) === false) return AppError.send(req, reply, AppError.status(400, req.t('invalid_business_email')));
 
                 //DUNS number must be 9 digits
                 if (!/^\d{9}$/.test(sanitizedDunNumber)) {
-                    return reply.code(400).send({ status: 400, error: req.t('invalid_dun_number') });
+                    return AppError.send(req, reply, AppError.status(400, req.t('invalid_dun_number')));
                 }
 
                 const countryData = Countries.getByName(sanitizedCountry);
                 if (!countryData) {
-                    return reply.code(400).send({ status: 400, error: req.t('invalid_country') });
+                    return AppError.send(req, reply, AppError.status(400, req.t('invalid_country')));
                 }
 
                 const telecom = new Telecom(sanitizedBusinessPhone, countryData.iso);
@@ -204,10 +203,7 @@ module.exports = {
 
                 // 3. Check if valid
                 if (!resultPhone.status || !resultPhone.response.isValidNumber) {
-                    return reply.code(400).send({ 
-                        status: 400, 
-                        error: telecom.phoneInfo()['message'] 
-                    });
+                    return AppError.send(req, reply, AppError.status(400, telecom.phoneInfo()['message']));
                 }
 
                 businessInfo = {
@@ -227,10 +223,7 @@ module.exports = {
                         await req.auth.incrementAddressValidationAttempts(req.user.user_id);
                     }
 
-                    return reply.code(400).send({
-                        status: 400,
-                        error: req.t(validation.error)
-                    });
+                    return AppError.send(req, reply, AppError.status(400, req.t(validation.error)));
                 }
 
                 if (validation.isValid) {
@@ -263,11 +256,10 @@ module.exports = {
                 });
                 return reply.send({ status: 200, message: req.t('success'), modal: modalHtml });
             } else {
-                return reply.code(400).send({ status: 400, error: req.t(result.error) });
+                return AppError.send(req, reply, AppError.status(400, req.t(result.error)));
             }
         } catch (err) {
-            req.log.error(err);
-            return reply.code(500).send({ status: 500, error: req.t('server_error') });
+            return AppError.send(req, reply, err, req.t('server_error'));
         }
     },
 
@@ -328,7 +320,7 @@ module.exports = {
         const captchaToken = req.body['cf-turnstile-response'];
 
         if (!address || !signature || !typedData) {
-            return reply.code(400).send({ status: 400, error: req.t('wallet_connection_failed') });
+            return AppError.send(req, reply, AppError.status(400, req.t('wallet_connection_failed')));
         }
 
         const isHuman = await verifyTurnstile(captchaToken, req.ip);
@@ -353,11 +345,10 @@ module.exports = {
                 });
                 return reply.send({ status: 200, redirect: '/home' });
             } else {
-                return reply.code(401).send({ status: 401, error: req.t(result.error) });
+                return AppError.send(req, reply, AppError.status(401, req.t(result.error)));
             }
         } catch (err) {
-            req.log.error(err);
-            return reply.code(500).send({ status: 500, error: req.t('server_error') });
+            return AppError.send(req, reply, err, req.t('server_error'));
         }
     },
 
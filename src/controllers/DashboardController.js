@@ -5,9 +5,32 @@ const CreditScoreCalculator = require('../utils/CreditScoreCalculator');
 const StarknetCardService = require('../services/StarknetCardService');
 const EncryptionService = require('../services/EncryptionService');
 const Layerswap = require('../utils/Layerswap');
+const AppError = require('../lib/AppError');
 const qrcode = require('qrcode');
 const fs = require('fs');
 
+/**
+ * Form posts carry lists as JSON-encoded strings (e.g. '["1.2.3.4"]').
+ * Returns undefined when the field was not sent.
+ */
+function parseJsonList(value, field) {
+    if (value === undefined || value === null || value === '') return undefined;
+    try {
+        const list = JSON.parse(value);
+        if (Array.isArray(list)) return list;
+    } catch (e) { /* fall through */ }
+
+    throw new AppError('invalid_request', `Invalid ${field} format`);
+}
+
+/**
+ * Dashboard errors use the shared AppError body; server errors show the
+ * localized generic message.
+ */
+function sendError(req, reply, err, fallback) {
+    return AppError.send(req, reply, err, req.t('server_error') || fallback);
+}
+
 module.exports = {
 
     index: async (req, reply) => {
@@ -59,8 +82,7 @@ module.exports = {
                 is_live: JSON.stringify(req.body)
             });
         } catch (err) {
-            req.log.error(err);
-            return reply.code(500).send({ status: 500, error: 'Failed to update mode' });
+            return sendError(req, reply, err, 'Failed to update mode');
         }
     },
 
@@ -140,8 +162,7 @@ module.exports = {
             });
 
         } catch (err) {
-            req.log.error(err);
-            return reply.code(500).send({ error: 'Failed to load dashboard data' });
+            return sendError(req, reply, err, 'Failed to load dashboard data');
         }
     },
 
@@ -174,8 +195,7 @@ module.exports = {
             });
 
         } catch (err) {
-            req.log.error(err);
-            return reply.status(500).send({ error: 'Fetch failed' });
+            return sendError(req, reply, err, 'Fetch failed');
         }
     },
 
@@ -224,10 +244,7 @@ module.exports = {
 
                 const networks = await ls.getSources('STARKNET_SEPOLIA', 'STRK');
                 if(!result){
-                    return reply.code(404).send({
-                        status: 404,
-                        error: req.t('card.card_not_found') || 'Card not found'
-                    });
+                    return sendError(req, reply, new AppError('card_not_found', req.t('card.card_not_found') || 'Card not found'));
                 }
 
                  const qrDataUrl = await qrcode.toDataURL(result.address, {
@@ -254,8 +271,7 @@ module.exports = {
             }
 
         } catch (err) {
-            req.log.error(err);
-            return reply.status(500).send({ error: req.t('error.fetching_modal') });
+            return AppError.send(req, reply, err, req.t('error.fetching_modal'));
         }
 
     },
@@ -268,10 +284,10 @@ module.exports = {
             try {
                 currencies = JSON.parse(req.body.currencies);
                 if (!Array.isArray(currencies) || currencies.length === 0) {
-                    return reply.code(400).send({ status: 400, error: req.t('card.err_select_currency') || 'Select at least one currency' });
+                    return sendError(req, reply, AppError.status(400, req.t('card.err_select_currency') || 'Select at least one currency'));
                 }
             } catch (e) {
-                return reply.code(400).send({ status: 400, error: 'Invalid currencies format' });
+                return sendError(req, reply, AppError.status(400, 'Invalid currencies format'));
             }
             const identity = req.postFilter.getDevice(req);
 
@@ -300,12 +316,7 @@ module.exports = {
             return reply.send({ status: 200, cardHtml: cardHtml, card_id: result.card_id });
 
         } catch (err) {
-            const code = err.statusCode || 500;
-            req.log.error(err);
-            return reply.code(code).send({
-                status: code,
-                error: code >= 500 ? (req.t('server_error') || 'Failed to create card') : err.message
-            });
+            return sendError(req, reply, err, 'Failed to create card');
         }
     },
 
@@ -327,12 +338,7 @@ module.exports = {
             });
 
         } catch (err) {
-            const code = err.statusCode || 500;
-            req.log.error(err);
-            return reply.code(code).send({
-                status: code,
-                error: code >= 500 ? (req.t('card.failed_redeploy') || 'Failed to redeploy card') : err.message
-            });
+            return AppError.send(req, reply, err, req.t('card.failed_redeploy') || 'Failed to redeploy card');
         }
     },
 
@@ -344,10 +350,7 @@ module.exports = {
 
             const result = await req.apiService.getCard(req.user.user_id, cardId);
             if(!result){
-                return reply.code(404).send({
-                    status: 404,
-                    error: req.t('card.card_not_found') || 'Card not found'
-                });
+                return sendError(req, reply, new AppError('card_not_found', req.t('card.card_not_found') || 'Card not found'));
             }
             const explorer =  (req.user.is_live) ? `${process.env.EXPLORER_URL_MAINNET}/contract/${result.address}` : `${process.env.EXPLORER_URL_SEPOLIA}/contract/${result.address}`;
             const network = (req.user.is_live) ? 'mainnet' : 'sepolia';
@@ -363,12 +366,7 @@ module.exports = {
                 card: cardData
             });
         } catch (err) {
-            const code = err.statusCode || 500;
-            req.log.error(err);
-            return reply.code(code).send({
-                status: code,
-                error: code >= 500 ? (req.t('server_error') || 'Failed to retrieve card details') : err.message
-            });
+            return sendError(req, reply, err, 'Failed to retrieve card details');
         }
     },
 
@@ -380,10 +378,7 @@ module.exports = {
             const isLive = req.user.is_live !== false;
             const result = await req.apiService.getCard(req.user.user_id, cardId);
             if(!result){
-                return reply.code(404).send({
-                    status: 404,
-                    error: req.t('card.card_not_found') || 'Card not found'
-                });
+                return sendError(req, reply, new AppError('card_not_found', req.t('card.card_not_found') || 'Card not found'));
             }
 
             const ls = new Layerswap(process.env.LAYERSWAP_API_KEY, isLive); 
@@ -426,12 +421,7 @@ module.exports = {
             });
             return reply.send({ status: 200, sources: formattedSources });
         } catch (err) {
-            const code = err.statusCode || 500;
-            req.log.error(err);
-            return reply.code(code).send({
-                status: code,
-                error: code >= 500 ? (req.t('server_error') || 'Failed to retrieve bridge sources') : err.message
-            });
+            return sendError(req, reply, err, 'Failed to retrieve bridge sources');
         }
     },
 
@@ -443,10 +433,7 @@ module.exports = {
             const cardId = pf.strip(card_id);
             const result = await req.apiService.getCard(req.user.user_id, cardId);
             if(!result){
-                return reply.code(404).send({
-                    status: 404,
-                    error: req.t('card.card_not_found') || 'Card not found'
-                });
+                return sendError(req, reply, new AppError('card_not_found', req.t('card.card_not_found') || 'Card not found'));
             }
             const isLive = req.user.is_live !== false;
             const ls = new Layerswap(process.env.LAYERSWAP_API_KEY, isLive);
@@ -456,7 +443,7 @@ module.exports = {
             const parsedAmount = parseFloat(pf.strip(amount));
 
             if (!sourceNetwork || !sourceToken || !parsedAmount || parsedAmount <= 0) {
-                return reply.code(400).send({ status: 400, error: 'Missing required parameters' });
+                return sendError(req, reply, AppError.status(400, 'Missing required parameters'));
             }
 
             const destNetwork = isLive ? 'STARKNET_MAINNET' : 'STARKNET_SEPOLIA';
@@ -464,12 +451,8 @@ module.exports = {
             const quote = await ls.getQuote(sourceNetwork, sourceToken, destNetwork, sourceToken, parsedAmount);
             return reply.send({ status: 200, quote });
         } catch (err) {
-            const code = err.statusCode || 500;
-            req.log.error(err);
-            return reply.code(code).send({
-                status: code,
-                error: err.message
-            });
+            // Layerswap errors explain what is wrong with the bridge request
+            return sendError(req, reply, err.statusCode ? err : AppError.status(502, err.message));
         }
     },
 
@@ -482,10 +465,7 @@ module.exports = {
             const cardId = pf.strip(card_id);
             const result = await req.apiService.getCard(req.user.user_id, cardId);
             if(!result){
-                return reply.code(404).send({
-                    status: 404,
-                    error: req.t('card.card_not_found') || 'Card not found'
-                });
+                return sendError(req, reply, new AppError('card_not_found', req.t('card.card_not_found') || 'Card not found'));
             }
 
             let sourceNetwork = pf.strip(source_network);
@@ -494,7 +474,7 @@ module.exports = {
             const parsedAmount = parseFloat(pf.strip(amount));
 
             if (!sourceNetwork || !sourceToken || !parsedAmount || parsedAmount <= 0 || !sourceAddress) {
-                return reply.code(400).send({ status: 400, error: 'Missing required parameters' });
+                return sendError(req, reply, AppError.status(400, 'Missing required parameters'));
             }
 
             const isLive = req.user.is_live !== false;
@@ -513,7 +493,7 @@ module.exports = {
             });
 
             if (!swapResponse || !swapResponse.deposit_actions || swapResponse.deposit_actions.length === 0) {
-                return reply.code(500).send({ status: 500, error: 'Failed to create bridge swap' });
+                return sendError(req, reply, AppError.status(502, 'Failed to create bridge swap'));
             }
 
             const identity = req.postFilter.getDevice(req);
@@ -554,12 +534,8 @@ module.exports = {
             return reply.send({ status: 200, message: 'Bridge deposit initiated', bridge: renderData, html: cardHtml });
 
         } catch (err) {
-            const code = err.statusCode || 500;
-            req.log.error(err);
-            return reply.code(code).send({
-                status: code,
-                error: err.message
-            });
+            // Layerswap errors explain what is wrong with the bridge request
+            return sendError(req, reply, err.statusCode ? err : AppError.status(502, err.message));
         }
 
     },
@@ -570,12 +546,9 @@ module.exports = {
         const swapId = pf.strip(id);
         
         try {
-            const bridgeRecord = await req.models.Bridge.retrieve(swapId);
+            const bridgeRecord = await req.models.Bridge.retrieveByUserId(req.user.user_id, swapId);
             if(!bridgeRecord){
-                return reply.code(404).send({
-                    status: 404,
-                    error: req.t('card.bridge_not_found') || 'Bridge not found'
-                });
+                return sendError(req, reply, AppError.status(404, req.t('card.bridge_not_found') || 'Bridge not found'));
             }
 
             const isLive = req.user.is_live !== false;
@@ -583,7 +556,7 @@ module.exports = {
 
             const swapResponse = await ls.getSwapStatus(bridgeRecord.swap_id);
             if (!swapResponse || !swapResponse.swap) {
-                return reply.code(500).send({ status: 500, error: 'Failed to fetch bridge status' });
+                return sendError(req, reply, AppError.status(502, 'Failed to fetch bridge status'));
             }
 
             const updateData = {
@@ -591,16 +564,619 @@ module.exports = {
                 received_amount: swapResponse.swap.received_amount
             }
             
-            await req.models.Bridge.updateBridge(bridgeRecord.reference_id, updateData);
+            const updated = await req.models.Bridge.updateBridge(bridgeRecord.reference_id, updateData);
+
+            if (updateData.status === 'completed' && bridgeRecord.status !== 'completed') {
+                await req.webhooks.emit('bridge.completed', bridgeRecord.user_id, isLive, {
+                    reference_id: updated.reference_id,
+                    swap_id: updated.swap_id,
+                    card_id: updated.card_id,
+                    status: updated.status,
+                    source_network: updated.source_network,
+                    source_token: updated.source_token,
+                    destination_network: updated.destination_network,
+                    destination_address: updated.destination_address,
+                    amount: updated.amount,
+                    received_amount: updated.received_amount
+                });
+            }
 
             return reply.send({ status: 200, payment: updateData});
         } catch (err) {
-            req.log.error(err);
-            return reply.code(500).send({
-                status: 500,
-                error: req.t('card.bridge_not_found') || 'Bridge record not found'
+            return AppError.send(req, reply, err, req.t('card.bridge_not_found') || 'Bridge record not found');
+        }
+    },
+
+    // ─── Portfolio ──────────────────────────────────────────────────
+
+    getPortfolio: async (req, reply) => {
+        try {
+            const portfolio = await req.apiService.getPortfolio(req.user.user_id, req.user.is_live !== false);
+            return reply.send({ status: 200, ...portfolio });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to load portfolio');
+        }
+    },
+
+    getCardBalances: async (req, reply) => {
+        try {
+            const result = await req.apiService.getCardBalances(req.user.user_id, req.params.id, req.user.is_live !== false);
+            return reply.send({ status: 200, ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to load card balances');
+        }
+    },
+
+    // ─── Spending Limits ────────────────────────────────────────────
+
+    getCardLimits: async (req, reply) => {
+        try {
+            const result = await req.apiService.getCardLimits(req.user.user_id, req.params.id, req.user.is_live !== false);
+            return reply.send({ status: 200, ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to load card limits');
+        }
+    },
+
+    updateCardLimits: async (req, reply) => {
+        try {
+            const body = req.body;
+            const result = await req.apiService.updateCardLimits({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                sigR: body.sig_r,
+                sigS: body.sig_s,
+                maxTxAmount: body.max_transaction_amount || undefined,
+                dailyTxLimit: body.daily_transaction_limit,
+                dailySpendLimit: body.daily_spend_limit || undefined,
+                autoApproveThreshold: body.auto_approve_threshold || undefined,
+                thresholdSigR: body.threshold_sig_r,
+                thresholdSigS: body.threshold_sig_s,
+                isLive: req.user.is_live !== false
+            });
+            return reply.send({ status: 200, message: 'Card limits updated', ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to update card limits');
+        }
+    },
+
+    setMerchantLimit: async (req, reply) => {
+        try {
+            const result = await req.apiService.setMerchantLimit({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                merchant: req.params.merchant,
+                maxAmountUsd: req.body.max_amount_usd,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: req.user.is_live !== false
+            });
+            return reply.send({ status: 200, message: 'Merchant limit set', ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to set merchant limit');
+        }
+    },
+
+    removeMerchantLimit: async (req, reply) => {
+        try {
+            const result = await req.apiService.removeMerchantLimit({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                merchant: req.params.merchant,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: req.user.is_live !== false
+            });
+            return reply.send({ status: 200, message: 'Merchant limit removed', ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to remove merchant limit');
+        }
+    },
+
+    // ─── Auto-Swap Rules ────────────────────────────────────────────
+
+    getAutoSwapRules: async (req, reply) => {
+        try {
+            const result = await req.apiService.listAutoSwapRules(req.user.user_id, req.params.id, req.user.is_live !== false);
+            return reply.send({ status: 200, ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to load auto-swap rules');
+        }
+    },
+
+    setAutoSwapRule: async (req, reply) => {
+        try {
+            const result = await req.apiService.setAutoSwapRule({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                source: req.params.source,
+                target: req.body.target,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: req.user.is_live !== false
+            });
+            return reply.send({ status: 200, message: 'Auto-swap rule set', ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to set auto-swap rule');
+        }
+    },
+
+    removeAutoSwapRule: async (req, reply) => {
+        try {
+            const result = await req.apiService.removeAutoSwapRule({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                source: req.params.source,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: req.user.is_live !== false
+            });
+            return reply.send({ status: 200, message: 'Auto-swap rule removed', ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to remove auto-swap rule');
+        }
+    },
+
+    runAutoSwap: async (req, reply) => {
+        try {
+            const result = await req.apiService.runAutoSwap({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                source: req.params.source,
+                amount: req.body.amount || undefined,
+                slippageBps: req.body.slippage_bps,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: req.user.is_live !== false
             });
+            return reply.send({ status: 200, message: 'Auto-swap executed', ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to run auto-swap');
+        }
+    },
+
+    // ─── Blocked Merchants ──────────────────────────────────────────
+
+    getBlockedMerchants: async (req, reply) => {
+        try {
+            const result = await req.apiService.listBlockedMerchants(req.user.user_id, req.params.id, req.user.is_live !== false);
+            return reply.send({ status: 200, ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to load blocked merchants');
+        }
+    },
+
+    blockMerchant: async (req, reply) => {
+        try {
+            const result = await req.apiService.blockMerchant({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                merchant: req.body.merchant || undefined,
+                transId: req.body.trans_id || undefined,
+                requestId: req.body.request_id || undefined,
+                reason: req.body.reason,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: req.user.is_live !== false
+            });
+            return reply.send({ status: 200, message: 'Merchant blocked', ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to block merchant');
+        }
+    },
+
+    unblockMerchant: async (req, reply) => {
+        try {
+            const result = await req.apiService.unblockMerchant({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                merchant: req.params.merchant,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: req.user.is_live !== false
+            });
+            return reply.send({ status: 200, message: 'Merchant unblocked', ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to unblock merchant');
+        }
+    },
+
+    // ─── PIN Rotation ───────────────────────────────────────────────
+
+    getPinRotation: async (req, reply) => {
+        try {
+            const result = await req.apiService.getPinRotation(req.user.user_id, req.params.id, req.query.new_public_key, req.user.is_live !== false);
+            return reply.send({ status: 200, ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to prepare PIN rotation');
+        }
+    },
+
+    submitPinRotation: async (req, reply) => {
+        try {
+            const result = await req.apiService.submitPinRotation({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                newPublicKey: req.body.new_public_key,
+                nonce: req.body.nonce,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: req.user.is_live !== false
+            });
+            return reply.send({ status: 200, message: 'Rotation signed; send the call from the owner wallet', ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to submit PIN rotation');
+        }
+    },
+
+    confirmPinRotation: async (req, reply) => {
+        try {
+            const result = await req.apiService.confirmPinRotation({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                transactionHash: req.body.transaction_hash,
+                isLive: req.user.is_live !== false
+            });
+            return reply.send({ status: 200, message: 'PIN rotated', ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to confirm PIN rotation');
+        }
+    },
+
+    // ─── Fraud Alerts ───────────────────────────────────────────────
+
+    getFraudAlerts: async (req, reply) => {
+        try {
+            const result = await req.apiService.listFraudAlerts(req.user.user_id, req.params.id, req.user.is_live !== false, {
+                status: req.query.status,
+                limit: req.query.limit
+            });
+            return reply.send({ status: 200, ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to load fraud alerts');
+        }
+    },
+
+    freezeFromFraudAlert: async (req, reply) => {
+        try {
+            const result = await req.apiService.freezeFromFraudAlert({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                alertId: req.params.alert_id,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: req.user.is_live !== false
+            });
+            return reply.send({ status: 200, message: 'Card frozen', ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to freeze card');
+        }
+    },
+
+    // ─── Payment Request Inbox ──────────────────────────────────────
+
+    getPaymentInbox: async (req, reply) => {
+        try {
+            const inbox = await req.apiService.listPaymentInbox({
+                userId: req.user.user_id,
+                cardId: req.query.card_id,
+                isLive: req.user.is_live !== false
+            });
+            return reply.send({ status: 200, ...inbox });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to load payment requests');
+        }
+    },
+
+    approvePaymentRequest: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const { request, transaction } = await req.apiService.approvePaymentRequest({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                requestId: req.params.request_id,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive,
+                device: req.postFilter.getDevice(req)
+            });
+
+            if (transaction) await req.webhooks.emitTransactionUpdated(transaction, isLive);
+            return reply.send({ status: 200, message: 'Payment request approved', request });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to approve payment request');
+        }
+    },
+
+    rejectPaymentRequest: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const { request, transaction } = await req.apiService.rejectPaymentRequest({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                requestId: req.params.request_id,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive,
+                device: req.postFilter.getDevice(req)
+            });
+
+            if (transaction) await req.webhooks.emitTransactionUpdated(transaction, isLive);
+            return reply.send({ status: 200, message: 'Payment request rejected', request });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to reject payment request');
+        }
+    },
+
+    revokePaymentApproval: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const { request, transaction } = await req.apiService.revokePaymentApproval({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                requestId: req.params.request_id,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive,
+                device: req.postFilter.getDevice(req)
+            });
+
+            if (transaction) await req.webhooks.emitTransactionUpdated(transaction, isLive);
+            return reply.send({ status: 200, message: 'Payment approval revoked', request });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to revoke payment approval');
+        }
+    },
+
+    batchApprovePaymentRequests: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const result = await req.apiService.batchApprovePaymentRequests({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                requestIds: parseJsonList(req.body.request_ids, 'request_ids'),
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive,
+                device: req.postFilter.getDevice(req)
+            });
+
+            for (const transaction of result.transactions) {
+                await req.webhooks.emitTransactionUpdated(transaction, isLive);
+            }
+
+            return reply.send({
+                status: 200,
+                message: `${result.approved.length} payment request(s) approved`,
+                ...result.operation,
+                approved: result.approved,
+                skipped: result.skipped
+            });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to approve payment requests');
+        }
+    },
+
+    // ─── Transfers ──────────────────────────────────────────────────
+
+    getTransfers: async (req, reply) => {
+        try {
+            const result = await req.apiService.listTransfers({
+                userId: req.user.user_id,
+                cardId: req.query.card_id,
+                status: req.query.status
+            });
+            return reply.send({ status: 200, ...result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to load transfers');
+        }
+    },
+
+    createTransfer: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const { transfer, transaction } = await req.apiService.createTransfer({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                kind: req.body.kind,
+                token: req.body.token,
+                amount: req.body.amount,
+                recipient: req.body.recipient,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive,
+                channel: 'web_dashboard',
+                device: req.postFilter.getDevice(req)
+            });
+
+            await req.webhooks.emitTransactionUpdated(transaction, isLive);
+            const message = transfer.status === 'completed' ? 'Transfer completed' : 'Transfer created';
+            return reply.send({ status: 200, message, transfer });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to create transfer');
+        }
+    },
+
+    finalizeTransfer: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const { transfer, transaction } = await req.apiService.finalizeTransfer({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                transferId: req.params.transfer_id,
+                isLive: isLive
+            });
+
+            await req.webhooks.emitTransactionUpdated(transaction, isLive);
+            return reply.send({ status: 200, message: 'Transfer finalized', transfer });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to finalize transfer');
+        }
+    },
+
+    cancelTransfer: async (req, reply) => {
+        try {
+            const isLive = req.user.is_live !== false;
+            const { transfer, transaction } = await req.apiService.cancelTransfer({
+                userId: req.user.user_id,
+                cardId: req.params.id,
+                transferId: req.params.transfer_id,
+                sigR: req.body.sig_r,
+                sigS: req.body.sig_s,
+                isLive: isLive
+            });
+
+            await req.webhooks.emitTransactionUpdated(transaction, isLive);
+            return reply.send({ status: 200, message: 'Transfer cancelled', transfer });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to cancel transfer');
+        }
+    },
+
+    // ─── Developer Credentials ──────────────────────────────────────
+
+    listApiClients: async (req, reply) => {
+        try {
+            const clients = await req.apiService.listClients(req.user.user_id);
+            return reply.send({ status: 200, clients });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to load API clients');
+        }
+    },
+
+    createApiClient: async (req, reply) => {
+        try {
+            const pf = req.postFilter;
+            const result = await req.apiService.createClient(req.user.user_id, {
+                name: pf.strip(req.body.name),
+                isLive: req.body.is_live === true,
+                allowedIps: parseJsonList(req.body.allowed_ips, 'allowed_ips'),
+                rateLimitRpm: req.body.rate_limit_rpm,
+                scopes: parseJsonList(req.body.scopes, 'scopes'),
+                merchantAddress: req.body.merchant_address !== undefined ? req.postFilter.strip(req.body.merchant_address) : undefined,
+                merchantSignature: parseJsonList(req.body.merchant_signature, 'merchant_signature')
+            });
+
+            return reply.send({
+                status: 200,
+                message: 'API client created. Copy the secret now — it will not be shown again.',
+                client: result.client,
+                client_secret: result.client_secret
+            });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to create API client');
+        }
+    },
+
+    renameApiClient: async (req, reply) => {
+        try {
+            const client = await req.apiService.renameClient(
+                req.user.user_id,
+                req.params.client_id,
+                req.postFilter.strip(req.body.name)
+            );
+            return reply.send({ status: 200, message: 'API client renamed', client });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to rename API client');
+        }
+    },
+
+    updateApiClientPolicies: async (req, reply) => {
+        try {
+            const client = await req.apiService.updateClientPolicies(req.user.user_id, req.params.client_id, {
+                allowedIps: parseJsonList(req.body.allowed_ips, 'allowed_ips'),
+                rateLimitRpm: req.body.rate_limit_rpm,
+                scopes: parseJsonList(req.body.scopes, 'scopes'),
+                merchantAddress: req.body.merchant_address !== undefined ? req.postFilter.strip(req.body.merchant_address) : undefined,
+                merchantSignature: parseJsonList(req.body.merchant_signature, 'merchant_signature')
+            });
+            return reply.send({ status: 200, message: 'API client policies updated', client });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to update API client');
+        }
+    },
+
+    rotateApiClientSecret: async (req, reply) => {
+        try {
+            const result = await req.apiService.rotateClientSecret(req.user.user_id, req.params.client_id);
+            return reply.send({
+                status: 200,
+                message: 'Secret rotated. Existing refresh tokens were revoked.',
+                client: result.client,
+                client_secret: result.client_secret
+            });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to rotate secret');
+        }
+    },
+
+    revokeApiClient: async (req, reply) => {
+        try {
+            const client = await req.apiService.revokeClient(req.user.user_id, req.params.client_id);
+            return reply.send({ status: 200, message: 'API client revoked', client });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to revoke API client');
+        }
+    },
+
+    getApiClientUsage: async (req, reply) => {
+        try {
+            const usage = await req.apiService.getClientUsage(req.user.user_id, req.params.client_id, req.query.period);
+            return reply.send({ status: 200, usage });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to load API usage');
+        }
+    },
+
+    getMerchantChallenge: async (req, reply) => {
+        try {
+            const typedData = req.apiService.merchantChallenge(
+                req.user.user_id,
+                req.postFilter.strip(req.body.merchant_address),
+                req.body.is_live === true
+            );
+            return reply.send({ status: 200, typed_data: typedData });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to build merchant challenge');
+        }
+    },
+
+    // ─── Webhooks ───────────────────────────────────────────────────
+
+    listWebhooks: async (req, reply) => {
+        try {
+            const endpoints = await req.webhooks.listEndpoints(req.user.user_id, req.user.is_live !== false);
+            return reply.send({ status: 200, endpoints });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to load webhook endpoints');
+        }
+    },
+
+    listWebhookDeliveries: async (req, reply) => {
+        try {
+            const page = await req.webhooks.listDeliveries(req.user.user_id, req.user.is_live !== false, req.query);
+            return reply.send({ status: 200, ...page });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to load webhook deliveries');
+        }
+    },
+
+    getWebhookDelivery: async (req, reply) => {
+        try {
+            const delivery = await req.webhooks.getDelivery(req.user.user_id, req.params.delivery_id, req.user.is_live !== false);
+            return reply.send({ status: 200, delivery });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to load webhook delivery');
+        }
+    },
+
+    replayWebhookDelivery: async (req, reply) => {
+        try {
+            const result = await req.webhooks.replayDelivery(req.user.user_id, req.params.delivery_id, req.user.is_live !== false);
+            return reply.send({ status: 200, message: 'Delivery queued for replay', delivery: result });
+        } catch (err) {
+            return sendError(req, reply, err, 'Failed to replay webhook delivery');
         }
     }
 
-}
+}
\ No newline at end of file
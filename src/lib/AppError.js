@@ -0,0 +1,212 @@
+/**
+ * AppError — the one error model for the API, the dashboard and auth-guard.
+ *
+ * Every error response has the same body, based on RFC 9457 (problem details):
+ *
+ *   {
+ *     "type": "https://<APP_DOMAIN>/api/docs/errors#card_not_found",
+ *     "title": "Card not found",
+ *     "status": 404,
+ *     "detail": "Card not found",
+ *     "instance": "/api/v1/cards/crd_…/freeze",
+ *     "code": "card_not_found",
+ *     "request_id": "req_…",
+ *     "errors": [{ "field": "body.sig_r", "code": "pattern", "message": "…" }]   // validation only
+ *   }
+ *
+ * `code` is stable and machine-readable; `detail` is for humans and may change.
+ * /api responses are sent as application/problem+json, dashboard ones as
+ * application/json. The catalog below is the list of codes (also served at
+ * GET /api/docs/errors).
+ */
+
+const CONTENT_TYPE = 'application/problem+json; charset=utf-8';
+
+class AppError extends Error {
+    // code → HTTP status, short title and when it is returned.
+    // `oauth` is the RFC 6749 §5.2 error the token endpoint also reports for the code.
+    static CATALOG = {
+        // 400
+        invalid_request:         { status: 400, title: 'Invalid request', description: 'The request is malformed or a parameter has an invalid value. `detail` says which.', oauth: 'invalid_request' },
+        validation_failed:       { status: 400, title: 'Validation failed', description: 'The body, query string or path failed schema validation. `errors` lists each field.', oauth: 'invalid_request' },
+        invalid_cursor:          { status: 400, title: 'Invalid cursor', description: 'starting_after / ending_before names no record in this list (deleted, another account or mode). Restart from the first page.' },
+        invalid_idempotency_key: { status: 400, title: 'Invalid Idempotency-Key', description: 'Idempotency-Key must be 1-255 characters of letters, digits, "-", "_", ":" or ".".' },
+        card_not_deployed:       { status: 400, title: 'Card not deployed', description: 'The card has no contract on-chain yet. Wait for deployment (or redeploy a failed card).' },
+        insufficient_funds:      { status: 400, title: 'Insufficient funds', description: 'The card balance does not cover the amount, including any swap.' },
+        unsupported_grant_type:  { status: 400, title: 'Unsupported grant type', description: 'grant_type must be client_credentials or refresh_token.', oauth: 'unsupported_grant_type' },
+        invalid_grant:           { status: 400, title: 'Invalid grant', description: 'The refresh token is unknown, expired or already used.', oauth: 'invalid_grant' },
+        token_reuse_detected:    { status: 400, title: 'Refresh token reused', description: 'A refresh token was used twice. Every token of the client has been revoked; request new ones.', oauth: 'invalid_grant' },
+
+        // 401
+        unauthorized:            { status: 401, title: 'Authentication required', description: 'No valid session or Bearer token was sent.' },
+        invalid_token:           { status: 401, title: 'Invalid token', description: 'The access token is malformed, expired or revoked (POST /api/oauth/revoke, secret rotation), or its client was revoked.' },
+        invalid_client:          { status: 401, title: 'Invalid client', description: 'Unknown, revoked or inactive client_id, or a client_secret that does not match.', oauth: 'invalid_client' },
+
+        // 403
+        forbidden:               { status: 403, title: 'Forbidden', description: 'The caller may not use this route (e.g. a browser session on /api/v1, or an API token on the dashboard).' },
+        insufficient_scope:      { status: 403, title: 'Insufficient scope', description: 'The access token or its client lacks the scope the route requires (see `required_scope`).' },
+        ip_not_whitelisted:      { status: 403, title: 'IP not allowed', description: 'The caller IP is not in the client\'s allowed_ips.', oauth: 'invalid_client' },
+
+        // 404
+        not_found:               { status: 404, title: 'Not found', description: 'The route or the resource does not exist, or belongs to another account or mode.' },
+        card_not_found:          { status: 404, title: 'Card not found', description: 'No card with this id for the caller in the current mode (live / sandbox).' },
+
+        // 409
+        conflict:                { status: 409, title: 'Conflict', description: 'The resource is not in a state that allows this call (e.g. already blocked, nonce moved on).' },
+        idempotency_key_in_use:  { status: 409, title: 'Idempotency-Key in use', description: 'A request with the same Idempotency-Key is still running. Retry shortly.' },
+
+        // 422
+        unprocessable:           { status: 422, title: 'Unprocessable request', description: 'The request is well-formed but cannot be applied.' },
+        idempotency_key_reused:  { status: 422, title: 'Idempotency-Key reused', description: 'The Idempotency-Key was already used with a different request body.' },
+        transaction_rejected:    { status: 422, title: 'Transaction rejected', description: 'The card contract rejected or reverted the call (bad PIN signature, limits, wrong state). `detail` carries the revert reason.' },
+
+        // 429
+        rate_limit_exceeded:     { status: 429, title: 'Rate limit exceeded', description: 'Too many requests for this client. Slow down and retry.' },
+
+        // 5xx
+        server_error:            { status: 500, title: 'Server error', description: 'Unexpected failure. Quote `request_id` when reporting it.' },
+        upstream_error:          { status: 502, title: 'Upstream error', description: 'A dependency (Starknet RPC, swap quotes) failed or returned something unusable.' }
+    };
+
+    // Code used when only an HTTP status is known
+    static STATUS_CODES = {
+        400: 'invalid_request',
+        401: 'unauthorized',
+        403: 'forbidden',
+        404: 'not_found',
+        409: 'conflict',
+        422: 'unprocessable',
+        429: 'rate_limit_exceeded',
+        500: 'server_error',
+        502: 'upstream_error'
+    };
+
+    /**
+     * @param {string} code      — key of AppError.CATALOG
+     * @param {string} [detail]  — human-readable explanation (defaults to the title)
+     * @param {Object} [options] — { status, errors, extra }
+     *   status overrides the catalog status, errors is the field list,
+     *   extra holds additional members (e.g. required_scope)
+     */
+    constructor(code, detail, options = {}) {
+        const entry = AppError.CATALOG[code] || AppError.CATALOG.server_error;
+        super(detail || entry.title);
+
+        this.name = 'AppError';
+        this.code = AppError.CATALOG[code] ? code : 'server_error';
+        this.statusCode = options.status || entry.status;
+        this.errors = options.errors || null;
+        this.extra = options.extra || null;
+    }
+
+    /**
+     * Error for a bare HTTP status, with the status' default code.
+     */
+    static status(statusCode, detail, code = null) {
+        return new AppError(code || AppError.codeForStatus(statusCode), detail, { status: statusCode });
+    }
+
+    static codeForStatus(statusCode) {
+        if (AppError.STATUS_CODES[statusCode]) return AppError.STATUS_CODES[statusCode];
+        return statusCode >= 500 ? 'server_error' : 'invalid_request';
+    }
+
+    /**
+     * Normalize anything thrown — AppError, Fastify validation / parser errors,
+     * or errors carrying a statusCode — into an AppError. Unexpected server
+     * errors never leak their message; `fallback` is shown instead.
+     */
+    static from(err, fallback = null) {
+        if (err instanceof AppError) return err;
+
+        if (err && err.validation) {
+            return new AppError('validation_failed', err.message, {
+                errors: AppError.validationErrors(err.validation, err.validationContext)
+            });
+        }
+
+        const statusCode = (err && err.statusCode >= 400 && err.statusCode < 600) ? err.statusCode : 500;
+        if (statusCode >= 500) return AppError.status(statusCode, fallback || AppError.CATALOG.server_error.title);
+        return AppError.status(statusCode, err.message);
+    }
+
+    /**
+     * Ajv errors → [{ field, code, message }], with fields like 'body.sig_r'.
+     */
+    static validationErrors(validation, context = 'body') {
+        return validation.map(item => {
+            const path = (item.instancePath || '').split('/').filter(Boolean);
+            const params = item.params || {};
+            if (params.missingProperty) path.push(params.missingProperty);
+            if (params.additionalProperty) path.push(params.additionalProperty);
+
+            return {
+                field: [context, ...path].filter(Boolean).join('.'),
+                code: item.keyword,
+                message: item.message
+            };
+        });
+    }
+
+    /**
+     * Problem details body for this error.
+     */
+    toProblem(req) {
+        const entry = AppError.CATALOG[this.code];
+        const baseUrl = process.env.APP_DOMAIN || '';
+
+        const body = {
+            type: `${baseUrl}/api/docs/errors#${this.code}`,
+            title: entry.title,
+            status: this.statusCode,
+            detail: this.message,
+            instance: req.url.split('?')[0],
+            code: this.code,
+            request_id: req.id
+        };
+        if (this.errors) body.errors = this.errors;
+
+        // OAuth clients read `error` / `error_description` from the token endpoint
+        if (entry.oauth && req.url.startsWith('/api/oauth/')) {
+            body.error = entry.oauth;
+            body.error_description = this.message;
+        }
+
+        return { ...body, ...(this.extra || {}) };
+    }
+
+    /**
+     * Log and send an error. Use from controllers, hooks and the global handler.
+     *
+     * @param {Object} req
+     * @param {Object} reply
+     * @param {Error}  err       — AppError or anything thrown
+     * @param {string} [fallback] — detail shown for server errors
+     */
+    static send(req, reply, err, fallback = null) {
+        const error = AppError.from(err, fallback);
+
+        if (error.statusCode >= 500) {
+            req.log.error(err);
+        } else {
+            req.log.info({ code: error.code, status: error.statusCode }, error.message);
+        }
+
+        if (req.url.startsWith('/api')) reply.type(CONTENT_TYPE);
+        return reply.code(error.statusCode).send(error.toProblem(req));
+    }
+
+    /**
+     * The catalog as a list, for the docs.
+     */
+    static catalog() {
+        return Object.entries(AppError.CATALOG).map(([code, entry]) => ({
+            code: code,
+            status: entry.status,
+            title: entry.title,
+            description: entry.description
+        }));
+    }
+}
+
+module.exports = AppError;
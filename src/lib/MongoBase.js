@@ -1,5 +1,6 @@
 const EncryptionService = require('../services/EncryptionService');
 const crypto = require('crypto');
+const AppError = require('./AppError');
 
 class MongoBase extends EncryptionService {
 
@@ -136,6 +137,65 @@ class MongoBase extends EncryptionService {
     async findOne(query = {}, options = {}) { return this.find('findOne', query, options); }
     async findAll(query = {}, options = {}) { return this.find('find', query, options); }
     
+    /**
+     * Cursor pagination over created_at, newest first.
+     * `starting_after` pages towards older records, `ending_before` towards newer ones.
+     * Ties on created_at are broken by _id so no record is skipped between pages.
+     *
+     * @param {Object} query - Base filter
+     * @param {Object} opts  - { idField, scope, limit, starting_after, ending_before, projection }
+     *        idField: public id used as the cursor (e.g. 'card_id')
+     *        scope:   filter the cursor record must match (e.g. { user_id })
+     * @throws {AppError} invalid_cursor when the cursor record is unknown or out of scope
+     * @returns {{ has_more: boolean, next_cursor: string|null, prev_cursor: string|null, data: Object[] }}
+     */
+    async paginate(query, opts = {}) {
+        const { idField, scope = {}, limit } = opts;
+        const backwards = !opts.starting_after && !!opts.ending_before;
+        const cursorId = opts.starting_after || opts.ending_before;
+
+        let filter = query;
+        if (cursorId) {
+            const cursor = await this.collection.findOne(this.transformQuery({ ...scope, [idField]: cursorId }), { projection: { created_at: 1 } });
+            // A stale or foreign cursor must not silently restart from the first page
+            if (!cursor) {
+                const param = opts.starting_after ? 'starting_after' : 'ending_before';
+                throw new AppError('invalid_cursor', `No record matches ${param} '${cursorId}'`);
+            }
+
+            const op = backwards ? '$gt' : '$lt';
+            filter = {
+                $and: [query, {
+                    $or: [
+                        { created_at: { [op]: cursor.created_at } },
+                        { created_at: cursor.created_at, _id: { [op]: cursor._id } }
+                    ]
+                }]
+            };
+        }
+
+        const dir = backwards ? 1 : -1;
+        const findOptions = { limit: limit + 1, sort: { created_at: dir, _id: dir } };
+        if (opts.projection) findOptions.projection = opts.projection;
+
+        const items = await this.find('find', filter, findOptions);
+        const hasMore = items.length > limit;
+        if (hasMore) items.pop();
+        if (backwards) items.reverse();
+
+        const first = items[0];
+        const last = items[items.length - 1];
+        const olderExist = backwards ? items.length > 0 : hasMore;
+        const newerExist = backwards ? hasMore : !!cursorId && items.length > 0;
+
+        return {
+            has_more: hasMore,
+            next_cursor: olderExist ? last[idField] : null,
+            prev_cursor: newerExist ? first[idField] : null,
+            data: items
+        };
+    }
+
     async count(filter = {}, options = {}) {
         const safeFilter = this.transformQuery(filter);
         return await this.collection.countDocuments(safeFilter, options);
@@ -249,6 +309,7 @@ class MongoBase extends EncryptionService {
                 if (value.sparse) options.sparse = true;
                 if (typeof value.order === 'number') direction = value.order;
                 if (typeof value.direction === 'number') direction = value.direction;
+                if (typeof value.expireAfterSeconds === 'number') options.expireAfterSeconds = value.expireAfterSeconds;
             } else if (value === true) {
                 options.unique = true;
                 options.sparse = true; 
@@ -22,6 +22,77 @@ class ApiClient extends MongoBase {
         this.date = new DateHelper();
     }
 
+    /**
+     * Scope catalog. Every /api/v1 route declares one of these in its
+     * route config and auth-guard rejects tokens that do not grant it.
+     * Legacy 'read' / 'write' grants expand to the matching scopes.
+     */
+    static SCOPES = ['cards:read', 'cards:write', 'transactions:read', 'payments:write', 'transfers:write', 'webhooks:read', 'webhooks:write'];
+
+    static LEGACY_SCOPES = {
+        read: ['cards:read', 'transactions:read'],
+        write: ApiClient.SCOPES
+    };
+
+    /**
+     * Expand a stored scope list into the concrete scopes it grants.
+     * @param {string[]|string} scopes
+     * @returns {string[]}
+     */
+    static expandScopes(scopes = []) {
+        const list = Array.isArray(scopes) ? scopes : String(scopes).split(' ');
+        const expanded = new Set();
+        for (const scope of list) {
+            const mapped = ApiClient.LEGACY_SCOPES[scope] || [scope];
+            mapped.forEach(s => expanded.add(s));
+        }
+        return [...expanded];
+    }
+
+    static hasScope(scopes, required) {
+        return ApiClient.expandScopes(scopes).includes(required);
+    }
+
+    /**
+     * API plans. rpm is the sustained per-minute rate, burst how many
+     * requests can be sent back-to-back (token bucket size) and daily the
+     * quota per UTC day. `buckets` are expensive routes with their own
+     * quota, counted on top of the client-wide one; routes opt in with
+     * `config: { rateLimit: '<bucket>' }`.
+     */
+    static PLANS = {
+        free: {
+            name: 'Free', rpm: 60, burst: 20, daily: 10000,
+            buckets: {
+                card_creation: { rpm: 2, burst: 2, daily: 20 },
+                charges:       { rpm: 20, burst: 5, daily: 1000 }
+            }
+        },
+        growth: {
+            name: 'Growth', rpm: 300, burst: 100, daily: 100000,
+            buckets: {
+                card_creation: { rpm: 10, burst: 5, daily: 500 },
+                charges:       { rpm: 120, burst: 30, daily: 20000 }
+            }
+        },
+        enterprise: {
+            name: 'Enterprise', rpm: 1000, burst: 250, daily: 1000000,
+            buckets: {
+                card_creation: { rpm: 60, burst: 20, daily: 10000 },
+                charges:       { rpm: 600, burst: 150, daily: 250000 }
+            }
+        }
+    };
+
+    static DEFAULT_PLAN = 'free';
+
+    /**
+     * Plan key of a client. Clients created before plans existed are on the default plan.
+     */
+    static planOf(client) {
+        return ApiClient.PLANS[client && client.plan] ? client.plan : ApiClient.DEFAULT_PLAN;
+    }
+
     async getByClientId(clientId) {
         return await this.findOne({ client_id: clientId });
     }
@@ -30,15 +101,14 @@ class ApiClient extends MongoBase {
      * Generate Secure Credentials
      * @returns {Object} { clientId, plainSecret } - Secret shown ONLY ONCE
      */
-    async generateCredentials(userId, name, isLive, policies = {}) {
+    async generateCredentials(userId, name, isLive, policies = {}, plan = ApiClient.DEFAULT_PLAN) {
 
         const prefix = isLive ? 'live_' : 'test_';
         
         const clientId = prefix + crypto.randomBytes(32).toString('hex');
         const plainSecret = crypto.randomBytes(64).toString('hex');
         const secretHash = EncryptionService.hash(plainSecret);
-
-        const env_status = (env === 'live') ? true : false;
+        const now = this.date.timestampTimeNow();
       
         const doc = {
             user_id: userId,
@@ -46,18 +116,101 @@ class ApiClient extends MongoBase {
             client_id: clientId,
             secret_hash: secretHash,
             is_active: true,
-            is_live: isLive,
-            created_at: this.date.timestampTimeNow(),
+            is_live: isLive === true,
+            plan: ApiClient.PLANS[plan] ? plan : ApiClient.DEFAULT_PLAN,
+            created_at: now,
+            updated_at: now,
+            secret_rotated_at: null,
+            revoked_at: null,
             policies: {
                 allowed_ips: policies.allowed_ips || [], // CIDR or Single IP
-                rate_limit_rpm: policies.rate_limit_rpm || 60,
-                scopes: policies.scopes || ['read']
+                rate_limit_rpm: policies.rate_limit_rpm || null, // Lowers the plan's rpm; null = plan default
+                scopes: policies.scopes || ['read'],
+                merchant_address: policies.merchant_address || null, // Required for payment requests
+                merchant_verified: policies.merchant_verified || null // 'registration' | 'signature'
             }
         };
 
         await this.insertOne(doc);
         return { clientId, plainSecret }; 
     }
+
+    /**
+     * LIST CLIENTS (Owner View)
+     * Never exposes the secret hash.
+     */
+    async listByUser(userId) {
+        return await this.findAll(
+            { user_id: userId },
+            {
+                sort: { created_at: -1 },
+                projection: { secret_hash: 0 }
+            }
+        );
+    }
+
+    async retrieveByUserId(userId, clientId) {
+        return await this.findOne(
+            { client_id: clientId, user_id: userId },
+            { projection: { secret_hash: 0 } }
+        );
+    }
+
+    async countActive(userId) {
+        return await this.count({ user_id: userId, is_active: true });
+    }
+
+    async rename(clientId, name) {
+        return await this.updateOne(
+            { client_id: clientId },
+            { $set: { name: name, updated_at: this.date.timestampTimeNow() } }
+        );
+    }
+
+    async updatePolicies(clientId, policies) {
+        return await this.updateOne(
+            { client_id: clientId },
+            { $set: { policies: policies, updated_at: this.date.timestampTimeNow() } }
+        );
+    }
+
+    /**
+     * SET PLAN (billing only)
+     * @param {number|null} rateLimitRpm - the owner's override, revalidated against the new plan
+     */
+    async setPlan(clientId, plan, rateLimitRpm = null) {
+        return await this.updateOne(
+            { client_id: clientId },
+            { $set: { plan: plan, 'policies.rate_limit_rpm': rateLimitRpm, updated_at: this.date.timestampTimeNow() } }
+        );
+    }
+
+    /**
+     * ROTATE SECRET
+     * @returns {string} plainSecret - Shown ONLY ONCE
+     */
+    async rotateSecret(clientId) {
+        const plainSecret = crypto.randomBytes(64).toString('hex');
+        const now = this.date.timestampTimeNow();
+
+        await this.updateOne(
+            { client_id: clientId },
+            { $set: { secret_hash: EncryptionService.hash(plainSecret), secret_rotated_at: now, updated_at: now } }
+        );
+        return plainSecret;
+    }
+
+    /**
+     * REVOKE (Soft Delete)
+     * auth-guard rejects inactive clients on every request.
+     */
+    async revoke(clientId) {
+        const now = this.date.timestampTimeNow();
+        return await this.updateOne(
+            { client_id: clientId },
+            { $set: { is_active: false, revoked_at: now, updated_at: now } }
+        );
+    }
 }
 
-module.exports = ApiClient;
\ No newline at end of file
+module.exports = ApiClient;
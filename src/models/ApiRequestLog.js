@@ -0,0 +1,122 @@
+const MongoBase = require('../lib/MongoBase');
+const DateHelper = require('../utils/DateHelper');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+class ApiRequestLog extends MongoBase {
+    constructor(mongoClient) {
+        super(mongoClient, process.env.DB_NAME, 'api_request_logs', {
+            client_id: 1,
+            user_id: 1,
+            status_code: 1,
+            created_at: -1,
+            expires_at: { expireAfterSeconds: 0 } // TTL: Mongo purges each entry at its own expiry
+        });
+
+        this.date = new DateHelper();
+    }
+
+    /**
+     * Retention window in days (API_LOG_RETENTION_DAYS, default 30).
+     * Stamped on each entry so changing it never requires rebuilding the TTL index.
+     */
+    static retentionDays() {
+        const days = parseInt(process.env.API_LOG_RETENTION_DAYS);
+        return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+    }
+
+    /**
+     * LOG ONE API CALL
+     * @param {Object} entry - { request_id, client_id, user_id, method, route, path, status_code, latency_ms, ip, user_agent, is_live, error }
+     */
+    async log(entry) {
+        const now = this.date.timestampTimeNow();
+
+        return await this.insertOne({
+            request_id: entry.request_id,
+            client_id: entry.client_id,
+            user_id: entry.user_id,
+            method: entry.method,
+            route: entry.route,
+            path: entry.path,
+            status_code: entry.status_code,
+            latency_ms: entry.latency_ms,
+            ip: entry.ip,
+            user_agent: entry.user_agent || null,
+            is_live: entry.is_live === true,
+            error: entry.error || null,
+            created_at: now,
+            expires_at: new Date((now + ApiRequestLog.retentionDays() * 86400) * 1000)
+        });
+    }
+
+    /**
+     * USAGE SUMMARY (Aggregation Pipeline)
+     * Totals, a time series and the busiest routes since `since`.
+     *
+     * @param {string} clientId
+     * @param {number} since         - Unix timestamp (seconds)
+     * @param {number} bucketSeconds - Series granularity (3600 = hourly, 86400 = daily)
+     */
+    async getUsage(clientId, since, bucketSeconds) {
+        const match = { client_id: clientId, created_at: { $gte: since } };
+
+        const [result] = await this.aggregate([
+            { $match: match },
+            {
+                $facet: {
+                    totals: [{
+                        $group: {
+                            _id: null,
+                            requests: { $sum: 1 },
+                            errors: { $sum: { $cond: [{ $gte: ['$status_code', 400] }, 1, 0] } },
+                            server_errors: { $sum: { $cond: [{ $gte: ['$status_code', 500] }, 1, 0] } },
+                            avg_latency_ms: { $avg: '$latency_ms' },
+                            max_latency_ms: { $max: '$latency_ms' }
+                        }
+                    }],
+                    series: [
+                        {
+                            $group: {
+                                _id: { $subtract: ['$created_at', { $mod: ['$created_at', bucketSeconds] }] },
+                                requests: { $sum: 1 },
+                                errors: { $sum: { $cond: [{ $gte: ['$status_code', 400] }, 1, 0] } }
+                            }
+                        },
+                        { $sort: { _id: 1 } }
+                    ],
+                    routes: [
+                        {
+                            $group: {
+                                _id: { method: '$method', route: '$route' },
+                                requests: { $sum: 1 },
+                                errors: { $sum: { $cond: [{ $gte: ['$status_code', 400] }, 1, 0] } },
+                                avg_latency_ms: { $avg: '$latency_ms' }
+                            }
+                        },
+                        { $sort: { requests: -1 } },
+                        { $limit: 10 }
+                    ]
+                }
+            }
+        ]);
+
+        return result || { totals: [], series: [], routes: [] };
+    }
+
+    /**
+     * RECENT FAILURES (status >= 400, newest first)
+     */
+    async recentFailures(clientId, limit = 20) {
+        return await this.findAll(
+            { client_id: clientId, status_code: { $gte: 400 } },
+            {
+                sort: { created_at: -1 },
+                limit: limit,
+                projection: { _id: 0, client_id: 0, user_id: 0, expires_at: 0 }
+            }
+        );
+    }
+}
+
+module.exports = ApiRequestLog;
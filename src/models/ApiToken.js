@@ -5,6 +5,7 @@ class ApiToken extends MongoBase {
     constructor(mongoClient) {
         super(mongoClient, process.env.DB_NAME, 'api_tokens', {
             refresh_token: true,
+            client_id: 1,
             family_id: 1, // Critical for Reuse Detection
             expires_at: 1
         });
@@ -50,6 +51,24 @@ class ApiToken extends MongoBase {
         );
     }
 
+    /**
+     * Revoke every refresh-token family issued to a client.
+     * Used when the client itself is revoked or its secret rotated.
+     */
+    async revokeByClient(clientId) {
+        return await this.updateMany(
+            { client_id: clientId, revoked: false },
+            { $set: { revoked: true, updated_at: this.date.timestampTimeNow() } }
+        );
+    }
+
+    /**
+     * Families of a client with a token issued at or after `since`.
+     */
+    async familiesSince(clientId, since) {
+        return await this.distinct('family_id', { client_id: clientId, created_at: { $gte: since } });
+    }
+
     async markAsUsed(tokenId) {
         return await this.updateOne({ _id: tokenId }, { $set: { is_used: true, updated_at: this.date.timestampTimeNow() } });
     }
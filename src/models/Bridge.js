@@ -29,6 +29,10 @@ class Bridge extends MongoBase {
         return await this.findOne({ reference_id: reference_id });
     }
 
+    async retrieveByUserId(user_id, reference_id) {
+        return await this.findOne({ reference_id: reference_id, user_id: user_id });
+    }
+
     async updateBridge(reference_id, data) {
         const now = this.date.timestampTimeNow();
         await this.updateOne(
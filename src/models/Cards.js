@@ -48,6 +48,8 @@ class Cards extends MongoBase {
             daily_spend_limit: data.daily_spend_limit || '0',
             daily_transaction_limit: data.daily_transaction_limit || 50,
             slippage_tolerance_bps: data.slippage_tolerance_bps || 50,
+            auto_approve_threshold: '0',
+            merchant_limits: {},
 
             // Deployment details
             address: null,
@@ -101,6 +103,49 @@ class Cards extends MongoBase {
         return await this.findOne({ address: contractAddress });
     }
 
+    /**
+     * LIST DEPLOYED CARDS
+     * Every active or frozen card of a user that has a contract address.
+     */
+    async listDeployed(userId) {
+        const cards = await this.findAll(
+            { user_id: userId, status: { $in: ['active', 'frozen'] } },
+            { sort: { created_at: -1 } }
+        );
+        return cards.filter(card => card.address);
+    }
+
+    /**
+     * LIST ACTIVE CARDS (all users)
+     * Deployed cards the fraud monitor polls.
+     */
+    async listActiveDeployed() {
+        const cards = await this.findAll({ status: 'active' }, { sort: { created_at: 1 } });
+        return cards.filter(card => card.address);
+    }
+
+    /**
+     * PENDING PIN ROTATION
+     * Signed rotation waiting for the owner's rotate_pin transaction.
+     */
+    async setPinRotation(cardId, rotation) {
+        return await this.updateOne(
+            { card_id: cardId },
+            { $set: { pin_rotation: rotation, updated_at: this.date.timestampTimeNow() } }
+        );
+    }
+
+    /**
+     * FRAUD SCAN CURSOR
+     * Last block scanned for AnomalyDetected events on this card.
+     */
+    async recordFraudScan(cardId, blockNumber) {
+        return await this.updateOne(
+            { card_id: cardId },
+            { $set: { fraud_scan_block: blockNumber } }
+        );
+    }
+
     /**
      * UPDATE STATUS (Freeze/Unfreeze/Activate)
      */
@@ -118,6 +163,38 @@ class Cards extends MongoBase {
         );
     }
 
+    /**
+     * RECORD ON-CHAIN OPERATION
+     * Call only after the receipt succeeded. Appends the tx hash and gas cost
+     * to the card's operation log and applies any accompanying field changes.
+     *
+     * @param {string} cardId
+     * @param {string} action - e.g. 'freeze', 'unfreeze', 'burn'
+     * @param {Object} result - { txHash, gas } from StarknetCardService
+     * @param {Object} fields - Extra fields to $set (status, frozen_reason, ...)
+     * @param {string[]} unset - Field paths to remove (e.g. 'merchant_limits.0x..')
+     */
+    async recordChainOperation(cardId, action, result, fields = {}, unset = []) {
+        const now = this.date.timestampTimeNow();
+
+        const update = {
+            $set: { ...fields, updated_at: now },
+            $push: {
+                chain_operations: {
+                    action: action,
+                    tx_hash: result.txHash,
+                    gas: result.gas || {},
+                    timestamp: now
+                }
+            }
+        };
+        if (unset.length > 0) {
+            update.$unset = Object.fromEntries(unset.map(field => [field, '']));
+        }
+
+        return await this.updateOne({ card_id: cardId }, update);
+    }
+
     /**
      * UPDATE BALANCE
      */
@@ -179,10 +256,13 @@ class Cards extends MongoBase {
 
     /**
      * MARK AS DEPLOYING (in-progress)
+     * Only claims a queued or retried deployment; a card the sandbox
+     * simulator already settled (or a terminated one) is left alone.
+     * @returns {Promise<boolean>} false when the card is no longer awaiting deployment
      */
     async markDeploying(cardId) {
-        return await this.updateOne(
-            { card_id: cardId },
+        const claimed = await this.updateOne(
+            { card_id: cardId, status: { $in: ['pending_deployment', 'deploying'] } },
             { 
                 $set: { 
                     status: 'deploying',
@@ -191,6 +271,7 @@ class Cards extends MongoBase {
                 $inc: { deploy_attempts: 1 }
             }
         );
+        return claimed > 0;
     }
 
     /**
@@ -227,7 +308,8 @@ class Cards extends MongoBase {
 
     /**
      * LIST CARDS (Cursor Pagination)
-     * Supports filtering by status (Active vs Inactive)
+     * Supports filtering by status (Active vs Inactive), currency and creation date.
+     * Read-only: never creates placeholder cards.
      */
     async list(userId, options = {}) {
         const limit = Math.min(parseInt(options.limit) || 10, 50);
@@ -244,28 +326,22 @@ class Cards extends MongoBase {
             }
         }
 
-        if (options.starting_after) {
-            const cursor = await this.findOne({ card_id: options.starting_after });
-            if (cursor) {
-                query.created_at = { $lt: cursor.created_at };
-            }
-        } else if (options.ending_before) {
-            const cursor = await this.findOne({ card_id: options.ending_before });
-            if (cursor) {
-                query.created_at = { $gt: cursor.created_at };
-            }
+        if (options.currency) query.currencies = options.currency.toUpperCase();
+
+        // Date Range (Integer Comparison) — either bound is optional
+        if (options.start_date || options.end_date) {
+            query.created_at = {};
+            if (options.start_date) query.created_at.$gte = parseInt(options.start_date);
+            if (options.end_date) query.created_at.$lte = parseInt(options.end_date);
         }
 
-        const items = await this.find(query, { 
-            limit: limit, 
-            sort: { created_at: -1 } 
+        return await this.paginate(query, {
+            idField: 'card_id',
+            scope: { user_id: userId },
+            limit: limit,
+            starting_after: options.starting_after,
+            ending_before: options.ending_before
         });
-
-        return {
-            has_more: items.length === limit,
-            next_cursor: items.length > 0 ? items[items.length - 1].card_id : null,
-            data: items
-        };
     }
 
     /**
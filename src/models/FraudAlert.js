@@ -0,0 +1,110 @@
+const MongoBase = require('../lib/MongoBase');
+const crypto = require('crypto');
+const DateHelper = require('../utils/DateHelper');
+
+class FraudAlert extends MongoBase {
+    constructor(mongoClient) {
+        super(mongoClient, process.env.MONGO_DB, 'fraud_alerts', {
+            alert_id: true,
+            source_key: 1,
+            user_id: 1,
+            card_id: 1,
+            status: 1,
+            created_at: -1
+        });
+
+        this.date = new DateHelper();
+    }
+
+    /** Where an alert came from on the contract. */
+    static SOURCES = ['fraud_alert', 'anomaly'];
+
+    /** open → resolved (the owner acted on it) */
+    static STATUSES = ['open', 'resolved'];
+
+    /**
+     * RECORD ALERT
+     * `source_key` identifies the on-chain alert (contract + alert id, or the
+     * AnomalyDetected transaction); an alert already stored is not recorded twice.
+     *
+     * @returns {Promise<Object|null>} the new alert, or null if it was already stored
+     */
+    async record(card, data) {
+        const existing = await this.findOne({ source_key: data.source_key });
+        if (existing) return null;
+
+        const now = this.date.timestampTimeNow();
+        const record = {
+            alert_id: `fra_${crypto.randomBytes(16).toString('hex')}`,
+            source_key: data.source_key,
+            source: data.source,
+            user_id: card.user_id,
+            card_id: card.card_id,
+            contract_address: card.address,
+            request_id: data.request_id || null,
+            merchant: data.merchant || null,
+            alert_type: data.alert_type,
+            severity: data.severity,
+            message: data.message,
+            amount_usd: data.amount_usd || null,
+            threshold_usd: data.threshold_usd || null,
+            auto_blocked: Boolean(data.auto_blocked),
+            transaction_hash: data.transaction_hash || null,
+            detected_at: data.detected_at || now,
+            status: 'open',
+            resolution: null,
+            resolved_at: null,
+            notified_at: null,
+            created_at: now
+        };
+
+        await this.insertOne(record);
+        return record;
+    }
+
+    /**
+     * LIST ALERTS OF A CARD (newest first)
+     * @param {Object} options — { status, limit }
+     */
+    async listForCard(userId, cardId, options = {}) {
+        const query = { user_id: userId, card_id: cardId };
+        if (options.status) query.status = options.status;
+
+        return await this.findAll(query, {
+            sort: { detected_at: -1, created_at: -1 },
+            limit: Math.min(options.limit || 50, 100),
+            projection: { _id: 0, source_key: 0 }
+        });
+    }
+
+    async retrieve(alertId, userId) {
+        return await this.findOne({ alert_id: alertId, user_id: userId }, { projection: { _id: 0, source_key: 0 } });
+    }
+
+    /**
+     * Alerts whose owner has not been told yet (notification + email).
+     */
+    async toNotify(limit = 100) {
+        return await this.findAll({ notified_at: null }, { sort: { created_at: 1 }, limit });
+    }
+
+    async markNotified(alertId) {
+        return await this.updateOne(
+            { alert_id: alertId },
+            { $set: { notified_at: this.date.timestampTimeNow() } }
+        );
+    }
+
+    /**
+     * RESOLVE ALERT
+     * @param {string} resolution — e.g. 'card_frozen'
+     */
+    async resolve(alertId, resolution) {
+        return await this.updateOne(
+            { alert_id: alertId, status: 'open' },
+            { $set: { status: 'resolved', resolution: resolution, resolved_at: this.date.timestampTimeNow() } }
+        );
+    }
+}
+
+module.exports = FraudAlert;
@@ -1,4 +1,6 @@
 const MongoBase = require('../lib/MongoBase');
+const crypto = require('crypto');
+const DateHelper = require('../utils/DateHelper');
 
 class Notification extends MongoBase {
     constructor(mongoClient) {
@@ -20,6 +22,25 @@ class Notification extends MongoBase {
             ['title', 'message', 'is_read']                               
         );
         **/
+
+        this.date = new DateHelper();
+    }
+
+    /**
+     * CREATE NOTIFICATION (shown unread in the dashboard bell)
+     */
+    async create(userId, title, message) {
+        const record = {
+            note_id: `note_${crypto.randomBytes(12).toString('hex')}`,
+            user_id: userId,
+            title: title,
+            message: message,
+            is_read: false,
+            created_at: this.date.timestampTimeNow()
+        };
+
+        await this.insertOne(record);
+        return record;
     }
 }
 
@@ -3,6 +3,9 @@ const crypto = require('crypto');
 const DateHelper = require('../utils/DateHelper');
 
 class Transaction extends MongoBase {
+    // Time-locked outflows from a card (transfer_funds on the contract)
+    static TRANSFER_TYPES = ['withdrawal', 'transfer'];
+
     constructor(mongoClient) {
         // 1. Define Schema & Indexes
         super(mongoClient, process.env.MONGO_DB, 'transactions', {
@@ -11,6 +14,7 @@ class Transaction extends MongoBase {
             user_id: 1,           // Card Owner
             merchant_id: 1,       // Requester
             contract_address: 1,  // The "Card" (Smart Contract)
+            request_id: 1,        // On-chain payment request id (per card)
             status: 1,            // State Machine
             created_at: -1        // Sort Index (Integer)
         });
@@ -103,7 +107,9 @@ class Transaction extends MongoBase {
             meta_private: data.meta_private || {}, // Internal system data (Encrypted)
             
             // Blockchain Specifics
+            request_id: data.request_id || null, // Payment request id on the card contract
             approval_hash: null,               // StarkNet Tx Hash (Added later)
+            settle_at: data.settle_at || null, // Unix seconds the contract pays out (delayed settlement / transfer lock)
             
             // Security / Audit Trail
             device_fingerprint: {
@@ -132,7 +138,7 @@ class Transaction extends MongoBase {
      * APPROVE TRANSACTION (User Signs on StarkNet)
      * Transitions from 'pending_approval' -> 'processing'
      */
-    async approve(transId, txHash) {
+    async approve(transId, txHash, note = null) {
         const dateHelper = new DateHelper();
         const now = dateHelper.timestampTimeNow();
 
@@ -147,7 +153,75 @@ class Transaction extends MongoBase {
                 $push: { 
                     timeline: {
                         status: 'processing',
-                        note: `User approved via Contract. Hash: ${txHash}`,
+                        note: note || `User approved via Contract. Hash: ${txHash}`,
+                        timestamp: now
+                    }
+                }
+            }
+        );
+    }
+
+    /**
+     * DECLINE TRANSACTION (User Rejects, Revokes or Cancels on StarkNet)
+     * Transitions 'pending_approval' -> 'rejected' OR 'processing' -> 'revoked' / 'cancelled'
+     */
+    async decline(transId, status, txHash, note = null) {
+        const now = this.date.timestampTimeNow();
+
+        const validStatuses = ['rejected', 'revoked', 'cancelled'];
+        if (!validStatuses.includes(status)) throw new Error('Invalid Decline Status');
+
+        return await this.updateOne(
+            { trans_id: transId },
+            {
+                $set: { status: status, updated_at: now },
+                $push: {
+                    timeline: {
+                        status: status,
+                        note: note || `User ${status} via Contract. Hash: ${txHash}`,
+                        timestamp: now
+                    }
+                }
+            }
+        );
+    }
+
+    /**
+     * START CHARGE (Relayer)
+     * Stores the idempotency key before the charge is sent, so a retry after
+     * a crash reuses it and the contract refuses a second charge.
+     */
+    async startCharge(transId, idempotencyKey) {
+        return await this.updateOne(
+            { trans_id: transId },
+            { $set: { charge_idempotency_key: idempotencyKey, updated_at: this.date.timestampTimeNow() } }
+        );
+    }
+
+    /**
+     * RECORD CHARGE (Relayer charged the card on StarkNet)
+     * Clears the pending idempotency key; recurring requests get a new one per charge.
+     * @param {Object} charge - { txHash, settleAt, nextChargeAt, note }
+     */
+    async recordCharge(transId, charge) {
+        const now = this.date.timestampTimeNow();
+
+        return await this.updateOne(
+            { trans_id: transId },
+            {
+                $set: {
+                    status: 'processing',
+                    charge_hash: charge.txHash || null,
+                    charged_at: now,
+                    settle_at: charge.settleAt || null,
+                    next_charge_at: charge.nextChargeAt || null,
+                    updated_at: now
+                },
+                $unset: { charge_idempotency_key: '' },
+                $push: {
+                    timeline: {
+                        status: 'processing',
+                        note: charge.note || `Card charged via Contract. Hash: ${charge.txHash}`,
                         timestamp: now
                     }
                 }
@@ -215,6 +289,85 @@ class Transaction extends MongoBase {
         return result[0] || { total_volume: 0, total_fees: 0, count: 0 };
     }
 
+    /**
+     * ANALYTICS: VOLUME SERIES (Aggregation Pipeline)
+     * Successful volume in [from, to), grouped by time bucket, currency and card.
+     * Buckets are calendar-aligned in `timezone` (hour, day, ISO week, month)
+     * and keyed by their start as a Unix timestamp.
+     *
+     * @param {string} userId
+     * @param {Object} options - { from, to, granularity, timezone, contract_address, currency }
+     */
+    async getVolumeSeries(userId, options) {
+        const match = {
+            user_id: userId,
+            status: 'succeeded',
+            created_at: { $gte: options.from, $lt: options.to }
+        };
+        if (options.contract_address) match.contract_address = options.contract_address;
+        if (options.currency) match.currency = options.currency.toUpperCase();
+
+        const timezone = options.timezone || this.date.timezone;
+        const isWeek = options.granularity === 'week';
+        // Parts kept from the transaction date; the rest are pinned to the bucket start
+        const parts = (...names) => Object.fromEntries(names.map(name => [name, `$$parts.${name}`]));
+        const fields = {
+            hour: parts('year', 'month', 'day', 'hour'),
+            day: parts('year', 'month', 'day'),
+            week: { ...parts('isoWeekYear', 'isoWeek'), isoDayOfWeek: 1 },
+            month: { ...parts('year', 'month'), day: 1 }
+        }[options.granularity];
+
+        const bucket = {
+            $let: {
+                vars: {
+                    parts: {
+                        $dateToParts: {
+                            date: { $toDate: { $multiply: ['$created_at', 1000] } },
+                            timezone: timezone,
+                            iso8601: isWeek
+                        }
+                    }
+                },
+                in: {
+                    $dateFromParts: { ...fields, timezone: timezone }
+                }
+            }
+        };
+
+        const rows = await this.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: { bucket: bucket, currency: '$currency', contract_address: '$contract_address' },
+                    volume: { $sum: '$amount' },
+                    fees: { $sum: '$fee' },
+                    count: { $sum: 1 }
+                }
+            }
+        ]);
+
+        return rows.map(row => ({
+            bucket: Math.floor(new Date(row._id.bucket).getTime() / 1000),
+            currency: row._id.currency,
+            contract_address: row._id.contract_address,
+            volume: row.volume,
+            fees: row.fees,
+            count: row.count
+        }));
+    }
+
+    /**
+     * Created_at of the user's first successful transaction (null if none).
+     */
+    async firstSucceededAt(userId) {
+        const first = await this.findOne(
+            { user_id: userId, status: 'succeeded' },
+            { sort: { created_at: 1 }, projection: { created_at: 1 } }
+        );
+        return first ? first.created_at : null;
+    }
+
     /**
      * LIST TRANSACTIONS (Cursor Pagination)
      * Optimized for infinite scroll and API feeds.
@@ -231,43 +384,24 @@ class Transaction extends MongoBase {
         if (options.type) query.type = options.type; // e.g. 'subscription'
         if (options.currency) query.currency = options.currency.toUpperCase();
         
-        // 2. Date Range (Integer Comparison)
-        if (options.start_date && options.end_date) {
-            query.created_at = {
-                $gte: parseInt(options.start_date), 
-                $lte: parseInt(options.end_date)
-            };
+        // 2. Date Range (Integer Comparison) — either bound is optional
+        if (options.start_date || options.end_date) {
+            query.created_at = {};
+            if (options.start_date) query.created_at.$gte = parseInt(options.start_date);
+            if (options.end_date) query.created_at.$lte = parseInt(options.end_date);
         }
 
         // 3. Cursor Logic (Reverse Chronological)
         // "starting_after" means "Give me older items than this ID"
-        if (options.starting_after) {
-            const cursor = await this.findOne({ trans_id: options.starting_after });
-            if (cursor) {
-                query.created_at = { $lt: cursor.created_at };
-            }
-        }
         // "ending_before" means "Give me newer items than this ID" (Prev Page)
-        else if (options.ending_before) {
-            const cursor = await this.findOne({ trans_id: options.ending_before });
-            if (cursor) {
-                query.created_at = { $gt: cursor.created_at };
-            }
-        }
-
-        // 4. Execution
-        const items = await this.find(query, { 
-            limit: limit, 
-            sort: { created_at: -1 }, // DESC (Newest First)
+        return await this.paginate(query, {
+            idField: 'trans_id',
+            scope: { user_id: userId },
+            limit: limit,
+            starting_after: options.starting_after,
+            ending_before: options.ending_before,
             projection: { merchant_payout: 0, meta_private: 0 } // Security: Hide sensitive backend data
         });
-
-        // 5. Meta for API
-        return {
-            has_more: items.length === limit,
-            next_cursor: items.length > 0 ? items[items.length - 1].trans_id : null,
-            data: items
-        };
     }
 
     /**
@@ -288,15 +422,103 @@ class Transaction extends MongoBase {
         return await this.find(query, { sort: { created_at: 1 } });
     }
 
+    /**
+     * FIND BY PAYMENT REQUEST
+     * The mirror of an on-chain payment request (request ids are per card).
+     */
+    async findByRequest(contractAddress, requestId, options = {}) {
+        const findOptions = options.public
+            ? { projection: { merchant_payout: 0, meta_private: 0 } }
+            : {};
+
+        return await this.findOne({
+            contract_address: contractAddress,
+            request_id: Number(requestId)
+        }, findOptions);
+    }
+
+    /**
+     * LIST TRANSFERS (Withdrawals & Outgoing Transfers)
+     * Soonest unlock first. Optional filters: contract_address, status.
+     */
+    async listTransfers(userId, options = {}) {
+        const query = { user_id: userId, type: { $in: Transaction.TRANSFER_TYPES } };
+        if (options.contract_address) query.contract_address = options.contract_address;
+        if (options.status) query.status = options.status;
+
+        return await this.findAll(query, {
+            sort: { settle_at: 1, created_at: -1 },
+            limit: Math.min(parseInt(options.limit) || 50, 100),
+            projection: { merchant_payout: 0, meta_private: 0 }
+        });
+    }
+
+    /**
+     * TRANSFERS DUE FOR AN UNLOCK NOTICE
+     * Still locked in Mongo, past settle_at, and not announced yet.
+     */
+    async transfersToAnnounce(nowSeconds, limit = 100) {
+        return await this.findAll({
+            type: { $in: Transaction.TRANSFER_TYPES },
+            status: 'processing',
+            settle_at: { $lte: nowSeconds },
+            unlock_notified_at: null,
+            channel: { $ne: 'sandbox' } // simulated transfers are unlocked through /sandbox
+        }, { sort: { settle_at: 1 }, limit: limit });
+    }
+
+    /**
+     * PAYMENT REQUESTS DUE FOR A CHARGE
+     * Approved on-chain (processing) but not charged by the relayer yet, or
+     * recurring and settled with the next period due (next_charge_at).
+     */
+    async chargesDue(nowSeconds, limit = 100) {
+        return await this.findAll({
+            type: { $nin: Transaction.TRANSFER_TYPES },
+            request_id: { $ne: null },
+            channel: { $ne: 'sandbox' }, // simulated payments are settled through /sandbox
+            $or: [
+                { status: 'processing', charged_at: null },
+                { status: 'succeeded', is_recurring: true, next_charge_at: { $lte: nowSeconds } }
+            ]
+        }, { sort: { updated_at: 1 }, limit: limit });
+    }
+
+    /**
+     * CHARGED PAYMENTS DUE FOR SETTLEMENT
+     * Charged, still in the settlement delay, and past settle_at.
+     */
+    async settlementsDue(nowSeconds, limit = 100) {
+        return await this.findAll({
+            type: { $nin: Transaction.TRANSFER_TYPES },
+            status: 'processing',
+            charged_at: { $ne: null },
+            settle_at: { $lte: nowSeconds },
+            channel: { $ne: 'sandbox' }
+        }, { sort: { settle_at: 1 }, limit: limit });
+    }
+
+    async markUnlockNotified(transId) {
+        return await this.updateOne(
+            { trans_id: transId },
+            { $set: { unlock_notified_at: this.date.timestampTimeNow() } }
+        );
+    }
+
     /**
      * GET SINGLE TRANSACTION
      * Secure retrieval ensuring user ownership
+     * @param {Object} options - { public: true } hides the same sensitive fields as `list`
      */
-    async retrieve(transId, userId) {
+    async retrieve(transId, userId, options = {}) {
+        const findOptions = options.public
+            ? { projection: { merchant_payout: 0, meta_private: 0 } }
+            : {};
+
         return await this.findOne({ 
             trans_id: transId, 
             user_id: userId 
-        });
+        }, findOptions);
     }
 }
 
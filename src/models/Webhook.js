@@ -0,0 +1,130 @@
+const MongoBase = require('../lib/MongoBase');
+const DateHelper = require('../utils/DateHelper');
+const crypto = require('crypto');
+
+class Webhook extends MongoBase {
+    constructor(mongoClient) {
+        super(mongoClient, process.env.DB_NAME, 'webhook_endpoints', {
+            endpoint_id: true,
+            user_id: 1,
+            client_id: 1,
+            is_active: 1
+        });
+
+        // The signing secret must be readable by the delivery worker, so it is
+        // encrypted at rest instead of hashed like client secrets.
+        this.enableEncryption(
+            ['secret'],
+            'webhook_master_key',
+            []
+        );
+
+        this.date = new DateHelper();
+    }
+
+    /**
+     * REGISTER ENDPOINT
+     * @returns {Object} { endpoint, plainSecret } - Secret shown ONLY ONCE
+     */
+    async create(data) {
+        const now = this.date.timestampTimeNow();
+        const plainSecret = 'whsec_' + crypto.randomBytes(32).toString('hex');
+
+        const doc = {
+            endpoint_id: `whe_${crypto.randomBytes(16).toString('hex')}`,
+            user_id: data.user_id,
+            client_id: data.client_id || null,
+            url: data.url,
+            description: data.description || '',
+            events: data.events,
+            is_live: data.is_live === true,
+            is_active: true,
+            secret: plainSecret,
+            created_at: now,
+            updated_at: now
+        };
+
+        await this.insertOne(doc);
+
+        delete doc.secret;
+        return { endpoint: doc, plainSecret };
+    }
+
+    /**
+     * LIST ENDPOINTS (Owner View)
+     * Never exposes the signing secret.
+     */
+    async listByUser(userId, isLive) {
+        return await this.findAll(
+            { user_id: userId, is_live: isLive === true, is_active: true },
+            {
+                sort: { created_at: -1 },
+                projection: { _id: 0, secret: 0 }
+            }
+        );
+    }
+
+    async retrieveByUserId(userId, endpointId) {
+        return await this.findOne(
+            { endpoint_id: endpointId, user_id: userId, is_active: true },
+            { projection: { _id: 0, secret: 0 } }
+        );
+    }
+
+    /**
+     * Internal: includes the decrypted secret for signing.
+     */
+    async getForDelivery(endpointId) {
+        return await this.findOne({ endpoint_id: endpointId });
+    }
+
+    /**
+     * Active endpoints of a user subscribed to an event in the given mode.
+     */
+    async findSubscribers(userId, event, isLive) {
+        return await this.findAll(
+            {
+                user_id: userId,
+                is_live: isLive === true,
+                is_active: true,
+                events: { $in: [event, '*'] }
+            },
+            { projection: { _id: 0, secret: 0 } }
+        );
+    }
+
+    async countActive(userId, isLive) {
+        return await this.count({ user_id: userId, is_live: isLive === true, is_active: true });
+    }
+
+    async updateEndpoint(endpointId, fields) {
+        return await this.updateOne(
+            { endpoint_id: endpointId },
+            { $set: { ...fields, updated_at: this.date.timestampTimeNow() } }
+        );
+    }
+
+    /**
+     * ROTATE SIGNING SECRET
+     * @returns {string} plainSecret - Shown ONLY ONCE
+     */
+    async rotateSecret(endpointId) {
+        const plainSecret = 'whsec_' + crypto.randomBytes(32).toString('hex');
+        await this.updateEndpoint(endpointId, { secret: plainSecret });
+        return plainSecret;
+    }
+
+    /**
+     * DISABLE (Soft Delete)
+     * Pending deliveries to a disabled endpoint are dropped by the worker.
+     */
+    async disable(endpointId) {
+        const now = this.date.timestampTimeNow();
+        return await this.updateOne(
+            { endpoint_id: endpointId },
+            { $set: { is_active: false, disabled_at: now, updated_at: now } }
+        );
+    }
+}
+
+module.exports = Webhook;
@@ -0,0 +1,121 @@
+const MongoBase = require('../lib/MongoBase');
+const DateHelper = require('../utils/DateHelper');
+const crypto = require('crypto');
+
+class WebhookDelivery extends MongoBase {
+    constructor(mongoClient) {
+        super(mongoClient, process.env.DB_NAME, 'webhook_deliveries', {
+            delivery_id: true,
+            endpoint_id: 1,
+            user_id: 1,
+            event_id: 1,
+            status: 1,
+            created_at: -1
+        });
+
+        this.date = new DateHelper();
+    }
+
+    /**
+     * QUEUE DELIVERY
+     * `payload` is the exact event body; replays resend it unchanged
+     * so receivers can de-duplicate on its `id`.
+     */
+    async create(data) {
+        const now = this.date.timestampTimeNow();
+
+        const doc = {
+            delivery_id: `whd_${crypto.randomBytes(16).toString('hex')}`,
+            endpoint_id: data.endpoint_id,
+            user_id: data.user_id,
+            event_id: data.payload.id,
+            event: data.payload.type,
+            url: data.url,
+            is_live: data.is_live === true,
+            payload: data.payload,
+            status: 'pending',       // pending → succeeded | failed
+            attempt_count: 0,
+            attempts: [],            // one entry per HTTP attempt (including replays)
+            last_status_code: null,
+            last_error: null,
+            created_at: now,
+            updated_at: now
+        };
+
+        await this.insertOne(doc);
+        return doc;
+    }
+
+    async retrieve(deliveryId) {
+        return await this.findOne({ delivery_id: deliveryId });
+    }
+
+    async retrieveByUserId(userId, deliveryId) {
+        return await this.findOne({ delivery_id: deliveryId, user_id: userId });
+    }
+
+    /**
+     * LOG ATTEMPT
+     * @param {Object} attempt - { status_code, error, duration_ms, trigger }
+     * @param {string} status  - Delivery status after this attempt
+     */
+    async recordAttempt(deliveryId, attempt, status) {
+        const now = this.date.timestampTimeNow();
+
+        return await this.updateOne(
+            { delivery_id: deliveryId },
+            {
+                $set: {
+                    status: status,
+                    last_status_code: attempt.status_code || null,
+                    last_error: attempt.error || null,
+                    updated_at: now
+                },
+                $inc: { attempt_count: 1 },
+                $push: {
+                    attempts: { ...attempt, timestamp: now }
+                }
+            }
+        );
+    }
+
+    /**
+     * REPLAY
+     * Puts a finished delivery back into the queue.
+     */
+    async markPending(deliveryId) {
+        return await this.updateOne(
+            { delivery_id: deliveryId },
+            { $set: { status: 'pending', updated_at: this.date.timestampTimeNow() } }
+        );
+    }
+
+    /**
+     * LIST DELIVERIES (Cursor Pagination, attempts log omitted)
+     */
+    async list(userId, options = {}) {
+        const limit = Math.min(parseInt(options.limit) || 20, 100);
+        const query = { user_id: userId, is_live: options.is_live === true };
+
+        if (options.endpoint_id) query.endpoint_id = options.endpoint_id;
+        if (options.status) query.status = options.status;
+        if (options.event) query.event = options.event;
+
+        if (options.start_date || options.end_date) {
+            query.created_at = {};
+            if (options.start_date) query.created_at.$gte = parseInt(options.start_date);
+            if (options.end_date) query.created_at.$lte = parseInt(options.end_date);
+        }
+
+        return await this.paginate(query, {
+            idField: 'delivery_id',
+            scope: { user_id: userId },
+            limit: limit,
+            starting_after: options.starting_after,
+            ending_before: options.ending_before,
+            projection: { _id: 0, payload: 0, attempts: 0 }
+        });
+    }
+}
+
+module.exports = WebhookDelivery;
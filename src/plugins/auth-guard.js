@@ -1,15 +1,22 @@
 const fp = require('fastify-plugin');
 const jwt = require('jsonwebtoken');
+const ApiClient = require('../models/ApiClient');
+const AppError = require('../lib/AppError');
+
+const OAUTH_ENDPOINTS = ['/api/oauth/token', '/api/oauth/revoke', '/api/oauth/introspect'];
 
 async function authGuard(fastify, options) {
     fastify.decorateRequest('user', null);
     fastify.decorateRequest('isApi', false);
+    fastify.decorateRequest('apiClient', null);
 
     fastify.addHook('onRequest', async (req, reply) => {
         //Bypass Public Routes & Assets
         if (req.url.startsWith('/public') || req.url.startsWith('/assets')) return;
-        //Bypass Token Generation Endpoint (Handled by Controller)
-        if (req.url === '/api/oauth/token' && req.method === 'POST') return;
+        //Bypass OAuth Endpoints — token, revoke, introspect (Client Auth Handled by Controller)
+        if (OAUTH_ENDPOINTS.includes(req.url) && req.method === 'POST') return;
+        //Bypass Public API Reference
+        if (req.url === '/api/docs' || req.url.startsWith('/api/docs/')) return;
 
         const { auth, dashboard, apiService, postFilter } = req;
         
@@ -39,16 +46,13 @@ async function authGuard(fastify, options) {
                     issuer: process.env.APP_DOMAIN
                 });
 
+                // Revoked tokens (RFC 7009 endpoint, secret rotation, client revocation)
+                if (await apiService.isAccessTokenRevoked(decoded)) throw new Error('token_revoked');
+
                 // Fetch Client
                 const client = await req.models.ApiClient.getByClientId(decoded.cid);
                 if (!client || !client.is_active) throw new Error('revoked');
-
-                // Redis Rate Limit (Atomic Check)
-                const isAllowed = await apiService.checkRateLimit(client);
-                if (!isAllowed) {
-                    req.log.warn(`[Rate Limit] Exceeded for Client: ${client.client_id}`);
-                    return reply.code(429).send({ code: 429, error: 'rate_limit_exceeded', message: 'Too many requests. Please try again later.' });
-                }
+                req.apiClient = client;
 
                 // IP Whitelist (Runtime Check)
                 const requestIp = req.ip || req.socket.remoteAddress;
@@ -59,20 +63,63 @@ async function authGuard(fastify, options) {
                      
                      if (!isIpAllowed) {
                          req.log.warn(`[Security] Blocked Stolen Token Usage. IP: ${requestIp}, Client: ${client.client_id}`);
-                         return reply.code(403).send({ code: 403, error: 'ip_not_whitelisted', message: 'Access denied from this IP address.' });
+                         return AppError.send(req, reply, new AppError('ip_not_whitelisted', 'Access denied from this IP address.'));
                      }
                 }
                 
+                // Scope Check — the route declares it, the token AND the client's current policy must grant it
+                const requiredScope = req.routeOptions.config?.scope;
+                // Unknown routes fall through to the 404 handler
+                if (req.url.startsWith('/api/v1') && !req.is404) {
+                    const granted = requiredScope
+                        && ApiClient.hasScope(decoded.scope, requiredScope)
+                        && ApiClient.hasScope(client.policies?.scopes, requiredScope);
+
+                    if (!granted) {
+                        req.log.warn(`[Scope] Client ${client.client_id} lacks '${requiredScope}' for ${req.method} ${req.url}`);
+                        reply.header('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${requiredScope || ''}"`);
+                        return AppError.send(req, reply, new AppError('insufficient_scope', requiredScope
+                            ? `This endpoint requires the '${requiredScope}' scope.`
+                            : 'This endpoint is not available to API clients.', { extra: { required_scope: requiredScope || null } }));
+                    }
+                }
+
+                // Simulator routes only run against the sandbox database
+                if (req.routeOptions.config?.sandbox && decoded.is_live !== false) {
+                    return AppError.send(req, reply, new AppError('forbidden', 'Sandbox simulator routes require a sandbox (test) token.'));
+                }
+
+                // Redis Rate Limit (Atomic Check) — plan quotas plus the route's own bucket.
+                // Runs after the IP and scope checks so rejected calls spend no quota
+                const rate = await apiService.checkRateLimit(client, req.routeOptions.config?.rateLimit || null);
+                reply.header('RateLimit-Limit', rate.limit);
+                reply.header('RateLimit-Remaining', rate.remaining);
+                reply.header('RateLimit-Reset', rate.reset);
+                reply.header('RateLimit-Policy', rate.policy);
+
+                if (!rate.allowed) {
+                    req.log.warn(`[Rate Limit] Exceeded for Client: ${client.client_id} (${rate.bucket || 'all'}/${rate.window})`);
+                    reply.header('Retry-After', rate.retry_after);
+                    const detail = rate.window === 'day'
+                        ? `Daily quota of ${rate.limit} requests reached${rate.bucket ? ` for ${rate.bucket}` : ''}.`
+                        : `Too many requests${rate.bucket ? ` for ${rate.bucket}` : ''}. Please try again later.`;
+                    return AppError.send(req, reply, new AppError('rate_limit_exceeded', detail, {
+                        extra: { retry_after: rate.retry_after, bucket: rate.bucket || null }
+                    }));
+                }
+
                 // Fetch Context User
                 user = await req.models.User.findOne({ user_id: decoded.uid });
                 if (!user) throw new Error('user_not_found');
                 
+                // The token's mode wins over the dashboard toggle for API calls
                 isLive = decoded.is_live; 
+                user.is_live = isLive;
                 req.isApi = true;
 
             } catch (err) {
                 // Return 401 for any JWT failure
-                return reply.code(401).send({ code: 401, error: 'invalid_token', message: 'Invalid or expired token.' });
+                return AppError.send(req, reply, new AppError('invalid_token', 'Invalid, expired or revoked token.'));
             }
         } 
         else if (browserToken) {
@@ -112,6 +159,8 @@ async function authGuard(fastify, options) {
 
                 if (req.models.Cards) req.models.Cards.useDatabase(sandboxDbName);
 
+                if (req.models.FraudAlert) req.models.FraudAlert.useDatabase(sandboxDbName);
+
                 if (req.models.Bridge) req.models.Bridge.useDatabase(sandboxDbName);
 
                 //Others
@@ -125,11 +174,7 @@ async function authGuard(fastify, options) {
             if (!req.isApi) {
                 // Block browser-session users from protected API routes
                 if (req.url.startsWith('/api/v1')) {
-                    return reply.code(403).send({
-                        code: 403,
-                        error: 'forbidden',
-                        message: 'API routes require Bearer token authentication'
-                    });
+                    return AppError.send(req, reply, new AppError('forbidden', 'API routes require Bearer token authentication'));
                 }
 
                 const unreadCount = await dashboard.hasUnread(req.user.user_id);
@@ -138,11 +183,7 @@ async function authGuard(fastify, options) {
 
             // Block API clients from dashboard routes
             if (req.isApi && req.url.startsWith('/home')) {
-                return reply.code(403).send({
-                    code: 403,
-                    error: 'forbidden',
-                    message: 'Dashboard routes are not accessible via API tokens'
-                });
+                return AppError.send(req, reply, new AppError('forbidden', 'Dashboard routes are not accessible via API tokens'));
             }
 
             // Setup Locals for View Engine
@@ -157,7 +198,7 @@ async function authGuard(fastify, options) {
 
             // API or AJAX Request -> Return JSON 401
             if (req.url.startsWith('/api') || req.isApi || req.headers['content-type'] === 'application/json') {
-                return reply.code(401).send({ error: "Unauthorized", message: "Authentication required" });
+                return AppError.send(req, reply, new AppError('unauthorized', 'Authentication required'));
             }
             
             // Standard Browser Request -> Redirect to Login
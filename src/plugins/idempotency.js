@@ -0,0 +1,109 @@
+const fp = require('fastify-plugin');
+const crypto = require('crypto');
+const RedisService = require('../services/RedisService');
+const AppError = require('../lib/AppError');
+
+const HEADER = 'idempotency-key';
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]{1,255}$/;
+const RESPONSE_TTL = 86400;  // Stored responses replay for 24h
+const LOCK_TTL = 60;         // In-flight marker, released once the first response is stored
+const LOCK_REFRESH_MS = 20000; // The marker is extended while the handler runs (relayed calls wait on receipts)
+
+/**
+ * Idempotency-Key support for POST /api/v1/*.
+ *
+ * The first response for a (client, key) pair is stored in Redis and replayed
+ * verbatim for any retry carrying the same key and the same body. Reusing a key
+ * with a different body is rejected, as is a retry that arrives while the first
+ * request is still running. 5xx responses are not stored so the call can be retried.
+ */
+async function idempotency(fastify, options) {
+    fastify.decorateRequest('idempotency', null);
+
+    fastify.addHook('preHandler', async (req, reply) => {
+        if (req.method !== 'POST' || !req.isApi || !req.apiClient) return;
+        if (!req.url.startsWith('/api/v1/')) return;
+
+        const rawKey = req.headers[HEADER];
+        if (rawKey === undefined) return;
+
+        if (!KEY_PATTERN.test(rawKey)) {
+            return AppError.send(req, reply, new AppError('invalid_idempotency_key',
+                'Idempotency-Key must be 1-255 characters of letters, digits, "-", "_", ":" or "."'));
+        }
+
+        const cacheKey = `idempotency:${req.apiClient.client_id}:${rawKey}`;
+        const fingerprint = crypto.createHash('sha256')
+            .update(`${req.method} ${req.routeOptions.url} ${JSON.stringify(req.params || {})} ${JSON.stringify(req.body || {})}`)
+            .digest('hex');
+
+        const lock = { state: 'processing', fingerprint, lock_id: crypto.randomBytes(8).toString('hex') };
+        const acquired = await RedisService.setIfAbsent(cacheKey, lock, LOCK_TTL);
+        if (acquired) {
+            // Keep the marker alive for as long as the handler runs, however long
+            // the receipt takes; it only lapses if this process dies
+            const heartbeat = setInterval(() => {
+                RedisService.extendIfUnchanged(cacheKey, lock, LOCK_TTL)
+                    .catch(err => req.log.error(err, '[Idempotency] Failed to extend in-flight marker'));
+            }, LOCK_REFRESH_MS);
+            heartbeat.unref();
+
+            req.idempotency = { cacheKey, fingerprint, heartbeat };
+            return;
+        }
+
+        const stored = await RedisService.get(cacheKey);
+        if (!stored) {
+            // Expired between the two calls — treat as in flight rather than run twice
+            return AppError.send(req, reply, new AppError('idempotency_key_in_use',
+                'A request with this Idempotency-Key is still being processed. Retry shortly.'));
+        }
+
+        if (stored.fingerprint !== fingerprint) {
+            return AppError.send(req, reply, new AppError('idempotency_key_reused',
+                'This Idempotency-Key was already used with a different request body.'));
+        }
+
+        if (stored.state === 'processing') {
+            return AppError.send(req, reply, new AppError('idempotency_key_in_use',
+                'A request with this Idempotency-Key is still being processed. Retry shortly.'));
+        }
+
+        reply.header('Idempotent-Replayed', 'true');
+        reply.header('Content-Type', stored.content_type || 'application/json; charset=utf-8');
+        return reply.code(stored.status_code).send(stored.body);
+    });
+
+    fastify.addHook('onSend', async (req, reply, payload) => {
+        if (!req.idempotency) return payload;
+
+        const { cacheKey, fingerprint, heartbeat } = req.idempotency;
+        req.idempotency = null;
+        clearInterval(heartbeat);
+
+        try {
+            if (reply.statusCode >= 500) {
+                await RedisService.del(cacheKey);
+            } else {
+                await RedisService.set(cacheKey, {
+                    state: 'completed',
+                    fingerprint,
+                    status_code: reply.statusCode,
+                    content_type: reply.getHeader('content-type'),
+                    body: typeof payload === 'string' ? payload : String(payload)
+                }, RESPONSE_TTL);
+            }
+        } catch (err) {
+            req.log.error(err, '[Idempotency] Failed to store response');
+        }
+
+        return payload;
+    });
+
+    // Safety net: stop the heartbeat even if onSend was skipped
+    fastify.addHook('onResponse', async (req) => {
+        if (req.idempotency) clearInterval(req.idempotency.heartbeat);
+    });
+}
+
+module.exports = fp(idempotency);
@@ -5,14 +5,20 @@ const Security = require('../models/Security');
 const Notification = require('../models/Notification');
 const ApiClient = require('../models/ApiClient');
 const ApiToken = require('../models/ApiToken');
+const ApiRequestLog = require('../models/ApiRequestLog');
 const Transactions = require('../models/Transactions');
 const Cards = require('../models/Cards');
+const FraudAlert = require('../models/FraudAlert');
 const Bridge = require('../models/Bridge');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
 
 
 const ApiService = require('../services/ApiService');
 const AuthService = require('../services/AuthService');
 const DashboardService = require('../services/DashboardService');
+const WebhookService = require('../services/WebhookService');
+const SandboxService = require('../services/SandboxService');
 
 async function modelPlugin(fastify, options) {
     const client = fastify.mongo.client;
@@ -22,6 +28,8 @@ async function modelPlugin(fastify, options) {
     fastify.decorateRequest('auth', null);
     fastify.decorateRequest('dashboard', null);
     fastify.decorateRequest('apiService', null);
+    fastify.decorateRequest('webhooks', null);
+    fastify.decorateRequest('sandbox', null);
     fastify.decorateRequest('transactions', null);
     fastify.decorateRequest('cards', null);
     fastify.decorateRequest('bridge', null);
@@ -35,15 +43,21 @@ async function modelPlugin(fastify, options) {
             Notification: new Notification(client),
             ApiClient: new ApiClient(client),
             ApiToken: new ApiToken(client),
+            ApiRequestLog: new ApiRequestLog(client),
             Transactions: new Transactions(client),
             Cards: new Cards(client),
-            Bridge: new Bridge(client)
+            FraudAlert: new FraudAlert(client),
+            Bridge: new Bridge(client),
+            Webhook: new Webhook(client),
+            WebhookDelivery: new WebhookDelivery(client)
         };
 
         // We pass the FRESH models to the services
         req.auth = new AuthService(req.models); 
         req.dashboard = new DashboardService(req.models);
         req.apiService = new ApiService(req.models);
+        req.webhooks = new WebhookService(req.models);
+        req.sandbox = new SandboxService(req.models, { webhooks: req.webhooks });
         req.transactions = new Transactions(client);
         req.cards = new Cards(client);
         req.bridge = new Bridge(client);
@@ -0,0 +1,193 @@
+const fp = require('fastify-plugin');
+const ApiClient = require('../models/ApiClient');
+const AppError = require('../lib/AppError');
+
+const DOCS_PREFIX = '/api/docs';
+
+/**
+ * Shared error body (RFC 9457 problem details, see AppError).
+ * Every API error uses it, served as application/problem+json.
+ */
+const ApiError = {
+    type: 'object',
+    required: ['type', 'title', 'status', 'code', 'request_id'],
+    properties: {
+        type:       { type: 'string', format: 'uri', example: 'https://example.com/api/docs/errors#card_not_found' },
+        title:      { type: 'string', example: 'Card not found' },
+        status:     { type: 'integer', example: 404 },
+        detail:     { type: 'string', example: 'Card not found' },
+        instance:   { type: 'string', example: '/api/v1/cards/crd_0123456789abcdef0123456789abcdef/freeze' },
+        code:       { type: 'string', enum: Object.keys(AppError.CATALOG), description: 'Stable error code. Full list: GET /api/docs/errors' },
+        request_id: { type: 'string', example: 'req_3f9c2a7d1e0b4c5a6f8e9d01' },
+        errors: {
+            type: 'array',
+            description: 'Field-level details (validation_failed only)',
+            items: {
+                type: 'object',
+                properties: {
+                    field:   { type: 'string', example: 'body.sig_r' },
+                    code:    { type: 'string', example: 'pattern' },
+                    message: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/ApiError' } } }
+});
+
+// Sent on every authenticated /api/v1 response (see ApiService.checkRateLimit)
+const RateLimitHeaders = {
+    'RateLimit-Limit':     { type: 'integer', description: 'Size of the limit closest to running out (token bucket or daily quota)' },
+    'RateLimit-Remaining': { type: 'integer', description: 'Requests left in that limit' },
+    'RateLimit-Reset':     { type: 'integer', description: 'Seconds until that limit is full again' },
+    'RateLimit-Policy':    { type: 'string', description: 'All limits applied to the route, e.g. `60;w=60;burst=20, 10000;w=86400`' }
+};
+
+const rateLimitedResponse = () => ({
+    ...errorResponse('Rate limit or daily quota exceeded'),
+    headers: {
+        'Retry-After': { type: 'integer', description: 'Seconds to wait before retrying' },
+        ...RateLimitHeaders
+    }
+});
+
+/**
+ * Error responses common to the public API. Added to the document only —
+ * runtime serialization of the routes is untouched.
+ */
+function errorResponsesFor(method, url, isTokenRoute) {
+    const responses = {
+        400: errorResponse('Invalid request parameters'),
+        500: errorResponse('Unexpected server error')
+    };
+
+    if (isTokenRoute) {
+        responses[401] = errorResponse(url === '/api/oauth/token' ? 'Invalid client credentials or refresh token' : 'Invalid client credentials');
+        return responses;
+    }
+
+    responses[401] = errorResponse('Missing, invalid or expired access token');
+    responses[403] = errorResponse('Token lacks the required scope, or the caller IP is not whitelisted');
+    responses[429] = rateLimitedResponse();
+
+    if (url.includes('/:')) responses[404] = errorResponse('Resource not found');
+
+    if (method === 'POST') {
+        responses[409] = errorResponse('A request with the same Idempotency-Key is still in progress');
+        responses[422] = errorResponse('Idempotency-Key was already used with a different body');
+    }
+
+    return responses;
+}
+
+/**
+ * OpenAPI 3 document for /api/oauth/* and /api/v1/*, built from the
+ * route schemas. Dashboard and web routes are hidden.
+ *   JSON:   GET /api/docs/json
+ *   UI:     GET /api/docs
+ *   Errors: GET /api/docs/errors (AppError catalog)
+ */
+async function openapi(fastify, options) {
+    const baseUrl = process.env.APP_DOMAIN || 'http://localhost:3000';
+
+    await fastify.register(require('@fastify/swagger'), {
+        openapi: {
+            openapi: '3.0.3',
+            info: {
+                title: `${process.env.APP_NAME || 'ZionDefi'} API`,
+                description: 'Card, transaction, payment request and webhook API. Authenticate with `POST /api/oauth/token` '
+                    + '(client_credentials) and send the access token as `Authorization: Bearer <token>`. '
+                    + 'Mutating requests accept an `Idempotency-Key` header. Errors are `application/problem+json` bodies '
+                    + `with a stable \`code\`; the catalog is at \`GET ${DOCS_PREFIX}/errors\`. `
+                    + `Each client is on a plan (${Object.keys(ApiClient.PLANS).join(', ')}, set by billing) with a per-minute rate, a burst `
+                    + 'allowance and a daily quota; card creation and charges have their own, smaller buckets. '
+                    + 'Responses carry `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` and `RateLimit-Policy`, '
+                    + 'and 429s a `Retry-After` header.',
+                version: '1.0.0'
+            },
+            // Live and sandbox share one base URL; the client credentials pick the mode
+            servers: [
+                { url: baseUrl, description: 'Live with live_ client credentials (Starknet mainnet), sandbox with test_ ones (Starknet Sepolia)' }
+            ],
+            tags: [
+                { name: 'auth', description: 'OAuth 2.0 token, revocation (RFC 7009) and introspection (RFC 7662) endpoints' },
+                { name: 'cards', description: 'Card creation and management' },
+                { name: 'transactions', description: 'Transaction history' },
+                { name: 'payment-requests', description: 'Merchant payment requests against cards' },
+                { name: 'transfers', description: 'Time-locked withdrawals and transfers out of cards' },
+                { name: 'stats', description: 'Volume and fee analytics' },
+                { name: 'webhooks', description: 'Webhook endpoints and delivery log' },
+                { name: 'sandbox', description: 'Sandbox simulator: synthetic transactions, card statuses and bridge completions that fire the real webhooks. Sandbox (test) tokens only.' }
+            ],
+            components: {
+                securitySchemes: {
+                    bearerAuth: {
+                        type: 'http',
+                        scheme: 'bearer',
+                        bearerFormat: 'JWT',
+                        description: `Access token from /api/oauth/token. Scopes: ${ApiClient.SCOPES.join(', ')}`
+                    }
+                },
+                schemas: { ApiError }
+            }
+        },
+        transform: ({ schema, url, route }) => {
+            const isTokenRoute = url.startsWith('/api/oauth/');
+            const isPublicApi = isTokenRoute || url.startsWith('/api/v1/');
+
+            if (!isPublicApi) {
+                return { schema: { ...schema, hide: true }, url };
+            }
+
+            const method = Array.isArray(route.method) ? route.method[0] : route.method;
+            const doc = { ...(schema || {}) };
+
+            if (!isTokenRoute) {
+                doc.security = doc.security || [{ bearerAuth: [] }];
+                if (!doc.tags) doc.tags = [url.split('/')[3]];
+
+                const scope = route.config && route.config.scope;
+                if (scope) {
+                    doc.description = `${doc.description || ''}\n\nRequired scope: \`${scope}\``.trim();
+                }
+
+                const bucket = route.config && route.config.rateLimit;
+                if (bucket) {
+                    doc.description = `${doc.description || ''}\n\nRate limit bucket: \`${bucket}\` (counted on top of the client-wide limits)`.trim();
+                }
+            }
+
+            if (method === 'POST' && !isTokenRoute) {
+                doc.headers = {
+                    type: 'object',
+                    properties: {
+                        'idempotency-key': { type: 'string', maxLength: 255, description: 'Replays the first response for retries with the same body' },
+                        ...((doc.headers && doc.headers.properties) || {})
+                    }
+                };
+            }
+
+            doc.response = { ...errorResponsesFor(method, url, isTokenRoute), ...(doc.response || {}) };
+
+            return { schema: doc, url };
+        }
+    });
+
+    // Error code catalog — the target of every problem `type` URI
+    fastify.get(`${DOCS_PREFIX}/errors`, async () => ({ data: AppError.catalog() }));
+
+    await fastify.register(require('@fastify/swagger-ui'), {
+        routePrefix: DOCS_PREFIX,
+        uiConfig: {
+            docExpansion: 'list',
+            deepLinking: true
+        }
+    });
+}
+
+module.exports = fp(openapi);
+module.exports.DOCS_PREFIX = DOCS_PREFIX;
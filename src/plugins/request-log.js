@@ -0,0 +1,49 @@
+const fp = require('fastify-plugin');
+
+/**
+ * Audit log for /api/v1. Every call made by an identified API client —
+ * including the ones auth-guard rejects for scope, IP or rate limit — is
+ * written to `api_request_logs` once the response has been sent.
+ */
+async function requestLog(fastify, options) {
+    fastify.decorateRequest('auditError', null);
+
+    // Keep the error code of failed calls so the usage page can show why
+    fastify.addHook('onSend', async (req, reply, payload) => {
+        if (!req.apiClient || reply.statusCode < 400 || typeof payload !== 'string') return payload;
+
+        try {
+            const body = JSON.parse(payload);
+            req.auditError = body.code || null;
+        } catch (e) { /* non-JSON body */ }
+
+        return payload;
+    });
+
+    fastify.addHook('onResponse', async (req, reply) => {
+        if (!req.apiClient || !req.url.startsWith('/api/v1')) return;
+
+        const apiClient = req.apiClient;
+
+        try {
+            await req.models.ApiRequestLog.log({
+                request_id: req.id,
+                client_id: apiClient.client_id,
+                user_id: apiClient.user_id,
+                method: req.method,
+                route: req.routeOptions.url || null,
+                path: req.url.split('?')[0],
+                status_code: reply.statusCode,
+                latency_ms: Math.round(reply.elapsedTime),
+                ip: req.ip || req.socket.remoteAddress,
+                user_agent: req.headers['user-agent'],
+                is_live: apiClient.is_live === true,
+                error: req.auditError
+            });
+        } catch (err) {
+            req.log.error(err, '[Audit] Failed to write API request log');
+        }
+    });
+}
+
+module.exports = fp(requestLog);
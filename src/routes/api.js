@@ -1,19 +1,85 @@
 const ApiController = require('../controllers/ApiController');
-const { GetCardsSchema, ApiCreateCardSchema, ApiRedeployCardSchema } = require('../schemas/ApiSchemas');
+const {
+    OAuthTokenSchema, OAuthRevokeSchema, OAuthIntrospectSchema, ApiStatsSchema, ListCardsSchema, ListTransactionsSchema, GetTransactionSchema, ApiCreateCardSchema, ApiRedeployCardSchema,
+    ApiFreezeCardSchema, ApiCardPinActionSchema, GetCardBalancesSchema,
+    GetPinRotationSchema, ApiSubmitPinRotationSchema, ApiConfirmPinRotationSchema,
+    GetCardLimitsSchema, ApiUpdateCardLimitsSchema, ApiSetMerchantLimitSchema, ApiRemoveMerchantLimitSchema,
+    ListAutoSwapRulesSchema, ApiSetAutoSwapRuleSchema, ApiRemoveAutoSwapRuleSchema, ApiRunAutoSwapSchema,
+    ListBlockedMerchantsSchema, ApiBlockMerchantSchema, ApiUnblockMerchantSchema, ListFraudAlertsSchema, ApiFreezeFromFraudAlertSchema,
+    ApiCreatePaymentRequestSchema, GetPaymentRequestSchema, ListPaymentInboxSchema, ApiPaymentRequestDecisionSchema, ApiBatchApproveSchema,
+    ListTransfersSchema, ApiCreateTransferSchema, ApiFinalizeTransferSchema, ApiCancelTransferSchema,
+    ListWebhooksSchema, ApiCreateWebhookSchema, ApiUpdateWebhookSchema, ApiWebhookActionSchema, ListWebhookDeliveriesSchema,
+    ApiSandboxCreateTransactionSchema, ApiSandboxAdvanceTransactionSchema, ApiSandboxCardStatusSchema, ApiSandboxCompleteBridgeSchema
+} = require('../schemas/ApiSchemas');
 
 module.exports = async function (fastify, opts) {
     
     fastify.register(async function (publicApi) {
-        publicApi.post('/oauth/token', ApiController.token);
+        publicApi.post('/oauth/token', { schema: OAuthTokenSchema }, ApiController.token);
+        publicApi.post('/oauth/revoke', { schema: OAuthRevokeSchema }, ApiController.revokeToken);
+        publicApi.post('/oauth/introspect', { schema: OAuthIntrospectSchema }, ApiController.introspectToken);
     }, { prefix: '/api' });
 
 
     // PROTECTED API ROUTES (The Vault)
     fastify.register(async function (protectedApi) {
         
-        protectedApi.get('/stats', ApiController.getStats);
-        protectedApi.get('/cards', { schema: GetCardsSchema }, ApiController.getRecentCards);
-        protectedApi.post('/cards/redeploy', { schema: ApiRedeployCardSchema }, ApiController.redeploy_card);
+        // Every route declares the OAuth scope it needs (enforced in auth-guard)
+        protectedApi.get('/stats', { schema: ApiStatsSchema, config: { scope: 'transactions:read' } }, ApiController.getStats);
+        protectedApi.get('/cards', { schema: ListCardsSchema, config: { scope: 'cards:read' } }, ApiController.listCards);
+        protectedApi.post('/cards', { schema: ApiCreateCardSchema, config: { scope: 'cards:write', rateLimit: 'card_creation' } }, ApiController.createCard);
+        protectedApi.post('/cards/redeploy', { schema: ApiRedeployCardSchema, config: { scope: 'cards:write', rateLimit: 'card_creation' } }, ApiController.redeploy_card);
+        protectedApi.post('/cards/:id/freeze', { schema: ApiFreezeCardSchema, config: { scope: 'cards:write' } }, ApiController.freezeCard);
+        protectedApi.post('/cards/:id/unfreeze', { schema: ApiCardPinActionSchema, config: { scope: 'cards:write' } }, ApiController.unfreezeCard);
+        protectedApi.post('/cards/:id/burn', { schema: ApiCardPinActionSchema, config: { scope: 'cards:write' } }, ApiController.burnCard);
+        protectedApi.get('/cards/:id/pin/rotation', { schema: GetPinRotationSchema, config: { scope: 'cards:read' } }, ApiController.getPinRotation);
+        protectedApi.post('/cards/:id/pin/rotation', { schema: ApiSubmitPinRotationSchema, config: { scope: 'cards:write' } }, ApiController.submitPinRotation);
+        protectedApi.post('/cards/:id/pin/rotation/confirm', { schema: ApiConfirmPinRotationSchema, config: { scope: 'cards:write' } }, ApiController.confirmPinRotation);
+        protectedApi.get('/cards/:id/balances', { schema: GetCardBalancesSchema, config: { scope: 'cards:read' } }, ApiController.getCardBalances);
+        protectedApi.get('/cards/:id/limits', { schema: GetCardLimitsSchema, config: { scope: 'cards:read' } }, ApiController.getCardLimits);
+        protectedApi.put('/cards/:id/limits', { schema: ApiUpdateCardLimitsSchema, config: { scope: 'cards:write' } }, ApiController.updateCardLimits);
+        protectedApi.put('/cards/:id/merchant-limits/:merchant', { schema: ApiSetMerchantLimitSchema, config: { scope: 'cards:write' } }, ApiController.setMerchantLimit);
+        protectedApi.delete('/cards/:id/merchant-limits/:merchant', { schema: ApiRemoveMerchantLimitSchema, config: { scope: 'cards:write' } }, ApiController.removeMerchantLimit);
+        protectedApi.get('/cards/:id/auto-swaps', { schema: ListAutoSwapRulesSchema, config: { scope: 'cards:read' } }, ApiController.listAutoSwapRules);
+        protectedApi.put('/cards/:id/auto-swaps/:source', { schema: ApiSetAutoSwapRuleSchema, config: { scope: 'cards:write' } }, ApiController.setAutoSwapRule);
+        protectedApi.delete('/cards/:id/auto-swaps/:source', { schema: ApiRemoveAutoSwapRuleSchema, config: { scope: 'cards:write' } }, ApiController.removeAutoSwapRule);
+        protectedApi.post('/cards/:id/auto-swaps/:source/run', { schema: ApiRunAutoSwapSchema, config: { scope: 'cards:write' } }, ApiController.runAutoSwap);
+        protectedApi.get('/cards/:id/blocked-merchants', { schema: ListBlockedMerchantsSchema, config: { scope: 'cards:read' } }, ApiController.listBlockedMerchants);
+        protectedApi.post('/cards/:id/blocked-merchants', { schema: ApiBlockMerchantSchema, config: { scope: 'cards:write' } }, ApiController.blockMerchant);
+        protectedApi.delete('/cards/:id/blocked-merchants/:merchant', { schema: ApiUnblockMerchantSchema, config: { scope: 'cards:write' } }, ApiController.unblockMerchant);
+        protectedApi.get('/cards/:id/fraud-alerts', { schema: ListFraudAlertsSchema, config: { scope: 'cards:read' } }, ApiController.listFraudAlerts);
+        protectedApi.post('/cards/:id/fraud-alerts/:alert_id/freeze', { schema: ApiFreezeFromFraudAlertSchema, config: { scope: 'cards:write' } }, ApiController.freezeFromFraudAlert);
+        protectedApi.get('/transactions', { schema: ListTransactionsSchema, config: { scope: 'transactions:read' } }, ApiController.listTransactions);
+        protectedApi.get('/transactions/:trans_id', { schema: GetTransactionSchema, config: { scope: 'transactions:read' } }, ApiController.getTransaction);
+
+        protectedApi.post('/payment-requests', { schema: ApiCreatePaymentRequestSchema, config: { scope: 'payments:write', rateLimit: 'charges' } }, ApiController.createPaymentRequest);
+        protectedApi.get('/payment-requests/:card/:id', { schema: GetPaymentRequestSchema, config: { scope: 'transactions:read' } }, ApiController.getPaymentRequest);
+
+        // Cardholder inbox: each decision is PIN-signed and relayed on-chain
+        protectedApi.get('/payment-requests', { schema: ListPaymentInboxSchema, config: { scope: 'transactions:read' } }, ApiController.listPaymentInbox);
+        protectedApi.post('/cards/:id/payment-requests/batch-approve', { schema: ApiBatchApproveSchema, config: { scope: 'payments:write' } }, ApiController.batchApprovePaymentRequests);
+        protectedApi.post('/cards/:id/payment-requests/:request_id/approve', { schema: ApiPaymentRequestDecisionSchema, config: { scope: 'payments:write' } }, ApiController.approvePaymentRequest);
+        protectedApi.post('/cards/:id/payment-requests/:request_id/reject', { schema: ApiPaymentRequestDecisionSchema, config: { scope: 'payments:write' } }, ApiController.rejectPaymentRequest);
+        protectedApi.post('/cards/:id/payment-requests/:request_id/revoke', { schema: ApiPaymentRequestDecisionSchema, config: { scope: 'payments:write' } }, ApiController.revokePaymentApproval);
+
+        // Time-locked withdrawals & transfers: created and cancelled with a PIN signature
+        protectedApi.get('/transfers', { schema: ListTransfersSchema, config: { scope: 'transactions:read' } }, ApiController.listTransfers);
+        protectedApi.post('/cards/:id/transfers', { schema: ApiCreateTransferSchema, config: { scope: 'transfers:write' } }, ApiController.createTransfer);
+        protectedApi.post('/cards/:id/transfers/:transfer_id/finalize', { schema: ApiFinalizeTransferSchema, config: { scope: 'transfers:write' } }, ApiController.finalizeTransfer);
+        protectedApi.post('/cards/:id/transfers/:transfer_id/cancel', { schema: ApiCancelTransferSchema, config: { scope: 'transfers:write' } }, ApiController.cancelTransfer);
+
+        protectedApi.get('/webhooks', { schema: ListWebhooksSchema, config: { scope: 'webhooks:read' } }, ApiController.listWebhooks);
+        protectedApi.post('/webhooks', { schema: ApiCreateWebhookSchema, config: { scope: 'webhooks:write' } }, ApiController.createWebhook);
+        protectedApi.get('/webhooks/deliveries', { schema: ListWebhookDeliveriesSchema, config: { scope: 'webhooks:read' } }, ApiController.listWebhookDeliveries);
+        protectedApi.patch('/webhooks/:endpoint_id', { schema: ApiUpdateWebhookSchema, config: { scope: 'webhooks:write' } }, ApiController.updateWebhook);
+        protectedApi.post('/webhooks/:endpoint_id/rotate-secret', { schema: ApiWebhookActionSchema, config: { scope: 'webhooks:write' } }, ApiController.rotateWebhookSecret);
+        protectedApi.delete('/webhooks/:endpoint_id', { schema: ApiWebhookActionSchema, config: { scope: 'webhooks:write' } }, ApiController.deleteWebhook);
+
+        // Sandbox simulator: synthetic events for integration tests (sandbox tokens only, enforced in auth-guard)
+        protectedApi.post('/sandbox/transactions', { schema: ApiSandboxCreateTransactionSchema, config: { scope: 'payments:write', sandbox: true } }, ApiController.simulateTransaction);
+        protectedApi.post('/sandbox/transactions/:trans_id/advance', { schema: ApiSandboxAdvanceTransactionSchema, config: { scope: 'payments:write', sandbox: true } }, ApiController.advanceSimulatedTransaction);
+        protectedApi.post('/sandbox/cards/:id/status', { schema: ApiSandboxCardStatusSchema, config: { scope: 'cards:write', sandbox: true } }, ApiController.simulateCardStatus);
+        protectedApi.post('/sandbox/bridges/:reference_id/complete', { schema: ApiSandboxCompleteBridgeSchema, config: { scope: 'cards:write', sandbox: true } }, ApiController.simulateBridgeCompletion);
 
     }, { prefix: '/api/v1' });
 };
\ No newline at end of file
@@ -1,5 +1,16 @@
 const DashboardController = require('../controllers/DashboardController');
-const { DashboardCreateCardSchema, DashboardRedeployCardSchema } = require('../schemas/ApiSchemas');
+const {
+    DashboardCreateCardSchema, DashboardRedeployCardSchema,
+    DashboardCardLimitsSchema, DashboardSetMerchantLimitSchema, DashboardRemoveMerchantLimitSchema,
+    DashboardPinRotationSchema, DashboardSubmitPinRotationSchema, DashboardConfirmPinRotationSchema,
+    DashboardSetAutoSwapRuleSchema, DashboardRemoveAutoSwapRuleSchema, DashboardRunAutoSwapSchema,
+    DashboardBlockMerchantSchema, DashboardUnblockMerchantSchema, DashboardFraudAlertsSchema, DashboardFreezeFromFraudAlertSchema,
+    DashboardPaymentInboxSchema, DashboardPaymentRequestDecisionSchema, DashboardBatchApproveSchema,
+    DashboardTransfersSchema, DashboardCreateTransferSchema, DashboardFinalizeTransferSchema, DashboardCancelTransferSchema,
+    DashboardCreateApiClientSchema, DashboardRenameApiClientSchema,
+    DashboardApiClientPoliciesSchema, DashboardApiClientActionSchema, DashboardApiClientUsageSchema, DashboardMerchantChallengeSchema,
+    DashboardWebhookDeliveriesSchema, DashboardWebhookDeliverySchema, DashboardReplayWebhookSchema
+} = require('../schemas/ApiSchemas');
 
 module.exports = async function (fastify, opts) {
     
@@ -21,5 +32,64 @@ module.exports = async function (fastify, opts) {
         privateRoutes.post('/card/bridge/quote', DashboardController.getBridgeQuote);
         privateRoutes.post('/card/bridge/start', DashboardController.createBridgeDeposit);
 
+        // Balances and portfolio (USD valuation, cached briefly per card)
+        privateRoutes.get('/portfolio', DashboardController.getPortfolio);
+        privateRoutes.get('/card/:id/balances', DashboardController.getCardBalances);
+
+        // PIN rotation (signed with the old PIN key, sent by the owner's wallet)
+        privateRoutes.get('/card/:id/pin/rotation', { schema: DashboardPinRotationSchema }, DashboardController.getPinRotation);
+        privateRoutes.post('/card/:id/pin/rotation', { schema: DashboardSubmitPinRotationSchema, preHandler: fastify.csrfProtection }, DashboardController.submitPinRotation);
+        privateRoutes.post('/card/:id/pin/rotation/confirm', { schema: DashboardConfirmPinRotationSchema, preHandler: fastify.csrfProtection }, DashboardController.confirmPinRotation);
+
+        // Spending limits (PIN-signed, relayed on-chain)
+        privateRoutes.get('/card/:id/limits', DashboardController.getCardLimits);
+        privateRoutes.post('/card/:id/limits', { schema: DashboardCardLimitsSchema, preHandler: fastify.csrfProtection }, DashboardController.updateCardLimits);
+        privateRoutes.post('/card/:id/merchant-limits/:merchant', { schema: DashboardSetMerchantLimitSchema, preHandler: fastify.csrfProtection }, DashboardController.setMerchantLimit);
+        privateRoutes.post('/card/:id/merchant-limits/:merchant/remove', { schema: DashboardRemoveMerchantLimitSchema, preHandler: fastify.csrfProtection }, DashboardController.removeMerchantLimit);
+
+        // Auto-swap rules (PIN-signed, relayed on-chain; run fetches an AVNU quote)
+        privateRoutes.get('/card/:id/auto-swaps', DashboardController.getAutoSwapRules);
+        privateRoutes.post('/card/:id/auto-swaps/:source', { schema: DashboardSetAutoSwapRuleSchema, preHandler: fastify.csrfProtection }, DashboardController.setAutoSwapRule);
+        privateRoutes.post('/card/:id/auto-swaps/:source/remove', { schema: DashboardRemoveAutoSwapRuleSchema, preHandler: fastify.csrfProtection }, DashboardController.removeAutoSwapRule);
+        privateRoutes.post('/card/:id/auto-swaps/:source/run', { schema: DashboardRunAutoSwapSchema, preHandler: fastify.csrfProtection }, DashboardController.runAutoSwap);
+
+        // Blocked merchants (PIN-signed blacklist on the contract, listed from Mongo)
+        privateRoutes.get('/card/:id/blocked-merchants', DashboardController.getBlockedMerchants);
+        privateRoutes.post('/card/:id/blocked-merchants', { schema: DashboardBlockMerchantSchema, preHandler: fastify.csrfProtection }, DashboardController.blockMerchant);
+        privateRoutes.post('/card/:id/blocked-merchants/:merchant/remove', { schema: DashboardUnblockMerchantSchema, preHandler: fastify.csrfProtection }, DashboardController.unblockMerchant);
+
+        // Fraud alerts (stored by the fraud monitor; freezing is PIN-signed)
+        privateRoutes.get('/card/:id/fraud-alerts', { schema: DashboardFraudAlertsSchema }, DashboardController.getFraudAlerts);
+        privateRoutes.post('/card/:id/fraud-alerts/:alert_id/freeze', { schema: DashboardFreezeFromFraudAlertSchema, preHandler: fastify.csrfProtection }, DashboardController.freezeFromFraudAlert);
+
+        // Payment request inbox (PIN-signed, relayed on-chain)
+        privateRoutes.get('/payment-requests', { schema: DashboardPaymentInboxSchema }, DashboardController.getPaymentInbox);
+        privateRoutes.post('/card/:id/payment-requests/batch-approve', { schema: DashboardBatchApproveSchema, preHandler: fastify.csrfProtection }, DashboardController.batchApprovePaymentRequests);
+        privateRoutes.post('/card/:id/payment-requests/:request_id/approve', { schema: DashboardPaymentRequestDecisionSchema, preHandler: fastify.csrfProtection }, DashboardController.approvePaymentRequest);
+        privateRoutes.post('/card/:id/payment-requests/:request_id/reject', { schema: DashboardPaymentRequestDecisionSchema, preHandler: fastify.csrfProtection }, DashboardController.rejectPaymentRequest);
+        privateRoutes.post('/card/:id/payment-requests/:request_id/revoke', { schema: DashboardPaymentRequestDecisionSchema, preHandler: fastify.csrfProtection }, DashboardController.revokePaymentApproval);
+
+        // Time-locked withdrawals & transfers (countdown to unlock, cancel within the window)
+        privateRoutes.get('/transfers', { schema: DashboardTransfersSchema }, DashboardController.getTransfers);
+        privateRoutes.post('/card/:id/transfers', { schema: DashboardCreateTransferSchema, preHandler: fastify.csrfProtection }, DashboardController.createTransfer);
+        privateRoutes.post('/card/:id/transfers/:transfer_id/finalize', { schema: DashboardFinalizeTransferSchema, preHandler: fastify.csrfProtection }, DashboardController.finalizeTransfer);
+        privateRoutes.post('/card/:id/transfers/:transfer_id/cancel', { schema: DashboardCancelTransferSchema, preHandler: fastify.csrfProtection }, DashboardController.cancelTransfer);
+
+        // Developer credentials (API clients)
+        privateRoutes.get('/developers/clients', DashboardController.listApiClients);
+        privateRoutes.post('/developers/clients', { schema: DashboardCreateApiClientSchema, preHandler: fastify.csrfProtection }, DashboardController.createApiClient);
+        privateRoutes.post('/developers/clients/:client_id/rename', { schema: DashboardRenameApiClientSchema, preHandler: fastify.csrfProtection }, DashboardController.renameApiClient);
+        privateRoutes.post('/developers/clients/:client_id/policies', { schema: DashboardApiClientPoliciesSchema, preHandler: fastify.csrfProtection }, DashboardController.updateApiClientPolicies);
+        privateRoutes.post('/developers/clients/:client_id/rotate', { schema: DashboardApiClientActionSchema, preHandler: fastify.csrfProtection }, DashboardController.rotateApiClientSecret);
+        privateRoutes.post('/developers/clients/:client_id/revoke', { schema: DashboardApiClientActionSchema, preHandler: fastify.csrfProtection }, DashboardController.revokeApiClient);
+        privateRoutes.get('/developers/clients/:client_id/usage', { schema: DashboardApiClientUsageSchema }, DashboardController.getApiClientUsage);
+        privateRoutes.post('/developers/merchant-challenge', { schema: DashboardMerchantChallengeSchema, preHandler: fastify.csrfProtection }, DashboardController.getMerchantChallenge);
+
+        // Webhook endpoints and delivery log
+        privateRoutes.get('/developers/webhooks', DashboardController.listWebhooks);
+        privateRoutes.get('/developers/webhooks/deliveries', { schema: DashboardWebhookDeliveriesSchema }, DashboardController.listWebhookDeliveries);
+        privateRoutes.get('/developers/webhooks/deliveries/:delivery_id', { schema: DashboardWebhookDeliverySchema }, DashboardController.getWebhookDelivery);
+        privateRoutes.post('/developers/webhooks/deliveries/:delivery_id/replay', { schema: DashboardReplayWebhookSchema, preHandler: fastify.csrfProtection }, DashboardController.replayWebhookDelivery);
+
     }, { prefix: '/home' }); // <--- THIS IS CRITICAL
 };
\ No newline at end of file
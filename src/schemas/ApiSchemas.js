@@ -3,25 +3,233 @@
 const CardItemResponse = {
     type: 'object',
     properties: {
-        card_id:    { type: 'string' },
-        address:    { type: 'string' },
-        status:     { type: 'string' },
-        name:       { type: 'string' },
-        created_at: { type: 'integer' },
-        is_live:    { type: 'boolean' }
+        card_id:                 { type: 'string' },
+        address:                 { type: 'string', nullable: true },
+        status:                  { type: 'string' },
+        name:                    { type: 'string' },
+        serial_number:           { type: 'string' },
+        currencies:              { type: 'array', items: { type: 'string' } },
+        payment_mode:            { type: 'string' },
+        settlement_delay:        { type: 'integer' },
+        max_transaction_amount:  { type: 'string' },
+        daily_spend_limit:       { type: 'string' },
+        daily_transaction_limit: { type: 'integer' },
+        frozen_reason:           { type: 'string', nullable: true },
+        deployed_at:             { type: 'integer', nullable: true },
+        created_at:              { type: 'integer' },
+        updated_at:              { type: 'integer' },
+        is_live:                 { type: 'boolean' }
     }
 };
 
+const TransactionItemResponse = {
+    type: 'object',
+    properties: {
+        trans_id:         { type: 'string' },
+        ref_id:           { type: 'string' },
+        merchant_id:      { type: 'string', nullable: true },
+        contract_address: { type: 'string' },
+        amount:           { type: 'number' },
+        currency:         { type: 'string' },
+        fee:              { type: 'number' },
+        net_amount:       { type: 'number' },
+        status:           { type: 'string' },
+        type:             { type: 'string' },
+        channel:          { type: 'string' },
+        is_recurring:     { type: 'boolean' },
+        subscription_id:  { type: 'string', nullable: true },
+        request_id:       { type: 'integer', nullable: true },
+        metadata:         { type: 'object', additionalProperties: true },
+        approval_hash:    { type: 'string', nullable: true },
+        settle_at:        { type: 'integer', nullable: true },
+        created_at:       { type: 'integer' },
+        updated_at:       { type: 'integer' }
+    }
+};
+
+const TransactionDetailResponse = {
+    type: 'object',
+    properties: {
+        ...TransactionItemResponse.properties,
+        billing_details:  { type: 'object', additionalProperties: true },
+        explorer_url:     { type: 'string', nullable: true },
+        timeline: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    status:    { type: 'string' },
+                    note:      { type: 'string' },
+                    timestamp: { type: 'integer' }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Shared cursor pagination query (Stripe-style).
+ * starting_after → older page, ending_before → newer page.
+ * A cursor that names no record in the list is rejected (400 invalid_cursor).
+ */
+const cursorQuery = (idPattern, maxLimit, defaultLimit) => ({
+    limit:          { type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit },
+    starting_after: { type: 'string', pattern: idPattern },
+    ending_before:  { type: 'string', pattern: idPattern },
+    start_date:     { type: 'integer', minimum: 0 },
+    end_date:       { type: 'integer', minimum: 0 }
+});
+
+const listResponse = (itemSchema) => ({
+    type: 'object',
+    properties: {
+        code:        { type: 'integer' },
+        status:      { type: 'string' },
+        mode:        { type: 'string' },
+        count:       { type: 'integer' },
+        has_more:    { type: 'boolean' },
+        next_cursor: { type: 'string', nullable: true },
+        prev_cursor: { type: 'string', nullable: true },
+        data:        { type: 'array', items: itemSchema }
+    }
+});
+
 // ─── API Schemas (JSON body, JWT auth — no CSRF) ────────────────────
 
-const GetCardsSchema = {
-    description: 'Get recently used cards',
+/**
+ * API: OAuth token
+ * Accepts JSON or form-encoded bodies. grant_type is checked by the controller
+ * so unsupported grants get the RFC 6749 `unsupported_grant_type` error.
+ */
+const OAuthTokenSchema = {
+    description: 'Exchange client credentials (or a refresh token) for a Bearer access token',
+    tags: ['auth'],
+    body: {
+        type: 'object',
+        properties: {
+            grant_type:    { type: 'string', description: 'client_credentials | refresh_token' },
+            client_id:     { type: 'string', description: 'Required for client_credentials' },
+            client_secret: { type: 'string', description: 'Required for client_credentials' },
+            refresh_token: { type: 'string', description: 'Required for refresh_token' }
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code: { type: 'integer' },
+                data: {
+                    type: 'object',
+                    properties: {
+                        access_token:  { type: 'string' },
+                        refresh_token: { type: 'string' },
+                        expires_in:    { type: 'integer' },
+                        token_type:    { type: 'string' }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const OAuthTokenHintBody = {
+    type: 'object',
+    required: ['token'],
+    properties: {
+        token:           { type: 'string', minLength: 1, maxLength: 4096 },
+        token_type_hint: { type: 'string', description: 'access_token | refresh_token (other values are ignored)' },
+        client_id:       { type: 'string', description: 'Or send the client credentials with HTTP Basic' },
+        client_secret:   { type: 'string' }
+    }
+};
+
+const OAuthRevokeSchema = {
+    description: 'Revoke an access or refresh token (RFC 7009). Revoking either token of a grant ends the whole grant. '
+        + 'Unknown or already revoked tokens also return 200.',
+    tags: ['auth'],
+    body: OAuthTokenHintBody,
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code: { type: 'integer' }
+            }
+        }
+    }
+};
+
+const OAuthIntrospectSchema = {
+    description: 'State of an access or refresh token of the calling client (RFC 7662)',
+    tags: ['auth'],
+    body: OAuthTokenHintBody,
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code:       { type: 'integer' },
+                active:     { type: 'boolean' },
+                token_type: { type: 'string', enum: ['access_token', 'refresh_token'] },
+                client_id:  { type: 'string' },
+                sub:        { type: 'string', description: 'User the token acts for' },
+                scope:      { type: 'string', description: 'Space-separated scopes' },
+                iat:        { type: 'integer' },
+                exp:        { type: 'integer' },
+                mode:       { type: 'string', enum: ['live', 'sandbox'] },
+                jti:        { type: 'string' },
+                iss:        { type: 'string' },
+                aud:        { type: 'string' }
+            }
+        }
+    }
+};
+
+const ListCardsSchema = {
+    description: 'List cards with cursor pagination',
     tags: ['cards'],
     security: [{ bearerAuth: [] }],
     querystring: {
         type: 'object',
+        additionalProperties: false,
+        properties: {
+            ...cursorQuery('^crd_[a-f0-9]{32}$', 50, 10),
+            status:   { type: 'string', enum: ['active', 'inactive', 'pending_deployment', 'deploying', 'frozen', 'failed', 'terminated'] },
+            currency: { type: 'string', pattern: '^[A-Za-z]{2,10}$' }
+        }
+    },
+    response: {
+        200: listResponse(CardItemResponse)
+    }
+};
+
+const ListTransactionsSchema = {
+    description: 'List transactions with cursor pagination',
+    tags: ['transactions'],
+    security: [{ bearerAuth: [] }],
+    querystring: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            ...cursorQuery('^txn_[a-f0-9]{32}$', 100, 20),
+            card_id:  { type: 'string', pattern: '^crd_[a-f0-9]{32}$' },
+            status:   { type: 'string', enum: ['pending_approval', 'processing', 'succeeded', 'failed', 'refunded', 'rejected', 'revoked', 'cancelled'] },
+            type:     { type: 'string', enum: ['payment', 'refund', 'subscription', 'withdrawal', 'transfer'] },
+            currency: { type: 'string', pattern: '^[A-Za-z]{2,10}$' }
+        }
+    },
+    response: {
+        200: listResponse(TransactionItemResponse)
+    }
+};
+
+const GetTransactionSchema = {
+    description: 'Retrieve a single transaction with its status timeline',
+    tags: ['transactions'],
+    security: [{ bearerAuth: [] }],
+    params: {
+        type: 'object',
+        required: ['trans_id'],
         properties: {
-            limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 }
+            trans_id: { type: 'string', pattern: '^txn_[a-f0-9]{32}$' }
         }
     },
     response: {
@@ -31,129 +239,2076 @@ const GetCardsSchema = {
                 code:   { type: 'integer' },
                 status: { type: 'string' },
                 mode:   { type: 'string' },
-                count:  { type: 'integer' },
-                data:   { type: 'array', items: CardItemResponse }
+                data:   TransactionDetailResponse
             }
         }
     }
 };
 
 /**
- * API: Create Card
- * Accepts a JSON body with typed fields.
- * currencies is a native array (API clients send real JSON, not form-encoded strings).
+ * API: Volume stats
+ * Successful transactions only. Buckets are keyed by their start (Unix seconds)
+ * in the server timezone; weeks start on Monday.
  */
-const ApiCreateCardSchema = {
-    description: 'Create a new ZionDefi card and queue for blockchain deployment',
-    tags: ['cards'],
+const StatsAmounts = {
+    volume:     { type: 'number' },
+    fees:       { type: 'number' },
+    net_volume: { type: 'number' },
+    count:      { type: 'integer' }
+};
+
+const StatsCurrencyItem = {
+    type: 'object',
+    properties: { currency: { type: 'string' }, ...StatsAmounts }
+};
+
+const StatsReport = {
+    type: 'object',
+    properties: {
+        period:      { type: 'string' },
+        granularity: { type: 'string' },
+        timezone:    { type: 'string' },
+        start_date:  { type: 'integer' },
+        end_date:    { type: 'integer' },
+        filters: {
+            type: 'object',
+            properties: {
+                card_id:  { type: 'string', nullable: true },
+                currency: { type: 'string', nullable: true }
+            }
+        },
+        totals:      { type: 'object', properties: StatsAmounts },
+        by_currency: { type: 'array', items: StatsCurrencyItem },
+        by_card: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    card_id:          { type: 'string', nullable: true },
+                    name:             { type: 'string', nullable: true },
+                    contract_address: { type: 'string', nullable: true },
+                    ...StatsAmounts,
+                    by_currency:      { type: 'array', items: StatsCurrencyItem }
+                }
+            }
+        },
+        series: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    timestamp:   { type: 'integer' },
+                    ...StatsAmounts,
+                    by_currency: { type: 'array', items: StatsCurrencyItem },
+                    by_card: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: { card_id: { type: 'string', nullable: true }, ...StatsAmounts }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const ApiStatsSchema = {
+    description: 'Card counts and all-time successful volume. Any of the query parameters adds `data.report`: volume, '
+        + 'fees and counts over a period (30d when only filters are given) or a custom range, bucketed by hour, day, '
+        + 'week or month and broken down by card and currency. Give either `period` or `start_date` (and optionally '
+        + '`end_date`). Totals add amounts across currencies without conversion.',
+    tags: ['stats'],
     security: [{ bearerAuth: [] }],
-    body: {
+    querystring: {
         type: 'object',
-        required: ['owner', 'pin_public_key', 'currencies', 'payment_mode'],
         additionalProperties: false,
         properties: {
-            owner:                  { type: 'string', minLength: 10, maxLength: 130 },
-            wallet_choice:          { type: 'string', enum: ['existing', 'generate'], default: 'existing' },
-            pin_public_key:         { type: 'string', minLength: 10, maxLength: 130 },
-            currencies:             { type: 'array', items: { type: 'string', minLength: 2 }, minItems: 1, maxItems: 20 },
-            payment_mode:           { type: 'string', enum: ['MerchantTokenOnly', 'AnyAcceptedToken'] },
-            settlement_mode:        { type: 'string', enum: ['Immediate', 'Delayed'], default: 'Immediate' },
-            max_transaction_amount: { type: 'string', pattern: '^[0-9]+$', default: '0' },
-            daily_spend_limit:      { type: 'string', pattern: '^[0-9]+$', default: '0' },
-            daily_transaction_limit:{ type: 'integer', minimum: 1, maximum: 10000, default: 50 },
-            slippage_tolerance_bps: { type: 'integer', minimum: 0, maximum: 10000, default: 50 },
-            transfer_delay:         { type: 'integer', minimum: 0, maximum: 2592000, default: 86400 },
-            settlement_delay:       { type: 'integer', minimum: 0, maximum: 2592000, default: 1800 }
+            period:      { type: 'string', enum: ['today', '7d', '30d', 'month', '90d', '365d', 'all'] },
+            start_date:  { type: 'integer', minimum: 0, description: 'Unix timestamp (inclusive)' },
+            end_date:    { type: 'integer', minimum: 1, description: 'Unix timestamp (exclusive); defaults to now' },
+            granularity: { type: 'string', enum: ['hour', 'day', 'week', 'month'], description: 'Defaults by period: hour for today, week for 90d, month for 365d and all, day otherwise' },
+            card_id:     { type: 'string', pattern: '^crd_[a-f0-9]{32}$' },
+            currency:    { type: 'string', pattern: '^[A-Za-z]{2,10}$' }
         }
     },
     response: {
         200: {
             type: 'object',
             properties: {
-                code:    { type: 'integer' },
-                message: { type: 'string' },
-                card_id: { type: 'string' }
+                code: { type: 'integer' },
+                mode: { type: 'string' },
+                data: {
+                    type: 'object',
+                    properties: {
+                        cards: {
+                            type: 'object',
+                            properties: {
+                                active:   { type: 'integer' },
+                                inactive: { type: 'integer' },
+                                total:    { type: 'integer' }
+                            }
+                        },
+                        transactions: {
+                            type: 'object',
+                            properties: {
+                                total_volume: { type: 'number' },
+                                total_fees:   { type: 'number' },
+                                count:        { type: 'integer' }
+                            }
+                        },
+                        report: StatsReport
+                    }
+                }
             }
         }
     }
 };
 
 /**
- * API: Redeploy Card
+ * API: Card lifecycle (freeze / unfreeze / burn)
+ * sig_r / sig_s are the owner's PIN signature, produced client-side.
  */
-const ApiRedeployCardSchema = {
-    description: 'Redeploy a failed card to the blockchain',
+const CardIdParams = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'string', pattern: '^crd_[a-f0-9]{32}$' }
+    }
+};
+
+const PinSignature = {
+    sig_r: { type: 'string', pattern: '^0x[0-9a-fA-F]{1,64}$' },
+    sig_s: { type: 'string', pattern: '^0x[0-9a-fA-F]{1,64}$' }
+};
+
+const CardLifecycleResponse = {
+    200: {
+        type: 'object',
+        properties: {
+            code:             { type: 'integer' },
+            message:          { type: 'string' },
+            mode:             { type: 'string' },
+            card_id:          { type: 'string' },
+            status:           { type: 'string' },
+            frozen_reason:    { type: 'string' },
+            activation_pending: { type: 'boolean', description: 'Unfrozen before the deployment fee was paid; the contract collects it from the next payment' },
+            transaction_hash: { type: 'string' },
+            gas: {
+                type: 'object',
+                properties: {
+                    strk: { type: 'string', nullable: true },
+                    usd:  { type: 'string', nullable: true }
+                }
+            }
+        }
+    }
+};
+
+const ApiFreezeCardSchema = {
+    description: 'Freeze a card on-chain. Payments are blocked until it is unfrozen.',
     tags: ['cards'],
     security: [{ bearerAuth: [] }],
+    params: CardIdParams,
     body: {
         type: 'object',
-        required: ['card_id'],
+        required: ['sig_r', 'sig_s'],
         additionalProperties: false,
         properties: {
-            card_id: { type: 'string', minLength: 5 }
+            ...PinSignature,
+            reason: { type: 'string', maxLength: 200 }
         }
     },
+    response: CardLifecycleResponse
+};
+
+const ApiCardPinActionSchema = {
+    description: 'Unfreeze, or permanently burn, a card on-chain',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: CardIdParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s'],
+        additionalProperties: false,
+        properties: PinSignature
+    },
+    response: CardLifecycleResponse
+};
+
+/**
+ * API: Card balances
+ * USD values are decimal strings with 2 places; 24h change percentages are
+ * null when the price feed has no change for the token.
+ */
+const TokenBalanceResponse = {
+    type: 'object',
+    properties: {
+        token:          { type: 'string' },
+        symbol:         { type: 'string' },
+        balance:        { type: 'string' },
+        balance_raw:    { type: 'string', nullable: true },
+        price_usd:      { type: 'number' },
+        usd_value:      { type: 'string' },
+        change_24h_pct: { type: 'number', nullable: true },
+        change_24h_usd: { type: 'string', nullable: true },
+        last_updated:   { type: 'integer', nullable: true }
+    }
+};
+
+const GetCardBalancesSchema = {
+    description: 'Per-token balances of a card with USD value and 24h change. Cached for up to 30 seconds.',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: CardIdParams,
     response: {
         200: {
             type: 'object',
             properties: {
-                code:    { type: 'integer' },
-                message: { type: 'string' },
-                card_id: { type: 'string' }
+                code:           { type: 'integer' },
+                mode:           { type: 'string' },
+                card_id:        { type: 'string' },
+                card_address:   { type: 'string' },
+                total_usd:      { type: 'string' },
+                change_24h_usd: { type: 'string' },
+                change_24h_pct: { type: 'number', nullable: true },
+                tokens:         { type: 'array', items: TokenBalanceResponse },
+                as_of:          { type: 'integer', nullable: true }
             }
         }
     }
 };
 
-// ─── Dashboard Schemas (form-encoded, CSRF token present) ───────────
-
 /**
- * Dashboard: Create Card
- * Form-encoded: currencies arrives as a JSON string, numeric fields as strings.
+ * API: Spending limits
+ * USD amounts are decimal strings, as on card creation (e.g. '250.50'); '0' means no limit.
  */
-const DashboardCreateCardSchema = {
-    description: 'Create card from dashboard form',
+const UsdAmount = { type: 'string', pattern: '^[0-9]{1,15}(\\.[0-9]{1,8})?$' };
+
+const MerchantLimitParams = {
+    type: 'object',
+    required: ['id', 'merchant'],
+    properties: {
+        id:       { type: 'string', pattern: '^crd_[a-f0-9]{32}$' },
+        merchant: { type: 'string', pattern: '^0x[0-9a-fA-F]{1,64}$' }
+    }
+};
+
+const ChainOperationResponse = {
+    action:           { type: 'string' },
+    transaction_hash: { type: 'string' },
+    gas: {
+        type: 'object',
+        properties: {
+            strk: { type: 'string', nullable: true },
+            usd:  { type: 'string', nullable: true }
+        }
+    }
+};
+
+const CardLimitsResponse = {
+    200: {
+        type: 'object',
+        properties: {
+            code:    { type: 'integer' },
+            message: { type: 'string' },
+            mode:    { type: 'string' },
+            card_id: { type: 'string' },
+            limits: {
+                type: 'object',
+                properties: {
+                    max_transaction_amount:  { type: 'string' },
+                    daily_transaction_limit: { type: 'integer' },
+                    daily_spend_limit:       { type: 'string' },
+                    auto_approve_threshold:  { type: 'string' },
+                    merchant_limits: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                merchant:       { type: 'string' },
+                                max_amount_usd: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            },
+            rate_limit: {
+                type: 'object',
+                properties: {
+                    requests_submitted_last_hour: { type: 'integer' },
+                    approvals_last_hour:          { type: 'integer' },
+                    last_charge_timestamp:        { type: 'integer' },
+                    cooldown_remaining:           { type: 'integer' }
+                }
+            },
+            transactions: { type: 'array', items: { type: 'object', properties: ChainOperationResponse } }
+        }
+    }
+};
+
+const MerchantLimitResponse = {
+    200: {
+        type: 'object',
+        properties: {
+            code:           { type: 'integer' },
+            message:        { type: 'string' },
+            mode:           { type: 'string' },
+            card_id:        { type: 'string' },
+            merchant:       { type: 'string' },
+            max_amount_usd: { type: 'string' },
+            ...ChainOperationResponse
+        }
+    }
+};
+
+const GetCardLimitsSchema = {
+    description: 'Current spending limits, auto-approve threshold, merchant limits and rate-limit window of a card',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: CardIdParams,
+    response: CardLimitsResponse
+};
+
+const ApiUpdateCardLimitsSchema = {
+    description: 'Update spending limits and/or the auto-approve threshold on-chain. Omitted limits keep their '
+        + 'current value. Each on-chain write consumes one PIN nonce: when both the limits and the threshold '
+        + 'change, sign the threshold update with the next nonce and send it as threshold_sig_r / threshold_sig_s.',
     tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: CardIdParams,
     body: {
         type: 'object',
-        required: ['owner', 'pin_public_key', 'currencies', 'payment_mode'],
+        required: ['sig_r', 'sig_s'],
+        additionalProperties: false,
         properties: {
-            owner:                  { type: 'string', minLength: 10, maxLength: 130 },
-            wallet_choice:          { type: 'string', enum: ['existing', 'generate'] },
-            pin_public_key:         { type: 'string', minLength: 10, maxLength: 130 },
-            currencies:             { type: 'string', minLength: 2 },           // JSON-encoded array
-            payment_mode:           { type: 'string', enum: ['MerchantTokenOnly', 'AnyAcceptedToken'] },
-            max_transaction_amount: { type: 'string', default: '0' },
-            daily_spend_limit:      { type: 'string', default: '0' },
-            daily_transaction_limit:{ type: 'integer', minimum: 1, maximum: 10000, default: 50 },
-            slippage_tolerance_bps: { type: 'integer', minimum: 0, maximum: 10000, default: 50 },
-            transfer_delay:         { type: 'integer', minimum: 0, maximum: 2592000, default: 86400 },
-            settlement_delay:       { type: 'integer', default: 0 },
-            _csrf:                  { type: 'string' }
+            ...PinSignature,
+            max_transaction_amount:  UsdAmount,
+            daily_transaction_limit: { type: 'integer', minimum: 1, maximum: 10000 },
+            daily_spend_limit:       UsdAmount,
+            auto_approve_threshold:  UsdAmount,
+            threshold_sig_r:         PinSignature.sig_r,
+            threshold_sig_s:         PinSignature.sig_s
         }
-    }
+    },
+    response: CardLimitsResponse
 };
 
-/**
- * Dashboard: Redeploy Card
- */
-const DashboardRedeployCardSchema = {
-    description: 'Redeploy card from dashboard',
+const ApiSetMerchantLimitSchema = {
+    description: 'Cap what a single merchant can request per payment, in USD',
     tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: MerchantLimitParams,
     body: {
         type: 'object',
-        required: ['card_id'],
+        required: ['sig_r', 'sig_s', 'max_amount_usd'],
+        additionalProperties: false,
         properties: {
-            card_id: { type: 'string', minLength: 5 },
-            _csrf:   { type: 'string' }
+            ...PinSignature,
+            max_amount_usd: UsdAmount
+        }
+    },
+    response: MerchantLimitResponse
+};
+
+const ApiRemoveMerchantLimitSchema = {
+    description: 'Remove the spend limit of a merchant',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: MerchantLimitParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s'],
+        additionalProperties: false,
+        properties: PinSignature
+    },
+    response: MerchantLimitResponse
+};
+
+/**
+ * API: Auto-swap rules
+ * One rule per source token: "convert incoming <source> into <target>".
+ * Tokens are supported symbols (USDC) or contract addresses, and both must
+ * be currencies of the card.
+ */
+const AutoSwapParams = {
+    type: 'object',
+    required: ['id', 'source'],
+    properties: {
+        id:     { type: 'string', pattern: '^crd_[a-f0-9]{32}$' },
+        source: { type: 'string', pattern: '^(0x[0-9a-fA-F]{1,64}|[A-Za-z]{2,10})$' }
+    }
+};
+
+const AutoSwapRuleResponse = {
+    type: 'object',
+    properties: {
+        source_token:    { type: 'string' },
+        source_currency: { type: 'string', nullable: true },
+        target_token:    { type: 'string' },
+        target_currency: { type: 'string', nullable: true },
+        enabled:         { type: 'boolean' },
+        pending_amount:  { type: 'string', nullable: true },
+        last_run: {
+            type: 'object',
+            nullable: true,
+            properties: {
+                sell_amount:         { type: 'string' },
+                expected_buy_amount: { type: 'string' },
+                min_buy_amount:      { type: 'string' },
+                transaction_hash:    { type: 'string' },
+                ran_at:              { type: 'integer' }
+            }
+        }
+    }
+};
+
+const AutoSwapOperationResponse = {
+    200: {
+        type: 'object',
+        properties: {
+            code:    { type: 'integer' },
+            message: { type: 'string' },
+            mode:    { type: 'string' },
+            card_id: { type: 'string' },
+            ...AutoSwapRuleResponse.properties,
+            ...ChainOperationResponse
         }
     }
 };
 
+const SlippageBps = { type: 'integer', minimum: 0, maximum: 1000 };
+
+const ListAutoSwapRulesSchema = {
+    description: 'Auto-swap rules of a card, with the source balance waiting to be converted and the last manual run',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: CardIdParams,
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code:       { type: 'integer' },
+                mode:       { type: 'string' },
+                card_id:    { type: 'string' },
+                currencies: { type: 'array', items: { type: 'string' } },
+                data:       { type: 'array', items: AutoSwapRuleResponse }
+            }
+        }
+    }
+};
+
+const ApiSetAutoSwapRuleSchema = {
+    description: 'Convert incoming `source` tokens into `target`. Replaces the existing rule for `source`.',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: AutoSwapParams,
+    body: {
+        type: 'object',
+        required: ['target', 'sig_r', 'sig_s'],
+        additionalProperties: false,
+        properties: {
+            target: AutoSwapParams.properties.source,
+            ...PinSignature
+        }
+    },
+    response: AutoSwapOperationResponse
+};
+
+const ApiRemoveAutoSwapRuleSchema = {
+    description: 'Remove the auto-swap rule of a source token',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: AutoSwapParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s'],
+        additionalProperties: false,
+        properties: PinSignature
+    },
+    response: AutoSwapOperationResponse
+};
+
+const ApiRunAutoSwapSchema = {
+    description: 'Run an auto-swap rule now: fetch an AVNU quote and sell `amount` of the source token '
+        + '(default: the whole balance) into the rule\'s target. `slippage_bps` defaults to the card\'s slippage tolerance.',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: AutoSwapParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s'],
+        additionalProperties: false,
+        properties: {
+            amount:       { type: 'string', pattern: '^[0-9]{1,30}(\\.[0-9]{1,18})?$' },
+            slippage_bps: SlippageBps,
+            ...PinSignature
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code:                { type: 'integer' },
+                message:             { type: 'string' },
+                mode:                { type: 'string' },
+                card_id:             { type: 'string' },
+                source_token:        { type: 'string' },
+                source_currency:     { type: 'string' },
+                target_token:        { type: 'string' },
+                target_currency:     { type: 'string' },
+                sell_amount:         { type: 'string' },
+                expected_buy_amount: { type: 'string' },
+                min_buy_amount:      { type: 'string' },
+                slippage_bps:        { type: 'integer' },
+                quote_id:            { type: 'string', nullable: true },
+                ...ChainOperationResponse
+            }
+        }
+    }
+};
+
+/**
+ * API: Blocked merchants
+ * Merchants blacklisted on a card's contract. The list is kept server-side
+ * (the contract cannot enumerate it), each entry with its reason and the
+ * transaction or payment request it was blocked from.
+ */
+const BlockedMerchantResponse = {
+    type: 'object',
+    properties: {
+        merchant: { type: 'string' },
+        reason:   { type: 'string', nullable: true },
+        source: {
+            type: 'object',
+            nullable: true,
+            properties: {
+                type:       { type: 'string', enum: ['transaction', 'payment_request'] },
+                trans_id:   { type: 'string' },
+                request_id: { type: 'integer' }
+            }
+        },
+        blocked_at:       { type: 'integer' },
+        blocked_onchain:  { type: 'boolean', nullable: true },
+        transaction_hash: { type: 'string' }
+    }
+};
+
+const BlockedMerchantOperationResponse = {
+    200: {
+        type: 'object',
+        properties: {
+            code:    { type: 'integer' },
+            message: { type: 'string' },
+            mode:    { type: 'string' },
+            card_id: { type: 'string' },
+            ...BlockedMerchantResponse.properties,
+            ...ChainOperationResponse
+        }
+    }
+};
+
+const BlockMerchantBody = {
+    merchant:   MerchantLimitParams.properties.merchant,
+    trans_id:   { type: 'string', pattern: '^txn_[a-f0-9]{32}$' },
+    request_id: { type: 'integer', minimum: 1 },
+    reason:     { type: 'string', minLength: 1, maxLength: 200 }
+};
+
+const ListBlockedMerchantsSchema = {
+    description: 'Merchants blocked on a card, newest first, with their current on-chain status',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: CardIdParams,
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code:    { type: 'integer' },
+                mode:    { type: 'string' },
+                card_id: { type: 'string' },
+                data:    { type: 'array', items: BlockedMerchantResponse }
+            }
+        }
+    }
+};
+
+const ApiBlockMerchantSchema = {
+    description: 'Block a merchant on the card. Give the merchant address, or block the merchant of one of the '
+        + 'card\'s transactions (`trans_id`) or payment requests (`request_id`). A blocked merchant can no longer '
+        + 'submit or charge payment requests.',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: CardIdParams,
+    body: {
+        type: 'object',
+        required: ['reason', 'sig_r', 'sig_s'],
+        additionalProperties: false,
+        properties: {
+            ...BlockMerchantBody,
+            ...PinSignature
+        }
+    },
+    response: BlockedMerchantOperationResponse
+};
+
+const ApiUnblockMerchantSchema = {
+    description: 'Unblock a merchant on the card',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: MerchantLimitParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s'],
+        additionalProperties: false,
+        properties: PinSignature
+    },
+    response: BlockedMerchantOperationResponse
+};
+
+/**
+ * API: PIN rotation
+ * rotate_pin can only be sent by the card owner's wallet. Sign
+ * Poseidon('ROTATE', new_public_key, nonce) with the current PIN key,
+ * submit the signature to get the call, send it, then confirm.
+ */
+const PinKey = { type: 'string', pattern: '^0x[0-9a-fA-F]{1,64}$' };
+
+const PinRotationState = {
+    owner:          { type: 'string' },
+    new_public_key: { type: 'string' },
+    nonce:          { type: 'string' }
+};
+
+const GetPinRotationSchema = {
+    description: 'Current PIN nonce and the exact message to sign with the current (old) PIN key to rotate to `new_public_key`',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: CardIdParams,
+    querystring: {
+        type: 'object',
+        required: ['new_public_key'],
+        additionalProperties: false,
+        properties: {
+            new_public_key: PinKey
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code:               { type: 'integer' },
+                mode:               { type: 'string' },
+                card_id:            { type: 'string' },
+                ...PinRotationState,
+                current_public_key: { type: 'string' },
+                message_hash:       { type: 'string' },
+                message:            { type: 'array', items: { type: 'string' } },
+                pending: {
+                    type: 'object',
+                    nullable: true,
+                    properties: { ...PinRotationState, signed_at: { type: 'integer' } }
+                }
+            }
+        }
+    }
+};
+
+const ApiSubmitPinRotationSchema = {
+    description: 'Check a PIN rotation signature against the card\'s current key and nonce, and get the `rotate_pin` '
+        + 'call to send from the owner\'s wallet',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: CardIdParams,
+    body: {
+        type: 'object',
+        required: ['new_public_key', 'nonce', 'sig_r', 'sig_s'],
+        additionalProperties: false,
+        properties: {
+            new_public_key: PinKey,
+            nonce:          { type: 'string', pattern: '^[0-9]{1,20}$' },
+            ...PinSignature
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code:      { type: 'integer' },
+                message:   { type: 'string' },
+                mode:      { type: 'string' },
+                card_id:   { type: 'string' },
+                status:    { type: 'string' },
+                ...PinRotationState,
+                signed_at: { type: 'integer' },
+                call: {
+                    type: 'object',
+                    properties: {
+                        contract_address: { type: 'string' },
+                        entrypoint:       { type: 'string' },
+                        calldata:         { type: 'array', items: { type: 'string' } }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const ApiConfirmPinRotationSchema = {
+    description: 'Confirm a PIN rotation once the owner\'s `rotate_pin` transaction is sent. The new key is read back '
+        + 'from the contract before it is stored.',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: CardIdParams,
+    body: {
+        type: 'object',
+        required: ['transaction_hash'],
+        additionalProperties: false,
+        properties: {
+            transaction_hash: { type: 'string', pattern: '^0x[0-9a-fA-F]{1,64}$' }
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code:           { type: 'integer' },
+                message:        { type: 'string' },
+                mode:           { type: 'string' },
+                card_id:        { type: 'string' },
+                pin_public_key: { type: 'string' },
+                nonce:          { type: 'string' },
+                ...ChainOperationResponse
+            }
+        }
+    }
+};
+
+/**
+ * API: Fraud alerts
+ * Stored by the fraud monitor from the card's on-chain fraud alerts
+ * (source 'fraud_alert') and AnomalyDetected events (source 'anomaly',
+ * after which the contract has already frozen the card).
+ */
+const FraudAlertResponse = {
+    type: 'object',
+    properties: {
+        alert_id:         { type: 'string' },
+        source:           { type: 'string', enum: ['fraud_alert', 'anomaly'] },
+        alert_type:       { type: 'string' },
+        severity:         { type: 'integer' },
+        message:          { type: 'string' },
+        request_id:       { type: 'integer', nullable: true },
+        merchant:         { type: 'string', nullable: true },
+        amount_usd:       { type: 'string', nullable: true },
+        threshold_usd:    { type: 'string', nullable: true },
+        auto_blocked:     { type: 'boolean' },
+        transaction_hash: { type: 'string', nullable: true },
+        status:           { type: 'string', enum: ['open', 'resolved'] },
+        resolution:       { type: 'string', nullable: true },
+        detected_at:      { type: 'integer' },
+        resolved_at:      { type: 'integer', nullable: true }
+    }
+};
+
+const FraudAlertParams = {
+    type: 'object',
+    required: ['id', 'alert_id'],
+    properties: {
+        id:       { type: 'string', pattern: '^crd_[a-f0-9]{32}$' },
+        alert_id: { type: 'string', pattern: '^fra_[a-f0-9]{32}$' }
+    }
+};
+
+const ListFraudAlertsSchema = {
+    description: 'Fraud alerts raised on a card, newest first',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: CardIdParams,
+    querystring: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            status: { type: 'string', enum: ['open', 'resolved'] },
+            limit:  { type: 'integer', minimum: 1, maximum: 100, default: 50 }
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code:        { type: 'integer' },
+                mode:        { type: 'string' },
+                card_id:     { type: 'string' },
+                card_status: { type: 'string' },
+                data:        { type: 'array', items: FraudAlertResponse }
+            }
+        }
+    }
+};
+
+const ApiFreezeFromFraudAlertSchema = {
+    description: 'Freeze the card from one of its fraud alerts and resolve the alert. '
+        + 'A card that is already frozen is not frozen again.',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    params: FraudAlertParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s'],
+        additionalProperties: false,
+        properties: PinSignature
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                ...CardLifecycleResponse[200].properties,
+                transaction_hash: { type: 'string', nullable: true },
+                alert:            FraudAlertResponse
+            }
+        }
+    }
+};
+
+/**
+ * API: Create Card
+ * Accepts a JSON body with typed fields.
+ * currencies is a native array (API clients send real JSON, not form-encoded strings).
+ */
+const ApiCreateCardSchema = {
+    description: 'Create a new ZionDefi card and queue for blockchain deployment',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    body: {
+        type: 'object',
+        required: ['owner', 'pin_public_key', 'currencies', 'payment_mode'],
+        additionalProperties: false,
+        properties: {
+            owner:                  { type: 'string', minLength: 10, maxLength: 130 },
+            wallet_choice:          { type: 'string', enum: ['existing', 'generate'], default: 'existing' },
+            pin_public_key:         { type: 'string', minLength: 10, maxLength: 130 },
+            currencies:             { type: 'array', items: { type: 'string', minLength: 2 }, minItems: 1, maxItems: 20 },
+            payment_mode:           { type: 'string', enum: ['MerchantTokenOnly', 'AnyAcceptedToken'] },
+            settlement_mode:        { type: 'string', enum: ['Immediate', 'Delayed'] },
+            max_transaction_amount: { type: 'string', pattern: '^[0-9]+$', default: '0' },
+            daily_spend_limit:      { type: 'string', pattern: '^[0-9]+$', default: '0' },
+            daily_transaction_limit:{ type: 'integer', minimum: 1, maximum: 10000, default: 50 },
+            slippage_tolerance_bps: { type: 'integer', minimum: 0, maximum: 10000, default: 50 },
+            transfer_delay:         { type: 'integer', minimum: 0, maximum: 2592000, default: 86400 },
+            settlement_delay:       { type: 'integer', enum: [0, 1800], default: 1800 }
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code:    { type: 'integer' },
+                message: { type: 'string' },
+                mode:    { type: 'string' },
+                card_id: { type: 'string' },
+                status:  { type: 'string' }
+            }
+        }
+    }
+};
+
+/**
+ * API: Redeploy Card
+ */
+const ApiRedeployCardSchema = {
+    description: 'Redeploy a failed card to the blockchain',
+    tags: ['cards'],
+    security: [{ bearerAuth: [] }],
+    body: {
+        type: 'object',
+        required: ['card_id'],
+        additionalProperties: false,
+        properties: {
+            card_id: { type: 'string', minLength: 5 }
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code:    { type: 'integer' },
+                message: { type: 'string' },
+                card_id: { type: 'string' }
+            }
+        }
+    }
+};
+
+/**
+ * API: Payment requests (merchant-facing)
+ * amount is in whole token units as a decimal string (e.g. '12.50').
+ * token is a supported symbol (USDC) or its contract address.
+ */
+const PaymentRequestItemResponse = {
+    type: 'object',
+    properties: {
+        request_id:         { type: 'integer' },
+        card_address:       { type: 'string' },
+        merchant:           { type: 'string' },
+        token:              { type: 'string' },
+        currency:           { type: 'string', nullable: true },
+        amount:             { type: 'string', nullable: true },
+        amount_raw:         { type: 'string' },
+        is_recurring:       { type: 'boolean' },
+        status:             { type: 'string' },
+        description:        { type: 'string' },
+        metadata:           { nullable: true },
+        created_at:         { type: 'integer' },
+        approved_at:        { type: 'integer', nullable: true },
+        last_charged_at:    { type: 'integer', nullable: true },
+        charge_count:       { type: 'integer' },
+        trans_id:           { type: 'string', nullable: true },
+        transaction_status: { type: 'string', nullable: true },
+        transaction_hash:   { type: 'string' }
+    }
+};
+
+const ApiCreatePaymentRequestSchema = {
+    description: 'Submit a payment request against a card on behalf of the merchant set on this API client. '
+        + 'The card owner approves it unless it falls within the card\'s auto-approve threshold.',
+    tags: ['payment-requests'],
+    security: [{ bearerAuth: [] }],
+    body: {
+        type: 'object',
+        required: ['card_address', 'amount', 'token'],
+        additionalProperties: false,
+        properties: {
+            card_address: { type: 'string', pattern: '^0x[0-9a-fA-F]{1,64}$' },
+            amount:       { type: 'string', pattern: '^[0-9]{1,30}(\\.[0-9]{1,18})?$' },
+            token:        { type: 'string', minLength: 3, maxLength: 66 },
+            is_recurring: { type: 'boolean', default: false },
+            description:  { type: 'string', maxLength: 200, default: '' },
+            metadata: {
+                type: 'object',
+                maxProperties: 20,
+                additionalProperties: { type: 'string', maxLength: 500 }
+            },
+            reference:    { type: 'string', maxLength: 64, pattern: '^[A-Za-z0-9_\\-:.]+$' }
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code:    { type: 'integer' },
+                message: { type: 'string' },
+                mode:    { type: 'string' },
+                data:    PaymentRequestItemResponse
+            }
+        }
+    }
+};
+
+const GetPaymentRequestSchema = {
+    description: 'Retrieve a payment request from the card contract, with its mirrored transaction',
+    tags: ['payment-requests'],
+    security: [{ bearerAuth: [] }],
+    params: {
+        type: 'object',
+        required: ['card', 'id'],
+        properties: {
+            card: { type: 'string', pattern: '^0x[0-9a-fA-F]{1,64}$' },
+            id:   { type: 'integer', minimum: 1 }
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code: { type: 'integer' },
+                mode: { type: 'string' },
+                data: PaymentRequestItemResponse
+            }
+        }
+    }
+};
+
+/**
+ * API: Payment request inbox (cardholder-facing)
+ * Approve, reject and revoke each take a fresh PIN signature; a batch
+ * approval covers up to 10 requests on one card with a single signature.
+ */
+const MerchantInfoResponse = {
+    type: 'object',
+    properties: {
+        registered:    { type: 'boolean' },
+        business_name: { type: 'string', nullable: true },
+        contact_email: { type: 'string', nullable: true },
+        is_active:     { type: 'boolean' },
+        kyc_verified:  { type: 'boolean' },
+        registered_at: { type: 'integer', nullable: true }
+    }
+};
+
+const PaymentInboxItemResponse = {
+    type: 'object',
+    properties: {
+        card_id:       { type: 'string' },
+        card_name:     { type: 'string' },
+        card_status:   { type: 'string' },
+        ...PaymentRequestItemResponse.properties,
+        merchant_blocked: { type: 'boolean' },
+        merchant_info:    MerchantInfoResponse
+    }
+};
+
+const PaymentRequestDecisionItemResponse = {
+    type: 'object',
+    properties: {
+        card_id: { type: 'string' },
+        ...PaymentRequestItemResponse.properties,
+        ...ChainOperationResponse
+    }
+};
+
+const CardRequestParams = {
+    type: 'object',
+    required: ['id', 'request_id'],
+    properties: {
+        id:         { type: 'string', pattern: '^crd_[a-f0-9]{32}$' },
+        request_id: { type: 'integer', minimum: 1 }
+    }
+};
+
+const ListPaymentInboxSchema = {
+    description: 'Pending payment requests across all of your deployed cards, newest first, with merchant details',
+    tags: ['payment-requests'],
+    security: [{ bearerAuth: [] }],
+    querystring: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            card_id: { type: 'string', pattern: '^crd_[a-f0-9]{32}$' }
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code: { type: 'integer' },
+                mode: { type: 'string' },
+                data: { type: 'array', items: PaymentInboxItemResponse },
+                cards: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            card_id:       { type: 'string' },
+                            card_address:  { type: 'string' },
+                            status:        { type: 'string' },
+                            available:     { type: 'boolean' },
+                            pending_count: { type: 'integer' },
+                            has_more:      { type: 'boolean' }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const ApiPaymentRequestDecisionSchema = {
+    description: 'Approve or reject a pending payment request, or revoke an approval that has not been charged yet',
+    tags: ['payment-requests'],
+    security: [{ bearerAuth: [] }],
+    params: CardRequestParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s'],
+        additionalProperties: false,
+        properties: PinSignature
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code:    { type: 'integer' },
+                message: { type: 'string' },
+                mode:    { type: 'string' },
+                data:    PaymentRequestDecisionItemResponse
+            }
+        }
+    }
+};
+
+const BatchApproveIds = {
+    type: 'array',
+    minItems: 1,
+    maxItems: 10,
+    uniqueItems: true,
+    items: { type: 'integer', minimum: 1 }
+};
+
+const ApiBatchApproveSchema = {
+    description: 'Approve up to 10 pending payment requests on one card with a single PIN signature. '
+        + 'Requests that are no longer pending, or whose merchant is blacklisted, are returned in `skipped`.',
+    tags: ['payment-requests'],
+    security: [{ bearerAuth: [] }],
+    params: CardIdParams,
+    body: {
+        type: 'object',
+        required: ['request_ids', 'sig_r', 'sig_s'],
+        additionalProperties: false,
+        properties: {
+            request_ids: BatchApproveIds,
+            ...PinSignature
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code:     { type: 'integer' },
+                message:  { type: 'string' },
+                mode:     { type: 'string' },
+                ...ChainOperationResponse,
+                approved: { type: 'array', items: PaymentRequestDecisionItemResponse },
+                skipped: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            request_id: { type: 'integer' },
+                            status:     { type: 'string' }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * API: Time-locked transfers
+ * A withdrawal pays the card owner's wallet, a transfer pays `recipient`
+ * (required for kind 'transfer').
+ * Funds are reserved at once and paid out by finalize after the card's
+ * transfer delay; until then the owner can cancel with a PIN signature.
+ */
+const TransferItemResponse = {
+    type: 'object',
+    properties: {
+        transfer_id:       { type: 'integer' },
+        trans_id:          { type: 'string' },
+        card_address:      { type: 'string' },
+        kind:              { type: 'string', enum: ['withdrawal', 'transfer'] },
+        status:            { type: 'string', enum: ['pending', 'executable', 'completed', 'cancelled'] },
+        recipient:         { type: 'string' },
+        amount:            { type: 'string' },
+        currency:          { type: 'string' },
+        unlocks_at:        { type: 'integer' },
+        seconds_remaining: { type: 'integer' },
+        created_at:        { type: 'integer' },
+        updated_at:        { type: 'integer' }
+    }
+};
+
+const TransferOperationResponse = {
+    200: {
+        type: 'object',
+        properties: {
+            code:    { type: 'integer' },
+            message: { type: 'string' },
+            mode:    { type: 'string' },
+            data: {
+                type: 'object',
+                properties: {
+                    card_id: { type: 'string' },
+                    ...TransferItemResponse.properties,
+                    ...ChainOperationResponse
+                }
+            }
+        }
+    }
+};
+
+const CardTransferParams = {
+    type: 'object',
+    required: ['id', 'transfer_id'],
+    properties: {
+        id:          { type: 'string', pattern: '^crd_[a-f0-9]{32}$' },
+        transfer_id: { type: 'integer', minimum: 1 }
+    }
+};
+
+const TransferBody = {
+    kind:      { type: 'string', enum: ['withdrawal', 'transfer'] },
+    token:     { type: 'string', minLength: 3, maxLength: 66 },
+    amount:    { type: 'string', pattern: '^[0-9]{1,30}(\\.[0-9]{1,18})?$' },
+    recipient: { type: 'string', pattern: '^0x[0-9a-fA-F]{1,64}$' }
+};
+
+const ListTransfersSchema = {
+    description: 'Withdrawals and transfers across your cards. Open ones come first, soonest unlock first, '
+        + 'with the seconds left until they can be finalized.',
+    tags: ['transfers'],
+    security: [{ bearerAuth: [] }],
+    querystring: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            card_id: { type: 'string', pattern: '^crd_[a-f0-9]{32}$' },
+            status:  { type: 'string', enum: ['open', 'completed', 'cancelled', 'all'], default: 'open' }
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code:  { type: 'integer' },
+                mode:  { type: 'string' },
+                as_of: { type: 'integer' },
+                data:  { type: 'array', items: TransferItemResponse }
+            }
+        }
+    }
+};
+
+const ApiCreateTransferSchema = {
+    description: 'Withdraw to the card owner\'s wallet, or transfer to another address. The amount is locked '
+        + 'for the card\'s transfer delay and can be cancelled until it is finalized.',
+    tags: ['transfers'],
+    security: [{ bearerAuth: [] }],
+    params: CardIdParams,
+    body: {
+        type: 'object',
+        required: ['kind', 'token', 'amount', 'sig_r', 'sig_s'],
+        additionalProperties: false,
+        properties: {
+            ...TransferBody,
+            ...PinSignature
+        }
+    },
+    response: TransferOperationResponse
+};
+
+const ApiFinalizeTransferSchema = {
+    description: 'Pay out a transfer whose delay has passed. No PIN signature is needed.',
+    tags: ['transfers'],
+    security: [{ bearerAuth: [] }],
+    params: CardTransferParams,
+    response: TransferOperationResponse
+};
+
+const ApiCancelTransferSchema = {
+    description: 'Cancel a transfer that has not been finalized; the funds return to the card balance',
+    tags: ['transfers'],
+    security: [{ bearerAuth: [] }],
+    params: CardTransferParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s'],
+        additionalProperties: false,
+        properties: PinSignature
+    },
+    response: TransferOperationResponse
+};
+
+// ─── Dashboard Schemas (form-encoded, CSRF token present) ───────────
+
+/**
+ * Dashboard: Create Card
+ * Form-encoded: currencies arrives as a JSON string, numeric fields as strings.
+ */
+const DashboardCreateCardSchema = {
+    description: 'Create card from dashboard form',
+    tags: ['cards'],
+    body: {
+        type: 'object',
+        required: ['owner', 'pin_public_key', 'currencies', 'payment_mode'],
+        properties: {
+            owner:                  { type: 'string', minLength: 10, maxLength: 130 },
+            wallet_choice:          { type: 'string', enum: ['existing', 'generate'] },
+            pin_public_key:         { type: 'string', minLength: 10, maxLength: 130 },
+            currencies:             { type: 'string', minLength: 2 },           // JSON-encoded array
+            payment_mode:           { type: 'string', enum: ['MerchantTokenOnly', 'AnyAcceptedToken'] },
+            max_transaction_amount: { type: 'string', default: '0' },
+            daily_spend_limit:      { type: 'string', default: '0' },
+            daily_transaction_limit:{ type: 'integer', minimum: 1, maximum: 10000, default: 50 },
+            slippage_tolerance_bps: { type: 'integer', minimum: 0, maximum: 10000, default: 50 },
+            transfer_delay:         { type: 'integer', minimum: 0, maximum: 2592000, default: 86400 },
+            settlement_delay:       { type: 'integer', default: 0 },
+            _csrf:                  { type: 'string' }
+        }
+    }
+};
+
+/**
+ * Dashboard: Redeploy Card
+ */
+const DashboardRedeployCardSchema = {
+    description: 'Redeploy card from dashboard',
+    tags: ['cards'],
+    body: {
+        type: 'object',
+        required: ['card_id'],
+        properties: {
+            card_id: { type: 'string', minLength: 5 },
+            _csrf:   { type: 'string' }
+        }
+    }
+};
+
+/**
+ * Dashboard: Spending limits — same fields as the API, plus the CSRF token.
+ */
+const DashboardCardLimitsSchema = {
+    description: 'Update card spending limits from dashboard',
+    tags: ['cards'],
+    params: CardIdParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s'],
+        properties: {
+            ...ApiUpdateCardLimitsSchema.body.properties,
+            _csrf: { type: 'string' }
+        }
+    }
+};
+
+const DashboardSetMerchantLimitSchema = {
+    description: 'Set a merchant spend limit from dashboard',
+    tags: ['cards'],
+    params: MerchantLimitParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s', 'max_amount_usd'],
+        properties: {
+            ...PinSignature,
+            max_amount_usd: UsdAmount,
+            _csrf:          { type: 'string' }
+        }
+    }
+};
+
+const DashboardRemoveMerchantLimitSchema = {
+    description: 'Remove a merchant spend limit from dashboard',
+    tags: ['cards'],
+    params: MerchantLimitParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s'],
+        properties: {
+            ...PinSignature,
+            _csrf: { type: 'string' }
+        }
+    }
+};
+
+const DashboardSetAutoSwapRuleSchema = {
+    description: 'Set an auto-swap rule from dashboard',
+    tags: ['cards'],
+    params: AutoSwapParams,
+    body: {
+        type: 'object',
+        required: ['target', 'sig_r', 'sig_s'],
+        properties: {
+            target: AutoSwapParams.properties.source,
+            ...PinSignature,
+            _csrf:  { type: 'string' }
+        }
+    }
+};
+
+const DashboardRemoveAutoSwapRuleSchema = {
+    description: 'Remove an auto-swap rule from dashboard',
+    tags: ['cards'],
+    params: AutoSwapParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s'],
+        properties: {
+            ...PinSignature,
+            _csrf: { type: 'string' }
+        }
+    }
+};
+
+const DashboardRunAutoSwapSchema = {
+    description: 'Run an auto-swap rule now from dashboard',
+    tags: ['cards'],
+    params: AutoSwapParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s'],
+        properties: {
+            amount:       ApiRunAutoSwapSchema.body.properties.amount,
+            slippage_bps: SlippageBps,
+            ...PinSignature,
+            _csrf:        { type: 'string' }
+        }
+    }
+};
+
+const DashboardBlockMerchantSchema = {
+    description: 'Block a merchant from dashboard',
+    tags: ['cards'],
+    params: CardIdParams,
+    body: {
+        type: 'object',
+        required: ['reason', 'sig_r', 'sig_s'],
+        properties: {
+            ...BlockMerchantBody,
+            ...PinSignature,
+            _csrf: { type: 'string' }
+        }
+    }
+};
+
+const DashboardUnblockMerchantSchema = {
+    description: 'Unblock a merchant from dashboard',
+    tags: ['cards'],
+    params: MerchantLimitParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s'],
+        properties: {
+            ...PinSignature,
+            _csrf: { type: 'string' }
+        }
+    }
+};
+
+const DashboardPinRotationSchema = {
+    description: 'PIN rotation message for dashboard',
+    tags: ['cards'],
+    params: CardIdParams,
+    querystring: GetPinRotationSchema.querystring
+};
+
+const DashboardSubmitPinRotationSchema = {
+    description: 'Submit a signed PIN rotation from dashboard',
+    tags: ['cards'],
+    params: CardIdParams,
+    body: {
+        type: 'object',
+        required: ['new_public_key', 'nonce', 'sig_r', 'sig_s'],
+        properties: {
+            ...ApiSubmitPinRotationSchema.body.properties,
+            _csrf: { type: 'string' }
+        }
+    }
+};
+
+const DashboardConfirmPinRotationSchema = {
+    description: 'Confirm a PIN rotation from dashboard',
+    tags: ['cards'],
+    params: CardIdParams,
+    body: {
+        type: 'object',
+        required: ['transaction_hash'],
+        properties: {
+            ...ApiConfirmPinRotationSchema.body.properties,
+            _csrf: { type: 'string' }
+        }
+    }
+};
+
+const DashboardFraudAlertsSchema = {
+    description: 'Fraud alerts of a card for dashboard',
+    tags: ['cards'],
+    params: CardIdParams,
+    querystring: ListFraudAlertsSchema.querystring
+};
+
+const DashboardFreezeFromFraudAlertSchema = {
+    description: 'Freeze a card from a fraud alert in dashboard',
+    tags: ['cards'],
+    params: FraudAlertParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s'],
+        properties: {
+            ...PinSignature,
+            _csrf: { type: 'string' }
+        }
+    }
+};
+
+const DashboardPaymentInboxSchema = {
+    description: 'Payment request inbox for dashboard',
+    tags: ['payment-requests'],
+    querystring: ListPaymentInboxSchema.querystring
+};
+
+const DashboardPaymentRequestDecisionSchema = {
+    description: 'Approve, reject or revoke a payment request from dashboard',
+    tags: ['payment-requests'],
+    params: CardRequestParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s'],
+        properties: {
+            ...PinSignature,
+            _csrf: { type: 'string' }
+        }
+    }
+};
+
+/**
+ * Dashboard: Batch approve
+ * request_ids arrives as a JSON-encoded array.
+ */
+const DashboardBatchApproveSchema = {
+    description: 'Approve several payment requests on one card from dashboard',
+    tags: ['payment-requests'],
+    params: CardIdParams,
+    body: {
+        type: 'object',
+        required: ['request_ids', 'sig_r', 'sig_s'],
+        properties: {
+            request_ids: { type: 'string', minLength: 3 },                  // JSON-encoded array
+            ...PinSignature,
+            _csrf:       { type: 'string' }
+        }
+    }
+};
+
+const DashboardTransfersSchema = {
+    description: 'Transfers panel for dashboard',
+    tags: ['transfers'],
+    querystring: ListTransfersSchema.querystring
+};
+
+const DashboardCreateTransferSchema = {
+    description: 'Create a withdrawal or transfer from dashboard',
+    tags: ['transfers'],
+    params: CardIdParams,
+    body: {
+        type: 'object',
+        required: ['kind', 'token', 'amount', 'sig_r', 'sig_s'],
+        properties: {
+            ...TransferBody,
+            ...PinSignature,
+            _csrf: { type: 'string' }
+        }
+    }
+};
+
+const DashboardFinalizeTransferSchema = {
+    description: 'Finalize an unlocked transfer from dashboard',
+    tags: ['transfers'],
+    params: CardTransferParams,
+    body: {
+        type: 'object',
+        properties: {
+            _csrf: { type: 'string' }
+        }
+    }
+};
+
+const DashboardCancelTransferSchema = {
+    description: 'Cancel a pending transfer from dashboard',
+    tags: ['transfers'],
+    params: CardTransferParams,
+    body: {
+        type: 'object',
+        required: ['sig_r', 'sig_s'],
+        properties: {
+            ...PinSignature,
+            _csrf: { type: 'string' }
+        }
+    }
+};
+
+// ─── Developer Credential Schemas (dashboard, form-encoded) ─────────
+
+const ApiClientParams = {
+    type: 'object',
+    required: ['client_id'],
+    properties: {
+        client_id: { type: 'string', pattern: '^(live|test)_[a-f0-9]{64}$' }
+    }
+};
+
+/**
+ * Dashboard: Create API Client
+ * allowed_ips and scopes arrive as JSON-encoded arrays.
+ */
+const DashboardCreateApiClientSchema = {
+    description: 'Create an API client (client_id / client_secret pair)',
+    tags: ['developers'],
+    body: {
+        type: 'object',
+        required: ['name', 'scopes'],
+        properties: {
+            name:           { type: 'string', minLength: 2, maxLength: 60 },
+            is_live:        { type: 'boolean', default: false },
+            allowed_ips:    { type: 'string', default: '[]' },              // JSON-encoded array
+            rate_limit_rpm: { type: 'integer', minimum: 0, maximum: 1000 },  // lowers the plan's rate, 0 = plan default
+            scopes:         { type: 'string', minLength: 2 },               // JSON-encoded array
+            merchant_address: { type: 'string', pattern: '^(0x[0-9a-fA-F]{1,64})?$' }, // empty clears it
+            merchant_signature: { type: 'string' },                         // JSON-encoded felts over the merchant challenge
+            _csrf:          { type: 'string' }
+        }
+    }
+};
+
+const DashboardRenameApiClientSchema = {
+    description: 'Rename an API client',
+    tags: ['developers'],
+    params: ApiClientParams,
+    body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name:  { type: 'string', minLength: 2, maxLength: 60 },
+            _csrf: { type: 'string' }
+        }
+    }
+};
+
+const DashboardApiClientPoliciesSchema = {
+    description: 'Update allowed IPs, rate limit, scopes and merchant of an API client. The plan is set by billing',
+    tags: ['developers'],
+    params: ApiClientParams,
+    body: {
+        type: 'object',
+        properties: {
+            allowed_ips:    { type: 'string' },                             // JSON-encoded array
+            rate_limit_rpm: { type: 'integer', minimum: 0, maximum: 1000 },  // lowers the plan's rate, 0 = plan default
+            scopes:         { type: 'string', minLength: 2 },               // JSON-encoded array
+            merchant_address: { type: 'string', pattern: '^(0x[0-9a-fA-F]{1,64})?$' }, // empty clears it
+            merchant_signature: { type: 'string' },                         // JSON-encoded felts over the merchant challenge
+            _csrf:          { type: 'string' }
+        }
+    }
+};
+
+/**
+ * Dashboard: Merchant challenge
+ * Typed data the merchant account signs when its payout wallet is not one
+ * of the user's card wallets; the signature goes in merchant_signature.
+ */
+const DashboardMerchantChallengeSchema = {
+    description: 'SNIP-12 message proving control of a merchant address for an API client',
+    tags: ['developers'],
+    body: {
+        type: 'object',
+        required: ['merchant_address'],
+        properties: {
+            merchant_address: { type: 'string', pattern: '^0x[0-9a-fA-F]{1,64}$' },
+            is_live:          { type: 'boolean', default: false },
+            _csrf:            { type: 'string' }
+        }
+    }
+};
+
+const DashboardApiClientUsageSchema = {
+    description: 'Request volume, error rate and recent failures of an API client',
+    tags: ['developers'],
+    params: ApiClientParams,
+    querystring: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            period: { type: 'string', enum: ['24h', '7d', '30d'], default: '7d' }
+        }
+    }
+};
+
+/**
+ * Dashboard: Rotate secret / Revoke — no body beyond the CSRF token.
+ */
+const DashboardApiClientActionSchema = {
+    description: 'Rotate the secret of, or revoke, an API client',
+    tags: ['developers'],
+    params: ApiClientParams
+};
+
+/**
+ * Webhooks
+ * Endpoints are registered over the API; the delivery log and replay
+ * are also available from the dashboard.
+ */
+const WEBHOOK_EVENTS = ['card.deployed', 'card.failed', 'transaction.updated', 'transfer.unlocked', 'bridge.completed', '*'];
+
+const WebhookEndpointParams = {
+    type: 'object',
+    required: ['endpoint_id'],
+    properties: {
+        endpoint_id: { type: 'string', pattern: '^whe_[a-f0-9]{32}$' }
+    }
+};
+
+const WebhookDeliveryParams = {
+    type: 'object',
+    required: ['delivery_id'],
+    properties: {
+        delivery_id: { type: 'string', pattern: '^whd_[a-f0-9]{32}$' }
+    }
+};
+
+const WebhookEndpointResponse = {
+    type: 'object',
+    properties: {
+        endpoint_id: { type: 'string' },
+        url:         { type: 'string' },
+        description: { type: 'string' },
+        events:      { type: 'array', items: { type: 'string' } },
+        is_live:     { type: 'boolean' },
+        created_at:  { type: 'integer' },
+        updated_at:  { type: 'integer' }
+    }
+};
+
+const WebhookDeliveryResponse = {
+    type: 'object',
+    properties: {
+        delivery_id:      { type: 'string' },
+        endpoint_id:      { type: 'string' },
+        event_id:         { type: 'string' },
+        event:            { type: 'string' },
+        url:              { type: 'string' },
+        status:           { type: 'string' },
+        attempt_count:    { type: 'integer' },
+        last_status_code: { type: 'integer', nullable: true },
+        last_error:       { type: 'string', nullable: true },
+        created_at:       { type: 'integer' },
+        updated_at:       { type: 'integer' }
+    }
+};
+
+const webhookDeliveriesQuery = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        ...cursorQuery('^whd_[a-f0-9]{32}$', 100, 20),
+        endpoint_id: { type: 'string', pattern: '^whe_[a-f0-9]{32}$' },
+        status:      { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+        event:       { type: 'string', enum: WEBHOOK_EVENTS.filter(e => e !== '*') }
+    }
+};
+
+const ListWebhooksSchema = {
+    description: 'List webhook endpoints registered in the current mode',
+    tags: ['webhooks'],
+    security: [{ bearerAuth: [] }],
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code: { type: 'integer' },
+                mode: { type: 'string' },
+                data: { type: 'array', items: WebhookEndpointResponse }
+            }
+        }
+    }
+};
+
+const ApiCreateWebhookSchema = {
+    description: 'Register a webhook endpoint. The signing secret is returned only once.',
+    tags: ['webhooks'],
+    security: [{ bearerAuth: [] }],
+    body: {
+        type: 'object',
+        required: ['url', 'events'],
+        additionalProperties: false,
+        properties: {
+            url:         { type: 'string', minLength: 10, maxLength: 2048 },
+            events:      { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS }, minItems: 1, maxItems: WEBHOOK_EVENTS.length },
+            description: { type: 'string', maxLength: 200 }
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code:   { type: 'integer' },
+                mode:   { type: 'string' },
+                secret: { type: 'string' },
+                data:   WebhookEndpointResponse
+            }
+        }
+    }
+};
+
+const ApiUpdateWebhookSchema = {
+    description: 'Change the URL, event filter or description of a webhook endpoint',
+    tags: ['webhooks'],
+    security: [{ bearerAuth: [] }],
+    params: WebhookEndpointParams,
+    body: {
+        type: 'object',
+        additionalProperties: false,
+        minProperties: 1,
+        properties: {
+            url:         { type: 'string', minLength: 10, maxLength: 2048 },
+            events:      { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS }, minItems: 1, maxItems: WEBHOOK_EVENTS.length },
+            description: { type: 'string', maxLength: 200 }
+        }
+    },
+    response: {
+        200: {
+            type: 'object',
+            properties: {
+                code: { type: 'integer' },
+                data: WebhookEndpointResponse
+            }
+        }
+    }
+};
+
+const ApiWebhookActionSchema = {
+    description: 'Rotate the signing secret of, or delete, a webhook endpoint',
+    tags: ['webhooks'],
+    security: [{ bearerAuth: [] }],
+    params: WebhookEndpointParams
+};
+
+const ListWebhookDeliveriesSchema = {
+    description: 'List webhook delivery attempts with cursor pagination',
+    tags: ['webhooks'],
+    security: [{ bearerAuth: [] }],
+    querystring: webhookDeliveriesQuery,
+    response: {
+        200: listResponse(WebhookDeliveryResponse)
+    }
+};
+
+const DashboardWebhookDeliveriesSchema = {
+    description: 'Webhook delivery log',
+    tags: ['developers'],
+    querystring: webhookDeliveriesQuery
+};
+
+const DashboardWebhookDeliverySchema = {
+    description: 'A single webhook delivery with its payload and attempt log',
+    tags: ['developers'],
+    params: WebhookDeliveryParams
+};
+
+/**
+ * Dashboard: Replay — no body beyond the CSRF token.
+ */
+const DashboardReplayWebhookSchema = {
+    description: 'Re-send a webhook delivery',
+    tags: ['developers'],
+    params: WebhookDeliveryParams
+};
+
+/**
+ * API: Sandbox simulator
+ * Sandbox tokens only. Drives synthetic transactions, card statuses and
+ * bridges through the same transitions (and webhooks) as the real flows.
+ */
+const SimulatedCardResponse = {
+    type: 'object',
+    properties: {
+        card_id:         { type: 'string' },
+        status:          { type: 'string' },
+        previous_status: { type: 'string' },
+        address:         { type: 'string', nullable: true },
+        frozen_reason:   { type: 'string', nullable: true },
+        deploy_error:    { type: 'string', nullable: true }
+    }
+};
+
+const SimulatedBridgeResponse = {
+    type: 'object',
+    properties: {
+        reference_id:        { type: 'string' },
+        swap_id:             { type: 'string', nullable: true },
+        card_id:             { type: 'string', nullable: true },
+        status:              { type: 'string' },
+        source_network:      { type: 'string', nullable: true },
+        source_token:        { type: 'string', nullable: true },
+        destination_network: { type: 'string', nullable: true },
+        destination_address: { type: 'string', nullable: true },
+        amount:              { type: 'number', nullable: true },
+        received_amount:     { type: 'number', nullable: true }
+    }
+};
+
+const sandboxResponse = (dataSchema) => ({
+    200: {
+        type: 'object',
+        properties: {
+            code:    { type: 'integer' },
+            message: { type: 'string' },
+            mode:    { type: 'string' },
+            data:    dataSchema
+        }
+    }
+});
+
+const ApiSandboxCreateTransactionSchema = {
+    description: 'Create a synthetic transaction on one of your sandbox cards. Payments and subscriptions start '
+        + 'pending_approval; withdrawals and transfers start locked in processing for `unlocks_in` seconds. '
+        + 'Sends transaction.updated.',
+    tags: ['sandbox'],
+    security: [{ bearerAuth: [] }],
+    body: {
+        type: 'object',
+        required: ['card_id', 'amount', 'currency'],
+        additionalProperties: false,
+        properties: {
+            card_id:    { type: 'string', pattern: '^crd_[a-f0-9]{32}$' },
+            type:       { type: 'string', enum: ['payment', 'subscription', 'withdrawal', 'transfer'], default: 'payment' },
+            amount:     { type: 'string', pattern: '^[0-9]{1,30}(\\.[0-9]{1,18})?$' },
+            currency:   { type: 'string', pattern: '^[A-Za-z]{2,10}$' },
+            merchant:   { type: 'string', pattern: '^0x[0-9a-fA-F]{1,64}$' },
+            recipient:  { type: 'string', pattern: '^0x[0-9a-fA-F]{1,64}$' },
+            unlocks_in: { type: 'integer', minimum: 0, maximum: 2592000, default: 0 },
+            metadata: {
+                type: 'object',
+                maxProperties: 20,
+                additionalProperties: { type: 'string', maxLength: 500 }
+            },
+            reference:  { type: 'string', maxLength: 64, pattern: '^[A-Za-z0-9_\\-:.]+$' }
+        }
+    },
+    response: sandboxResponse(TransactionItemResponse)
+};
+
+const ApiSandboxAdvanceTransactionSchema = {
+    description: 'Move a synthetic transaction one step: approve / reject (pending_approval), settle / fail / '
+        + 'revoke / cancel (processing), or unlock a withdrawal or transfer (notification and transfer.unlocked). '
+        + 'Sends transaction.updated on every status change.',
+    tags: ['sandbox'],
+    security: [{ bearerAuth: [] }],
+    params: {
+        type: 'object',
+        required: ['trans_id'],
+        properties: {
+            trans_id: { type: 'string', pattern: '^txn_[a-f0-9]{32}$' }
+        }
+    },
+    body: {
+        type: 'object',
+        required: ['action'],
+        additionalProperties: false,
+        properties: {
+            action: { type: 'string', enum: ['approve', 'reject', 'settle', 'fail', 'revoke', 'cancel', 'unlock'] },
+            note:   { type: 'string', maxLength: 200 }
+        }
+    },
+    response: sandboxResponse(TransactionItemResponse)
+};
+
+const ApiSandboxCardStatusSchema = {
+    description: 'Flip a sandbox card\'s status. active finishes a pending deployment (card.deployed) or unfreezes; '
+        + 'failed fails a pending deployment (card.failed); frozen and terminated need an active card. '
+        + 'Nothing is sent on-chain, so a card without a contract stays undeployed for on-chain routes. '
+        + 'A simulated deployment cancels the queued Sepolia one; a card already deploying answers 409.',
+    tags: ['sandbox'],
+    security: [{ bearerAuth: [] }],
+    params: CardIdParams,
+    body: {
+        type: 'object',
+        required: ['status'],
+        additionalProperties: false,
+        properties: {
+            status: { type: 'string', enum: ['active', 'failed', 'frozen', 'terminated'] },
+            reason: { type: 'string', maxLength: 200 }
+        }
+    },
+    response: sandboxResponse(SimulatedCardResponse)
+};
+
+const ApiSandboxCompleteBridgeSchema = {
+    description: 'Mark one of your sandbox bridge deposits completed and send bridge.completed',
+    tags: ['sandbox'],
+    security: [{ bearerAuth: [] }],
+    params: {
+        type: 'object',
+        required: ['reference_id'],
+        properties: {
+            reference_id: { type: 'string', pattern: '^[0-9a-fA-F-]{36}$' }
+        }
+    },
+    body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            received_amount: { type: 'number', minimum: 0 }
+        }
+    },
+    response: sandboxResponse(SimulatedBridgeResponse)
+};
+
 module.exports = {
-    GetCardsSchema,
+    OAuthTokenSchema,
+    OAuthRevokeSchema,
+    OAuthIntrospectSchema,
+    ListCardsSchema,
+    ListTransactionsSchema,
+    GetTransactionSchema,
+    ApiStatsSchema,
     ApiCreateCardSchema,
     ApiRedeployCardSchema,
+    ApiFreezeCardSchema,
+    ApiCardPinActionSchema,
+    GetCardBalancesSchema,
+    GetCardLimitsSchema,
+    ApiUpdateCardLimitsSchema,
+    ApiSetMerchantLimitSchema,
+    ApiRemoveMerchantLimitSchema,
+    ListAutoSwapRulesSchema,
+    ApiSetAutoSwapRuleSchema,
+    ApiRemoveAutoSwapRuleSchema,
+    ApiRunAutoSwapSchema,
+    ListBlockedMerchantsSchema,
+    ApiBlockMerchantSchema,
+    ApiUnblockMerchantSchema,
+    GetPinRotationSchema,
+    ApiSubmitPinRotationSchema,
+    ApiConfirmPinRotationSchema,
+    ListFraudAlertsSchema,
+    ApiFreezeFromFraudAlertSchema,
+    ApiCreatePaymentRequestSchema,
+    GetPaymentRequestSchema,
+    ListPaymentInboxSchema,
+    ApiPaymentRequestDecisionSchema,
+    ApiBatchApproveSchema,
+    ListTransfersSchema,
+    ApiCreateTransferSchema,
+    ApiFinalizeTransferSchema,
+    ApiCancelTransferSchema,
     DashboardCreateCardSchema,
-    DashboardRedeployCardSchema
+    DashboardRedeployCardSchema,
+    DashboardCardLimitsSchema,
+    DashboardSetMerchantLimitSchema,
+    DashboardRemoveMerchantLimitSchema,
+    DashboardSetAutoSwapRuleSchema,
+    DashboardRemoveAutoSwapRuleSchema,
+    DashboardRunAutoSwapSchema,
+    DashboardBlockMerchantSchema,
+    DashboardUnblockMerchantSchema,
+    DashboardPinRotationSchema,
+    DashboardSubmitPinRotationSchema,
+    DashboardConfirmPinRotationSchema,
+    DashboardFraudAlertsSchema,
+    DashboardFreezeFromFraudAlertSchema,
+    DashboardPaymentInboxSchema,
+    DashboardPaymentRequestDecisionSchema,
+    DashboardBatchApproveSchema,
+    DashboardTransfersSchema,
+    DashboardCreateTransferSchema,
+    DashboardFinalizeTransferSchema,
+    DashboardCancelTransferSchema,
+    DashboardCreateApiClientSchema,
+    DashboardRenameApiClientSchema,
+    DashboardApiClientPoliciesSchema,
+    DashboardApiClientActionSchema,
+    DashboardApiClientUsageSchema,
+    DashboardMerchantChallengeSchema,
+    ListWebhooksSchema,
+    ApiCreateWebhookSchema,
+    ApiUpdateWebhookSchema,
+    ApiWebhookActionSchema,
+    ListWebhookDeliveriesSchema,
+    DashboardWebhookDeliveriesSchema,
+    DashboardWebhookDeliverySchema,
+    DashboardReplayWebhookSchema,
+    ApiSandboxCreateTransactionSchema,
+    ApiSandboxAdvanceTransactionSchema,
+    ApiSandboxCardStatusSchema,
+    ApiSandboxCompleteBridgeSchema
 };
\ No newline at end of file
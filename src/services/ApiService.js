@@ -4,15 +4,59 @@ const ipaddr = require('ipaddr.js');
 const EncryptionService = require('./EncryptionService');
 const RedisService = require('./RedisService');
 const RabbitService = require('./RabbitService');
+const StarknetCardService = require('./StarknetCardService');
+const StarknetConfig = require('./StarknetConfig');
+const Avnu = require('../utils/Avnu');
 const DateHelper = require('../utils/DateHelper');
+const ApiClient = require('../models/ApiClient');
+const ApiRequestLog = require('../models/ApiRequestLog');
+const AppError = require('../lib/AppError');
+
+const MAX_ACTIVE_CLIENTS = 10;
+const USD_DECIMALS = 8; // On-chain USD amounts (limits, thresholds, oracle prices)
+
+// Contract caps: get_pending_requests returns ≤100, approve_multiple_requests takes ≤10
+const INBOX_PAGE_SIZE = 100;
+const MAX_BATCH_APPROVALS = 10;
+
+// Cardholder decisions on a payment request: on-chain call, required state, mirrored status
+const REQUEST_DECISIONS = {
+    approve: { method: 'approvePaymentRequest', from: 'pending', to: 'processing' },
+    reject:  { method: 'rejectPaymentRequest', from: 'pending', to: 'rejected' },
+    revoke:  { method: 'revokePaymentApproval', from: 'approved', to: 'revoked' }
+};
+
+// Contract MAX_SLIPPAGE for swap_tokens / execute_auto_swap
+const MAX_SWAP_SLIPPAGE_BPS = 1000;
+
+// Time-locked outflows (Transactions.TRANSFER_TYPES)
+const TRANSFER_KINDS = ['withdrawal', 'transfer'];
+const TRANSFER_STATUS_FILTERS = { open: 'processing', completed: 'succeeded', cancelled: 'cancelled' };
+
+// Usage page windows: lookback in seconds and series bucket size
+const USAGE_PERIODS = {
+    '24h': { seconds: 86400, bucket: 3600 },
+    '7d': { seconds: 7 * 86400, bucket: 86400 },
+    '30d': { seconds: 30 * 86400, bucket: 86400 }
+};
+
+// Volume stats: rolling lookbacks (calendar periods and 'all' are resolved in _statsRange)
+// and the granularity used when none is asked for
+const STATS_LOOKBACKS = { '7d': 7, '30d': 30, '90d': 90, '365d': 365 };
+const STATS_DEFAULT_GRANULARITY = { today: 'hour', '7d': 'day', '30d': 'day', month: 'day', '90d': 'week', '365d': 'month', all: 'month' };
+const STATS_GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const MAX_STATS_BUCKETS = 744; // 31 days of hourly buckets
+const STATS_REPORT_PARAMS = ['period', 'start_date', 'end_date', 'granularity', 'card_id', 'currency'];
 
 class ApiService {
     constructor(models) {
         this.ApiClient = models.ApiClient;
         this.ApiToken = models.ApiToken;
+        this.ApiRequestLog = models.ApiRequestLog;
         this.User = models.User;
         this.Transactions = models.Transactions;
         this.Cards = models.Cards;
+        this.FraudAlert = models.FraudAlert;
 
         this.date = new DateHelper(); 
     }
@@ -28,7 +72,7 @@ class ApiService {
 
         // A. Timing Attack Resistant Comparison
 
-        const match = EncryptionService.verify_hash(clientSecret, client. secret_hash);
+        const match = EncryptionService.verify_hash(client.secret_hash, clientSecret);
 
         if (!match) return { status: false, error: 'invalid_secret' };
 
@@ -63,23 +107,30 @@ class ApiService {
             }
         }
 
+        const refreshToken = crypto.randomBytes(64).toString('hex');
+        const refreshExpires = this.date.addDaysTimestamp(365);
+        const familyId = existingFamilyId || crypto.randomBytes(16).toString('hex');
+
         // Access Token (JWT) - 1 Hour
+        // jti and fam (the refresh-token family) let revocation deny it before it expires
         const accessToken = jwt.sign(
             { 
                 cid: client.client_id, 
                 uid: client.user_id,
                 role: 'api_client',
                 is_live: client.is_live, 
-                scope: client.policies.scopes || []
+                scope: client.policies.scopes || [],
+                fam: familyId
             },
             process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_ACCESS_TOKEN_EXPIRY || '3600s', issuer: process.env.APP_DOMAIN, audience: 'api.ziondefi' }
+            {
+                expiresIn: process.env.JWT_ACCESS_TOKEN_EXPIRY || '3600s',
+                issuer: process.env.APP_DOMAIN,
+                audience: 'api.ziondefi',
+                jwtid: crypto.randomBytes(16).toString('hex')
+            }
         );
 
-        const refreshToken = crypto.randomBytes(64).toString('hex');
-        const refreshExpires = this.date.addDaysTimestamp(365);
-        const familyId = existingFamilyId || crypto.randomBytes(16).toString('hex');
-
         await this.ApiToken.saveRefreshToken(client.client_id, refreshToken, familyId, refreshExpires);
 
         await RedisService.set(cacheKey, accessToken, 3540); 
@@ -87,11 +138,15 @@ class ApiService {
         return { 
             access_token: accessToken, 
             refresh_token: refreshToken, 
-            expires_in: parseInt(process.env.JWT_ACCESS_TOKEN_EXPIRY_SECONDS) || 3600, 
+            expires_in: ApiService.accessTokenLifetime(), 
             token_type: 'Bearer' 
         };
     }
 
+    static accessTokenLifetime() {
+        return parseInt(process.env.JWT_ACCESS_TOKEN_EXPIRY_SECONDS) || 3600;
+    }
+
     /**
      * TOKEN ROTATION & REUSE DETECTION
      */
@@ -123,15 +178,200 @@ class ApiService {
         // Success: Mark old token used, issue new one
         await this.ApiToken.markAsUsed(tokenDoc._id);
         
-        return await this.generateTokens(client, tokenDoc.family_id, true);
+        return { status: true, tokens: await this.generateTokens(client, tokenDoc.family_id, true) };
+    }
+
+    // ─── Token Revocation & Introspection ───────────────────────────
+    //
+    // RFC 7009 / RFC 7662. A client can only revoke or inspect its own
+    // tokens; anything else looks like an unknown token. Revoking either
+    // token of a grant ends the whole grant: the refresh-token family is
+    // revoked and its access tokens are denied in auth-guard until they expire.
+
+    /**
+     * REVOKE TOKEN (RFC 7009)
+     * Unknown, expired or foreign tokens are not an error (§2.2).
+     *
+     * @param {Object} client — authenticated API client
+     * @param {string} token
+     * @param {string} [hint] — 'access_token' | 'refresh_token'
+     */
+    async revokeToken(client, token, hint) {
+        const found = await this._findToken(token, hint);
+        if (!found || found.client_id !== client.client_id) return;
+
+        if (found.jti) {
+            await RedisService.set(`revoked_token:${found.jti}`, true, Math.max(1, found.exp - this.date.timestampTimeNow()));
+        }
+        if (found.family_id) await this._revokeFamilies([found.family_id]);
+
+        // client_credentials hands the cached token out again
+        await RedisService.del(`access_token:${client.client_id}`);
+    }
+
+    /**
+     * INTROSPECT TOKEN (RFC 7662)
+     * @returns {Object} { active: false } or the token's metadata
+     */
+    async introspectToken(client, token, hint) {
+        const found = await this._findToken(token, hint);
+        if (!found || found.client_id !== client.client_id) return { active: false };
+
+        if (found.token_type === 'access_token' && await this.isAccessTokenRevoked(found.claims)) {
+            return { active: false };
+        }
+
+        return {
+            active: true,
+            token_type: found.token_type,
+            client_id: found.client_id,
+            sub: found.sub,
+            scope: ApiClient.expandScopes(found.scope).join(' '),
+            iat: found.iat,
+            exp: found.exp,
+            mode: client.is_live ? 'live' : 'sandbox',
+            ...(found.jti ? { jti: found.jti, iss: found.claims.iss, aud: found.claims.aud } : {})
+        };
+    }
+
+    /**
+     * Denylist check for auth-guard. Tokens issued before jti / fam
+     * existed can only expire.
+     */
+    async isAccessTokenRevoked(claims) {
+        const keys = [];
+        if (claims.jti) keys.push(`revoked_token:${claims.jti}`);
+        if (claims.fam) keys.push(`revoked_family:${claims.fam}`);
+        if (keys.length === 0) return false;
+
+        return (await RedisService.exists(...keys)) > 0;
+    }
+
+    /**
+     * Resolve a token, trying the hinted type first (RFC 7009 §2.1).
+     * Access tokens are JWTs; refresh tokens are opaque and stored.
+     */
+    async _findToken(token, hint) {
+        const order = hint === 'refresh_token' ? ['refresh_token', 'access_token'] : ['access_token', 'refresh_token'];
+
+        for (const type of order) {
+            if (type === 'access_token') {
+                let claims;
+                try {
+                    claims = jwt.verify(token, process.env.JWT_SECRET, { audience: 'api.ziondefi', issuer: process.env.APP_DOMAIN });
+                } catch (e) { continue; }
+
+                return {
+                    token_type: 'access_token', claims,
+                    client_id: claims.cid, sub: claims.uid, scope: claims.scope,
+                    iat: claims.iat, exp: claims.exp, jti: claims.jti || null, family_id: claims.fam || null
+                };
+            }
+
+            const doc = await this.ApiToken.findRefreshToken(token);
+            if (!doc || doc.is_used || doc.revoked) continue;
+
+            const owner = await this.ApiClient.getByClientId(doc.client_id);
+            if (!owner || !owner.is_active) continue;
+
+            return {
+                token_type: 'refresh_token',
+                client_id: doc.client_id, sub: owner.user_id, scope: owner.policies?.scopes || [],
+                iat: doc.created_at, exp: doc.expires_at, jti: null, family_id: doc.family_id
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Revoke refresh-token families and deny their access tokens for as
+     * long as one can still be valid.
+     */
+    async _revokeFamilies(familyIds) {
+        for (const familyId of familyIds) {
+            await this.ApiToken.revokeFamily(familyId);
+            await RedisService.set(`revoked_family:${familyId}`, true, ApiService.accessTokenLifetime());
+        }
     }
 
     /**
      * RATE LIMITER INTERFACE
+     * Consumes one request from the client's plan — the per-minute token
+     * bucket and the daily quota — and from the route's own bucket, if any.
+     * limit / remaining / reset (seconds) describe the limit closest to
+     * running out, or the one that blocked the request.
+     *
+     * @param {Object} client
+     * @param {string|null} bucket — route bucket from the route config (e.g. 'charges')
+     * @returns {{ allowed, limit, remaining, reset, retry_after, window, bucket, policy }}
+     */
+    async checkRateLimit(client, bucket = null) {
+        const limits = ApiService.rateLimitsFor(client, bucket);
+        const result = await RedisService.consumeLimits(limits);
+        const states = limits.map((limit, i) => ({ ...limit, ...result.limits[i] }));
+
+        const binding = result.allowed
+            ? states.reduce((a, b) => (b.remaining < a.remaining || (b.remaining === a.remaining && b.resetMs > a.resetMs)) ? b : a)
+            : states.reduce((a, b) => b.retryMs > a.retryMs ? b : a);
+
+        return {
+            allowed: result.allowed,
+            limit: binding.capacity,
+            remaining: binding.remaining,
+            reset: Math.ceil(binding.resetMs / 1000),
+            retry_after: Math.max(1, Math.ceil(binding.retryMs / 1000)),
+            window: binding.window,
+            bucket: binding.bucket,
+            policy: limits.map(limit => limit.policy).join(', ')
+        };
+    }
+
+    /**
+     * Redis limits for a client: a token bucket (burst size, refilled at rpm)
+     * and a UTC-day window, client-wide and for the route bucket.
+     */
+    static rateLimitsFor(client, bucket = null) {
+        const quotas = ApiService.planView(client);
+        const now = Date.now();
+        const day = Math.floor(now / 86400000);
+
+        const limitsOf = (name, quota) => {
+            const label = name ? `;bucket="${name}"` : '';
+            return [
+                {
+                    key: `${client.client_id}:${name || 'all'}:minute`,
+                    kind: 'bucket', capacity: quota.burst, refill: quota.rpm, periodMs: 60000,
+                    window: 'minute', bucket: name, policy: `${quota.rpm};w=60;burst=${quota.burst}${label}`
+                },
+                {
+                    key: `${client.client_id}:${name || 'all'}:day:${day}`,
+                    kind: 'window', capacity: quota.daily, periodMs: (day + 1) * 86400000 - now,
+                    window: 'day', bucket: name, policy: `${quota.daily};w=86400${label}`
+                }
+            ];
+        };
+
+        const limits = limitsOf(null, quotas);
+        if (bucket && quotas.buckets[bucket]) limits.push(...limitsOf(bucket, quotas.buckets[bucket]));
+        return limits;
+    }
+
+    /**
+     * Effective quotas of a client: its plan, with the per-minute rate
+     * lowered by policies.rate_limit_rpm. Burst never exceeds the rate.
      */
-    async checkRateLimit(client) {
-        const limit = client.policies?.rate_limit_rpm || 60; 
-        return await RedisService.checkRateLimit(client.client_id, limit, 60);
+    static planView(client) {
+        const key = ApiClient.planOf(client);
+        const plan = ApiClient.PLANS[key];
+        const rpm = Math.min(plan.rpm, client.policies?.rate_limit_rpm || plan.rpm);
+
+        const buckets = {};
+        for (const [name, quota] of Object.entries(plan.buckets)) {
+            const bucketRpm = Math.min(quota.rpm, rpm);
+            buckets[name] = { rpm: bucketRpm, burst: Math.min(quota.burst, bucketRpm), daily: quota.daily };
+        }
+
+        return { plan: key, name: plan.name, rpm, burst: Math.min(plan.burst, rpm), daily: plan.daily, buckets };
     }
 
 
@@ -159,7 +399,16 @@ class ApiService {
         }
     }
 
-    async getStats(userId) {
+    /**
+     * STATS
+     * Card counts and all-time volume. Any report parameter (period,
+     * start_date, end_date, granularity, card_id, currency) adds the
+     * bucketed getVolumeReport under `report`.
+     *
+     * @param {string} userId
+     * @param {Object} [params] — getVolumeReport parameters
+     */
+    async getStats(userId, params = {}) {
         const cards = await this.Cards.getCardStats(userId);
         const transactions = await this.Transactions.getVolumeStats(userId);
 
@@ -167,9 +416,218 @@ class ApiService {
             throw new Error('Failed to fetch stats');
         }
 
-        return { cards: cards, transactions: transactions };
+        const stats = { cards: cards, transactions: transactions };
+        if (STATS_REPORT_PARAMS.some(key => params[key] !== undefined)) {
+            stats.report = await this.getVolumeReport(userId, params);
+        }
+        return stats;
      }
 
+    /**
+     * VOLUME STATS (time series)
+     * Successful volume, fees and counts over a period or a custom range,
+     * bucketed by hour / day / week / month and broken down by card and currency.
+     * Totals add amounts across currencies as-is (no FX conversion), like getVolumeStats.
+     *
+     * @param {string} userId
+     * @param {Object} params — { period, start_date, end_date, granularity, card_id, currency }
+     */
+    async getVolumeReport(userId, params = {}) {
+        const range = await this._statsRange(userId, params);
+
+        const granularity = params.granularity || STATS_DEFAULT_GRANULARITY[range.period] || 'day';
+        if (!STATS_GRANULARITIES.includes(granularity)) throw ApiService.error(400, 'Invalid granularity');
+
+        const starts = this.date.bucketStarts(range.from, range.to, granularity, MAX_STATS_BUCKETS + 1);
+        if (starts.length > MAX_STATS_BUCKETS) {
+            throw ApiService.error(400, `Range is too long for ${granularity} buckets (max ${MAX_STATS_BUCKETS}); use a coarser granularity`);
+        }
+
+        let card = null;
+        if (params.card_id) {
+            card = await this.getCard(userId, params.card_id);
+            if (!card.address) throw ApiService.error(400, 'Card is not deployed yet', 'card_not_deployed');
+        }
+
+        const rows = await this.Transactions.getVolumeSeries(userId, {
+            from: range.from,
+            to: range.to,
+            granularity: granularity,
+            timezone: this.date.timezone,
+            contract_address: card ? card.address : null,
+            currency: params.currency
+        });
+
+        // Name the cards behind the contract addresses (address is encrypted, so no $in lookup)
+        const cards = card ? [card] : rows.length ? await this.Cards.findAll({ user_id: userId }) : [];
+        const cardByAddress = new Map(cards.map(c => [c.address, c]));
+
+        const totals = ApiService._statsBucket();
+        const byCurrency = new Map();
+        const byCard = new Map();
+        const series = new Map(starts.map(start => [start, { ...ApiService._statsBucket(), currencies: new Map(), cards: new Map() }]));
+
+        for (const row of rows) {
+            const owner = cardByAddress.get(row.contract_address);
+            const cardKey = owner ? owner.card_id : (row.contract_address || 'unknown');
+            const bucket = series.get(row.bucket);
+
+            ApiService._statsAdd(totals, row);
+            ApiService._statsAdd(ApiService._statsEntry(byCurrency, row.currency), row);
+
+            const cardEntry = ApiService._statsEntry(byCard, cardKey, () => ({
+                card_id: owner ? owner.card_id : null,
+                name: owner ? owner.name : null,
+                contract_address: row.contract_address || null,
+                currencies: new Map()
+            }));
+            ApiService._statsAdd(cardEntry, row);
+            ApiService._statsAdd(ApiService._statsEntry(cardEntry.currencies, row.currency), row);
+
+            // Rows outside the generated buckets only happen on a timezone mismatch
+            if (!bucket) continue;
+            ApiService._statsAdd(bucket, row);
+            ApiService._statsAdd(ApiService._statsEntry(bucket.currencies, row.currency), row);
+            ApiService._statsAdd(ApiService._statsEntry(bucket.cards, cardKey, () => ({ card_id: owner ? owner.card_id : null })), row);
+        }
+
+        const currencyList = (map) => [...map.entries()]
+            .map(([currency, entry]) => ({ currency, ...ApiService._statsView(entry) }))
+            .sort((a, b) => b.volume - a.volume);
+
+        return {
+            period: range.period,
+            granularity: granularity,
+            timezone: this.date.timezone,
+            start_date: range.from,
+            end_date: range.to,
+            filters: {
+                card_id: card ? card.card_id : null,
+                currency: params.currency ? params.currency.toUpperCase() : null
+            },
+            totals: ApiService._statsView(totals),
+            by_currency: currencyList(byCurrency),
+            by_card: [...byCard.values()]
+                .map(entry => ({
+                    card_id: entry.card_id,
+                    name: entry.name,
+                    contract_address: entry.contract_address,
+                    ...ApiService._statsView(entry),
+                    by_currency: currencyList(entry.currencies)
+                }))
+                .sort((a, b) => b.volume - a.volume),
+            series: [...series.entries()].map(([timestamp, bucket]) => ({
+                timestamp: timestamp,
+                ...ApiService._statsView(bucket),
+                by_currency: currencyList(bucket.currencies),
+                by_card: [...bucket.cards.values()].map(entry => ({ card_id: entry.card_id, ...ApiService._statsView(entry) }))
+            }))
+        };
+    }
+
+    /**
+     * Resolve period / start_date / end_date into a [from, to) window.
+     * Calendar periods start at midnight / the 1st in the server timezone;
+     * 'all' starts at the first successful transaction.
+     */
+    async _statsRange(userId, params) {
+        const now = this.date.timestampTimeNow();
+        const custom = params.start_date !== undefined || params.end_date !== undefined;
+
+        if (custom) {
+            if (params.period) throw ApiService.error(400, 'Use either period or start_date / end_date, not both');
+            if (params.start_date === undefined) throw ApiService.error(400, 'start_date is required with end_date');
+
+            const from = parseInt(params.start_date);
+            const to = params.end_date !== undefined ? parseInt(params.end_date) : now;
+            if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to <= from) {
+                throw ApiService.error(400, 'start_date must be before end_date');
+            }
+            return { period: 'custom', from, to };
+        }
+
+        const period = params.period || '30d';
+        if (STATS_LOOKBACKS[period]) return { period, from: now - STATS_LOOKBACKS[period] * 86400, to: now + 1 };
+        if (period === 'today') return { period, from: this.date.startOfDayTimestamp(), to: now + 1 };
+        if (period === 'month') return { period, from: this.date.startOfMonthTimestamp(), to: now + 1 };
+        if (period === 'all') {
+            const first = await this.Transactions.firstSucceededAt(userId);
+            return { period, from: first !== null ? first : now, to: now + 1 };
+        }
+
+        throw ApiService.error(400, 'Invalid period');
+    }
+
+    static _statsBucket() {
+        return { volume: 0, fees: 0, count: 0 };
+    }
+
+    static _statsEntry(map, key, init = () => ({})) {
+        if (!map.has(key)) map.set(key, { ...init(), ...ApiService._statsBucket() });
+        return map.get(key);
+    }
+
+    static _statsAdd(entry, row) {
+        entry.volume += row.volume;
+        entry.fees += row.fees;
+        entry.count += row.count;
+    }
+
+    // Amounts are float sums: trim to 8 decimals so 0.1 + 0.2 reads 0.3
+    static _statsView(entry) {
+        const round = (n) => +n.toFixed(8);
+        return {
+            volume: round(entry.volume),
+            fees: round(entry.fees),
+            net_volume: round(entry.volume - entry.fees),
+            count: entry.count
+        };
+    }
+
+    /**
+     * LIST CARDS (Cursor Pagination — public API)
+     * Unlike getRecentCards this is read-only and never creates a placeholder card.
+     *
+     * @param {string} userId
+     * @param {Object} filters — { limit, starting_after, ending_before, status, currency, start_date, end_date }
+     */
+    async listCards(userId, filters = {}) {
+        return await this.Cards.list(userId, filters);
+    }
+
+    /**
+     * LIST TRANSACTIONS (Cursor Pagination — public API)
+     * `card_id` is resolved to the card's contract address.
+     *
+     * @param {string} userId
+     * @param {Object} filters — { limit, starting_after, ending_before, card_id, status, type, currency, start_date, end_date }
+     */
+    async listTransactions(userId, filters = {}) {
+        const { card_id: cardId, ...options } = filters;
+
+        if (cardId) {
+            const card = await this.getCard(userId, cardId);
+            if (!card.address) {
+                return { has_more: false, next_cursor: null, prev_cursor: null, data: [] };
+            }
+            options.contract_address = card.address;
+        }
+
+        return await this.Transactions.list(userId, options);
+    }
+
+    /**
+     * GET SINGLE TRANSACTION (public API)
+     * Includes the status timeline; merchant_payout / meta_private are never returned.
+     */
+    async getTransaction(userId, transId) {
+        const txn = await this.Transactions.retrieve(transId, userId, { public: true });
+        if (!txn) throw ApiService.error(404, 'Transaction not found');
+
+        delete txn._id;
+        return txn;
+    }
+
     /**
      * GET RECENT CARDS (With Auto-Creation for New Users)
      */
@@ -259,6 +717,274 @@ class ApiService {
         }));
     }
 
+    // ─── Developer Credentials ──────────────────────────────────────
+
+    /**
+     * CREATE API CLIENT
+     * The plain secret is returned ONCE and never stored.
+     * New clients start on the default plan; only billing changes it (setClientPlan).
+     *
+     * @param {string} userId
+     * @param {Object} params — { name, isLive, allowedIps, rateLimitRpm, scopes, merchantAddress, merchantSignature }
+     * @returns {{ client: Object, client_secret: string }}
+     */
+    async createClient(userId, params) {
+        const name = (params.name || '').trim();
+        if (!name) throw ApiService.error(400, 'Client name is required');
+
+        const active = await this.ApiClient.countActive(userId);
+        if (active >= MAX_ACTIVE_CLIENTS) {
+            throw ApiService.error(400, `You can have at most ${MAX_ACTIVE_CLIENTS} active API clients`);
+        }
+
+        const plan = ApiClient.DEFAULT_PLAN;
+        const policies = this._normalizePolicies(params, {}, plan);
+        policies.merchant_verified = await this._verifyMerchant(userId, policies, params.merchantSignature, params.isLive === true);
+        const { clientId, plainSecret } = await this.ApiClient.generateCredentials(userId, name, params.isLive === true, policies, plan);
+
+        const client = await this.ApiClient.retrieveByUserId(userId, clientId);
+        return { client, client_secret: plainSecret };
+    }
+
+    /**
+     * LIST API CLIENTS
+     * Each with its plan's effective quotas, for the read-only plan display.
+     */
+    async listClients(userId) {
+        const clients = await this.ApiClient.listByUser(userId);
+        return clients.map(client => ({ ...client, quotas: ApiService.planView(client) }));
+    }
+
+    async renameClient(userId, clientId, name) {
+        const client = await this._ownedClient(userId, clientId);
+        const cleanName = (name || '').trim();
+        if (!cleanName) throw ApiService.error(400, 'Client name is required');
+
+        await this.ApiClient.rename(client.client_id, cleanName);
+        return await this.ApiClient.retrieveByUserId(userId, clientId);
+    }
+
+    async updateClientPolicies(userId, clientId, params) {
+        const client = await this._ownedClient(userId, clientId, true);
+        const plan = ApiClient.planOf(client);
+        const policies = this._normalizePolicies(params, client.policies, plan);
+        policies.merchant_verified = await this._verifyMerchant(userId, policies, params.merchantSignature, client.is_live === true);
+
+        await this.ApiClient.updatePolicies(client.client_id, policies);
+        // Drop the cached access token so the next one carries the new scopes
+        await RedisService.del(`access_token:${client.client_id}`);
+        return await this.ApiClient.retrieveByUserId(userId, clientId);
+    }
+
+    /**
+     * ROTATE CLIENT SECRET
+     * Outstanding refresh tokens are revoked — they were obtained with the old secret.
+     */
+    async rotateClientSecret(userId, clientId) {
+        const client = await this._ownedClient(userId, clientId, true);
+
+        const plainSecret = await this.ApiClient.rotateSecret(client.client_id);
+        await this._killClientTokens(client.client_id);
+
+        return {
+            client: await this.ApiClient.retrieveByUserId(userId, clientId),
+            client_secret: plainSecret
+        };
+    }
+
+    /**
+     * REVOKE API CLIENT
+     * Deactivates the client and kills every refresh-token family it owns.
+     */
+    async revokeClient(userId, clientId) {
+        const client = await this._ownedClient(userId, clientId, true);
+
+        await this.ApiClient.revoke(client.client_id);
+        await this._killClientTokens(client.client_id);
+
+        return await this.ApiClient.retrieveByUserId(userId, clientId);
+    }
+
+    /**
+     * CLIENT USAGE (Dashboard)
+     * Request volume, error rate, busiest routes and the latest failures
+     * from the API request audit log.
+     *
+     * @param {string} period — '24h' | '7d' | '30d'
+     */
+    async getClientUsage(userId, clientId, period = '7d') {
+        const client = await this._ownedClient(userId, clientId);
+        const window = USAGE_PERIODS[period];
+        if (!window) throw ApiService.error(400, 'Invalid period');
+
+        const since = this.date.timestampTimeNow() - window.seconds;
+        const [usage, failures] = await Promise.all([
+            this.ApiRequestLog.getUsage(client.client_id, since, window.bucket),
+            this.ApiRequestLog.recentFailures(client.client_id, 20)
+        ]);
+
+        const totals = usage.totals[0] || { requests: 0, errors: 0, server_errors: 0, avg_latency_ms: 0, max_latency_ms: 0 };
+
+        return {
+            client_id: client.client_id,
+            period: period,
+            since: since,
+            quotas: ApiService.planView(client),
+            retention_days: ApiRequestLog.retentionDays(),
+            requests: totals.requests,
+            errors: totals.errors,
+            server_errors: totals.server_errors,
+            error_rate: totals.requests > 0 ? +(totals.errors / totals.requests * 100).toFixed(2) : 0,
+            avg_latency_ms: Math.round(totals.avg_latency_ms || 0),
+            max_latency_ms: totals.max_latency_ms || 0,
+            series: usage.series.map(b => ({ timestamp: b._id, requests: b.requests, errors: b.errors })),
+            routes: usage.routes.map(r => ({
+                method: r._id.method,
+                route: r._id.route,
+                requests: r.requests,
+                errors: r.errors,
+                avg_latency_ms: Math.round(r.avg_latency_ms || 0)
+            })),
+            recent_failures: failures
+        };
+    }
+
+    async _ownedClient(userId, clientId, mustBeActive = false) {
+        if (!clientId) throw ApiService.error(400, 'client_id is required');
+
+        const client = await this.ApiClient.retrieveByUserId(userId, clientId);
+        if (!client) throw ApiService.error(404, 'API client not found');
+        if (mustBeActive && !client.is_active) throw ApiService.error(400, 'API client has been revoked');
+
+        return client;
+    }
+
+    async _killClientTokens(clientId) {
+        // Families that can still have live access tokens are denied as well
+        const since = this.date.timestampTimeNow() - ApiService.accessTokenLifetime();
+        await this._revokeFamilies(await this.ApiToken.familiesSince(clientId, since));
+
+        await this.ApiToken.revokeByClient(clientId);
+        await RedisService.del(`access_token:${clientId}`);
+    }
+
+    /**
+     * SET CLIENT PLAN (billing / operators only)
+     * Not reachable from the self-service dashboard or API; owners see the
+     * plan read-only. A rate_limit_rpm override that no longer lowers the
+     * new plan's rate is dropped, as on a policy update.
+     */
+    async setClientPlan(clientId, plan) {
+        const client = await this.ApiClient.getByClientId(clientId);
+        if (!client) throw ApiService.error(404, 'API client not found');
+
+        const currentPlan = ApiClient.planOf(client);
+        const newPlan = ApiService._planKey(plan, currentPlan);
+        const policies = this._normalizePolicies({}, client.policies, newPlan, currentPlan);
+
+        await this.ApiClient.setPlan(client.client_id, newPlan, policies.rate_limit_rpm);
+        await RedisService.del(`access_token:${client.client_id}`);
+        return await this.ApiClient.retrieveByUserId(client.user_id, client.client_id);
+    }
+
+    static _planKey(value, fallback) {
+        if (value === undefined || value === null || value === '') return fallback;
+        if (!ApiClient.PLANS[value]) {
+            throw ApiService.error(400, `Unknown plan: ${value}. Use one of ${Object.keys(ApiClient.PLANS).join(', ')}`);
+        }
+        return value;
+    }
+
+    /**
+     * Validate allowed_ips / rate_limit_rpm / scopes, falling back to current values.
+     * rate_limit_rpm can only lower the plan's rate; it is stored as null when it
+     * does not (so a plan upgrade takes effect), and 0 resets it.
+     */
+    _normalizePolicies(params = {}, current = {}, plan = ApiClient.DEFAULT_PLAN, currentPlan = plan) {
+        const allowedIps = params.allowedIps !== undefined ? params.allowedIps : (current.allowed_ips || []);
+        if (!Array.isArray(allowedIps)) throw ApiService.error(400, 'allowed_ips must be a list');
+
+        for (const entry of allowedIps) {
+            const valid = typeof entry === 'string' && (entry.includes('/') ? ipaddr.isValidCIDR(entry) : ipaddr.isValid(entry));
+            if (!valid) throw ApiService.error(400, `Invalid IP or CIDR range: ${entry}`);
+        }
+
+        const maxRpm = ApiClient.PLANS[plan].rpm;
+        let rpm = current.rate_limit_rpm < ApiClient.PLANS[currentPlan].rpm ? current.rate_limit_rpm : null;
+        if (params.rateLimitRpm !== undefined && params.rateLimitRpm !== null) {
+            rpm = parseInt(params.rateLimitRpm);
+            if (!Number.isInteger(rpm) || rpm < 0 || rpm > maxRpm) {
+                throw ApiService.error(400, `rate_limit_rpm must be between 0 (plan default) and ${maxRpm} on the ${ApiClient.PLANS[plan].name} plan`);
+            }
+        }
+        if (rpm >= maxRpm || rpm === 0) rpm = null;
+
+        const scopes = params.scopes !== undefined ? params.scopes : (current.scopes || ['read']);
+        if (!Array.isArray(scopes) || scopes.length === 0) throw ApiService.error(400, 'Select at least one scope');
+
+        const unknown = scopes.filter(scope => !ApiClient.SCOPES.includes(scope) && !ApiClient.LEGACY_SCOPES[scope]);
+        if (unknown.length > 0) throw ApiService.error(400, `Unknown scope: ${unknown.join(', ')}`);
+
+        // On-chain merchant this client submits payment requests as;
+        // a new address has to be proven again (see _verifyMerchant)
+        let merchantAddress = current.merchant_address || null;
+        if (params.merchantAddress !== undefined) {
+            merchantAddress = params.merchantAddress ? ApiService._merchantAddress(params.merchantAddress) : null;
+        }
+        const merchantVerified = merchantAddress && merchantAddress === current.merchant_address
+            ? (current.merchant_verified || null)
+            : null;
+
+        return {
+            allowed_ips: [...new Set(allowedIps)],
+            rate_limit_rpm: rpm,
+            scopes: [...new Set(scopes)],
+            merchant_address: merchantAddress,
+            merchant_verified: merchantVerified
+        };
+    }
+
+    /**
+     * MERCHANT OWNERSHIP
+     * A client may only submit payment requests as a merchant the user
+     * controls: either the factory registration pays out to one of the
+     * user's card wallets, or the merchant account signed merchantChallenge().
+     *
+     * @param {string} userId
+     * @param {Object} policies — normalized policies (merchant_address, merchant_verified)
+     * @param {string[]} [signature] — merchant signature over the challenge
+     * @param {boolean} isLive
+     * @returns {Promise<string|null>} how the address was proven ('registration' | 'signature'), null when unset
+     */
+    async _verifyMerchant(userId, policies, signature, isLive) {
+        const merchant = policies.merchant_address;
+        if (!merchant) return null;
+        if (policies.merchant_verified) return policies.merchant_verified;
+
+        const info = await StarknetCardService.getMerchantInfo(merchant, isLive);
+        if (info) {
+            const wallets = await this.Cards.distinct('wallet', { user_id: userId });
+            const payout = BigInt(info.payoutWallet);
+            const owned = wallets.some(wallet => /^0x[0-9a-fA-F]{1,64}$/.test(String(wallet || '')) && BigInt(wallet) === payout);
+            if (owned) return 'registration';
+        }
+
+        if (signature && await StarknetCardService.verifyMerchantSignature(userId, merchant, signature, isLive)) {
+            return 'signature';
+        }
+
+        throw ApiService.error(403, 'Could not verify that you control this merchant address. '
+            + 'Register it with a payout wallet of one of your cards, or sign the merchant challenge with the merchant account');
+    }
+
+    /**
+     * MERCHANT CHALLENGE
+     * Typed data the merchant account signs to link itself to an API client.
+     */
+    merchantChallenge(userId, merchantAddress, isLive) {
+        return StarknetCardService.merchantChallenge(userId, ApiService._merchantAddress(merchantAddress), isLive === true);
+    }
+
     // ─── Card Operations ────────────────────────────────────────────
 
     async createCard(params) {
@@ -283,15 +1009,18 @@ class ApiService {
             throw ApiService.error(400, 'Invalid payment mode');
         }
 
-        const validSettlementDelays = ['0', '1800'];
-        if (settlementDelay && !validSettlementDelays.includes(settlementDelay)) {
+        // Dashboard forms send the delay as a string, API clients as an integer
+        const validSettlementDelays = [0, 1800];
+        const hasSettlementDelay = settlementDelay !== undefined && settlementDelay !== null && settlementDelay !== '';
+        const parsedSettlementDelay = hasSettlementDelay ? parseInt(settlementDelay) : 1800;
+        if (!validSettlementDelays.includes(parsedSettlementDelay)) {
             throw ApiService.error(400, 'Invalid settlement delay');
         }
 
         const txLimit = Number.isFinite(dailyTxLimit) ? dailyTxLimit : 50;
         const slippage = Number.isFinite(slippageBps) ? slippageBps : 50;
         const xferDelay = Number.isFinite(transferDelay) ? transferDelay : 86400;
-        const settleDelay = Number.isFinite(settlementDelay) ? settlementDelay : 1800;
+        const settleDelay = parsedSettlementDelay;
 
         // ── Persist ─────────────────────────────────────────────────
         const card = await this.Cards.create({
@@ -332,7 +1061,7 @@ class ApiService {
             is_live: isLive !== false
         });
 
-        return { card_id: card.card_id };
+        return { card_id: card.card_id, status: card.status };
     }
 
     /**
@@ -355,7 +1084,7 @@ class ApiService {
         const card = await this.Cards.findOne({ card_id: cardId, user_id: userId });
 
         if (!card) {
-            throw ApiService.error(404, 'Card not found');
+            throw ApiService.error(404, 'Card not found', 'card_not_found');
         }
 
         const redeployable = ['failed', 'pending_deployment'];
@@ -398,11 +1127,1513 @@ class ApiService {
         }
     }
 
+    // ─── Card Lifecycle (on-chain) ──────────────────────────────────
+    //
+    // The user signs with their PIN client-side; the relayer sends the tx.
+    // Mongo is only updated once the receipt has succeeded.
+
+    /**
+     * FREEZE CARD
+     * @param {Object} params — { userId, cardId, sigR, sigS, reason, isLive }
+     */
+    async freezeCard(params) {
+        const { card, chain } = await this._cardOnChain(params.userId, params.cardId, params.isLive);
+        if (card.status !== 'active') throw ApiService.error(400, 'Only active cards can be frozen');
+
+        const result = await ApiService.relay(() => chain.freezeCard(params.sigR, params.sigS));
+        const reason = params.reason || 'Frozen by owner';
+
+        await this.Cards.recordChainOperation(card.card_id, 'freeze', result, { status: 'frozen', frozen_reason: reason });
+        return this._lifecycleResult(card.card_id, 'frozen', result, { frozen_reason: reason });
+    }
+
+    /**
+     * UNFREEZE CARD
+     * The contract only returns to Active once the deployment fee is paid;
+     * otherwise it lands in PendingActivation (usable, the fee comes out of
+     * the next payment). The status is read back rather than assumed, and
+     * the pending state is kept on the card as activation_pending.
+     * @param {Object} params — { userId, cardId, sigR, sigS, isLive }
+     */
+    async unfreezeCard(params) {
+        const { card, chain } = await this._cardOnChain(params.userId, params.cardId, params.isLive);
+        if (card.status !== 'frozen') throw ApiService.error(400, 'Card is not frozen');
+
+        const result = await ApiService.relay(() => chain.unfreezeCard(params.sigR, params.sigS));
+
+        const chainStatus = StarknetCardService.enumVariant(await chain.getCardStatus(), StarknetCardService.CARD_STATUSES);
+        if (!['Active', 'PendingActivation'].includes(chainStatus)) {
+            await this.Cards.recordChainOperation(card.card_id, 'unfreeze', result);
+            throw ApiService.error(409, `Card is ${chainStatus || 'in an unknown state'} on-chain after unfreeze`);
+        }
+
+        const activationPending = chainStatus === 'PendingActivation';
+        await this.Cards.recordChainOperation(card.card_id, 'unfreeze', result, {
+            status: 'active',
+            frozen_reason: null,
+            activation_pending: activationPending
+        });
+        return this._lifecycleResult(card.card_id, 'active', result, { activation_pending: activationPending });
+    }
+
+    /**
+     * BURN CARD (irreversible)
+     * The contract sweeps remaining balances to the owner, minus the burn fee.
+     * @param {Object} params — { userId, cardId, sigR, sigS, isLive }
+     */
+    async burnCard(params) {
+        const { card, chain } = await this._cardOnChain(params.userId, params.cardId, params.isLive);
+        if (!['active', 'frozen'].includes(card.status)) throw ApiService.error(400, 'Card cannot be burned in its current state');
+
+        const result = await ApiService.relay(() => chain.burnCard(params.sigR, params.sigS));
+
+        await this.Cards.recordChainOperation(card.card_id, 'burn', result, {
+            status: 'terminated',
+            burned_at: this.date.timestampTimeNow()
+        });
+        return this._lifecycleResult(card.card_id, 'terminated', result);
+    }
+
+    // ─── PIN Rotation ───────────────────────────────────────────────
+    //
+    // rotate_pin is owner-only on the contract, so the relayer cannot send
+    // it. The flow is: fetch the message for the current nonce, sign it with
+    // the OLD PIN key, submit the signature (checked here so a bad nonce or
+    // key fails before any gas is spent) to get the exact call, send that call
+    // from the owner's wallet, then confirm with its transaction hash.
+
+    /**
+     * PIN ROTATION MESSAGE
+     * @returns {{ card_id, owner, current_public_key, new_public_key, nonce, message_hash, message, pending }}
+     */
+    async getPinRotation(userId, cardId, newPublicKey, isLive) {
+        const { card, owner, currentKey, nonce } = await this._pinState(userId, cardId, isLive);
+        const newKey = ApiService._pinKey(newPublicKey, currentKey);
+
+        return {
+            card_id: card.card_id,
+            owner: owner,
+            current_public_key: currentKey,
+            new_public_key: newKey,
+            nonce: nonce,
+            message_hash: StarknetCardService.pinRotationHash(newKey, nonce),
+            message: ['ROTATE', newKey, nonce],
+            pending: card.pin_rotation || null
+        };
+    }
+
+    /**
+     * SUBMIT PIN ROTATION SIGNATURE
+     * @param {Object} params — { userId, cardId, newPublicKey, nonce, sigR, sigS, isLive }
+     * @returns the rotate_pin call for the owner's wallet
+     */
+    async submitPinRotation(params) {
+        const { card, chain, owner, currentKey, nonce } = await this._pinState(params.userId, params.cardId, params.isLive);
+        const newKey = ApiService._pinKey(params.newPublicKey, currentKey);
+
+        if (String(params.nonce) !== nonce) {
+            throw ApiService.error(409, `PIN nonce mismatch: the signature is for nonce ${params.nonce} but the card is at nonce ${nonce}. `
+                + 'Fetch the rotation message again and sign it.');
+        }
+
+        const messageHash = StarknetCardService.pinRotationHash(newKey, nonce);
+        if (!StarknetCardService.verifyPinSignature(messageHash, currentKey, params.sigR, params.sigS)) {
+            throw ApiService.error(422, 'Signature does not match the card\'s current PIN key. Sign the rotation message with your current (old) PIN.');
+        }
+
+        const rotation = { new_public_key: newKey, nonce: nonce, owner: owner, signed_at: this.date.timestampTimeNow() };
+        await this.Cards.setPinRotation(card.card_id, rotation);
+
+        return {
+            card_id: card.card_id,
+            status: 'awaiting_owner_transaction',
+            ...rotation,
+            call: ApiService._callView(chain.buildRotatePinCall(newKey, params.sigR, params.sigS))
+        };
+    }
+
+    /**
+     * CONFIRM PIN ROTATION
+     * Waits for the owner's rotate_pin transaction and checks the key now on
+     * the contract before pin_public_key is updated.
+     * @param {Object} params — { userId, cardId, transactionHash, isLive }
+     */
+    async confirmPinRotation(params) {
+        const { card, chain, owner } = await this._pinState(params.userId, params.cardId, params.isLive);
+        const rotation = card.pin_rotation;
+        if (!rotation) throw ApiService.error(400, 'No PIN rotation in progress; submit a signed rotation first');
+
+        let result;
+        try {
+            result = await chain.waitForReceipt(params.transactionHash);
+        } catch (err) {
+            throw ApiService.error(404, `Transaction not found: ${err.message}`);
+        }
+
+        if (result.receipt.execution_status === 'REVERTED') {
+            const reason = ApiService._revertReason(result.receipt.revert_reason);
+            if (reason === 'Invalid rotation signature') {
+                throw ApiService.error(422, 'Rotation rejected: the signature does not match the PIN key and nonce on the card. Start the rotation again.', 'transaction_rejected');
+            }
+            if (reason === 'Not owner') {
+                throw ApiService.error(422, `Rotation rejected: rotate_pin must be sent from the card owner's wallet (${owner})`, 'transaction_rejected');
+            }
+            throw ApiService.error(422, `Transaction reverted: ${reason}`, 'transaction_rejected');
+        }
+
+        const [key, nonce] = await Promise.all([chain.getPinPublicKey(owner), chain.getPinNonce(owner)]);
+        if (BigInt(key) !== BigInt(rotation.new_public_key)) {
+            throw ApiService.error(409, 'The PIN key on the card does not match the submitted rotation. '
+                + 'Check the transaction hash, or start the rotation again.');
+        }
+
+        await this.Cards.recordChainOperation(card.card_id, 'rotate_pin', result, {
+            pin_public_key: rotation.new_public_key,
+            pin_rotated_at: this.date.timestampTimeNow()
+        }, ['pin_rotation']);
+
+        return {
+            card_id: card.card_id,
+            pin_public_key: rotation.new_public_key,
+            nonce: BigInt(nonce).toString(),
+            ...this._chainOperation('rotate_pin', result)
+        };
+    }
+
+    /**
+     * Owner, PIN key and nonce as the contract has them now.
+     */
+    async _pinState(userId, cardId, isLive) {
+        const { card, chain } = await this._cardOnChain(userId, cardId, isLive);
+        if (!['active', 'frozen'].includes(card.status)) throw ApiService.error(400, 'PIN cannot be changed on this card in its current state');
+
+        const { owner } = await chain.getCardInfo();
+        const ownerAddress = '0x' + BigInt(owner).toString(16);
+        const [key, nonce] = await Promise.all([chain.getPinPublicKey(ownerAddress), chain.getPinNonce(ownerAddress)]);
+        if (BigInt(key) === 0n) throw ApiService.error(400, 'Card has no PIN registered');
+
+        return {
+            card,
+            chain,
+            owner: ownerAddress,
+            currentKey: '0x' + BigInt(key).toString(16),
+            nonce: BigInt(nonce).toString()
+        };
+    }
+
+    static _pinKey(value, currentKey) {
+        const str = String(value || '').trim();
+        if (!/^0x[0-9a-fA-F]{1,64}$/.test(str) || BigInt(str) === 0n) throw ApiService.error(400, 'Invalid new_public_key');
+
+        const key = '0x' + BigInt(str).toString(16);
+        if (key === currentKey) throw ApiService.error(400, 'new_public_key is already the card\'s PIN key');
+        return key;
+    }
+
+    static _callView(call) {
+        return { contract_address: call.contractAddress, entrypoint: call.entrypoint, calldata: call.calldata };
+    }
+
+    // ─── Fraud Alerts ───────────────────────────────────────────────
+    //
+    // The fraud monitor (workers/fraudAlertJob) stores the card's on-chain
+    // fraud alerts and AnomalyDetected events; the owner is notified by the
+    // dashboard bell and email. From an alert the card can be frozen in one
+    // step (still PIN-signed; the contract requires it).
+
+    /**
+     * LIST FRAUD ALERTS
+     * @param {Object} [filters] — { status, limit }
+     */
+    async listFraudAlerts(userId, cardId, isLive, filters = {}) {
+        const card = await this.getCard(userId, cardId);
+        const alerts = await this.FraudAlert.listForCard(userId, card.card_id, filters);
+
+        return { card_id: card.card_id, card_status: card.status, alerts: alerts.map(ApiService._fraudAlertView) };
+    }
+
+    /**
+     * FREEZE CARD FROM A FRAUD ALERT
+     * Resolves the alert; a card that is already frozen is not frozen again.
+     * @param {Object} params — { userId, cardId, alertId, sigR, sigS, isLive }
+     */
+    async freezeFromFraudAlert(params) {
+        const alert = await this.FraudAlert.retrieve(params.alertId, params.userId);
+        if (!alert || alert.card_id !== params.cardId) throw ApiService.error(404, 'Fraud alert not found');
+
+        const card = await this.getCard(params.userId, params.cardId);
+
+        let freeze = null;
+        if (card.status !== 'frozen') {
+            freeze = await this.freezeCard({
+                userId: params.userId,
+                cardId: card.card_id,
+                sigR: params.sigR,
+                sigS: params.sigS,
+                reason: `Fraud alert ${alert.alert_id}`,
+                isLive: params.isLive
+            });
+        }
+
+        await this.FraudAlert.resolve(alert.alert_id, 'card_frozen');
+        return {
+            card_id: card.card_id,
+            status: 'frozen',
+            frozen_reason: freeze ? freeze.frozen_reason : card.frozen_reason || null,
+            transaction_hash: freeze ? freeze.transaction_hash : null,
+            gas: freeze ? freeze.gas : { strk: null, usd: null },
+            alert: ApiService._fraudAlertView(await this.FraudAlert.retrieve(alert.alert_id, params.userId))
+        };
+    }
+
+    static _fraudAlertView(alert) {
+        return {
+            alert_id: alert.alert_id,
+            source: alert.source,
+            alert_type: alert.alert_type,
+            severity: alert.severity,
+            message: alert.message,
+            request_id: alert.request_id,
+            merchant: alert.merchant,
+            amount_usd: alert.amount_usd,
+            threshold_usd: alert.threshold_usd,
+            auto_blocked: alert.auto_blocked,
+            transaction_hash: alert.transaction_hash,
+            status: alert.status,
+            resolution: alert.resolution,
+            detected_at: alert.detected_at,
+            resolved_at: alert.resolved_at
+        };
+    }
+
+    // ─── Balances & Portfolio ───────────────────────────────────────
+    //
+    // Balances come from the card contract, valued with PriceOracleService.
+    // StarknetCardService caches each card's formatted balances for 30s.
+
+    /**
+     * CARD BALANCES
+     * Per-token balances with USD value and 24h change.
+     */
+    async getCardBalances(userId, cardId, isLive) {
+        const { card, chain } = await this._cardOnChain(userId, cardId, isLive);
+        if (!['active', 'frozen'].includes(card.status)) throw ApiService.error(400, 'Card has no balances in its current state');
+
+        const balances = await chain.getFormattedCardBalances();
+        return {
+            card_id: card.card_id,
+            card_address: card.address,
+            ...ApiService._valuation(Number(balances.totalUsd), Number(balances.totalUsdChange24h)),
+            tokens: balances.tokens.map(t => ApiService._tokenBalanceView(t)),
+            as_of: balances.fetchedAt || null
+        };
+    }
+
+    /**
+     * PORTFOLIO
+     * Every deployed card of the user, aggregated per token into a net worth.
+     * A card whose contract cannot be read is listed as unavailable and left
+     * out of the totals rather than failing the whole view.
+     */
+    async getPortfolio(userId, isLive) {
+        const cards = await this.Cards.listDeployed(userId);
+
+        const perCard = await Promise.all(cards.map(async (card) => {
+            try {
+                const chain = await StarknetCardService.create({ cardAddress: card.address, isLive: isLive !== false });
+                return { card, balances: await chain.getFormattedCardBalances() };
+            } catch (err) {
+                console.error(`[ApiService] Balance read failed for ${card.card_id}:`, err.message);
+                return { card, balances: null };
+            }
+        }));
+
+        const byToken = {};
+        let netWorth = 0;
+        let change = 0;
+        let asOf = null;
+
+        for (const { balances } of perCard) {
+            if (!balances) continue;
+
+            netWorth += Number(balances.totalUsd);
+            change += Number(balances.totalUsdChange24h);
+            if (balances.fetchedAt && (!asOf || balances.fetchedAt < asOf)) asOf = balances.fetchedAt;
+
+            for (const t of balances.tokens) {
+                const entry = byToken[t.address] || (byToken[t.address] = { ...t, balanceRaw: '0', usdValue: 0, usdChange24h: 0 });
+                entry.balanceRaw = (BigInt(entry.balanceRaw) + BigInt(t.balanceRaw)).toString();
+                entry.usdValue = Number(entry.usdValue) + Number(t.usdValue);
+                entry.usdChange24h = Number(entry.usdChange24h) + Number(t.usdChange24h);
+                entry.lastUpdated = Math.max(entry.lastUpdated || 0, t.lastUpdated || 0);
+            }
+        }
+
+        const tokens = Object.values(byToken)
+            .map(t => ApiService._tokenBalanceView({ ...t, usdValue: t.usdValue.toFixed(2), usdChange24h: t.usdChange24h.toFixed(2) }))
+            .sort((a, b) => Number(b.usd_value) - Number(a.usd_value));
+
+        return {
+            ...ApiService._valuation(netWorth, change, 'net_worth_usd'),
+            tokens: tokens,
+            cards: perCard.map(({ card, balances }) => ({
+                card_id: card.card_id,
+                name: card.name,
+                card_address: card.address,
+                status: card.status,
+                available: balances !== null,
+                ...(balances ? ApiService._valuation(Number(balances.totalUsd), Number(balances.totalUsdChange24h)) : {})
+            })),
+            as_of: asOf
+        };
+    }
+
+    static _tokenBalanceView(t) {
+        return {
+            token: t.address,
+            symbol: t.symbol,
+            balance: t.balanceRaw !== undefined ? ApiService._fromRawAmount(t.balanceRaw, t.decimals) : t.balance,
+            balance_raw: t.balanceRaw ?? null,
+            price_usd: t.pricePerToken,
+            usd_value: t.usdValue,
+            change_24h_pct: t.change24h ?? null,
+            change_24h_usd: t.usdChange24h ?? null,
+            last_updated: t.lastUpdated || null
+        };
+    }
+
+    /**
+     * Total, absolute 24h change and the change relative to yesterday's value.
+     */
+    static _valuation(total, change, totalField = 'total_usd') {
+        const previous = total - change;
+        return {
+            [totalField]: total.toFixed(2),
+            change_24h_usd: change.toFixed(2),
+            change_24h_pct: previous > 0 ? Number(((change / previous) * 100).toFixed(2)) : null
+        };
+    }
+
+    // ─── Spending Limits (on-chain) ─────────────────────────────────
+    //
+    // Amounts are USD decimal strings, as on card creation ('0' = no limit);
+    // on-chain they are u256 with 8 decimals. The contract has no getter for
+    // the spending limits themselves, so the card's Mongo config is the read
+    // model and is only written after a successful receipt. Each PIN
+    // signature is good for one transaction.
+
+    /**
+     * CURRENT LIMITS
+     * Mongo config plus the live on-chain threshold and rate-limit window.
+     */
+    async getCardLimits(userId, cardId, isLive) {
+        const { card, chain } = await this._cardOnChain(userId, cardId, isLive);
+        return await this._limitsView(card.card_id, chain);
+    }
+
+    /**
+     * UPDATE LIMITS
+     * update_spending_limits takes all three values, so omitted ones are
+     * re-sent from the stored config. When the auto-approve threshold is
+     * changed in the same call it needs its own signature (next PIN nonce).
+     *
+     * @param {Object} params — { userId, cardId, sigR, sigS, maxTxAmount, dailyTxLimit, dailySpendLimit,
+     *                            autoApproveThreshold, thresholdSigR, thresholdSigS, isLive }
+     */
+    async updateCardLimits(params) {
+        const { card, chain } = await this._cardOnChain(params.userId, params.cardId, params.isLive);
+        if (card.status !== 'active') throw ApiService.error(400, 'Limits can only be changed on active cards');
+
+        const updatesLimits = [params.maxTxAmount, params.dailyTxLimit, params.dailySpendLimit].some(v => v !== undefined);
+        const updatesThreshold = params.autoApproveThreshold !== undefined;
+        if (!updatesLimits && !updatesThreshold) throw ApiService.error(400, 'No limit to update');
+
+        let thresholdSig = { r: params.sigR, s: params.sigS };
+        if (updatesLimits && updatesThreshold) {
+            if (!params.thresholdSigR || !params.thresholdSigS) {
+                throw ApiService.error(400, 'threshold_sig_r and threshold_sig_s are required when the threshold changes with the limits');
+            }
+            thresholdSig = { r: params.thresholdSigR, s: params.thresholdSigS };
+        }
+
+        const transactions = [];
+
+        if (updatesLimits) {
+            const maxTx = ApiService._usdToU256(params.maxTxAmount ?? card.max_transaction_amount, 'max_transaction_amount');
+            const dailySpend = ApiService._usdToU256(params.dailySpendLimit ?? card.daily_spend_limit, 'daily_spend_limit');
+            const dailyTxLimit = params.dailyTxLimit ?? card.daily_transaction_limit;
+            if (!Number.isInteger(dailyTxLimit) || dailyTxLimit < 1 || dailyTxLimit > 10000) {
+                throw ApiService.error(400, 'daily_transaction_limit must be between 1 and 10000');
+            }
+
+            const result = await ApiService.relay(() => chain.updateSpendingLimits(maxTx, dailyTxLimit, dailySpend, params.sigR, params.sigS));
+            await this.Cards.recordChainOperation(card.card_id, 'update_limits', result, {
+                max_transaction_amount: ApiService._u256ToUsd(maxTx),
+                daily_transaction_limit: dailyTxLimit,
+                daily_spend_limit: ApiService._u256ToUsd(dailySpend)
+            });
+            transactions.push(this._chainOperation('update_spending_limits', result));
+        }
+
+        if (updatesThreshold) {
+            const threshold = ApiService._usdToU256(params.autoApproveThreshold, 'auto_approve_threshold');
+
+            const result = await ApiService.relay(() => chain.setAutoApproveThreshold(threshold, thresholdSig.r, thresholdSig.s));
+            await this.Cards.recordChainOperation(card.card_id, 'set_auto_approve_threshold', result, {
+                auto_approve_threshold: ApiService._u256ToUsd(threshold)
+            });
+            transactions.push(this._chainOperation('set_auto_approve_threshold', result));
+        }
+
+        return { ...(await this._limitsView(card.card_id, chain)), transactions };
+    }
+
+    /**
+     * SET MERCHANT LIMIT
+     * @param {Object} params — { userId, cardId, merchant, maxAmountUsd, sigR, sigS, isLive }
+     */
+    async setMerchantLimit(params) {
+        const { card, chain } = await this._cardOnChain(params.userId, params.cardId, params.isLive);
+        if (card.status !== 'active') throw ApiService.error(400, 'Limits can only be changed on active cards');
+
+        const merchant = ApiService._merchantAddress(params.merchant);
+        const amount = ApiService._usdToU256(params.maxAmountUsd, 'max_amount_usd');
+        if (amount === '0') throw ApiService.error(400, 'max_amount_usd must be greater than 0; delete the limit to remove it');
+
+        const result = await ApiService.relay(() => chain.setMerchantSpendLimit(merchant, amount, params.sigR, params.sigS));
+        const current = ApiService._u256ToUsd(await chain.getMerchantSpendLimit(merchant));
+
+        await this.Cards.recordChainOperation(card.card_id, 'set_merchant_limit', result, { [`merchant_limits.${merchant}`]: current });
+        return { card_id: card.card_id, merchant, max_amount_usd: current, ...this._chainOperation('set_merchant_spend_limit', result) };
+    }
+
+    /**
+     * REMOVE MERCHANT LIMIT
+     * @param {Object} params — { userId, cardId, merchant, sigR, sigS, isLive }
+     */
+    async removeMerchantLimit(params) {
+        const { card, chain } = await this._cardOnChain(params.userId, params.cardId, params.isLive);
+        if (card.status !== 'active') throw ApiService.error(400, 'Limits can only be changed on active cards');
+
+        const merchant = ApiService._merchantAddress(params.merchant);
+
+        const result = await ApiService.relay(() => chain.removeMerchantSpendLimit(merchant, params.sigR, params.sigS));
+        const current = ApiService._u256ToUsd(await chain.getMerchantSpendLimit(merchant));
+
+        await this.Cards.recordChainOperation(card.card_id, 'remove_merchant_limit', result, {}, [`merchant_limits.${merchant}`]);
+        return { card_id: card.card_id, merchant, max_amount_usd: current, ...this._chainOperation('remove_merchant_spend_limit', result) };
+    }
+
+    async _limitsView(cardId, chain) {
+        const card = await this.Cards.retrieve(cardId);
+        const [threshold, rate] = await Promise.all([chain.getAutoApproveThreshold(), chain.getRateLimitStatus()]);
+
+        return {
+            card_id: card.card_id,
+            limits: {
+                max_transaction_amount: card.max_transaction_amount,
+                daily_transaction_limit: card.daily_transaction_limit,
+                daily_spend_limit: card.daily_spend_limit,
+                auto_approve_threshold: ApiService._u256ToUsd(threshold),
+                merchant_limits: Object.entries(card.merchant_limits || {}).map(([merchant, amount]) => ({
+                    merchant,
+                    max_amount_usd: amount
+                }))
+            },
+            rate_limit: {
+                requests_submitted_last_hour: rate.requestsSubmittedLastHour,
+                approvals_last_hour: rate.approvalsLastHour,
+                last_charge_timestamp: rate.lastChargeTimestamp,
+                cooldown_remaining: rate.cooldownRemaining
+            }
+        };
+    }
+
+    // ─── Auto-Swap Rules ────────────────────────────────────────────
+    //
+    // A rule tells the card to convert one of its currencies into another
+    // ("convert incoming X into Y"). Rules live on the contract, one per
+    // source token, and both tokens must be currencies of the card. Running
+    // a rule sells the source balance through an AVNU quote.
+
+    /**
+     * LIST AUTO-SWAP RULES
+     * Enabled rules with the source balance waiting to be converted and the last manual run.
+     */
+    async listAutoSwapRules(userId, cardId, isLive) {
+        const { card, chain } = await this._cardOnChain(userId, cardId, isLive);
+        if (!['active', 'frozen'].includes(card.status)) throw ApiService.error(400, 'Card has no auto-swap rules in its current state');
+
+        const [rules, balances] = await Promise.all([chain.getAllAutoSwapRules(), this._rawBalances(chain).catch(() => null)]);
+
+        return {
+            card_id: card.card_id,
+            currencies: card.currencies || [],
+            rules: rules.map(rule => this._autoSwapView(card, rule, balances, isLive))
+        };
+    }
+
+    /**
+     * SET AUTO-SWAP RULE (creates or retargets the rule for `source`)
+     * @param {Object} params — { userId, cardId, source, target, sigR, sigS, isLive }
+     */
+    async setAutoSwapRule(params) {
+        const { card, chain } = await this._cardOnChain(params.userId, params.cardId, params.isLive);
+        if (card.status !== 'active') throw ApiService.error(400, 'Auto-swap rules can only be changed on active cards');
+
+        const source = this._cardCurrency(card, params.source, 'source', params.isLive);
+        const target = this._cardCurrency(card, params.target, 'target', params.isLive);
+        if (source.symbol === target.symbol) throw ApiService.error(400, 'source and target must be different tokens');
+
+        const result = await ApiService.relay(() => chain.setAutoSwap(source.address, target.address, params.sigR, params.sigS));
+
+        await this.Cards.recordChainOperation(card.card_id, 'set_auto_swap', result);
+        return {
+            card_id: card.card_id,
+            ...this._autoSwapView(card, { sourceToken: source.address, targetToken: target.address }, null, params.isLive),
+            ...this._chainOperation('set_auto_swap', result)
+        };
+    }
+
+    /**
+     * REMOVE AUTO-SWAP RULE
+     * @param {Object} params — { userId, cardId, source, sigR, sigS, isLive }
+     */
+    async removeAutoSwapRule(params) {
+        const { card, chain } = await this._cardOnChain(params.userId, params.cardId, params.isLive);
+        if (!['active', 'frozen'].includes(card.status)) throw ApiService.error(400, 'Card has no auto-swap rules in its current state');
+
+        const source = StarknetConfig.resolveToken(params.source, params.isLive !== false);
+        if (!source) throw ApiService.error(400, 'Unsupported source token');
+        if (!await chain.isAutoSwapEnabled(source.address)) throw ApiService.error(404, `No auto-swap rule for ${source.symbol}`);
+
+        const result = await ApiService.relay(() => chain.removeAutoSwap(source.address, params.sigR, params.sigS));
+
+        await this.Cards.recordChainOperation(card.card_id, 'remove_auto_swap', result, {}, [`auto_swap_runs.${source.symbol}`]);
+        return {
+            card_id: card.card_id,
+            source_token: source.address,
+            source_currency: source.symbol,
+            enabled: false,
+            ...this._chainOperation('remove_auto_swap', result)
+        };
+    }
+
+    /**
+     * RUN AUTO-SWAP NOW
+     * Sells `amount` (default: the whole source balance) into the rule's target.
+     * @param {Object} params — { userId, cardId, source, amount, slippageBps, sigR, sigS, isLive }
+     */
+    async runAutoSwap(params) {
+        const isLive = params.isLive !== false;
+        const { card, chain } = await this._cardOnChain(params.userId, params.cardId, isLive);
+        if (card.status !== 'active') throw ApiService.error(400, 'Card is not active');
+
+        const source = StarknetConfig.resolveToken(params.source, isLive);
+        if (!source) throw ApiService.error(400, 'Unsupported source token');
+        if (!await chain.isAutoSwapEnabled(source.address)) throw ApiService.error(404, `No auto-swap rule for ${source.symbol}`);
+
+        const target = StarknetConfig.resolveToken('0x' + BigInt(await chain.getAutoSwapTarget(source.address)).toString(16), isLive);
+        if (!target) throw ApiService.error(400, 'Auto-swap target is not a supported token');
+
+        const balance = BigInt((await this._rawBalances(chain))[BigInt(source.address).toString(16)] || 0);
+        const amount = params.amount !== undefined ? BigInt(ApiService._toRawAmount(params.amount, source.decimals)) : balance;
+        if (amount === 0n) throw ApiService.error(400, `Nothing to swap: the card holds no ${source.symbol}`);
+        if (amount > balance) throw ApiService.error(400, `Insufficient ${source.symbol} balance`, 'insufficient_funds');
+
+        const slippageBps = params.slippageBps ?? card.slippage_tolerance_bps ?? 50;
+        if (slippageBps < 0 || slippageBps > MAX_SWAP_SLIPPAGE_BPS) {
+            throw ApiService.error(400, `slippage_bps must be between 0 and ${MAX_SWAP_SLIPPAGE_BPS}`);
+        }
+
+        let quote;
+        try {
+            quote = await new Avnu(isLive).getOffchainQuote({
+                sellTokenAddress: source.address,
+                buyTokenAddress: target.address,
+                sellAmount: amount,
+                takerAddress: card.address,
+                slippageBps: slippageBps
+            });
+        } catch (err) {
+            throw ApiService.error(502, `Swap quote unavailable: ${err.message}`);
+        }
+        if (BigInt(quote.sellAmount) > balance) throw ApiService.error(400, `Insufficient ${source.symbol} balance for the quote`, 'insufficient_funds');
+
+        const result = await ApiService.relay(() => chain.executeAutoSwap(source.address, amount, quote, slippageBps, params.sigR, params.sigS));
+        await chain.clearBalanceCache();
+
+        const buyAmount = BigInt(quote.buyAmount);
+        const run = {
+            sell_amount: ApiService._fromRawAmount(quote.sellAmount, source.decimals),
+            expected_buy_amount: ApiService._fromRawAmount(buyAmount, target.decimals),
+            min_buy_amount: ApiService._fromRawAmount(buyAmount - buyAmount * BigInt(slippageBps) / 10000n, target.decimals),
+            transaction_hash: result.txHash,
+            ran_at: this.date.timestampTimeNow()
+        };
+
+        await this.Cards.recordChainOperation(card.card_id, 'execute_auto_swap', result, { [`auto_swap_runs.${source.symbol}`]: run });
+        return {
+            card_id: card.card_id,
+            source_token: source.address,
+            source_currency: source.symbol,
+            target_token: target.address,
+            target_currency: target.symbol,
+            sell_amount: run.sell_amount,
+            expected_buy_amount: run.expected_buy_amount,
+            min_buy_amount: run.min_buy_amount,
+            slippage_bps: slippageBps,
+            quote_id: quote.quoteId || null,
+            ...this._chainOperation('execute_auto_swap', result)
+        };
+    }
+
+    /**
+     * A supported token that is also one of the card's currencies.
+     */
+    _cardCurrency(card, value, field, isLive) {
+        const token = StarknetConfig.resolveToken(value, isLive !== false);
+        if (!token) throw ApiService.error(400, `Unsupported ${field} token`);
+        if (!(card.currencies || []).map(c => String(c).toUpperCase()).includes(token.symbol)) {
+            throw ApiService.error(400, `Card does not accept ${token.symbol}`);
+        }
+        return token;
+    }
+
+    /**
+     * Tracked raw balances keyed by token address (hex, no leading zeros, no 0x).
+     * Read uncached — a swap must not be sized from a stale balance.
+     */
+    async _rawBalances(chain) {
+        const summary = await chain.getBalanceSummary();
+        const balances = {};
+        for (const item of summary.balances || []) {
+            balances[BigInt(item.token).toString(16)] = BigInt(item.balance.toString()).toString();
+        }
+        return balances;
+    }
+
+    _autoSwapView(card, rule, balances, isLive) {
+        const source = StarknetConfig.resolveToken(rule.sourceToken, isLive !== false);
+        const target = StarknetConfig.resolveToken(rule.targetToken, isLive !== false);
+        const raw = balances ? (balances[BigInt(rule.sourceToken).toString(16)] || '0') : null;
+
+        return {
+            source_token: source ? source.address : rule.sourceToken,
+            source_currency: source ? source.symbol : null,
+            target_token: target ? target.address : rule.targetToken,
+            target_currency: target ? target.symbol : null,
+            enabled: true,
+            pending_amount: raw !== null && source ? ApiService._fromRawAmount(raw, source.decimals) : null,
+            last_run: (source && card.auto_swap_runs && card.auto_swap_runs[source.symbol]) || null
+        };
+    }
+
+    // ─── Blocked Merchants ──────────────────────────────────────────
+    //
+    // A blacklisted merchant can no longer submit, get approved or charge
+    // requests against the card. The contract only answers "is X blocked",
+    // so the list itself — with the reason and the row it was blocked from —
+    // is kept on the card under blocked_merchants.<address>.
+
+    /**
+     * LIST BLOCKED MERCHANTS
+     * Newest first, each with its current on-chain flag (null when unreadable).
+     */
+    async listBlockedMerchants(userId, cardId, isLive) {
+        const { card, chain } = await this._cardOnChain(userId, cardId, isLive);
+
+        const entries = Object.values(card.blocked_merchants || {});
+        const merchants = await Promise.all(entries.map(async (entry) => {
+            let blocked = null;
+            try {
+                blocked = Boolean(await chain.isMerchantBlacklisted(entry.merchant));
+            } catch (err) {
+                console.error(`[ApiService] Blacklist read failed for ${entry.merchant}:`, err.message);
+            }
+            return { ...entry, blocked_onchain: blocked };
+        }));
+
+        merchants.sort((a, b) => b.blocked_at - a.blocked_at);
+        return { card_id: card.card_id, merchants };
+    }
+
+    /**
+     * BLOCK MERCHANT
+     * The merchant is given directly, or taken from one of the card's
+     * transactions (transId) or payment requests (requestId).
+     *
+     * @param {Object} params — { userId, cardId, merchant | transId | requestId, reason, sigR, sigS, isLive }
+     */
+    async blockMerchant(params) {
+        const { card, chain } = await this._cardOnChain(params.userId, params.cardId, params.isLive);
+        if (!['active', 'frozen'].includes(card.status)) throw ApiService.error(400, 'Merchants can only be blocked on active or frozen cards');
+
+        const reason = String(params.reason || '').trim();
+        if (!reason) throw ApiService.error(400, 'reason is required');
+
+        const { merchant, source } = await this._blockTarget(card, chain, params);
+        if (card.blocked_merchants?.[merchant] && await chain.isMerchantBlacklisted(merchant)) {
+            throw ApiService.error(409, 'Merchant is already blocked on this card');
+        }
+
+        const result = await ApiService.relay(() => chain.addMerchantToBlacklist(merchant, reason, params.sigR, params.sigS));
+
+        const entry = {
+            merchant: merchant,
+            reason: reason,
+            source: source,
+            blocked_at: this.date.timestampTimeNow(),
+            transaction_hash: result.txHash
+        };
+        await this.Cards.recordChainOperation(card.card_id, 'block_merchant', result, { [`blocked_merchants.${merchant}`]: entry });
+
+        return { card_id: card.card_id, ...entry, blocked_onchain: true, ...this._chainOperation('add_merchant_to_blacklist', result) };
+    }
+
+    /**
+     * UNBLOCK MERCHANT
+     * @param {Object} params — { userId, cardId, merchant, sigR, sigS, isLive }
+     */
+    async unblockMerchant(params) {
+        const { card, chain } = await this._cardOnChain(params.userId, params.cardId, params.isLive);
+        if (!['active', 'frozen'].includes(card.status)) throw ApiService.error(400, 'Merchants can only be unblocked on active or frozen cards');
+
+        const merchant = ApiService._merchantAddress(params.merchant);
+        const entry = card.blocked_merchants?.[merchant];
+        if (!entry && !await chain.isMerchantBlacklisted(merchant)) throw ApiService.error(404, 'Merchant is not blocked on this card');
+
+        const result = await ApiService.relay(() => chain.removeMerchantFromBlacklist(merchant, params.sigR, params.sigS));
+
+        await this.Cards.recordChainOperation(card.card_id, 'unblock_merchant', result, {}, [`blocked_merchants.${merchant}`]);
+        return {
+            card_id: card.card_id,
+            merchant: merchant,
+            reason: entry ? entry.reason : null,
+            blocked_onchain: false,
+            ...this._chainOperation('remove_merchant_from_blacklist', result)
+        };
+    }
+
+    /**
+     * Resolve who to block. Rows must belong to this card; transfers have a
+     * recipient, not a merchant, and cannot be blocked from.
+     */
+    async _blockTarget(card, chain, params) {
+        const given = [params.merchant, params.transId, params.requestId].filter(v => v !== undefined && v !== null);
+        if (given.length !== 1) throw ApiService.error(400, 'Give exactly one of merchant, trans_id or request_id');
+
+        if (params.transId) {
+            const txn = await this.Transactions.retrieve(params.transId, params.userId);
+            if (!txn || txn.contract_address !== card.address) throw ApiService.error(404, 'Transaction not found on this card');
+            if (TRANSFER_KINDS.includes(txn.type) || !txn.merchant_id) throw ApiService.error(400, 'Transaction has no merchant to block');
+
+            return { merchant: ApiService._merchantAddress(txn.merchant_id), source: { type: 'transaction', trans_id: txn.trans_id } };
+        }
+
+        if (params.requestId !== undefined && params.requestId !== null) {
+            const details = await this._requestDetails(chain, params.requestId);
+            return {
+                merchant: ApiService._merchantAddress('0x' + BigInt(details.merchant).toString(16)),
+                source: { type: 'payment_request', request_id: Number(details.requestId) }
+            };
+        }
+
+        return { merchant: ApiService._merchantAddress(params.merchant), source: null };
+    }
+
+    // ─── Transfers & Withdrawals ────────────────────────────────────
+    //
+    // transfer_funds reserves the amount at once and locks it for the card's
+    // transfer delay; after that anyone may finalize (the relayer does), and
+    // until then the owner can cancel with a PIN signature. Each transfer is
+    // mirrored in Transactions (type 'withdrawal' / 'transfer', request_id =
+    // on-chain transfer id, settle_at = unlock time). Mongo only follows
+    // successful receipts; the chain stays the source of truth.
+
+    /**
+     * CREATE TRANSFER
+     * A withdrawal pays the card owner's wallet; a transfer pays `recipient`.
+     * With no delay configured the transfer is finalized straight away.
+     *
+     * @param {Object} params — { userId, cardId, kind, token, amount, recipient, sigR, sigS, isLive, channel, device }
+     *                          amount is in whole token units (e.g. '12.5' USDC)
+     * @returns {{ transfer: Object, transaction: Object }}
+     */
+    async createTransfer(params) {
+        if (!TRANSFER_KINDS.includes(params.kind)) throw ApiService.error(400, `kind must be one of: ${TRANSFER_KINDS.join(', ')}`);
+
+        const { card, chain } = await this._cardOnChain(params.userId, params.cardId, params.isLive);
+        if (card.status !== 'active') throw ApiService.error(400, 'Transfers can only be made from active cards');
+
+        const token = StarknetConfig.resolveToken(params.token, params.isLive !== false);
+        if (!token) throw ApiService.error(400, 'Unsupported token');
+
+        const rawAmount = ApiService._toRawAmount(params.amount, token.decimals);
+        const recipient = params.kind === 'transfer' ? ApiService._walletAddress(params.recipient, 'recipient') : null;
+
+        const result = await ApiService.relay(() => params.kind === 'withdrawal'
+            ? chain.withdrawFunds(token.address, rawAmount, params.sigR, params.sigS)
+            : chain.transferFunds(token.address, rawAmount, recipient, params.sigR, params.sigS));
+
+        if (!result.transferId) {
+            console.error(`[ApiService] No transfer id found after ${result.txHash}`);
+            throw ApiService.error(502, 'Transfer was submitted but its id could not be read');
+        }
+
+        const onchain = await chain.getPendingTransfer(result.transferId);
+        const txn = await this.Transactions.create({
+            user_id: card.user_id,
+            merchant_id: ApiService._walletAddress('0x' + BigInt(onchain.recipient).toString(16), 'recipient'),
+            contract_address: card.address,
+            request_id: result.transferId,
+            amount: ApiService._fromRawAmount(rawAmount, token.decimals),
+            currency: token.symbol,
+            type: params.kind,
+            status: 'processing',
+            channel: params.channel || 'api',
+            settle_at: onchain.executeAfter,
+            meta_private: {
+                token_address: token.address,
+                raw_amount: rawAmount,
+                transfer_tx_hash: result.txHash
+            }
+        }, params.device);
+
+        await this.Cards.recordChainOperation(card.card_id, params.kind, result);
+
+        if (onchain.executeAfter <= this.date.timestampTimeNow()) {
+            try {
+                await this._payOut(card, chain, txn);
+            } catch (err) {
+                // Still finalizable later from the pending list
+                console.error(`[ApiService] Instant finalize of transfer ${result.transferId} failed:`, err.message);
+            }
+        }
+
+        return await this._transferResult(card, result.transferId, 'transfer_funds', result);
+    }
+
+    /**
+     * LIST TRANSFERS
+     * Open transfers carry a countdown to their unlock time.
+     * @param {Object} params — { userId, cardId, status: open|completed|cancelled|all }
+     */
+    async listTransfers(params) {
+        const filters = {};
+        if (params.cardId) {
+            const card = await this.getCard(params.userId, params.cardId);
+            if (!card.address) return { transfers: [], as_of: this.date.timestampTimeNow() };
+            filters.contract_address = card.address;
+        }
+
+        const status = params.status || 'open';
+        if (status !== 'all') filters.status = TRANSFER_STATUS_FILTERS[status];
+
+        const now = this.date.timestampTimeNow();
+        const transfers = await this.Transactions.listTransfers(params.userId, filters);
+        return { transfers: transfers.map(txn => ApiService._transferView(txn, now)), as_of: now };
+    }
+
+    /**
+     * FINALIZE TRANSFER
+     * Pays out an unlocked transfer. The contract needs no PIN for this.
+     * @param {Object} params — { userId, cardId, transferId, isLive }
+     */
+    async finalizeTransfer(params) {
+        const { card, chain, txn, onchain } = await this._openTransfer(params);
+
+        const remaining = onchain.executeAfter - this.date.timestampTimeNow();
+        if (remaining > 0) throw ApiService.error(400, `Transfer is still locked for ${remaining}s`);
+
+        const result = await this._payOut(card, chain, txn);
+        return await this._transferResult(card, txn.request_id, 'finalize_transfer', result);
+    }
+
+    /**
+     * CANCEL TRANSFER
+     * Returns the reserved funds to the card. Allowed until it is finalized.
+     * @param {Object} params — { userId, cardId, transferId, sigR, sigS, isLive }
+     */
+    async cancelTransfer(params) {
+        const { card, chain, txn } = await this._openTransfer(params);
+
+        const result = await ApiService.relay(() => chain.cancelTransfer(txn.request_id, params.sigR, params.sigS));
+
+        await this.Transactions.decline(txn.trans_id, 'cancelled', result.txHash, `Transfer cancelled by owner. Hash: ${result.txHash}`);
+        await this.Cards.recordChainOperation(card.card_id, 'cancel_transfer', result);
+        return await this._transferResult(card, txn.request_id, 'cancel_transfer', result);
+    }
+
+    /**
+     * An owned transfer that is still open on-chain. A mirror that missed a
+     * finalize or cancel sent straight to the contract is brought up to date first.
+     */
+    async _openTransfer(params) {
+        const { card, chain } = await this._cardOnChain(params.userId, params.cardId, params.isLive);
+
+        const txn = await this.Transactions.findByRequest(card.address, params.transferId);
+        if (!txn || txn.user_id !== card.user_id || !TRANSFER_KINDS.includes(txn.type)) {
+            throw ApiService.error(404, 'Transfer not found');
+        }
+
+        const onchain = await chain.getPendingTransfer(txn.request_id);
+        if (txn.status === 'processing' && onchain.executed) {
+            await this.Transactions.settle(txn.trans_id, 'succeeded', 'Transfer paid out (reconciled)');
+        } else if (txn.status === 'processing' && onchain.cancelled) {
+            await this.Transactions.decline(txn.trans_id, 'cancelled', null, 'Transfer cancelled (reconciled)');
+        }
+
+        if (onchain.executed) throw ApiService.error(400, 'Transfer has already been paid out');
+        if (onchain.cancelled || txn.status !== 'processing') throw ApiService.error(400, 'Transfer has already been cancelled');
+
+        return { card, chain, txn, onchain };
+    }
+
+    async _payOut(card, chain, txn) {
+        const result = await ApiService.relay(() => chain.finalizeTransfer(txn.request_id));
+
+        await this.Transactions.settle(txn.trans_id, 'succeeded', `Transfer paid out. Hash: ${result.txHash}`);
+        await this.Cards.recordChainOperation(card.card_id, 'finalize_transfer', result);
+        return result;
+    }
+
+    async _transferResult(card, transferId, action, result) {
+        const txn = await this.Transactions.findByRequest(card.address, transferId, { public: true });
+        return {
+            transfer: {
+                card_id: card.card_id,
+                ...ApiService._transferView(txn, this.date.timestampTimeNow()),
+                ...this._chainOperation(action, result)
+            },
+            transaction: txn
+        };
+    }
+
+    /**
+     * Public transfer shape. 'pending' turns 'executable' once settle_at has passed.
+     */
+    static _transferView(txn, now) {
+        const open = txn.status === 'processing';
+        const unlocksAt = txn.settle_at || 0;
+
+        let status = txn.status === 'succeeded' ? 'completed' : txn.status;
+        if (open) status = unlocksAt > now ? 'pending' : 'executable';
+
+        return {
+            transfer_id: txn.request_id,
+            trans_id: txn.trans_id,
+            card_address: txn.contract_address,
+            kind: txn.type,
+            status: status,
+            recipient: txn.merchant_id,
+            amount: String(txn.amount),
+            currency: txn.currency,
+            unlocks_at: unlocksAt,
+            seconds_remaining: open ? Math.max(0, unlocksAt - now) : 0,
+            created_at: txn.created_at,
+            updated_at: txn.updated_at
+        };
+    }
+
+    _chainOperation(action, result) {
+        return {
+            action: action,
+            transaction_hash: result.txHash,
+            gas: {
+                strk: result.gas?.actualStrk || null,
+                usd: result.gas?.actualUsd || null
+            }
+        };
+    }
+
+    /**
+     * USD decimal string → u256 string with 8 decimals ('12.5' → '1250000000').
+     * Zero is allowed: it disables the limit.
+     */
+    static _usdToU256(value, field) {
+        const str = String(value ?? '').trim() || '0';
+        const match = str.match(/^([0-9]{1,15})(?:\.([0-9]{1,8}))?$/);
+        if (!match) throw ApiService.error(400, `${field} must be a USD amount with at most 8 decimals`);
+        return BigInt(match[1] + (match[2] || '').padEnd(USD_DECIMALS, '0')).toString();
+    }
+
+    static _u256ToUsd(raw) {
+        return ApiService._fromRawAmount(raw, USD_DECIMALS);
+    }
+
+    /**
+     * Lower-cased, zero-padded felt so the same merchant always maps to one Mongo key.
+     */
+    static _merchantAddress(value) {
+        return ApiService._walletAddress(value, 'merchant');
+    }
+
+    static _walletAddress(value, field) {
+        const str = String(value || '').trim();
+        if (!/^0x[0-9a-fA-F]{1,64}$/.test(str)) throw ApiService.error(400, `Invalid ${field} address`);
+        return '0x' + str.slice(2).toLowerCase().padStart(64, '0');
+    }
+
+    // ─── Payment Requests (merchant-facing) ─────────────────────────
+    //
+    // A merchant's API client submits requests as the on-chain merchant set
+    // on the client (policies.merchant_address, once merchant_verified); the
+    // relayer pays the gas.
+    // Every request is mirrored in Transactions for the card owner.
+
+    /**
+     * SUBMIT PAYMENT REQUEST
+     * @param {Object} params — { client, cardAddress, amount, token, isRecurring, description, metadata, reference, isLive, device }
+     *                          amount is in whole token units (e.g. '12.5' USDC)
+     * @returns {{ request: Object, transaction: Object }}
+     */
+    async submitPaymentRequest(params) {
+        const merchant = params.client.policies?.merchant_verified ? params.client.policies.merchant_address : null;
+        if (!merchant) throw ApiService.error(403, 'Set and verify a merchant address on this API client before submitting payment requests');
+
+        const card = await ApiService.cardByAddress(this.Cards, params.cardAddress);
+        if (card.status !== 'active') throw ApiService.error(400, 'Card is not accepting payments');
+
+        const token = StarknetConfig.resolveToken(params.token, params.isLive !== false);
+        if (!token) throw ApiService.error(400, 'Unsupported token');
+        if (!(card.currencies || []).map(c => String(c).toUpperCase()).includes(token.symbol)) {
+            throw ApiService.error(400, `Card does not accept ${token.symbol}`);
+        }
+
+        const rawAmount = ApiService._toRawAmount(params.amount, token.decimals);
+        const metadata = params.metadata || {};
+        const encodedMetadata = Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : '';
+
+        const chain = await StarknetCardService.create({ cardAddress: card.address, isLive: params.isLive !== false });
+        const result = await ApiService.relay(() => chain.submitPaymentRequest(
+            merchant, rawAmount, token.address, params.isRecurring === true, params.description || '', encodedMetadata
+        ));
+
+        if (!result.requestId) {
+            console.error(`[ApiService] No request id in receipt of ${result.txHash}`);
+            throw ApiService.error(502, 'Payment request was submitted but its id could not be read');
+        }
+
+        const status = await ApiService.requestStatus(chain, result.requestId);
+
+        let txn = await this.Transactions.create({
+            user_id: card.user_id,
+            merchant_id: merchant,
+            contract_address: card.address,
+            request_id: result.requestId,
+            ref_id: params.reference || undefined,
+            amount: params.amount,
+            currency: token.symbol,
+            type: params.isRecurring ? 'subscription' : 'payment',
+            channel: 'api',
+            is_recurring: params.isRecurring === true,
+            metadata: metadata,
+            meta_private: {
+                client_id: params.client.client_id,
+                token_address: token.address,
+                raw_amount: rawAmount,
+                submit_tx_hash: result.txHash
+            }
+        }, params.device);
+
+        // Within the card's auto-approve threshold: the contract approved it on submission
+        if (status === 'approved') {
+            await this.Transactions.approve(txn.trans_id, result.txHash, 'Auto-approved on submission (within the auto-approve threshold)');
+        }
+        txn = await this.Transactions.findByRequest(card.address, result.requestId, { public: true });
+
+        const details = await chain.getRequestDetails(result.requestId);
+        return {
+            request: { ...this._paymentRequestView(card, details, status, txn, params.isLive), transaction_hash: result.txHash },
+            transaction: txn
+        };
+    }
+
+    /**
+     * GET PAYMENT REQUEST
+     * Visible to the merchant that submitted it and to the card owner.
+     */
+    async getPaymentRequest(params) {
+        const card = await ApiService.cardByAddress(this.Cards, params.cardAddress);
+        const chain = await StarknetCardService.create({ cardAddress: card.address, isLive: params.isLive !== false });
+
+        const details = await this._requestDetails(chain, params.requestId);
+
+        const merchant = params.client?.policies?.merchant_verified ? params.client.policies.merchant_address : null;
+        const isMerchant = merchant && BigInt(details.merchant) === BigInt(merchant);
+        if (!isMerchant && card.user_id !== params.userId) throw ApiService.error(404, 'Payment request not found');
+
+        const status = await ApiService.requestStatus(chain, params.requestId);
+        const txn = await this.Transactions.findByRequest(card.address, params.requestId, { public: true });
+
+        return this._paymentRequestView(card, details, status, txn, params.isLive);
+    }
+
+    // ─── Payment Request Inbox (cardholder-facing) ──────────────────
+    //
+    // Pending requests are read straight from each card contract. Approve,
+    // reject and revoke are PIN-signed by the owner and relayed; the
+    // Transactions mirror only moves once the receipt has succeeded.
+
+    /**
+     * PAYMENT REQUEST INBOX
+     * Pending requests across the user's deployed cards, newest first, with
+     * the merchant's registered profile. A card whose contract cannot be read
+     * is reported as unavailable rather than failing the whole inbox.
+     *
+     * @param {Object} params — { userId, cardId, isLive }
+     */
+    async listPaymentInbox(params) {
+        const isLive = params.isLive !== false;
+
+        let cards = await this.Cards.listDeployed(params.userId);
+        if (params.cardId) cards = cards.filter(card => card.card_id === params.cardId);
+
+        const perCard = await Promise.all(cards.map(async (card) => {
+            try {
+                const chain = await StarknetCardService.create({ cardAddress: card.address, isLive });
+                return { card, pending: await chain.getPendingRequests(0, INBOX_PAGE_SIZE), available: true };
+            } catch (err) {
+                console.error(`[ApiService] Inbox read failed for ${card.card_id}:`, err.message);
+                return { card, pending: [], available: false };
+            }
+        }));
+
+        const requests = [];
+        for (const { card, pending } of perCard) {
+            for (const details of pending) {
+                const txn = await this.Transactions.findByRequest(card.address, details.requestId, { public: true });
+                const view = this._paymentRequestView(card, details, 'pending', txn, isLive);
+                requests.push({
+                    card_id: card.card_id,
+                    card_name: card.name,
+                    card_status: card.status,
+                    ...view,
+                    merchant_blocked: Boolean(card.blocked_merchants?.[view.merchant])
+                });
+            }
+        }
+
+        // One factory lookup per merchant (cached for an hour in Redis)
+        const merchants = [...new Set(requests.map(r => r.merchant))];
+        const profiles = {};
+        await Promise.all(merchants.map(async (merchant) => {
+            try {
+                profiles[merchant] = await StarknetCardService.getMerchantInfo(merchant, isLive);
+            } catch (err) {
+                console.error(`[ApiService] Merchant lookup failed for ${merchant}:`, err.message);
+                profiles[merchant] = null;
+            }
+        }));
+
+        requests.forEach(r => { r.merchant_info = ApiService._merchantInfoView(profiles[r.merchant]); });
+        requests.sort((a, b) => b.created_at - a.created_at);
+
+        return {
+            requests: requests,
+            cards: perCard.map(({ card, pending, available }) => ({
+                card_id: card.card_id,
+                card_address: card.address,
+                status: card.status,
+                available: available,
+                pending_count: pending.length,
+                has_more: pending.length === INBOX_PAGE_SIZE
+            }))
+        };
+    }
+
+    /**
+     * APPROVE PAYMENT REQUEST
+     * @param {Object} params — { userId, cardId, requestId, sigR, sigS, isLive, device }
+     * @returns {{ request: Object, transaction: Object }}
+     */
+    async approvePaymentRequest(params) {
+        return this._decideRequest(params, 'approve');
+    }
+
+    /**
+     * REJECT PAYMENT REQUEST (pending only)
+     */
+    async rejectPaymentRequest(params) {
+        return this._decideRequest(params, 'reject');
+    }
+
+    /**
+     * REVOKE PAYMENT APPROVAL (approved, not yet charged)
+     */
+    async revokePaymentApproval(params) {
+        return this._decideRequest(params, 'revoke');
+    }
+
+    async _decideRequest(params, action) {
+        const decision = REQUEST_DECISIONS[action];
+
+        const { card, chain } = await this._cardOnChain(params.userId, params.cardId, params.isLive);
+        if (action === 'approve' && card.status !== 'active') throw ApiService.error(400, 'Only active cards can approve payments');
+
+        const details = await this._requestDetails(chain, params.requestId);
+        const current = await ApiService.requestStatus(chain, params.requestId);
+        if (current !== decision.from) throw ApiService.error(400, `Payment request is ${current}`);
+
+        const result = await ApiService.relay(() => chain[decision.method](params.requestId, params.sigR, params.sigS));
+
+        let txn = await this._requestMirror(card, details, params);
+        if (txn) {
+            if (action === 'approve') await this.Transactions.approve(txn.trans_id, result.txHash);
+            else await this.Transactions.decline(txn.trans_id, decision.to, result.txHash);
+            txn = await this.Transactions.findByRequest(card.address, details.requestId, { public: true });
+        }
+
+        const status = await ApiService.requestStatus(chain, params.requestId);
+        return {
+            request: {
+                card_id: card.card_id,
+                ...this._paymentRequestView(card, await chain.getRequestDetails(params.requestId), status, txn, params.isLive),
+                ...this._chainOperation(action, result)
+            },
+            transaction: txn
+        };
+    }
+
+    /**
+     * BATCH APPROVE (one PIN signature, up to 10 requests on one card)
+     * The contract silently skips requests that are no longer pending or
+     * whose merchant is blacklisted, so statuses are read back afterwards.
+     *
+     * @param {Object} params — { userId, cardId, requestIds, sigR, sigS, isLive, device }
+     * @returns {{ approved: Object[], skipped: Object[], transactions: Object[], operation: Object }}
+     */
+    async batchApprovePaymentRequests(params) {
+        const requestIds = [...new Set((params.requestIds || []).map(Number))];
+        if (requestIds.length === 0 || requestIds.length > MAX_BATCH_APPROVALS) {
+            throw ApiService.error(400, `request_ids must contain 1 to ${MAX_BATCH_APPROVALS} ids`);
+        }
+
+        const { card, chain } = await this._cardOnChain(params.userId, params.cardId, params.isLive);
+        if (card.status !== 'active') throw ApiService.error(400, 'Only active cards can approve payments');
+
+        const before = await Promise.all(requestIds.map(async (id) => ({
+            id: id,
+            details: await this._requestDetails(chain, id),
+            status: await ApiService.requestStatus(chain, id)
+        })));
+
+        const pending = before.filter(r => r.status === 'pending');
+        if (pending.length === 0) throw ApiService.error(400, 'None of the payment requests are pending');
+
+        const result = await ApiService.relay(() => chain.approveMultipleRequests(pending.map(r => r.id), params.sigR, params.sigS));
+
+        const approved = [];
+        const skipped = before.filter(r => r.status !== 'pending').map(r => ({ request_id: r.id, status: r.status }));
+        const transactions = [];
+
+        for (const { id, details } of pending) {
+            const status = await ApiService.requestStatus(chain, id);
+            if (status !== 'approved') {
+                skipped.push({ request_id: id, status: status });
+                continue;
+            }
+
+            let txn = await this._requestMirror(card, details, params);
+            if (txn) {
+                await this.Transactions.approve(txn.trans_id, result.txHash, `User approved via Contract (batch). Hash: ${result.txHash}`);
+                txn = await this.Transactions.findByRequest(card.address, id, { public: true });
+                transactions.push(txn);
+            }
+
+            approved.push({ card_id: card.card_id, ...this._paymentRequestView(card, await chain.getRequestDetails(id), status, txn, params.isLive) });
+        }
+
+        return {
+            approved: approved,
+            skipped: skipped,
+            transactions: transactions,
+            operation: this._chainOperation('approve_batch', result)
+        };
+    }
+
+    async _requestDetails(chain, requestId) {
+        let details;
+        try {
+            details = await chain.getRequestDetails(requestId);
+        } catch (err) {
+            // get_request_details asserts 'Not found' for unknown ids
+            throw ApiService.error(404, 'Payment request not found');
+        }
+        if (!details.requestId) throw ApiService.error(404, 'Payment request not found');
+        return details;
+    }
+
+    /**
+     * The request's Transactions mirror. Requests submitted straight to the
+     * contract (not through the API) get one on first decision.
+     */
+    async _requestMirror(card, details, params) {
+        const txn = await this.Transactions.findByRequest(card.address, details.requestId);
+        if (txn) return txn;
+
+        const token = StarknetConfig.resolveToken('0x' + BigInt(details.merchantToken).toString(16), params.isLive !== false);
+        if (!token) return null;
+
+        return await this.Transactions.create({
+            user_id: card.user_id,
+            merchant_id: ApiService._merchantAddress('0x' + BigInt(details.merchant).toString(16)),
+            contract_address: card.address,
+            request_id: details.requestId,
+            amount: ApiService._fromRawAmount(details.amount, token.decimals),
+            currency: token.symbol,
+            type: details.isRecurring ? 'subscription' : 'payment',
+            channel: 'onchain',
+            is_recurring: Boolean(details.isRecurring),
+            meta_private: {
+                token_address: token.address,
+                raw_amount: String(details.amount)
+            }
+        }, params.device);
+    }
+
+    static _merchantInfoView(info) {
+        if (!info) return { registered: false };
+
+        return {
+            registered: true,
+            business_name: info.businessName || null,
+            contact_email: info.contactEmail || null,
+            is_active: Boolean(info.isActive),
+            kyc_verified: Boolean(info.kycVerified),
+            registered_at: info.registeredAt || null
+        };
+    }
+
+    /**
+     * Look a card up by its contract address. Shared with ChargeService.
+     */
+    static async cardByAddress(Cards, address) {
+        if (!/^0x[0-9a-fA-F]{1,64}$/.test(String(address || ''))) throw ApiService.error(400, 'Invalid card address');
+
+        // Deployed addresses are stored without leading zeros
+        const card = await Cards.getByAddress('0x' + BigInt(address).toString(16));
+        if (!card) throw ApiService.error(404, 'Card not found', 'card_not_found');
+        return card;
+    }
+
+    /**
+     * On-chain request status as snake_case ('awaiting_settlement'). Shared with ChargeService.
+     */
+    static async requestStatus(chain, requestId) {
+        const variant = StarknetCardService.enumVariant(await chain.getRequestStatus(requestId), StarknetCardService.REQUEST_STATUSES);
+        return variant ? variant.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase() : 'unknown';
+    }
+
+    _paymentRequestView(card, details, status, txn, isLive) {
+        const token = StarknetConfig.resolveToken('0x' + BigInt(details.merchantToken).toString(16), isLive !== false);
+
+        let metadata = details.metadata || null;
+        try {
+            metadata = metadata ? JSON.parse(metadata) : {};
+        } catch (e) { /* not JSON — return as sent */ }
+
+        return {
+            request_id: details.requestId,
+            card_address: card.address,
+            merchant: '0x' + BigInt(details.merchant).toString(16).padStart(64, '0'),
+            token: '0x' + BigInt(details.merchantToken).toString(16),
+            currency: token ? token.symbol : null,
+            amount_raw: String(details.amount),
+            amount: token ? ApiService._fromRawAmount(details.amount, token.decimals) : null,
+            is_recurring: Boolean(details.isRecurring),
+            status: status,
+            description: details.description || '',
+            metadata: metadata,
+            created_at: details.createdAt,
+            approved_at: details.approvedAt || null,
+            last_charged_at: details.lastChargedAt || null,
+            charge_count: details.chargeCount,
+            trans_id: txn ? txn.trans_id : null,
+            transaction_status: txn ? txn.status : null
+        };
+    }
+
+    /**
+     * '12.5' with 6 decimals → '12500000'. Rejects more precision than the token has.
+     */
+    static _toRawAmount(value, decimals) {
+        const str = String(value ?? '').trim();
+        const match = str.match(/^([0-9]{1,30})(?:\.([0-9]+))?$/);
+        if (!match) throw ApiService.error(400, 'amount must be a positive decimal string');
+
+        const fraction = match[2] || '';
+        if (fraction.length > decimals) throw ApiService.error(400, `amount supports at most ${decimals} decimal places`);
+
+        const raw = BigInt(match[1] + fraction.padEnd(decimals, '0'));
+        if (raw === 0n) throw ApiService.error(400, 'amount must be greater than 0');
+        return raw.toString();
+    }
+
+    static _fromRawAmount(raw, decimals) {
+        const str = BigInt(raw).toString().padStart(decimals + 1, '0');
+        const whole = str.slice(0, str.length - decimals);
+        const fraction = str.slice(str.length - decimals).replace(/0+$/, '');
+        return fraction ? `${whole}.${fraction}` : whole;
+    }
+
+    /**
+     * Load an owned, deployed card and its contract client.
+     */
+    async _cardOnChain(userId, cardId, isLive) {
+        const card = await this.getCard(userId, cardId);
+        if (!card.address) throw ApiService.error(400, 'Card is not deployed yet', 'card_not_deployed');
+
+        const chain = await StarknetCardService.create({ cardAddress: card.address, isLive: isLive !== false });
+        return { card, chain };
+    }
+
+    /**
+     * Run a relayed write and make sure its receipt succeeded.
+     * Contract reverts (bad PIN, wrong state) surface as 422. Shared with ChargeService.
+     */
+    static async relay(send) {
+        let result;
+        try {
+            result = await send();
+        } catch (err) {
+            console.error('[ApiService] On-chain call failed:', err.message);
+            throw ApiService.error(422, `Transaction rejected: ${ApiService._revertReason(err.message)}`, 'transaction_rejected');
+        }
+
+        if (result.receipt && result.receipt.execution_status === 'REVERTED') {
+            throw ApiService.error(422, `Transaction reverted: ${ApiService._revertReason(result.receipt.revert_reason)}`, 'transaction_rejected');
+        }
+        return result;
+    }
+
+    _lifecycleResult(cardId, status, result, extra = {}) {
+        return {
+            card_id: cardId,
+            status: status,
+            ...extra,
+            transaction_hash: result.txHash,
+            gas: {
+                strk: result.gas?.actualStrk || null,
+                usd: result.gas?.actualUsd || null
+            }
+        };
+    }
+
+    /**
+     * Pull the short Cairo error string (e.g. 'Already frozen') out of a revert message.
+     */
+    static _revertReason(message = '') {
+        const match = String(message).match(/'([^']{1,31})'/);
+        return match ? match[1] : 'Unknown error';
+    }
+
     async getCard(userId, cardId){
         try {
             const card = await this.Cards.retrieveByUserId(userId, cardId);
             if (!card) {
-                throw ApiService.error(404, 'Card not found');
+                throw ApiService.error(404, 'Card not found', 'card_not_found');
             }
             return card;
         } catch (err) {
@@ -412,11 +2643,10 @@ class ApiService {
 
     /**
      * Create a structured error with HTTP status code.
+     * errorCode picks a specific AppError catalog code over the status default.
      */
-    static error(code, message) {
-        const err = new Error(message);
-        err.statusCode = code;
-        return err;
+    static error(code, message, errorCode = null) {
+        return AppError.status(code, message, errorCode);
     }
 }
 
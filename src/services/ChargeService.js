@@ -0,0 +1,266 @@
+/**
+ * ChargeService — relayer-side execution of approved payment requests.
+ *
+ *   1. prepareCharge() works out which token the card pays with
+ *   2. if that is not the merchant's token, an AVNU quote is fetched for it
+ *   3. chargeCard() / chargeRecurring() is relayed with a fresh idempotency
+ *      key and deadline
+ *   4. the mirrored Transactions record follows the receipt: 'processing'
+ *      while the settlement delay runs, 'succeeded' once the merchant is paid
+ *
+ * A recurring request stays approved on-chain only when its merchant settles
+ * instantly; the mirror then gets next_charge_at and is charged again each
+ * period. A delayed settlement ends the request (Settled), so it is charged once.
+ *
+ * workers/chargeJob runs it for every approved request and finishes the
+ * delayed settlements. The quote source is injectable ({ quotes }) so tests
+ * run against a local stub (test/support/fakes.js); by default it is the
+ * AVNU API (AVNU_API_URL overrides the URL).
+ */
+
+const StarknetCardService = require('./StarknetCardService');
+const WebhookService = require('./WebhookService');
+const ApiService = require('./ApiService');
+const Avnu = require('../utils/Avnu');
+const Cards = require('../models/Cards');
+const Transactions = require('../models/Transactions');
+
+const DEFAULT_SLIPPAGE_BPS = 100;
+const DEFAULT_DEADLINE_SECONDS = 300;
+const RECURRING_INTERVAL_SECONDS = 30 * 24 * 60 * 60; // RECURRING_INTERVAL in the card contract
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const MAX_SLIPPAGE_BPS = 1000;
+
+class ChargeService {
+    /**
+     * @param {Object} models  — { Cards, Transactions }
+     * @param {Object} [options]
+     * @param {Object} [options.quotes]   — quote source with getOffchainQuote(); defaults to AVNU
+     * @param {Object} [options.webhooks] — WebhookService for transaction.updated events
+     */
+    constructor(models, options = {}) {
+        this.Cards = models.Cards;
+        this.Transactions = models.Transactions;
+
+        this.quotes = options.quotes || null;
+        this.webhooks = options.webhooks || null;
+    }
+
+    /**
+     * Build the service outside a request (workers).
+     */
+    static fromClient(mongoClient, isLive = true, options = {}) {
+        const cards = new Cards(mongoClient);
+        const transactions = new Transactions(mongoClient);
+        if (isLive === false) {
+            cards.useDatabase(process.env.DB_NAME_SANDBOX);
+            transactions.useDatabase(process.env.DB_NAME_SANDBOX);
+        }
+
+        return new ChargeService({ Cards: cards, Transactions: transactions }, {
+            webhooks: WebhookService.fromClient(mongoClient),
+            ...options
+        });
+    }
+
+    /**
+     * CHARGE AN APPROVED PAYMENT REQUEST
+     *
+     * @param {Object} params — { cardAddress, requestId, isLive, slippageBps, deadlineSeconds }
+     * @returns {Promise<Object>} charge summary (see _afterCharge)
+     */
+    async charge(params) {
+        const isLive = params.isLive !== false;
+        const slippageBps = params.slippageBps ?? DEFAULT_SLIPPAGE_BPS;
+        if (slippageBps < 0 || slippageBps > MAX_SLIPPAGE_BPS) {
+            throw ApiService.error(400, `slippageBps must be between 0 and ${MAX_SLIPPAGE_BPS}`);
+        }
+
+        const card = await ApiService.cardByAddress(this.Cards, params.cardAddress);
+        if (card.status !== 'active') throw ApiService.error(400, 'Card is not active');
+
+        const chain = await StarknetCardService.create({ cardAddress: card.address, isLive });
+        const txn = await this.Transactions.findByRequest(card.address, params.requestId);
+
+        // A previous attempt stored its key and the charge landed: only the mirror is behind
+        if (txn && txn.charge_idempotency_key && await chain.isIdempotencyKeyUsed(txn.charge_idempotency_key)) {
+            console.log(`[ChargeService] Request ${params.requestId} on ${card.address} already charged — reconciling`);
+            return this._afterCharge(card, chain, txn, params.requestId, { txHash: null, key: txn.charge_idempotency_key, quote: null }, isLive);
+        }
+
+        const status = await ApiService.requestStatus(chain, params.requestId);
+        if (status !== 'approved') throw ApiService.error(400, `Payment request is ${status}`);
+
+        const prep = await chain.prepareCharge(params.requestId);
+        const amount = BigInt(prep.request.amount.toString());
+
+        let quote = null;
+        if (prep.swapNeeded) {
+            quote = await this._quote(card, prep, amount, slippageBps, isLive);
+        } else if (BigInt(prep.sourceBalance.toString()) < amount) {
+            throw ApiService.error(400, 'Insufficient card balance', 'insufficient_funds');
+        }
+
+        const key = (txn && txn.charge_idempotency_key) || StarknetCardService.generateIdempotencyKey();
+        if (txn) await this.Transactions.startCharge(txn.trans_id, key);
+
+        const opts = {
+            idempotencyKey: key,
+            quote: quote || undefined,
+            slippageBps: slippageBps,
+            deadlineSeconds: params.deadlineSeconds || DEFAULT_DEADLINE_SECONDS
+        };
+
+        const result = await ApiService.relay(() => prep.request.isRecurring
+            ? chain.chargeRecurring(params.requestId, opts)
+            : chain.chargeCard(params.requestId, opts));
+
+        return this._afterCharge(card, chain, txn, params.requestId, { ...result, key, quote }, isLive);
+    }
+
+    /**
+     * PROCESS A DELAYED SETTLEMENT (after settle_at)
+     * @param {Object} params — { cardAddress, requestId, isLive }
+     */
+    async processSettlement(params) {
+        const isLive = params.isLive !== false;
+        const card = await ApiService.cardByAddress(this.Cards, params.cardAddress);
+        const chain = await StarknetCardService.create({ cardAddress: card.address, isLive });
+
+        const settlement = await chain.getSettlementInfo(params.requestId);
+        if (!settlement.requestId) throw ApiService.error(404, 'No settlement for this payment request');
+        if (settlement.settled || settlement.cancelled) throw ApiService.error(400, 'Settlement is already finalised');
+        if (settlement.settleAt > Math.floor(Date.now() / 1000)) throw ApiService.error(400, 'Settlement delay has not elapsed');
+
+        const result = await ApiService.relay(() => chain.processSettlement(params.requestId));
+
+        let txn = await this.Transactions.findByRequest(card.address, params.requestId);
+        if (txn) {
+            await this.Transactions.settle(txn.trans_id, 'succeeded', `Settled to merchant. Hash: ${result.txHash}`);
+            txn = await this._publish(card, params.requestId, isLive);
+        }
+
+        return {
+            request_id: Number(params.requestId),
+            card_address: card.address,
+            status: await ApiService.requestStatus(chain, params.requestId),
+            settled: true,
+            transaction_hash: result.txHash,
+            gas: ChargeService._gas(result),
+            transaction: txn
+        };
+    }
+
+    /**
+     * AVNU quote for sourceToken → merchantToken.
+     * Asks for the amount plus the slippage margin, so the minimum the
+     * router may return still covers the request.
+     */
+    async _quote(card, prep, amount, slippageBps, isLive) {
+        const buyAmount = (amount * BigInt(10000 + slippageBps) + 9999n) / 10000n;
+        const quotes = this.quotes || new Avnu(isLive);
+
+        let quote;
+        try {
+            quote = await quotes.getOffchainQuote({
+                sellTokenAddress: prep.sourceToken,
+                buyTokenAddress: prep.merchantToken,
+                buyAmount: buyAmount,
+                takerAddress: card.address,
+                slippageBps: slippageBps
+            });
+        } catch (err) {
+            throw ApiService.error(502, `Swap quote unavailable: ${err.message}`);
+        }
+
+        if (BigInt(quote.sellAmount) > BigInt(prep.sourceBalance.toString())) {
+            throw ApiService.error(400, 'Insufficient card balance for the swap', 'insufficient_funds');
+        }
+        return quote;
+    }
+
+    /**
+     * Move the mirror along once the charge receipt succeeded. Instant
+     * settlement pays the merchant in the same transaction.
+     */
+    async _afterCharge(card, chain, txn, requestId, charge, isLive) {
+        const [status, settlement] = await Promise.all([
+            ApiService.requestStatus(chain, requestId),
+            chain.getSettlementInfo(requestId)
+        ]);
+
+        if (txn) {
+            // Still approved after a recurring charge: the contract takes the next period
+            const nextChargeAt = txn.is_recurring && status === 'approved'
+                ? ChargeService.nextChargeAt((await chain.getRequestDetails(requestId)).lastChargedAt)
+                : null;
+
+            await this.Transactions.recordCharge(txn.trans_id, {
+                txHash: charge.txHash,
+                settleAt: settlement.settleAt,
+                nextChargeAt: nextChargeAt,
+                note: charge.txHash ? null : 'Charge found on-chain (reconciled)'
+            });
+
+            if (settlement.settled) {
+                await this.Transactions.settle(txn.trans_id, 'succeeded', charge.txHash
+                    ? `Settled to merchant. Hash: ${charge.txHash}`
+                    : 'Settled to merchant (reconciled)');
+            }
+            txn = await this._publish(card, requestId, isLive);
+        } else {
+            console.warn(`[ChargeService] No transaction mirrors request ${requestId} on ${card.address}`);
+        }
+
+        return {
+            request_id: Number(requestId),
+            card_address: card.address,
+            status: status,
+            settled: Boolean(settlement.settled),
+            settle_at: settlement.settleAt || null,
+            idempotency_key: charge.key,
+            swap: charge.quote ? {
+                quote_id: charge.quote.quoteId || null,
+                sell_token: charge.quote.sellTokenAddress,
+                sell_amount: charge.quote.sellAmount,
+                buy_amount: charge.quote.buyAmount
+            } : null,
+            transaction_hash: charge.txHash,
+            gas: ChargeService._gas(charge),
+            transaction: txn
+        };
+    }
+
+    async _publish(card, requestId, isLive) {
+        const txn = await this.Transactions.findByRequest(card.address, requestId, { public: true });
+        if (this.webhooks && txn) await this.webhooks.emitTransactionUpdated(txn, isLive);
+        return txn;
+    }
+
+    /**
+     * When charge_recurring accepts the next period: 30 days after the last
+     * charge, one day more when a 29 February falls in between
+     * (calculate_recurring_interval in the card contract).
+     */
+    static nextChargeAt(lastChargedAt) {
+        const next = lastChargedAt + RECURRING_INTERVAL_SECONDS;
+        const from = new Date(lastChargedAt * 1000).getUTCFullYear();
+        const to = new Date(next * 1000).getUTCFullYear();
+
+        for (let year = from; year <= to; year++) {
+            const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+            const feb29 = Date.UTC(year, 1, 29) / 1000;
+            if (leap && feb29 > lastChargedAt && feb29 <= next) return next + SECONDS_PER_DAY;
+        }
+        return next;
+    }
+
+    static _gas(result) {
+        return {
+            strk: result.gas?.actualStrk || null,
+            usd: result.gas?.actualUsd || null
+        };
+    }
+}
+
+module.exports = ChargeService;
@@ -24,6 +24,93 @@ class RedisService {
                 end
             `
         });
+
+        // Compare-and-extend: only refresh the TTL if the value was not replaced meanwhile
+        this.client.defineCommand('extendIfUnchanged', {
+            numberOfKeys: 1,
+            lua: `
+                if redis.call("GET", KEYS[1]) == ARGV[1] then
+                    return redis.call("EXPIRE", KEYS[1], ARGV[2])
+                end
+                return 0
+            `
+        });
+
+        // Checks every limit and consumes one unit from all of them, or from none.
+        // Per key, ARGV holds: kind, capacity, refill, period_ms (after ARGV[1] = now_ms).
+        //   bucket — token bucket of `capacity`, refilled by `refill` tokens per period
+        //   window — at most `capacity` per window, which expires period_ms after first use
+        // Returns allowed, then remaining / reset_ms / retry_ms for each key.
+        this.client.defineCommand('consumeLimits', {
+            lua: `
+                local now = tonumber(ARGV[1])
+                local state = {}
+                local allowed = 1
+
+                for i = 1, #KEYS do
+                    local base = 2 + (i - 1) * 4
+                    local kind = ARGV[base]
+                    local capacity = tonumber(ARGV[base + 1])
+                    local refill = tonumber(ARGV[base + 2])
+                    local period = tonumber(ARGV[base + 3])
+                    local s = { kind = kind, capacity = capacity, refill = refill, period = period }
+
+                    if kind == 'bucket' then
+                        local data = redis.call("HMGET", KEYS[i], "tokens", "ts")
+                        local tokens = tonumber(data[1]) or capacity
+                        local ts = tonumber(data[2]) or now
+                        tokens = math.min(capacity, tokens + math.max(0, now - ts) * refill / period)
+                        s.tokens = tokens
+                        s.ok = tokens >= 1
+                    else
+                        local count = tonumber(redis.call("GET", KEYS[i])) or 0
+                        local ttl = redis.call("PTTL", KEYS[i])
+                        if ttl < 0 then ttl = period end
+                        s.count = count
+                        s.ttl = ttl
+                        s.ok = count < capacity
+                    end
+
+                    if not s.ok then allowed = 0 end
+                    state[i] = s
+                end
+
+                local result = { allowed }
+                for i = 1, #KEYS do
+                    local s = state[i]
+                    local remaining, reset, retry
+
+                    if s.kind == 'bucket' then
+                        local tokens = s.tokens
+                        if allowed == 1 then
+                            tokens = tokens - 1
+                            redis.call("HSET", KEYS[i], "tokens", tostring(tokens), "ts", now)
+                            redis.call("PEXPIRE", KEYS[i], math.ceil(s.capacity * s.period / s.refill) + 1000)
+                        end
+                        remaining = math.floor(tokens)
+                        reset = math.ceil((s.capacity - tokens) * s.period / s.refill)
+                        retry = 0
+                        if tokens < 1 then retry = math.ceil((1 - tokens) * s.period / s.refill) end
+                    else
+                        local count = s.count
+                        if allowed == 1 then
+                            count = redis.call("INCR", KEYS[i])
+                            if count == 1 then redis.call("PEXPIRE", KEYS[i], s.period) end
+                        end
+                        remaining = s.capacity - count
+                        reset = s.ttl
+                        retry = 0
+                        if remaining <= 0 then retry = s.ttl end
+                    end
+
+                    result[#result + 1] = math.max(0, remaining)
+                    result[#result + 1] = reset
+                    result[#result + 1] = retry
+                end
+
+                return result
+            `
+        });
     }
 
     /**
@@ -37,6 +124,33 @@ class RedisService {
         return result === 1; 
     }
 
+    /**
+     * CONSUME SEVERAL LIMITS AT ONCE
+     * One request counts against every limit, or — if any of them is used
+     * up — against none, so rejected calls do not eat into the daily quota.
+     *
+     * @param {Array} limits — [{ key, kind: 'bucket'|'window', capacity, refill, periodMs }]
+     * @returns {{ allowed: boolean, limits: Array<{ remaining, resetMs, retryMs }> }}
+     */
+    async consumeLimits(limits) {
+        const prefix = `${process.env.REDIS_PREFIX || 'ziondefi:'}ratelimit:`;
+        const keys = limits.map(limit => prefix + limit.key);
+        const args = [Date.now()];
+        for (const limit of limits) {
+            args.push(limit.kind, limit.capacity, limit.refill || limit.capacity, limit.periodMs);
+        }
+
+        const result = await this.client.consumeLimits(keys.length, ...keys, ...args);
+        return {
+            allowed: result[0] === 1,
+            limits: limits.map((limit, i) => ({
+                remaining: result[1 + i * 3],
+                resetMs: result[2 + i * 3],
+                retryMs: result[3 + i * 3]
+            }))
+        };
+    }
+
     // Secure Set/Get for other caching needs
     async set(key, value, ttlSeconds) {
         const fullKey = `${process.env.REDIS_PREFIX || 'ziondefi:'}${key}`;
@@ -44,11 +158,48 @@ class RedisService {
         await this.client.set(fullKey, serialized, 'EX', ttlSeconds);
     }
 
+    /**
+     * SET NX — returns TRUE only for the caller that created the key.
+     */
+    async setIfAbsent(key, value, ttlSeconds) {
+        const fullKey = `${process.env.REDIS_PREFIX || 'ziondefi:'}${key}`;
+        const result = await this.client.set(fullKey, JSON.stringify(value), 'EX', ttlSeconds, 'NX');
+        return result === 'OK';
+    }
+
+    /**
+     * Refresh a key's TTL only while it still holds `value` (e.g. a lock
+     * that has not been replaced). Returns TRUE when extended.
+     */
+    async extendIfUnchanged(key, value, ttlSeconds) {
+        const fullKey = `${process.env.REDIS_PREFIX || 'ziondefi:'}${key}`;
+        const result = await this.client.extendIfUnchanged(fullKey, JSON.stringify(value), ttlSeconds);
+        return result === 1;
+    }
+
     async get(key) {
         const fullKey = `${process.env.REDIS_PREFIX || 'ziondefi:'}${key}`;
         const data = await this.client.get(fullKey);
         try { return JSON.parse(data); } catch { return null; }
     }
+
+    async ttl(key) {
+        const fullKey = `${process.env.REDIS_PREFIX || 'ziondefi:'}${key}`;
+        return await this.client.ttl(fullKey);
+    }
+
+    /**
+     * Number of the given keys that exist.
+     */
+    async exists(...keys) {
+        const prefix = process.env.REDIS_PREFIX || 'ziondefi:';
+        return await this.client.exists(...keys.map(key => prefix + key));
+    }
+
+    async del(key) {
+        const fullKey = `${process.env.REDIS_PREFIX || 'ziondefi:'}${key}`;
+        return await this.client.del(fullKey);
+    }
 }
 
 module.exports = new RedisService();
\ No newline at end of file
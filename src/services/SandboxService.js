@@ -0,0 +1,276 @@
+/**
+ * SandboxService — synthetic events for integration testing.
+ *
+ * Sandbox clients run against their own database but still deploy to
+ * Sepolia, so failures, settlements and bridge completions are slow or
+ * impossible to reproduce. The simulator drives the same model methods and
+ * fires the same webhooks and notifications as the real flows:
+ *
+ *   transactions — create, then approve / reject / settle / fail / revoke /
+ *                  cancel, and unlock for time-locked transfers
+ *   cards        — deployment success or failure, freeze, unfreeze, terminate
+ *   bridges      — mark a Layerswap bridge completed
+ *
+ * Synthetic transactions use channel 'sandbox' and are skipped by the
+ * workers. Simulated deployments keep the card's real
+ * address (usually none), so on-chain routes still answer card_not_deployed.
+ *
+ * Sandbox cards are also deployed to Sepolia by cardDeployWorker. A queued
+ * deployment (pending_deployment) can be simulated: the worker then finds
+ * the card settled and skips it. Once the worker has picked the card up
+ * (deploying) the real deployment wins and simulating it is refused.
+ */
+
+const crypto = require('crypto');
+const ApiService = require('./ApiService');
+const StarknetConfig = require('./StarknetConfig');
+const Transactions = require('../models/Transactions');
+const DateHelper = require('../utils/DateHelper');
+
+const PAYMENT_TYPES = ['payment', 'subscription'];
+const TRANSACTION_TYPES = [...PAYMENT_TYPES, ...Transactions.TRANSFER_TYPES];
+
+// action → required status, resulting status, and which transaction types allow it
+const TRANSACTION_ACTIONS = {
+    approve: { from: 'pending_approval', to: 'processing', types: PAYMENT_TYPES },
+    reject:  { from: 'pending_approval', to: 'rejected',   types: PAYMENT_TYPES },
+    settle:  { from: 'processing',       to: 'succeeded',  types: TRANSACTION_TYPES },
+    fail:    { from: 'processing',       to: 'failed',     types: TRANSACTION_TYPES },
+    revoke:  { from: 'processing',       to: 'revoked',    types: PAYMENT_TYPES },
+    cancel:  { from: 'processing',       to: 'cancelled',  types: Transactions.TRANSFER_TYPES },
+    unlock:  { from: 'processing',       to: 'processing', types: Transactions.TRANSFER_TYPES }
+};
+
+// target card status → statuses it can be reached from
+const CARD_TRANSITIONS = {
+    active:     ['pending_deployment', 'failed', 'frozen'],
+    failed:     ['pending_deployment'],
+    frozen:     ['active'],
+    terminated: ['active', 'frozen']
+};
+
+class SandboxService {
+    /**
+     * @param {Object} models — request models, already switched to the sandbox database
+     * @param {Object} options — { webhooks }
+     */
+    constructor(models, options = {}) {
+        this.Cards = models.Cards;
+        this.Transactions = models.Transactions;
+        this.Bridge = models.Bridge;
+        this.Notification = models.Notification;
+
+        this.webhooks = options.webhooks;
+        this.date = new DateHelper();
+    }
+
+    static TRANSACTION_ACTIONS = Object.keys(TRANSACTION_ACTIONS);
+    static CARD_STATUSES = Object.keys(CARD_TRANSITIONS);
+
+    // ─── Transactions ───────────────────────────────────────────────
+
+    /**
+     * CREATE SYNTHETIC TRANSACTION
+     * Payments start in pending_approval; withdrawals and transfers start
+     * locked in processing and unlock after `unlocksIn` seconds.
+     *
+     * @param {Object} params — { userId, cardId, type, amount, currency, merchant, recipient, unlocksIn, reference, metadata, device }
+     */
+    async createTransaction(params) {
+        const type = params.type || 'payment';
+        if (!TRANSACTION_TYPES.includes(type)) throw ApiService.error(400, `type must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+
+        const card = await this._card(params.userId, params.cardId);
+
+        const currency = String(params.currency || '').toUpperCase();
+        if (!(card.currencies || []).map(c => String(c).toUpperCase()).includes(currency)) {
+            throw ApiService.error(400, `Card does not accept ${currency || 'this currency'}`);
+        }
+
+        const isTransfer = Transactions.TRANSFER_TYPES.includes(type);
+        let counterparty = null;
+        if (type === 'transfer') counterparty = ApiService._walletAddress(params.recipient, 'recipient');
+        else if (type === 'withdrawal') counterparty = card.wallet || null;
+        else if (params.merchant) counterparty = ApiService._merchantAddress(params.merchant);
+
+        const token = StarknetConfig.resolveToken(currency, false);
+        const txn = await this.Transactions.create({
+            user_id: card.user_id,
+            merchant_id: counterparty,
+            contract_address: card.address || null,
+            ref_id: params.reference || undefined,
+            amount: params.amount,
+            currency: currency,
+            type: type,
+            status: isTransfer ? 'processing' : 'pending_approval',
+            channel: 'sandbox',
+            is_recurring: type === 'subscription',
+            settle_at: isTransfer ? this.date.timestampTimeNow() + (params.unlocksIn || 0) : null,
+            metadata: params.metadata || {},
+            meta_private: {
+                simulated: true,
+                token_address: token ? token.address : null
+            }
+        }, params.device);
+
+        const view = await this.Transactions.retrieve(txn.trans_id, card.user_id, { public: true });
+        await this.webhooks.emitTransactionUpdated(view, false);
+        return view;
+    }
+
+    /**
+     * ADVANCE SYNTHETIC TRANSACTION
+     * Moves one step along the approve / settle timeline, through the same
+     * model methods (and timeline notes) as the relayer and the workers.
+     */
+    async advanceTransaction(userId, transId, action, note = null) {
+        const step = TRANSACTION_ACTIONS[action];
+        if (!step) throw ApiService.error(400, `action must be one of: ${SandboxService.TRANSACTION_ACTIONS.join(', ')}`);
+
+        const txn = await this.Transactions.retrieve(transId, userId);
+        if (!txn || txn.channel !== 'sandbox') throw ApiService.error(404, 'Simulated transaction not found');
+        if (!step.types.includes(txn.type)) throw ApiService.error(400, `Cannot ${action} a ${txn.type}`);
+        if (txn.status !== step.from) throw ApiService.error(409, `Cannot ${action} a transaction that is ${txn.status}`);
+
+        const txHash = SandboxService._txHash();
+
+        if (action === 'unlock') {
+            if (txn.unlock_notified_at) throw ApiService.error(409, 'Transfer unlock was already announced');
+            await this._announceUnlock(txn);
+            return await this.Transactions.retrieve(transId, userId, { public: true });
+        }
+
+        if (action === 'approve') {
+            await this.Transactions.approve(txn.trans_id, txHash, note);
+        } else if (step.to === 'succeeded' || step.to === 'failed') {
+            await this.Transactions.settle(txn.trans_id, step.to, note || (step.to === 'succeeded'
+                ? `Settled to merchant. Hash: ${txHash}`
+                : 'Simulated settlement failure'));
+        } else {
+            await this.Transactions.decline(txn.trans_id, step.to, txHash, note);
+        }
+
+        const view = await this.Transactions.retrieve(transId, userId, { public: true });
+        await this.webhooks.emitTransactionUpdated(view, false);
+        return view;
+    }
+
+    /**
+     * Same notice as transferUnlockJob: dashboard notification plus transfer.unlocked.
+     */
+    async _announceUnlock(txn) {
+        const now = this.date.timestampTimeNow();
+        const unlocked = { ...txn, settle_at: Math.min(txn.settle_at || now, now) };
+        await this.Transactions.updateOne({ trans_id: txn.trans_id }, { $set: { settle_at: unlocked.settle_at } });
+
+        const label = txn.type === 'withdrawal' ? 'Withdrawal' : 'Transfer';
+        await this.Notification.create(
+            txn.user_id,
+            `${label} ready to finalize`,
+            `Your ${label.toLowerCase()} of ${txn.amount} ${txn.currency} is unlocked. Finalize it to release the funds, or cancel it to keep them on your card.`
+        );
+        await this.webhooks.emit('transfer.unlocked', txn.user_id, false, ApiService._transferView(unlocked, now));
+        await this.Transactions.markUnlockNotified(txn.trans_id);
+    }
+
+    // ─── Cards ──────────────────────────────────────────────────────
+
+    /**
+     * SET CARD STATUS
+     * active / failed finish a pending deployment (card.deployed / card.failed,
+     * as cardDeployWorker sends them); active also unfreezes a frozen card.
+     */
+    async setCardStatus(userId, cardId, status, reason = null) {
+        const allowedFrom = CARD_TRANSITIONS[status];
+        if (!allowedFrom) throw ApiService.error(400, `status must be one of: ${SandboxService.CARD_STATUSES.join(', ')}`);
+
+        const card = await this._card(userId, cardId);
+        if (card.status === 'deploying') {
+            throw ApiService.error(409, 'A Sepolia deployment of this card is in flight; wait for card.deployed or card.failed');
+        }
+        if (!allowedFrom.includes(card.status)) {
+            throw ApiService.error(409, `Cannot move a ${card.status} card to ${status}`);
+        }
+
+        if (status === 'active' && card.status !== 'frozen') {
+            const txHash = SandboxService._txHash();
+            await this.Cards.confirmDeployment(card.card_id, card.address || null, txHash, { simulated: true });
+            await this.webhooks.emit('card.deployed', card.user_id, false, {
+                card_id: card.card_id,
+                status: 'active',
+                address: card.address || null,
+                transaction_hash: txHash
+            });
+        } else if (status === 'failed') {
+            const error = reason || 'Simulated deployment failure';
+            const attempts = (card.deploy_attempts || 0) + 1;
+            await this.Cards.failDeployment(card.card_id, error, attempts);
+            await this.webhooks.emit('card.failed', card.user_id, false, {
+                card_id: card.card_id,
+                status: 'failed',
+                error: error,
+                attempts: attempts
+            });
+        } else if (status === 'terminated') {
+            await this.Cards.terminate(card.card_id);
+        } else {
+            await this.Cards.updateStatus(card.card_id, status, status === 'frozen' ? (reason || 'Frozen in sandbox') : null);
+        }
+
+        const updated = await this.Cards.retrieveByUserId(userId, card.card_id);
+        return {
+            card_id: updated.card_id,
+            status: updated.status,
+            previous_status: card.status,
+            address: updated.address || null,
+            frozen_reason: updated.status === 'frozen' ? (updated.frozen_reason || null) : null,
+            deploy_error: updated.status === 'failed' ? (updated.deploy_error || null) : null
+        };
+    }
+
+    // ─── Bridges ────────────────────────────────────────────────────
+
+    /**
+     * COMPLETE BRIDGE
+     * Marks a bridge deposit completed and sends bridge.completed, as the
+     * dashboard status check does when Layerswap reports it.
+     */
+    async completeBridge(userId, referenceId, receivedAmount = null) {
+        const record = await this.Bridge.retrieveByUserId(userId, referenceId);
+        if (!record) throw ApiService.error(404, 'Bridge not found');
+        if (record.status === 'completed') throw ApiService.error(409, 'Bridge is already completed');
+
+        const updated = await this.Bridge.updateBridge(record.reference_id, {
+            status: 'completed',
+            received_amount: receivedAmount ?? record.amount
+        });
+
+        const data = {
+            reference_id: updated.reference_id,
+            swap_id: updated.swap_id,
+            card_id: updated.card_id,
+            status: updated.status,
+            source_network: updated.source_network,
+            source_token: updated.source_token,
+            destination_network: updated.destination_network,
+            destination_address: updated.destination_address,
+            amount: updated.amount,
+            received_amount: updated.received_amount
+        };
+
+        await this.webhooks.emit('bridge.completed', userId, false, data);
+        return data;
+    }
+
+    async _card(userId, cardId) {
+        const card = await this.Cards.retrieveByUserId(userId, cardId);
+        if (!card) throw ApiService.error(404, 'Card not found', 'card_not_found');
+        return card;
+    }
+
+    static _txHash() {
+        return '0x' + crypto.randomBytes(32).toString('hex');
+    }
+}
+
+module.exports = SandboxService;
@@ -22,7 +22,7 @@
  *   await card.approvePaymentRequest(requestId, sigR, sigS, ownerAcct); // owner + PIN
  */
 
-const { RpcProvider, Account, Contract, uint256, CairoCustomEnum } = require('starknet');
+const { RpcProvider, Account, Contract, ec, uint256, hash, byteArray, shortString, constants, CairoCustomEnum, CairoOption, CairoOptionVariant } = require('starknet');
 const redis = require('./RedisService');
 const StarknetGasManager = require('./StarknetGasManager');
 const StarknetConfig = require('./StarknetConfig');
@@ -32,6 +32,13 @@ const priceOracle = require('../utils/PriceOracleService');
 const ABI_CACHE_TTL = 3600;
 const ABI_KEY_PREFIX = 'abi:';
 
+// Formatted balances are short-lived: deposits and charges must show up quickly
+const BALANCE_CACHE_TTL = 30;
+const BALANCE_KEY_PREFIX = 'card_balances:';
+
+// Storage addresses are felts below 2^251 - 256
+const STORAGE_ADDRESS_BOUND = 2n ** 251n - 256n;
+
 // ============================================================================
 // SERVICE
 // ============================================================================
@@ -290,20 +297,17 @@ class StarknetCardService {
         ]);
     }
 
-    /** Owner-only — requires _assert_owner_pin. Must be called by the owner account. */
-    async setMerchantSpendLimit(merchant, maxAmountUsd, sigR, sigS, ownerAccount) {
-        if (!ownerAccount) throw new Error('setMerchantSpendLimit requires ownerAccount');
-        const contract = this._withAccount(ownerAccount);
+    /** Per-merchant cap in USD (8 decimals). PIN required. */
+    async setMerchantSpendLimit(merchant, maxAmountUsd, sigR, sigS, callerAccount) {
+        const { contract, sigR: r, sigS: s } = this._resolvePin(sigR, sigS, callerAccount);
         return this._execute(contract, 'set_merchant_spend_limit', [
-            merchant, uint256.bnToUint256(BigInt(maxAmountUsd)), sigR, sigS,
+            merchant, uint256.bnToUint256(BigInt(maxAmountUsd)), r, s,
         ]);
     }
 
-    /** Owner-only — requires _assert_owner_pin. */
-    async removeMerchantSpendLimit(merchant, sigR, sigS, ownerAccount) {
-        if (!ownerAccount) throw new Error('removeMerchantSpendLimit requires ownerAccount');
-        const contract = this._withAccount(ownerAccount);
-        return this._execute(contract, 'remove_merchant_spend_limit', [merchant, sigR, sigS]);
+    async removeMerchantSpendLimit(merchant, sigR, sigS, callerAccount) {
+        const { contract, sigR: r, sigS: s } = this._resolvePin(sigR, sigS, callerAccount);
+        return this._execute(contract, 'remove_merchant_spend_limit', [merchant, r, s]);
     }
 
     /** Set a token's Pragma price feed pair ID. PIN required. */
@@ -374,12 +378,28 @@ class StarknetCardService {
         const receipt = await this.provider.waitForTransaction(result.transaction_hash);
         const gas = await this.gas.extractCost(receipt);
 
-        // Return value is the request_id
-        let requestId = null;
-        if (result.response && result.response.length > 0) {
-            requestId = Number(result.response[0]);
+        // Invokes do not return values — read the request_id from PaymentRequestSubmitted
+        return { requestId: this._submittedRequestId(contract, receipt), txHash: result.transaction_hash, receipt, gas };
+    }
+
+    _submittedRequestId(contract, receipt) {
+        try {
+            for (const parsed of contract.parseEvents(receipt)) {
+                const name = Object.keys(parsed).find(key => key.endsWith('PaymentRequestSubmitted'));
+                if (name) return Number(parsed[name].request_id);
+            }
+        } catch (e) {
+            console.warn('[StarknetCardService] ABI event parse failed, falling back to raw keys');
         }
-        return { requestId, txHash: result.transaction_hash, receipt, gas };
+
+        // Raw event: keys = [selector, request_id, merchant]
+        const selector = BigInt(hash.getSelectorFromName('PaymentRequestSubmitted'));
+        const event = (receipt.events || []).find(e =>
+            e.keys && e.keys.length > 1
+            && BigInt(e.keys[0]) === selector
+            && BigInt(e.from_address) === BigInt(this.cardAddress)
+        );
+        return event ? Number(BigInt(event.keys[1])) : null;
     }
 
     /**
@@ -424,20 +444,7 @@ class StarknetCardService {
      * @param {Account} [opts.account]                  — caller (default relayer)
      */
     async chargeCard(requestId, opts = {}) {
-        const contract = this._withAccount(opts.account || this.relayerAccount);
-        const key = opts.idempotencyKey || StarknetCardService.generateIdempotencyKey();
-        const slippage = opts.slippageBps || 100;
-        const deadline = opts.deadlineSeconds
-            ? Math.floor(Date.now() / 1000) + opts.deadlineSeconds
-            : Math.floor(Date.now() / 1000) + 300;
-
-        const quote = opts.quote
-            ? { variant: { Some: StarknetCardService.buildQuote(opts.quote) } }
-            : { variant: { None: {} } };
-
-        return this._execute(contract, 'charge_card', [
-            requestId, key, delay, quote, slippage, deadline,
-        ]);
+        return this._charge('charge_card', requestId, opts);
     }
 
     /**
@@ -445,19 +452,25 @@ class StarknetCardService {
      * Same parameters as chargeCard.
      */
     async chargeRecurring(requestId, opts = {}) {
+        return this._charge('charge_recurring', requestId, opts);
+    }
+
+    /**
+     * The settlement delay is not a charge argument — the contract uses the
+     * card's configured delay (or the merchant's instant settlement).
+     */
+    async _charge(entrypoint, requestId, opts) {
         const contract = this._withAccount(opts.account || this.relayerAccount);
         const key = opts.idempotencyKey || StarknetCardService.generateIdempotencyKey();
-        const slippage = opts.slippageBps || 100;
-        const deadline = opts.deadlineSeconds
-            ? Math.floor(Date.now() / 1000) + opts.deadlineSeconds
-            : Math.floor(Date.now() / 1000) + 300;
+        const slippage = opts.slippageBps ?? 100;
+        const deadline = Math.floor(Date.now() / 1000) + (opts.deadlineSeconds || 300);
 
         const quote = opts.quote
-            ? { variant: { Some: StarknetCardService.buildQuote(opts.quote) } }
-            : { variant: { None: {} } };
+            ? new CairoOption(CairoOptionVariant.Some, StarknetCardService.buildQuote(opts.quote))
+            : new CairoOption(CairoOptionVariant.None);
 
-        return this._execute(contract, 'charge_recurring', [
-            requestId, key, delay, quote, slippage, deadline,
+        return this._execute(contract, entrypoint, [
+            requestId, key, quote, slippage, deadline,
         ]);
     }
 
@@ -494,49 +507,75 @@ class StarknetCardService {
         return this._execute(contract, 'deposit_funds', [token, uint256.bnToUint256(BigInt(amount))]);
     }
 
-    /** Withdraw funds to owner (immediate) or transfer to external address (delayed). PIN required. */
-    async transfer(action, token, amount, recipient, sigR, sigS, callerAccount) {
+    /**
+     * Move funds out of the card. PIN required.
+     * The amount is reserved at once and paid out by finalizeTransfer() after
+     * the card's transfer delay. Transfers share the payment request counter
+     * and are stored as settlements (merchant = owner, payout_wallet = to).
+     *
+     * @returns {{ transferId: number|null, txHash, receipt, gas }}
+     */
+    async transferFunds(token, amount, recipient, sigR, sigS, callerAccount) {
         const { contract, sigR: r, sigS: s } = this._resolvePin(sigR, sigS, callerAccount);
-        return this._execute(contract, 'transfer', [
-            action, token, uint256.bnToUint256(BigInt(amount)),
-            recipient || '0x0', r, s,
+        const before = (await this.getCardInfo()).totalRequests;
+
+        const result = await this._execute(contract, 'transfer_funds', [
+            token, recipient, uint256.bnToUint256(BigInt(amount)), r, s,
         ]);
+        if (result.receipt && result.receipt.execution_status === 'REVERTED') return { transferId: null, ...result };
+
+        return { transferId: await this._createdTransferId(before, token, recipient, amount), ...result };
     }
 
-    /** Withdraw funds to owner (shortcut — calls transfer with 'withdraw' action). */
+    /** Withdraw funds to the card owner's wallet (same time lock as transfers). PIN required. */
     async withdrawFunds(token, amount, sigR, sigS, callerAccount) {
-        return this.transfer('withdraw', token, amount, '0x0', sigR, sigS, callerAccount);
+        const { owner } = await this.getCardInfo();
+        return this.transferFunds(token, amount, '0x' + BigInt(owner).toString(16), sigR, sigS, callerAccount);
     }
 
-    /** Transfer funds to an external address (creates a pending transfer with delay). */
-    async transferFunds(token, amount, recipient, sigR, sigS, callerAccount) {
-        return this.transfer('transfer', token, amount, recipient, sigR, sigS, callerAccount);
+    /**
+     * transfer_funds emits no event: find the new settlement among the ids
+     * allocated since `before` (payment requests may have taken some of them).
+     */
+    async _createdTransferId(before, token, recipient, amount) {
+        const after = (await this.getCardInfo()).totalRequests;
+
+        for (let id = after; id > before; id--) {
+            const s = await this.getSettlementInfo(id);
+            if (BigInt(s.payoutWallet) === BigInt(recipient)
+                && BigInt(s.token) === BigInt(token)
+                && BigInt(s.amountForMerchant) === BigInt(amount)
+                && BigInt(s.adminFee) === 0n
+                && !s.settled && !s.cancelled) {
+                return id;
+            }
+        }
+        return null;
     }
 
-    /** Execute a pending transfer after the delay has elapsed. PIN required. */
-    async executeTransfer(transferId, sigR, sigS, callerAccount) {
-        const { contract, sigR: r, sigS: s } = this._resolvePin(sigR, sigS, callerAccount);
-        return this._execute(contract, 'execute_transfer', [transferId, r, s]);
+    /** Pay out a transfer once its delay has elapsed. No PIN — sent by the relayer. */
+    async finalizeTransfer(transferId, opts = {}) {
+        const contract = this._withAccount(opts.account || this.relayerAccount);
+        return this._execute(contract, 'finalize_transfer', [transferId]);
     }
 
-    /** Cancel a pending transfer (refunds reserved funds). PIN required. */
+    /** Cancel a pending transfer (returns the reserved funds to the card). PIN required. */
     async cancelTransfer(transferId, sigR, sigS, callerAccount) {
         const { contract, sigR: r, sigS: s } = this._resolvePin(sigR, sigS, callerAccount);
         return this._execute(contract, 'cancel_transfer', [transferId, r, s]);
     }
 
-    /** Get details of a pending transfer. */
+    /** Get a transfer from its settlement record. */
     async getPendingTransfer(transferId) {
-        const r = await this.contract.get_pending_transfer(transferId);
+        const s = await this.getSettlementInfo(transferId);
         return {
-            transferId: Number(r.transfer_id),
-            token: r.token,
-            amount: r.amount,
-            recipient: r.recipient,
-            createdAt: Number(r.created_at),
-            executeAfter: Number(r.execute_after),
-            executed: r.executed,
-            cancelled: r.cancelled,
+            transferId: s.requestId,
+            token: s.token,
+            amount: s.amountForMerchant,
+            recipient: s.payoutWallet,
+            executeAfter: s.settleAt,
+            executed: s.settled,
+            cancelled: s.cancelled,
         };
     }
 
@@ -593,14 +632,14 @@ class StarknetCardService {
     // G. MERCHANT BLACKLIST (owner-only, requires PIN)
     // ====================================================================
 
-    async addMerchantToBlacklist(merchant, reason, sigR, sigS, userAccount) {
-        const contract = this._withAccount(userAccount);
-        return this._execute(contract, 'add_merchant_to_blacklist', [merchant, reason, sigR, sigS]);
+    async addMerchantToBlacklist(merchant, reason, sigR, sigS, callerAccount) {
+        const { contract, sigR: r, sigS: s } = this._resolvePin(sigR, sigS, callerAccount);
+        return this._execute(contract, 'add_merchant_to_blacklist', [merchant, reason || '', r, s]);
     }
 
-    async removeMerchantFromBlacklist(merchant, sigR, sigS, userAccount) {
-        const contract = this._withAccount(userAccount);
-        return this._execute(contract, 'remove_merchant_from_blacklist', [merchant, sigR, sigS]);
+    async removeMerchantFromBlacklist(merchant, sigR, sigS, callerAccount) {
+        const { contract, sigR: r, sigS: s } = this._resolvePin(sigR, sigS, callerAccount);
+        return this._execute(contract, 'remove_merchant_from_blacklist', [merchant, r, s]);
     }
 
     // ====================================================================
@@ -613,18 +652,16 @@ class StarknetCardService {
         return this._execute(contract, 'freeze_card', [r, s]);
     }
 
-    /** Unfreeze the card (owner-only, requires PIN). */
-    async unfreezeCard(sigR, sigS, ownerAccount) {
-        if (!ownerAccount) throw new Error('unfreezeCard requires ownerAccount');
-        const contract = this._withAccount(ownerAccount);
-        return this._execute(contract, 'unfreeze_card', [sigR, sigS]);
+    /** Unfreeze the card. PIN required (owner or relayer may send). */
+    async unfreezeCard(sigR, sigS, callerAccount) {
+        const { contract, sigR: r, sigS: s } = this._resolvePin(sigR, sigS, callerAccount);
+        return this._execute(contract, 'unfreeze_card', [r, s]);
     }
 
-    /** Burn the card permanently (owner-only, requires PIN). */
-    async burnCard(sigR, sigS, ownerAccount) {
-        if (!ownerAccount) throw new Error('burnCard requires ownerAccount');
-        const contract = this._withAccount(ownerAccount);
-        return this._execute(contract, 'burn_card', [sigR, sigS]);
+    /** Burn the card permanently. PIN required (owner or relayer may send). */
+    async burnCard(sigR, sigS, callerAccount) {
+        const { contract, sigR: r, sigS: s } = this._resolvePin(sigR, sigS, callerAccount);
+        return this._execute(contract, 'burn_card', [r, s]);
     }
 
     // ====================================================================
@@ -648,14 +685,70 @@ class StarknetCardService {
         return this._execute(contract, 'rotate_pin', [newPublicKey, oldSigR, oldSigS]);
     }
 
-    /** Get a user's PIN public key (owner or relayer). */
+    /**
+     * The rotate_pin call for the owner's wallet to send. The contract only
+     * accepts it from the owner, so the relayer cannot submit it.
+     */
+    buildRotatePinCall(newPublicKey, oldSigR, oldSigS) {
+        return {
+            contractAddress: this.cardAddress,
+            entrypoint: 'rotate_pin',
+            calldata: [newPublicKey, oldSigR, oldSigS].map(v => '0x' + BigInt(v).toString(16))
+        };
+    }
+
+    /** Wait for a transaction sent outside this service (e.g. by the owner's wallet). */
+    async waitForReceipt(txHash) {
+        const receipt = await this.provider.waitForTransaction(txHash);
+        const gas = await this.gas.extractCost(receipt);
+        return { txHash, receipt, gas };
+    }
+
+    /**
+     * Get a user's PIN public key.
+     * get_pin_public_key / get_pin_nonce only answer the owner or relayer, and
+     * a view call has no caller, so both read the PinComponent storage instead.
+     */
     async getPinPublicKey(user) {
-        return this.contract.get_pin_public_key(user);
+        return this._readMapEntry('pin_user_keys', user);
     }
 
-    /** Get a user's PIN nonce (owner or relayer). */
+    /** Get a user's PIN nonce. */
     async getPinNonce(user) {
-        return this.contract.get_pin_nonce(user);
+        return this._readMapEntry('pin_user_nonces', user);
+    }
+
+    /**
+     * Raw Map<ContractAddress, felt252> entry: pedersen(sn_keccak(name), key)
+     * mod 2^251 - 256 (the pin component's storage is flat, substorage v0).
+     */
+    async _readMapEntry(name, key) {
+        const slot = BigInt(hash.computePedersenHash(hash.starknetKeccak(name), key)) % STORAGE_ADDRESS_BOUND;
+        return BigInt(await this.provider.getStorageAt(this.cardAddress, '0x' + slot.toString(16)));
+    }
+
+    /**
+     * The hash the current PIN key signs to rotate: Poseidon('ROTATE', new_key, nonce).
+     * @returns {string} hex felt
+     */
+    static pinRotationHash(newPublicKey, nonce) {
+        return hash.computePoseidonHashOnElements([shortString.encodeShortString('ROTATE'), newPublicKey, nonce]);
+    }
+
+    /**
+     * Off-chain check_ecdsa_signature. PIN keys are stored as x-coordinates,
+     * so both points with that x are tried.
+     */
+    static verifyPinSignature(messageHash, publicKey, sigR, sigS) {
+        const signature = new ec.starkCurve.Signature(BigInt(sigR), BigInt(sigS));
+        const x = BigInt(publicKey).toString(16).padStart(64, '0');
+        return ['02', '03'].some(prefix => {
+            try {
+                return ec.starkCurve.verify(signature, messageHash, prefix + x);
+            } catch (e) {
+                return false;
+            }
+        });
     }
 
     // ====================================================================
@@ -679,15 +772,20 @@ class StarknetCardService {
     }
 
     async getPendingRequests(offset = 0, limit = 20) {
-        return this.contract.get_pending_requests(offset, limit);
+        const list = await this.contract.get_pending_requests(offset, limit);
+        return list.map(r => StarknetCardService._parseRequest(r));
     }
 
     async getApprovedRequests(offset = 0, limit = 20) {
-        return this.contract.get_approved_requests(offset, limit);
+        const list = await this.contract.get_approved_requests(offset, limit);
+        return list.map(r => StarknetCardService._parseRequest(r));
     }
 
     async getRequestDetails(requestId) {
-        const r = await this.contract.get_request_details(requestId);
+        return StarknetCardService._parseRequest(await this.contract.get_request_details(requestId));
+    }
+
+    static _parseRequest(r) {
         return {
             requestId: Number(r.request_id),
             merchant: r.merchant,
@@ -695,8 +793,8 @@ class StarknetCardService {
             merchantToken: r.token,
             isRecurring: r.is_recurring,
             status: r.status,
-            description: r.description,
-            metadata: r.metadata,
+            description: StarknetCardService.decodeByteArray(r.description),
+            metadata: StarknetCardService.decodeByteArray(r.metadata),
             createdAt: Number(r.created_at),
             approvedAt: Number(r.approved_at),
             lastChargedAt: Number(r.last_charged_at),
@@ -704,10 +802,58 @@ class StarknetCardService {
         };
     }
 
+    /** Short-string felt (e.g. 'VELOCITY') as text. */
+    static decodeFelt(value) {
+        if (value === undefined || value === null) return '';
+        try {
+            return shortString.decodeShortString('0x' + BigInt(value).toString(16));
+        } catch (e) {
+            return String(value);
+        }
+    }
+
+    /**
+     * ByteArray fields come back as a string from the ABI parser, or as the
+     * raw { data, pending_word, pending_word_len } struct on older paths.
+     */
+    static decodeByteArray(value) {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'string') return value;
+        try {
+            return byteArray.stringFromByteArray(value);
+        } catch (e) {
+            return '';
+        }
+    }
+
     async getRequestStatus(requestId) {
         return this.contract.get_request_status(requestId);
     }
 
+    /** RequestStatus variants, in Cairo declaration order. */
+    static REQUEST_STATUSES = ['None', 'Pending', 'Approved', 'Rejected', 'AwaitingSettlement', 'Settled', 'Cancelled', 'Revoked'];
+
+    /**
+     * Name of the active variant of a decoded Cairo enum. Starknet.js hands
+     * enums back as CairoCustomEnum, a { variant } map or a bare index
+     * depending on version and call path.
+     *
+     * @param {*} value
+     * @param {string[]} variants — variant names in declaration order (for index form)
+     * @returns {string|null}
+     */
+    static enumVariant(value, variants = []) {
+        if (value === undefined || value === null) return null;
+        if (typeof value === 'bigint' || typeof value === 'number') return variants[Number(value)] || null;
+        if (typeof value === 'string') return value;
+        if (typeof value.activeVariant === 'function') return value.activeVariant() || null;
+        if (value.variant) {
+            const active = Object.entries(value.variant).find(([, v]) => v !== undefined);
+            return active ? active[0] : null;
+        }
+        return null;
+    }
+
     async isMerchantBlacklisted(merchant) {
         return this.contract.is_merchant_blacklisted(merchant);
     }
@@ -873,12 +1019,12 @@ class StarknetCardService {
         return this.contract.get_card_status();
     }
 
+    /** CardStatus variants, in Cairo declaration order. */
+    static CARD_STATUSES = ['None', 'PendingActivation', 'Active', 'Frozen', 'Burned'];
+
     async getRateLimitStatus() {
         const r = await this.contract.get_rate_limit_status();
         return {
-            isLocked: r.is_locked,
-            failedAttempts: Number(r.failed_attempts),
-            lockoutUntil: Number(r.lockout_until),
             requestsSubmittedLastHour: Number(r.requests_submitted_last_hour),
             approvalsLastHour: Number(r.approvals_last_hour),
             lastChargeTimestamp: Number(r.last_charge_timestamp),
@@ -933,8 +1079,21 @@ class StarknetCardService {
         return this.contract.is_auto_swap_enabled(sourceToken);
     }
 
+    /** Enabled rules as [{ sourceToken, targetToken }] (hex addresses). */
     async getAllAutoSwapRules() {
-        return this.contract.get_all_auto_swap_rules();
+        const rules = await this.contract.get_all_auto_swap_rules();
+        const hex = (v) => '0x' + BigInt(v).toString(16);
+
+        // Tuples come back as arrays or as { 0, 1 } objects depending on the ABI parser
+        return (rules || []).map(rule => ({
+            sourceToken: hex(rule[0]),
+            targetToken: hex(rule[1]),
+        }));
+    }
+
+    /** Drop the cached getFormattedCardBalances() result after funds moved. */
+    async clearBalanceCache() {
+        await redis.del(`${BALANCE_KEY_PREFIX}${this.isLive ? 'live' : 'test'}:${this.cardAddress}`);
     }
 
     async getTransactions(offset = 0, limit = 20) {
@@ -1082,25 +1241,24 @@ class StarknetCardService {
     /**
      * Fetch all balances and calculate their live USD value off-chain.
      * Dynamically resolves token addresses using StarknetConfig.
-     * @param {Account} [callerAccount]
+     * Cached for BALANCE_CACHE_TTL seconds per card so dashboards and API
+     * polling don't hit the RPC on every request.
      */
     async getFormattedCardBalances() {
-        //add cache from redisService
-        const cacheKey = `${ABI_KEY_PREFIX}${this.cardAddress}`;
-        let balance = await redis.get(cacheKey);
-        if (balance) {
-            //return JSON.parse(balance);
+        const cacheKey = `${BALANCE_KEY_PREFIX}${this.isLive ? 'live' : 'test'}:${this.cardAddress}`;
+        const cached = await redis.get(cacheKey);
+        if (cached) {
+            return typeof cached === 'string' ? JSON.parse(cached) : cached;
         }
 
-        const summary = await this.getBalanceSummary();
-        const livePrices = await priceOracle.fetchLivePrices();
+        // Prices first: a cold cache refresh fills the 24h changes too
+        const [summary, livePrices] = await Promise.all([
+            this.getBalanceSummary(),
+            priceOracle.fetchLivePrices(),
+        ]);
+        const changes = await priceOracle.fetch24hChanges();
         const networkTokens = StarknetConfig.resolveTokens(this.isLive);
 
-        
-        const tokenDecimals = {
-            ETH: 18, STRK: 18, USDC: 6, USDT: 6, DAI: 18, WBTC: 8, LORDS: 18, WSTETH: 18
-        };
-
         const normalizeAddress = (addr) => {
             if (!addr) return null;
             return '0x' + BigInt(addr.toString()).toString(16).toLowerCase();
@@ -1112,12 +1270,13 @@ class StarknetCardService {
                 const normAddr = normalizeAddress(address);
                 addressToTokenMap[normAddr] = {
                     symbol: symbol,
-                    decimals: tokenDecimals[symbol] || 18
+                    decimals: StarknetConfig.TOKEN_DECIMALS[symbol] || 18
                 };
             }
         }
 
         let totalUsdValue = 0;
+        let totalUsd24hAgo = 0;
         const formattedBalances = [];
 
         for (const item of summary.balances) {
@@ -1125,35 +1284,97 @@ class StarknetCardService {
             
             const tokenInfo = addressToTokenMap[normTokenAddr] || { symbol: "UNKNOWN", decimals: 18 };
             const price = livePrices[tokenInfo.symbol] || 0;
+            const change24h = typeof changes[tokenInfo.symbol] === 'number' ? changes[tokenInfo.symbol] : null;
             
-            const rawBalance = item.balance;
+            const rawBalance = BigInt(item.balance.toString());
             const decimalBalance = Number(rawBalance) / (10 ** tokenInfo.decimals);
             const usdValue = decimalBalance * price;
 
+            // Same holdings valued at yesterday's price
+            const usdValue24hAgo = change24h !== null ? usdValue / (1 + change24h / 100) : usdValue;
+
             totalUsdValue += usdValue;
+            totalUsd24hAgo += usdValue24hAgo;
 
             formattedBalances.push({
                 address: normTokenAddr,
                 symbol: tokenInfo.symbol,
+                decimals: tokenInfo.decimals,
+                balanceRaw: rawBalance.toString(),
                 balance: decimalBalance.toFixed(4),
                 usdValue: usdValue.toFixed(2),
                 pricePerToken: price,
+                change24h: change24h,
+                usdChange24h: (usdValue - usdValue24hAgo).toFixed(2),
                 lastUpdated: Number(item.last_updated)
             });
         }
 
         const result = {
             totalUsd: totalUsdValue.toFixed(2),
-            tokens: formattedBalances
+            totalUsdChange24h: (totalUsdValue - totalUsd24hAgo).toFixed(2),
+            tokens: formattedBalances,
+            fetchedAt: Math.floor(Date.now() / 1000)
         };
-        await redis.set(cacheKey, JSON.stringify(result), 3600);
+        await redis.set(cacheKey, result, BALANCE_CACHE_TTL);
         return result;
     }
 
-    /** Get fraud alerts. PIN required. */
-    async getFraudAlerts(sigR, sigS, callerAccount) {
-        const { contract, sigR: r, sigS: s } = this._resolvePin(sigR, sigS, callerAccount);
-        return contract.get_fraud_alerts(r, s);
+    /**
+     * Fraud alerts stored on the card (get_fraud_alerts is a plain view).
+     * @returns {Promise<Array<{ alertId, requestId, merchant, alertType, severity, message, timestamp, autoBlocked }>>}
+     */
+    async getFraudAlerts() {
+        const alerts = await this.contract.get_fraud_alerts();
+        return (alerts || []).map(a => ({
+            alertId: Number(a.alert_id),
+            requestId: Number(a.request_id),
+            merchant: '0x' + BigInt(a.merchant).toString(16),
+            alertType: StarknetCardService.decodeFelt(a.alert_type),
+            severity: Number(a.severity),
+            message: StarknetCardService.decodeByteArray(a.message),
+            timestamp: Number(a.timestamp),
+            autoBlocked: Boolean(a.auto_blocked)
+        }));
+    }
+
+    /**
+     * AnomalyDetected events emitted since `fromBlock` (inclusive). The card
+     * freezes itself when it emits one.
+     * Raw event: keys = [selector, request_id], data = [amount_usd (u256), threshold (u256), timestamp]
+     *
+     * @returns {Promise<{ events: Array, toBlock: number }>} toBlock — last block covered by the scan
+     */
+    async getAnomalyEvents(fromBlock = 0) {
+        const toBlock = await this.provider.getBlockNumber();
+        const selector = hash.getSelectorFromName('AnomalyDetected');
+
+        const events = [];
+        let continuationToken;
+        do {
+            const chunk = await this.provider.getEvents({
+                address: this.cardAddress,
+                from_block: { block_number: fromBlock },
+                to_block: { block_number: toBlock },
+                keys: [[selector]],
+                chunk_size: 100,
+                continuation_token: continuationToken
+            });
+
+            for (const e of chunk.events || []) {
+                events.push({
+                    requestId: Number(BigInt(e.keys[1])),
+                    amountUsd: uint256.uint256ToBN({ low: e.data[0], high: e.data[1] }).toString(),
+                    threshold: uint256.uint256ToBN({ low: e.data[2], high: e.data[3] }).toString(),
+                    timestamp: Number(BigInt(e.data[4])),
+                    txHash: e.transaction_hash,
+                    blockNumber: e.block_number
+                });
+            }
+            continuationToken = chunk.continuation_token;
+        } while (continuationToken);
+
+        return { events, toBlock };
     }
 
     // ====================================================================
@@ -1188,6 +1409,120 @@ class StarknetCardService {
         return BigInt(Math.round(amount * 1e8)).toString();
     }
 
+    static async _factoryAbi(provider, factoryAddr) {
+        const abiCacheKey = `${ABI_KEY_PREFIX}factory_v4:${factoryAddr}`;
+        let factoryAbi = await redis.get(abiCacheKey);
+        if (!factoryAbi) {
+            const factoryClass = await provider.getClassAt(factoryAddr);
+            factoryAbi = typeof factoryClass.abi === 'string'
+                ? JSON.parse(factoryClass.abi)
+                : factoryClass.abi;
+            await redis.set(abiCacheKey, factoryAbi, ABI_CACHE_TTL);
+        }
+        return factoryAbi;
+    }
+
+    /**
+     * Registered merchant profile from the factory, cached for an hour.
+     * Returns null when the address is not a registered merchant.
+     *
+     * @param {string} merchant — merchant contract address
+     * @param {boolean} [isLive=true]
+     */
+    static async getMerchantInfo(merchant, isLive = true) {
+        const netConfig = StarknetConfig.resolve(isLive);
+        if (!netConfig.rpcUrl || !netConfig.factoryAddress) return null;
+
+        const cacheKey = `merchant_info:${isLive ? 'live' : 'test'}:${merchant}`;
+        const cached = await redis.get(cacheKey);
+        if (cached) return typeof cached === 'string' ? JSON.parse(cached) : cached;
+
+        const provider = new RpcProvider({ nodeUrl: netConfig.rpcUrl });
+        const factoryAbi = await StarknetCardService._factoryAbi(provider, netConfig.factoryAddress);
+        const factory = new Contract({ abi: factoryAbi, address: netConfig.factoryAddress, providerOrAccount: provider });
+
+        let info;
+        try {
+            info = await factory.get_merchant_info(merchant);
+        } catch (err) {
+            // get_merchant_info asserts 'Not registered' for unknown merchants
+            return null;
+        }
+
+        const result = {
+            merchantAddress: '0x' + BigInt(info.merchant_address).toString(16),
+            payoutWallet: '0x' + BigInt(info.payout_wallet).toString(16),
+            businessName: StarknetCardService.decodeByteArray(info.business_name),
+            contactEmail: StarknetCardService.decodeByteArray(info.contact_email),
+            registeredAt: Number(info.registered_at),
+            isActive: info.is_active,
+            kycVerified: info.kyc_verified,
+        };
+
+        await redis.set(cacheKey, JSON.stringify(result), 3600);
+        return result;
+    }
+
+    /**
+     * SNIP-12 message a merchant account signs to prove it controls the
+     * address an API client submits payment requests as. Bound to the
+     * account and network, so a signature cannot be reused elsewhere.
+     *
+     * @param {string} userId
+     * @param {string} merchant — merchant contract address
+     * @param {boolean} [isLive=true]
+     */
+    static merchantChallenge(userId, merchant, isLive = true) {
+        return {
+            types: {
+                StarknetDomain: [
+                    { name: 'name', type: 'shortstring' },
+                    { name: 'version', type: 'shortstring' },
+                    { name: 'chainId', type: 'shortstring' },
+                    { name: 'revision', type: 'shortstring' }
+                ],
+                MerchantLink: [
+                    { name: 'account', type: 'string' },
+                    { name: 'merchant', type: 'ContractAddress' }
+                ]
+            },
+            primaryType: 'MerchantLink',
+            domain: {
+                name: 'ZionDefi',
+                version: '1',
+                chainId: isLive ? constants.StarknetChainId.SN_MAIN : constants.StarknetChainId.SN_SEPOLIA,
+                revision: '1'
+            },
+            message: { account: userId, merchant: merchant }
+        };
+    }
+
+    /**
+     * Check a merchant account's signature over merchantChallenge() through
+     * its own is_valid_signature. Any failure (undeployed account, bad
+     * signature, RPC error) counts as not verified.
+     *
+     * @param {string} userId
+     * @param {string} merchant
+     * @param {string[]} signature — felts as returned by the wallet
+     * @param {boolean} [isLive=true]
+     * @returns {Promise<boolean>}
+     */
+    static async verifyMerchantSignature(userId, merchant, signature, isLive = true) {
+        const netConfig = StarknetConfig.resolve(isLive);
+        if (!netConfig.rpcUrl || !Array.isArray(signature) || signature.length === 0) return false;
+
+        const provider = new RpcProvider({ nodeUrl: netConfig.rpcUrl });
+        try {
+            return await provider.verifyMessageInStarknet(
+                StarknetCardService.merchantChallenge(userId, merchant, isLive), signature, merchant
+            );
+        } catch (err) {
+            console.warn(`[StarknetCardService] Merchant signature check failed for ${merchant}: ${err.message}`);
+            return false;
+        }
+    }
+
     static async deployCard(cardData) {
         const isLive = cardData.is_live !== undefined ? cardData.is_live : true;
         const netConfig = StarknetConfig.resolve(isLive);
@@ -1221,17 +1556,7 @@ class StarknetCardService {
             const maxTxU256 = StarknetCardService.parseAmountToU256(cardData.max_transaction_amount || '0');
             const dailySpendU256 = StarknetCardService.parseAmountToU256(cardData.daily_spend_limit || '0');
 
-            let factoryAbi;
-            const abiCacheKey = `${ABI_KEY_PREFIX}factory_v4:${factoryAddr}`;
-            factoryAbi = await redis.get(abiCacheKey);
-            if (!factoryAbi) {
-                const factoryClass = await provider.getClassAt(factoryAddr);
-                factoryAbi = typeof factoryClass.abi === 'string'
-                    ? JSON.parse(factoryClass.abi)
-                    : factoryClass.abi;
-                await redis.set(abiCacheKey, factoryAbi, ABI_CACHE_TTL);
-            }
-
+            const factoryAbi = await StarknetCardService._factoryAbi(provider, factoryAddr);
             const factory = new Contract({ abi: factoryAbi, address: factoryAddr, providerOrAccount: account });
 
             console.log(`[StarknetCardService] Deploying card ${cardData.card_id} on ${networkLabel}...`);
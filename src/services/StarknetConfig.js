@@ -54,6 +54,33 @@ class StarknetConfig {
         };
     }
 
+    /**
+     * ERC-20 decimals of the supported tokens (same on both networks).
+     */
+    static TOKEN_DECIMALS = { ETH: 18, STRK: 18, USDC: 6, USDT: 6, DAI: 18, WBTC: 8, LORDS: 18, WSTETH: 18 };
+
+    /**
+     * Look up a supported token by symbol or contract address.
+     *
+     * @param {string} symbolOrAddress — e.g. 'USDC' or '0x053c91…'
+     * @param {boolean} isLive
+     * @returns {{ symbol: string, address: string, decimals: number }|null}
+     */
+    static resolveToken(symbolOrAddress, isLive = true) {
+        const value = String(symbolOrAddress || '').trim();
+        if (!value) return null;
+
+        const tokens = StarknetConfig.resolveTokens(isLive);
+        const isAddress = /^0x[0-9a-fA-F]{1,64}$/.test(value);
+
+        for (const [symbol, address] of Object.entries(tokens)) {
+            if (!address) continue;
+            const match = isAddress ? BigInt(address) === BigInt(value) : symbol === value.toUpperCase();
+            if (match) return { symbol, address, decimals: StarknetConfig.TOKEN_DECIMALS[symbol] || 18 };
+        }
+        return null;
+    }
+
     /**
      * Resolve an array of currency symbols to contract addresses for the given network.
      *
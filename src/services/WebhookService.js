@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const ipaddr = require('ipaddr.js');
+const RabbitService = require('./RabbitService');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const DateHelper = require('../utils/DateHelper');
+const AppError = require('../lib/AppError');
+
+const DELIVERY_QUEUE = 'ziondefi.webhook.deliver';
+const DELIVERY_ROUTE = 'webhook.deliver';
+const MAX_ENDPOINTS = 10;
+
+// Hostnames that only make sense inside a private network
+const INTERNAL_HOST_SUFFIXES = ['.localhost', '.local', '.internal', '.intranet', '.lan', '.home.arpa', '.corp'];
+
+class WebhookService {
+    constructor(models) {
+        this.Webhook = models.Webhook;
+        this.WebhookDelivery = models.WebhookDelivery;
+
+        this.date = new DateHelper();
+    }
+
+    /**
+     * Build the service outside a request (workers).
+     */
+    static fromClient(mongoClient) {
+        return new WebhookService({
+            Webhook: new Webhook(mongoClient),
+            WebhookDelivery: new WebhookDelivery(mongoClient)
+        });
+    }
+
+    /**
+     * Event catalog. Endpoints subscribe to a subset, or '*' for everything.
+     */
+    static EVENTS = ['card.deployed', 'card.failed', 'transaction.updated', 'transfer.unlocked', 'bridge.completed'];
+
+    static DELIVERY_QUEUE = DELIVERY_QUEUE;
+    static DELIVERY_ROUTE = DELIVERY_ROUTE;
+
+    /**
+     * Signature sent in the `ZionDefi-Signature` header:
+     *   t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+     */
+    static sign(secret, timestamp, body) {
+        const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+        return `t=${timestamp},v1=${digest}`;
+    }
+
+    // ─── Event Fan-out ──────────────────────────────────────────────
+
+    /**
+     * EMIT EVENT
+     * Creates one delivery per subscribed endpoint and queues it.
+     * Never throws — a webhook problem must not fail the business operation.
+     *
+     * @param {string} event   — One of WebhookService.EVENTS
+     * @param {string} userId  — Owner of the resource
+     * @param {boolean} isLive — Only endpoints of the same mode receive it
+     * @param {Object} data    — Public representation of the resource
+     */
+    async emit(event, userId, isLive, data) {
+        try {
+            const endpoints = await this.Webhook.findSubscribers(userId, event, isLive !== false);
+            if (endpoints.length === 0) return 0;
+
+            const payload = {
+                id: `evt_${crypto.randomBytes(16).toString('hex')}`,
+                type: event,
+                created: this.date.timestampTimeNow(),
+                livemode: isLive !== false,
+                data: data
+            };
+
+            for (const endpoint of endpoints) {
+                const delivery = await this.WebhookDelivery.create({
+                    endpoint_id: endpoint.endpoint_id,
+                    user_id: userId,
+                    url: endpoint.url,
+                    is_live: isLive !== false,
+                    payload: payload
+                });
+                await this._enqueue(delivery.delivery_id, 'event');
+            }
+
+            return endpoints.length;
+        } catch (err) {
+            console.error(`[Webhook] Failed to emit ${event}:`, err.message);
+            return 0;
+        }
+    }
+
+    /**
+     * transaction.updated — call after any status transition
+     * (create, approve, settle). Sensitive fields are never sent.
+     */
+    async emitTransactionUpdated(txn, isLive) {
+        if (!txn) return 0;
+
+        return await this.emit('transaction.updated', txn.user_id, isLive, {
+            trans_id: txn.trans_id,
+            ref_id: txn.ref_id,
+            merchant_id: txn.merchant_id,
+            contract_address: txn.contract_address,
+            amount: txn.amount,
+            currency: txn.currency,
+            fee: txn.fee,
+            net_amount: txn.net_amount,
+            status: txn.status,
+            type: txn.type,
+            approval_hash: txn.approval_hash,
+            metadata: txn.metadata,
+            updated_at: txn.updated_at
+        });
+    }
+
+    async _enqueue(deliveryId, trigger) {
+        await RabbitService.publish(DELIVERY_QUEUE, DELIVERY_ROUTE, {
+            id: `${deliveryId}:${Date.now()}`,
+            delivery_id: deliveryId,
+            trigger: trigger
+        });
+    }
+
+    // ─── Endpoint Management ────────────────────────────────────────
+
+    /**
+     * @param {Object} params — { url, events, description }
+     * @returns {{ endpoint: Object, secret: string }} secret is shown only once
+     */
+    async createEndpoint(userId, clientId, isLive, params) {
+        const url = await this._validateUrl(params.url, isLive);
+        const events = this._normalizeEvents(params.events);
+
+        const active = await this.Webhook.countActive(userId, isLive);
+        if (active >= MAX_ENDPOINTS) {
+            throw WebhookService.error(400, `You can have at most ${MAX_ENDPOINTS} webhook endpoints per mode`);
+        }
+
+        const { endpoint, plainSecret } = await this.Webhook.create({
+            user_id: userId,
+            client_id: clientId,
+            url: url,
+            events: events,
+            description: (params.description || '').trim(),
+            is_live: isLive
+        });
+
+        return { endpoint, secret: plainSecret };
+    }
+
+    async listEndpoints(userId, isLive) {
+        return await this.Webhook.listByUser(userId, isLive);
+    }
+
+    async updateEndpoint(userId, endpointId, isLive, params) {
+        await this._ownedEndpoint(userId, endpointId, isLive);
+
+        const fields = {};
+        if (params.url !== undefined) fields.url = await this._validateUrl(params.url, isLive);
+        if (params.events !== undefined) fields.events = this._normalizeEvents(params.events);
+        if (params.description !== undefined) fields.description = String(params.description).trim();
+
+        await this.Webhook.updateEndpoint(endpointId, fields);
+        return await this.Webhook.retrieveByUserId(userId, endpointId);
+    }
+
+    async rotateEndpointSecret(userId, endpointId, isLive) {
+        await this._ownedEndpoint(userId, endpointId, isLive);
+        const secret = await this.Webhook.rotateSecret(endpointId);
+        return { endpoint_id: endpointId, secret };
+    }
+
+    async deleteEndpoint(userId, endpointId, isLive) {
+        await this._ownedEndpoint(userId, endpointId, isLive);
+        await this.Webhook.disable(endpointId);
+        return { endpoint_id: endpointId, deleted: true };
+    }
+
+    // ─── Delivery Log ───────────────────────────────────────────────
+
+    async listDeliveries(userId, isLive, filters = {}) {
+        if (filters.endpoint_id) await this._ownedEndpoint(userId, filters.endpoint_id, isLive);
+        return await this.WebhookDelivery.list(userId, { ...filters, is_live: isLive });
+    }
+
+    async getDelivery(userId, deliveryId, isLive) {
+        const delivery = await this.WebhookDelivery.retrieveByUserId(userId, deliveryId);
+        if (!delivery || delivery.is_live !== isLive) throw WebhookService.error(404, 'Delivery not found');
+
+        delete delivery._id;
+        return delivery;
+    }
+
+    /**
+     * REPLAY DELIVERY
+     * Re-sends the original payload; the attempt is logged on the same delivery.
+     */
+    async replayDelivery(userId, deliveryId, isLive) {
+        const delivery = await this.getDelivery(userId, deliveryId, isLive);
+        if (delivery.status === 'pending') {
+            throw WebhookService.error(400, 'Delivery is already queued');
+        }
+
+        await this._ownedEndpoint(userId, delivery.endpoint_id, isLive);
+        await this.WebhookDelivery.markPending(deliveryId);
+        await this._enqueue(deliveryId, 'replay');
+
+        return { delivery_id: deliveryId, status: 'pending' };
+    }
+
+    // ─── Helpers ────────────────────────────────────────────────────
+
+    /**
+     * Endpoints are scoped to a mode: a sandbox token cannot touch live endpoints.
+     */
+    async _ownedEndpoint(userId, endpointId, isLive) {
+        if (!endpointId) throw WebhookService.error(400, 'endpoint_id is required');
+
+        const endpoint = await this.Webhook.retrieveByUserId(userId, endpointId);
+        if (!endpoint || endpoint.is_live !== isLive) throw WebhookService.error(404, 'Webhook endpoint not found');
+        return endpoint;
+    }
+
+    async _validateUrl(value, isLive) {
+        let parsed;
+        try {
+            parsed = new URL(String(value || '').trim());
+        } catch (e) {
+            throw WebhookService.error(400, 'Invalid webhook URL');
+        }
+
+        // Plain http is only accepted for sandbox endpoints (local tunnels)
+        const allowed = isLive ? ['https:'] : ['https:', 'http:'];
+        if (!allowed.includes(parsed.protocol)) {
+            throw WebhookService.error(400, isLive ? 'Live webhook URLs must use https' : 'Webhook URL must use http or https');
+        }
+        if (parsed.username || parsed.password) {
+            throw WebhookService.error(400, 'Webhook URL must not contain credentials');
+        }
+
+        // SSRF: the delivery worker must never POST into our own network
+        const reason = WebhookService.blockedHostReason(parsed.hostname);
+        if (reason) throw WebhookService.error(400, `Webhook URL ${reason}`);
+
+        let addresses;
+        try {
+            addresses = await dns.promises.lookup(parsed.hostname, { all: true });
+        } catch (e) {
+            throw WebhookService.error(400, 'Webhook host does not resolve');
+        }
+        if (addresses.some(entry => !WebhookService.isPublicAddress(entry.address))) {
+            throw WebhookService.error(400, 'Webhook URL must not resolve to a private or reserved address');
+        }
+
+        return parsed.toString();
+    }
+
+    // ─── Delivery Guard (SSRF) ──────────────────────────────────────
+    //
+    // URLs are checked when registered and again on every delivery: DNS can
+    // change in between, so the worker connects through safeLookup, which
+    // refuses private and reserved addresses at connect time.
+
+    /**
+     * Public unicast only: no loopback, RFC 1918, link-local (169.254.169.254),
+     * CGNAT, unique-local, multicast or reserved ranges.
+     */
+    static isPublicAddress(address) {
+        if (!ipaddr.isValid(address)) return false;
+        return ipaddr.process(address).range() === 'unicast';
+    }
+
+    /**
+     * Why a URL hostname may not receive webhooks, or null.
+     * IP literals are checked here; names are checked again once resolved.
+     */
+    static blockedHostReason(hostname) {
+        const host = String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+        if (!host) return 'has no host';
+
+        if (ipaddr.isValid(host)) {
+            return WebhookService.isPublicAddress(host) ? null : 'must not point to a private or reserved address';
+        }
+        if (host === 'localhost' || !host.includes('.') || INTERNAL_HOST_SUFFIXES.some(suffix => host.endsWith(suffix))) {
+            return 'must use a public hostname';
+        }
+        return null;
+    }
+
+    /**
+     * dns.lookup replacement for the delivery agent: fails the connection
+     * when any resolved address is not public.
+     */
+    static safeLookup(hostname, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+            if (err) return callback(err);
+
+            const blocked = addresses.find(entry => !WebhookService.isPublicAddress(entry.address));
+            if (blocked) return callback(new Error(`Blocked delivery to non-public address ${blocked.address}`));
+
+            if (options.all) return callback(null, addresses);
+            return callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+
+    _normalizeEvents(events) {
+        if (!Array.isArray(events) || events.length === 0) {
+            throw WebhookService.error(400, 'Select at least one event');
+        }
+
+        const unique = [...new Set(events.map(e => String(e).trim()))];
+        if (unique.includes('*')) return ['*'];
+
+        const unknown = unique.filter(e => !WebhookService.EVENTS.includes(e));
+        if (unknown.length > 0) throw WebhookService.error(400, `Unknown event: ${unknown.join(', ')}`);
+
+        return unique;
+    }
+
+    /**
+     * Create a structured error with HTTP status code (see AppError).
+     */
+    static error(code, message) {
+        return AppError.status(code, message);
+    }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,137 @@
+/**
+ * Avnu.js
+ * Swap quotes from the AVNU aggregator API, shaped for the card contract.
+ * Docs: https://doc.avnu.fi/avnu-spot/api
+ *
+ * The card calls the AVNU router's `multi_route_swap` itself, so all we
+ * need from AVNU is a priced quote and the serialized route felts. Those
+ * come from the `multi_route_swap` call that `/swap/v2/build` returns.
+ *
+ * AVNU_API_URL overrides the base URL (e.g. a local quote stub).
+ */
+
+// multi_route_swap calldata before the routes: sell_token, sell_amount (u256),
+// buy_token, buy_amount (u256), min_amount (u256), beneficiary,
+// integrator_fee_bps, integrator_fee_recipient
+const SWAP_HEADER_FELTS = 11;
+
+class Avnu {
+    constructor(isLive = true) {
+        this.isLive = isLive;
+        this.baseUrl = process.env.AVNU_API_URL
+            || (isLive ? 'https://starknet.api.avnu.fi' : 'https://sepolia.api.avnu.fi');
+
+        this.headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        };
+    }
+
+    async _request(endpoint, options = {}) {
+        try {
+            const response = await fetch(`${this.baseUrl}${endpoint}`, {
+                ...options,
+                headers: { ...this.headers, ...options.headers }
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.messages?.[0] || data.message || `AVNU API error: ${response.status}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error(`[Avnu] Error fetching ${endpoint}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Best quote to receive exactly `buyAmount` of buyToken, or to sell
+     * exactly `sellAmount` of sellToken (give one of the two).
+     * Amounts are raw token units (bigint or decimal string).
+     */
+    async getQuote({ sellTokenAddress, buyTokenAddress, buyAmount, sellAmount, takerAddress }) {
+        const params = { sellTokenAddress, buyTokenAddress, takerAddress, size: 1 };
+        if (sellAmount !== undefined) {
+            params.sellAmount = '0x' + BigInt(sellAmount).toString(16);
+        } else {
+            params.buyAmount = '0x' + BigInt(buyAmount).toString(16);
+        }
+        const query = new URLSearchParams(params).toString();
+
+        const quotes = await this._request(`/swap/v2/quotes?${query}`);
+        if (!Array.isArray(quotes) || quotes.length === 0) {
+            throw new Error('No AVNU route for this pair');
+        }
+
+        return quotes[0];
+    }
+
+    /**
+     * Serialized routes for a quote (Array<Route> as felts, length first).
+     * @param {number} slippageBps — 100 = 1%
+     */
+    async buildRoutes(quoteId, takerAddress, slippageBps) {
+        const build = await this._request('/swap/v2/build', {
+            method: 'POST',
+            body: JSON.stringify({
+                quoteId,
+                takerAddress,
+                slippage: slippageBps / 10000,
+                includeApprove: false
+            })
+        });
+
+        const swapCall = (build.calls || []).find(call => call.entrypoint === 'multi_route_swap');
+        if (!swapCall) throw new Error('AVNU build returned no multi_route_swap call');
+
+        return swapCall.calldata.slice(SWAP_HEADER_FELTS).map(felt => '0x' + BigInt(felt).toString(16));
+    }
+
+    /**
+     * Quote + routes in the shape `StarknetCardService.buildQuote` turns
+     * into the contract's OffchainQuote / AvnuFee structs.
+     */
+    async getOffchainQuote({ sellTokenAddress, buyTokenAddress, buyAmount, sellAmount, takerAddress, slippageBps }) {
+        const quote = await this.getQuote({ sellTokenAddress, buyTokenAddress, buyAmount, sellAmount, takerAddress });
+        const routes = await this.buildRoutes(quote.quoteId, takerAddress, slippageBps);
+
+        return Avnu.toOffchainQuote(quote, routes);
+    }
+
+    static toOffchainQuote(quote, routes) {
+        return {
+            quoteId: quote.quoteId,
+            sellTokenAddress: quote.sellTokenAddress,
+            buyTokenAddress: quote.buyTokenAddress,
+            sellAmount: BigInt(quote.sellAmount).toString(),
+            buyAmount: BigInt(quote.buyAmount).toString(),
+            priceImpact: Avnu.priceImpactBps(quote).toString(),
+            fee: {
+                feeToken: quote.fee?.feeToken || quote.buyTokenAddress,
+                avnuFees: BigInt(quote.fee?.avnuFees ?? quote.avnuFees ?? 0).toString(),
+                avnuFeesBps: Number(BigInt(quote.fee?.avnuFeesBps ?? quote.avnuFeesBps ?? 0)),
+                integratorFees: BigInt(quote.fee?.integratorFees ?? quote.integratorFees ?? 0).toString(),
+                integratorFeesBps: Number(BigInt(quote.fee?.integratorFeesBps ?? quote.integratorFeesBps ?? 0))
+            },
+            routes: routes,
+            expiry: quote.expiry || null
+        };
+    }
+
+    /**
+     * Price impact in basis points, from the USD values of both legs.
+     * The contract stores it as a u256, so fractions are dropped.
+     */
+    static priceImpactBps(quote) {
+        const sellUsd = Number(quote.sellAmountInUsd);
+        const buyUsd = Number(quote.buyAmountInUsd);
+        if (!(sellUsd > 0) || !(buyUsd >= 0) || buyUsd >= sellUsd) return 0;
+
+        return Math.floor(((sellUsd - buyUsd) / sellUsd) * 10000);
+    }
+}
+
+module.exports = Avnu;
@@ -261,6 +261,33 @@ class DateHelper {
     startOfMonthTimestamp() {
         return dayjs().tz(this.timezone).startOf('month').unix();
     }
+
+    /**
+     * Start of the hour / day / week / month containing a timestamp.
+     * Weeks start on Monday (ISO), matching Mongo's $dateToParts iso8601.
+     */
+    startOfUnitTimestamp(timestamp, unit) {
+        const date = dayjs.unix(timestamp).tz(this.timezone);
+        if (unit === 'week') {
+            return date.startOf('day').subtract((date.day() + 6) % 7, 'day').unix();
+        }
+        return date.startOf(unit).unix();
+    }
+
+    /**
+     * Bucket start timestamps covering [from, to), one per unit.
+     * Stops early once `max` buckets have been produced.
+     */
+    bucketStarts(from, to, unit, max = Infinity) {
+        const starts = [];
+        let cursor = dayjs.unix(this.startOfUnitTimestamp(from, unit)).tz(this.timezone);
+
+        while (cursor.unix() < to && starts.length < max) {
+            starts.push(cursor.unix());
+            cursor = cursor.add(1, unit);
+        }
+        return starts;
+    }
 }
 
 module.exports = DateHelper;
\ No newline at end of file
@@ -49,54 +49,85 @@ class PriceOracleService {
                 return cachedPrices;
             }
 
-            // 2. Cache miss or expired. Build the API request.
-            const ids = Object.values(this.coinGeckoIds).join(',');
-            const url = `${this.baseUrl}/simple/price?ids=${ids}&vs_currencies=usd`;
+            // 2. Cache miss or expired — refresh prices and 24h changes together
+            return (await this._refresh()).prices;
 
-            const headers = {
-                'Accept': 'application/json'
-            };
+        } catch (error) {
+            console.error('[PriceOracle] Error fetching prices:', error.message);
             
-            if (this.apiKey) {
-                headers['x-cg-pro-api-key'] = this.apiKey; 
-            }
+            // If the API fails and Redis is empty, return safe defaults to prevent app crashes
+            return {
+                ETH: 0, STRK: 0, USDC: 1, USDT: 1, DAI: 1, WBTC: 0, LORDS: 0, WSTETH: 0
+            };
+        }
+    }
 
-            // 3. Fetch from CoinGecko
-            const response = await fetch(url, { headers });
+    /**
+     * 24h USD price change per symbol, in percent (e.g. -2.41).
+     * Cached alongside the prices; missing symbols mean "unknown".
+     */
+    async fetch24hChanges() {
+        const redisKey = 'oracle:price_changes_24h';
 
-            if (!response.ok) {
-                throw new Error(`CoinGecko API responded with status ${response.status}`);
+        try {
+            const cachedChanges = await redis.get(redisKey);
+            if (cachedChanges) {
+                return cachedChanges;
             }
 
-            const data = await response.json();
-            const newPrices = {};
+            return (await this._refresh()).changes;
 
-            // 4. Transform response
-            for (const [cgId, priceData] of Object.entries(data)) {
-                const symbol = this.idToSymbol[cgId];
-                if (symbol && priceData.usd !== undefined) {
-                    newPrices[symbol] = priceData.usd;
-                }
-            }
+        } catch (error) {
+            console.error('[PriceOracle] Error fetching 24h changes:', error.message);
+            return {};
+        }
+    }
+
+    async _refresh() {
+        // 1. Build the API request
+        const ids = Object.values(this.coinGeckoIds).join(',');
+        const url = `${this.baseUrl}/simple/price?ids=${ids}&vs_currencies=usd&include_24hr_change=true`;
+
+        const headers = {
+            'Accept': 'application/json'
+        };
+        
+        if (this.apiKey) {
+            headers['x-cg-pro-api-key'] = this.apiKey; 
+        }
 
-            // Fallback safety for stablecoins
-            if (!newPrices['USDC']) newPrices['USDC'] = 1.00;
-            if (!newPrices['USDT']) newPrices['USDT'] = 1.00;
-            if (!newPrices['DAI']) newPrices['DAI'] = 1.00;
+        // 2. Fetch from CoinGecko
+        const response = await fetch(url, { headers });
 
-            // 5. Save to Redis
-            await redis.set(redisKey, newPrices, this.cacheTtl);
+        if (!response.ok) {
+            throw new Error(`CoinGecko API responded with status ${response.status}`);
+        }
 
-            return newPrices;
+        const data = await response.json();
+        const newPrices = {};
+        const newChanges = {};
 
-        } catch (error) {
-            console.error('[PriceOracle] Error fetching prices:', error.message);
-            
-            // If the API fails and Redis is empty, return safe defaults to prevent app crashes
-            return {
-                ETH: 0, STRK: 0, USDC: 1, USDT: 1, DAI: 1, WBTC: 0, LORDS: 0, WSTETH: 0
-            };
+        // 3. Transform response
+        for (const [cgId, priceData] of Object.entries(data)) {
+            const symbol = this.idToSymbol[cgId];
+            if (symbol && priceData.usd !== undefined) {
+                newPrices[symbol] = priceData.usd;
+            }
+            if (symbol && typeof priceData.usd_24h_change === 'number') {
+                newChanges[symbol] = priceData.usd_24h_change;
+            }
         }
+
+        // Fallback safety for stablecoins
+        if (!newPrices['USDC']) newPrices['USDC'] = 1.00;
+        if (!newPrices['USDT']) newPrices['USDT'] = 1.00;
+        if (!newPrices['DAI']) newPrices['DAI'] = 1.00;
+
+        // 4. Save to Redis
+        await redis.set('oracle:live_prices', newPrices, this.cacheTtl);
+        await redis.set('oracle:price_changes_24h', newChanges, this.cacheTtl);
+
+        return { prices: newPrices, changes: newChanges };
     }
 }
 
@@ -0,0 +1,29 @@
+/**
+ * Dictionary lookup for views and emails: t('email.footer', { year })
+ * reads the dotted key and fills each %{var}. Unknown keys come back as is.
+ */
+
+const dictionaries = {
+    en: require('../locales/en.json')
+};
+
+/**
+ * @param {string} lang — falls back to English when there is no dictionary for it
+ * @returns {Function} t(key, args)
+ */
+const translator = (lang = 'en') => {
+    const dictionary = dictionaries[lang] || dictionaries.en;
+
+    return function(key, args = {}) {
+        let text = key.split('.').reduce((node, part) => (node ? node[part] : undefined), dictionary);
+        if (!text) return key;
+
+        for (const [varKey, varValue] of Object.entries(args || {})) {
+            // Replace all occurrences
+            text = text.split(`%{${varKey}}`).join(varValue);
+        }
+        return text;
+    };
+};
+
+module.exports = { dictionaries, translator };
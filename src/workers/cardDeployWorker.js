@@ -1,16 +1,21 @@
 const Cards = require('../models/Cards');
 const StarknetCardService = require('../services/StarknetCardService');
+const WebhookService = require('../services/WebhookService');
 
 const handleCardDeploy = async (cardData, mongoClient, currentAttempt, maxAttempts) => {
     console.log(`[Worker] Processing card deploy: ${cardData.card_id} (attempt ${currentAttempt}/${maxAttempts})`);
     
     const cardsModel = new Cards(mongoClient);
+    const webhooks = WebhookService.fromClient(mongoClient);
     if (cardData.is_live === false) {
         cardsModel.useDatabase(process.env.DB_NAME_SANDBOX);
     }
 
     try {
-        await cardsModel.markDeploying(cardData.card_id);
+        if (!await cardsModel.markDeploying(cardData.card_id)) {
+            console.log(`[Worker] Card ${cardData.card_id} is no longer awaiting deployment (simulated or terminated) — skipping`);
+            return;
+        }
 
         const result = await StarknetCardService.deployCard(cardData);
 
@@ -22,6 +27,13 @@ const handleCardDeploy = async (cardData, mongoClient, currentAttempt, maxAttemp
                 result.gasDetails
             );
             console.log(`[Worker] Card deployed successfully: ${cardData.card_id} → ${result.contract_address}`);
+
+            await webhooks.emit('card.deployed', cardData.user_id, cardData.is_live, {
+                card_id: cardData.card_id,
+                status: 'active',
+                address: result.contract_address,
+                transaction_hash: result.transaction_hash
+            });
         } else {
             throw new Error(result.error || 'Deployment returned unsuccessful');
         }
@@ -32,6 +44,13 @@ const handleCardDeploy = async (cardData, mongoClient, currentAttempt, maxAttemp
             try {
                 const dbResult = await cardsModel.failDeployment(cardData.card_id, err.message, currentAttempt);
                 console.log(`[Worker] Card status updated to failed in DB: ${cardData.card_id}`);
+
+                await webhooks.emit('card.failed', cardData.user_id, cardData.is_live, {
+                    card_id: cardData.card_id,
+                    status: 'failed',
+                    error: err.message,
+                    attempts: currentAttempt
+                });
             } catch (updateErr) {
                 console.error('[Worker] Failed to update card status to failed:', updateErr.message);
 
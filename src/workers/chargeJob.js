@@ -0,0 +1,45 @@
+const ChargeService = require('../services/ChargeService');
+const startPoller = require('./poller');
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Charges approved payment requests and finishes delayed settlements
+ * through ChargeService. A request that fails (insufficient balance, quote
+ * unavailable, revert) keeps its mirror unchanged and is retried on the
+ * next sweep; a stored idempotency key stops a retry from charging twice.
+ * Recurring requests come back each period once next_charge_at has passed.
+ */
+const chargeApprovedRequests = async (mongoClient, isLive, options = {}) => {
+    const charges = options.chargeService || ChargeService.fromClient(mongoClient, isLive);
+    const now = Math.floor(Date.now() / 1000);
+
+    for (const txn of await charges.Transactions.chargesDue(now)) {
+        try {
+            const result = await charges.charge({ cardAddress: txn.contract_address, requestId: txn.request_id, isLive });
+            console.log(`[Worker] Charged request ${txn.request_id} on ${txn.contract_address} (${result.status})`);
+        } catch (err) {
+            console.error(`[Worker] Charge failed for ${txn.trans_id}:`, err.message);
+        }
+    }
+
+    for (const txn of await charges.Transactions.settlementsDue(now)) {
+        try {
+            await charges.processSettlement({ cardAddress: txn.contract_address, requestId: txn.request_id, isLive });
+            console.log(`[Worker] Settled request ${txn.request_id} on ${txn.contract_address}`);
+        } catch (err) {
+            console.error(`[Worker] Settlement failed for ${txn.trans_id}:`, err.message);
+        }
+    }
+};
+
+/**
+ * Sweep live and sandbox payments every minute.
+ */
+const startChargeJob = (mongoClient, intervalMs = POLL_INTERVAL_MS) => startPoller('Charge', intervalMs, async () => {
+    await chargeApprovedRequests(mongoClient, true);
+    await chargeApprovedRequests(mongoClient, false);
+});
+
+module.exports = startChargeJob;
+module.exports.chargeApprovedRequests = chargeApprovedRequests;
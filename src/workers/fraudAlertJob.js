@@ -0,0 +1,140 @@
+const path = require('path');
+const ejs = require('ejs');
+const Cards = require('../models/Cards');
+const FraudAlert = require('../models/FraudAlert');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const StarknetCardService = require('../services/StarknetCardService');
+const EmailService = require('../services/MailService');
+const ApiService = require('../services/ApiService');
+const { translator } = require('../utils/Translate');
+const startPoller = require('./poller');
+
+const POLL_INTERVAL_MS = 2 * 60 * 1000;
+
+// AnomalyDetected is not a stored FraudAlert; it is recorded at the highest severity
+const ANOMALY_SEVERITY = 3;
+
+/**
+ * Read new fraud alerts and AnomalyDetected events of every active card
+ * and store them. The contract freezes a card itself on an anomaly, so
+ * the card's Mongo status follows.
+ */
+const scanFraudAlerts = async (mongoClient, isLive) => {
+    const cards = new Cards(mongoClient);
+    const alerts = new FraudAlert(mongoClient);
+    if (!isLive) {
+        cards.useDatabase(process.env.DB_NAME_SANDBOX);
+        alerts.useDatabase(process.env.DB_NAME_SANDBOX);
+    }
+
+    for (const card of await cards.listActiveDeployed()) {
+        try {
+            const chain = await StarknetCardService.create({ cardAddress: card.address, isLive });
+
+            for (const alert of await chain.getFraudAlerts()) {
+                await alerts.record(card, {
+                    source: 'fraud_alert',
+                    source_key: `${card.address}:alert:${alert.alertId}`,
+                    request_id: alert.requestId || null,
+                    merchant: alert.merchant && BigInt(alert.merchant) !== 0n ? ApiService._merchantAddress(alert.merchant) : null,
+                    alert_type: alert.alertType,
+                    severity: alert.severity,
+                    message: alert.message,
+                    auto_blocked: alert.autoBlocked,
+                    detected_at: alert.timestamp
+                });
+            }
+
+            const fromBlock = card.fraud_scan_block ? card.fraud_scan_block + 1 : 0;
+            const { events, toBlock } = await chain.getAnomalyEvents(fromBlock);
+            for (const event of events) {
+                const amountUsd = ApiService._u256ToUsd(event.amountUsd);
+                const recorded = await alerts.record(card, {
+                    source: 'anomaly',
+                    source_key: `${card.address}:anomaly:${event.txHash}:${event.requestId}`,
+                    request_id: event.requestId,
+                    alert_type: 'ANOMALY',
+                    severity: ANOMALY_SEVERITY,
+                    message: `Charge of $${amountUsd} on request #${event.requestId} is far above this card's usual spend. The card was frozen automatically.`,
+                    amount_usd: amountUsd,
+                    threshold_usd: ApiService._u256ToUsd(event.threshold),
+                    auto_blocked: true,
+                    transaction_hash: event.txHash,
+                    detected_at: event.timestamp
+                });
+                if (recorded) {
+                    await cards.updateStatus(card.card_id, 'frozen', `Anomaly detected on request #${event.requestId}`);
+                    await alerts.resolve(recorded.alert_id, 'auto_frozen');
+                }
+            }
+            await cards.recordFraudScan(card.card_id, toBlock);
+        } catch (err) {
+            // Cursor not moved: the same blocks are scanned again next time
+            console.error(`[Worker] Fraud scan failed for ${card.card_id}:`, err.message);
+        }
+    }
+};
+
+/**
+ * Tell owners about stored alerts they have not heard of: a dashboard
+ * notification and an email linking to the alert, where the card can be
+ * frozen in one step.
+ */
+const notifyFraudAlerts = async (mongoClient, isLive) => {
+    const alerts = new FraudAlert(mongoClient);
+    const notifications = new Notification(mongoClient);
+    const users = new User(mongoClient);
+    if (!isLive) {
+        alerts.useDatabase(process.env.DB_NAME_SANDBOX);
+        notifications.useDatabase(process.env.DB_NAME_SANDBOX);
+    }
+
+    for (const alert of await alerts.toNotify()) {
+        try {
+            const frozen = alert.resolution === 'auto_frozen';
+            await notifications.create(
+                alert.user_id,
+                frozen ? 'Card frozen: unusual charge' : 'Fraud alert on your card',
+                frozen ? alert.message : `${alert.message} Freeze the card from the alert if you do not recognise this activity.`
+            );
+
+            const user = await users.findOne({ user_id: alert.user_id });
+            if (user && user.email) {
+                const html = await renderAlertEmail(alert, user, frozen);
+                await new EmailService(t('email.subject_fraud'), user.email, html).SMTP();
+            }
+
+            await alerts.markNotified(alert.alert_id);
+        } catch (err) {
+            // Left unnotified: retried on the next sweep
+            console.error(`[Worker] Fraud alert notice failed for ${alert.alert_id}:`, err.message);
+        }
+    }
+};
+
+const t = translator('en');
+
+const renderAlertEmail = (alert, user, frozen) => ejs.renderFile(path.join(__dirname, '../views/email/general.ejs'), {
+    t,
+    logo: `${process.env.APP_DOMAIN}/public/ui/images/logo/logo-dark.png`,
+    title: t('email.fraud_title'),
+    message: t(frozen ? 'email.fraud_body_frozen' : 'email.fraud_body', { name: user.name || '', message: alert.message }),
+    link: `${process.env.APP_DOMAIN}/home/card/${alert.card_id}?fraud_alert=${alert.alert_id}`,
+    btn_text: t(frozen ? 'email.fraud_btn_frozen' : 'email.fraud_btn'),
+    footer: t('email.footer', { year: new Date().getFullYear(), app_name: process.env.APP_NAME })
+});
+
+/**
+ * Scan and notify for live and sandbox cards every two minutes.
+ */
+const startFraudAlertJob = (mongoClient, intervalMs = POLL_INTERVAL_MS) => startPoller('Fraud alert', intervalMs, async () => {
+    for (const isLive of [true, false]) {
+        await scanFraudAlerts(mongoClient, isLive);
+        await notifyFraudAlerts(mongoClient, isLive);
+    }
+});
+
+module.exports = startFraudAlertJob;
+module.exports.scanFraudAlerts = scanFraudAlerts;
+module.exports.notifyFraudAlerts = notifyFraudAlerts;
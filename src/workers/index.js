@@ -1,5 +1,10 @@
 const RabbitService = require('../services/RabbitService');
 const handleCardDeploy = require('./cardDeployWorker');
+const handleWebhookDelivery = require('./webhookDeliveryWorker');
+const startTransferUnlockJob = require('./transferUnlockJob');
+const startFraudAlertJob = require('./fraudAlertJob');
+const startChargeJob = require('./chargeJob');
+const WebhookService = require('../services/WebhookService');
 
 async function startAllWorkers(mongoClient) {
     console.log('[Workers] Starting all RabbitMQ consumers...');
@@ -11,7 +16,20 @@ async function startAllWorkers(mongoClient) {
         (data, currentAttempt, maxAttempts) => handleCardDeploy(data, mongoClient, currentAttempt, maxAttempts)
     );
 
-    
+    await RabbitService.consume(
+        WebhookService.DELIVERY_QUEUE,
+        WebhookService.DELIVERY_ROUTE,
+        (data, currentAttempt, maxAttempts) => handleWebhookDelivery(data, mongoClient, currentAttempt, maxAttempts)
+    );
+
+    // Not a queue: polls for time-locked transfers that have become executable
+    startTransferUnlockJob(mongoClient);
+
+    // Not a queue: polls every active card for fraud alerts and anomalies
+    startFraudAlertJob(mongoClient);
+
+    // Not a queue: charges approved payment requests and settles them after the delay
+    startChargeJob(mongoClient);
 }
 
 module.exports = startAllWorkers;
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * Run `work` now and then every `intervalMs`. A sweep that is still running
+ * when the next tick fires is skipped rather than overlapped; a failed sweep
+ * is logged and the next tick tries again.
+ *
+ * @param {string} name — used in the failure log ('Charge' → '[Worker] Charge sweep failed')
+ * @returns {NodeJS.Timeout} the interval, for clearInterval
+ */
+const startPoller = (name, intervalMs, work) => {
+    let running = false;
+
+    const sweep = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await work();
+        } catch (err) {
+            console.error(`[Worker] ${name} sweep failed:`, err.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    sweep();
+    return setInterval(sweep, intervalMs);
+};
+
+module.exports = startPoller;
@@ -0,0 +1,70 @@
+const Transactions = require('../models/Transactions');
+const Notification = require('../models/Notification');
+const StarknetCardService = require('../services/StarknetCardService');
+const WebhookService = require('../services/WebhookService');
+const ApiService = require('../services/ApiService');
+const startPoller = require('./poller');
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Tells owners when a time-locked transfer can be finalized: a dashboard
+ * notification plus a transfer.unlocked webhook. Transfers that were
+ * finalized or cancelled straight on the contract are reconciled instead.
+ * Each transfer is announced once (unlock_notified_at).
+ */
+const announceUnlockedTransfers = async (mongoClient, isLive) => {
+    const transactions = new Transactions(mongoClient);
+    const notifications = new Notification(mongoClient);
+    if (!isLive) {
+        transactions.useDatabase(process.env.DB_NAME_SANDBOX);
+        notifications.useDatabase(process.env.DB_NAME_SANDBOX);
+    }
+    const webhooks = WebhookService.fromClient(mongoClient);
+
+    const now = Math.floor(Date.now() / 1000);
+    const due = await transactions.transfersToAnnounce(now);
+
+    for (const txn of due) {
+        try {
+            const chain = await StarknetCardService.create({ cardAddress: txn.contract_address, isLive });
+            const onchain = await chain.getPendingTransfer(txn.request_id);
+
+            if (onchain.executed || onchain.cancelled) {
+                if (onchain.executed) {
+                    await transactions.settle(txn.trans_id, 'succeeded', 'Transfer paid out (reconciled)');
+                } else {
+                    await transactions.decline(txn.trans_id, 'cancelled', null, 'Transfer cancelled (reconciled)');
+                }
+                await transactions.markUnlockNotified(txn.trans_id);
+                await webhooks.emitTransactionUpdated(await transactions.retrieve(txn.trans_id, txn.user_id, { public: true }), isLive);
+                continue;
+            }
+
+            const label = txn.type === 'withdrawal' ? 'Withdrawal' : 'Transfer';
+            await notifications.create(
+                txn.user_id,
+                `${label} ready to finalize`,
+                `Your ${label.toLowerCase()} of ${txn.amount} ${txn.currency} is unlocked. Finalize it to release the funds, or cancel it to keep them on your card.`
+            );
+            await webhooks.emit('transfer.unlocked', txn.user_id, isLive, ApiService._transferView(txn, now));
+            await transactions.markUnlockNotified(txn.trans_id);
+
+            console.log(`[Worker] Transfer ${txn.request_id} on ${txn.contract_address} is unlocked — owner notified`);
+        } catch (err) {
+            // Left unannounced: picked up again on the next sweep
+            console.error(`[Worker] Unlock check failed for ${txn.trans_id}:`, err.message);
+        }
+    }
+};
+
+/**
+ * Sweep live and sandbox transfers every minute.
+ */
+const startTransferUnlockJob = (mongoClient, intervalMs = POLL_INTERVAL_MS) => startPoller('Transfer unlock', intervalMs, async () => {
+    await announceUnlockedTransfers(mongoClient, true);
+    await announceUnlockedTransfers(mongoClient, false);
+});
+
+module.exports = startTransferUnlockJob;
+module.exports.announceUnlockedTransfers = announceUnlockedTransfers;
@@ -0,0 +1,82 @@
+const { Agent, fetch } = require('undici');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const WebhookService = require('../services/WebhookService');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Every connection re-checks the resolved address (DNS may have changed since registration)
+const deliveryAgent = new Agent({ connect: { lookup: WebhookService.safeLookup } });
+
+const handleWebhookDelivery = async (jobData, mongoClient, currentAttempt, maxAttempts) => {
+    const deliveries = new WebhookDelivery(mongoClient);
+    const endpoints = new Webhook(mongoClient);
+
+    const delivery = await deliveries.retrieve(jobData.delivery_id);
+    if (!delivery || delivery.status !== 'pending') return;
+
+    const endpoint = await endpoints.getForDelivery(delivery.endpoint_id);
+    if (!endpoint || !endpoint.is_active) {
+        await deliveries.recordAttempt(delivery.delivery_id, {
+            trigger: jobData.trigger,
+            status_code: null,
+            error: 'Endpoint disabled',
+            duration_ms: 0
+        }, 'failed');
+        return;
+    }
+
+    console.log(`[Worker] Delivering ${delivery.event} to ${endpoint.endpoint_id} (attempt ${currentAttempt}/${maxAttempts})`);
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+
+    let statusCode = null;
+    let error = null;
+
+    try {
+        const blocked = WebhookService.blockedHostReason(new URL(endpoint.url).hostname);
+        if (blocked) throw new Error(`Webhook URL ${blocked}`);
+
+        const response = await fetch(endpoint.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'ZionDefi-Webhooks/1.0',
+                'ZionDefi-Event': delivery.event,
+                'ZionDefi-Delivery': delivery.delivery_id,
+                'ZionDefi-Signature': WebhookService.sign(endpoint.secret, timestamp, body)
+            },
+            body: body,
+            redirect: 'manual',
+            dispatcher: deliveryAgent,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+
+        statusCode = response.status;
+        if (!response.ok) error = `HTTP ${response.status}`;
+    } catch (err) {
+        error = err.name === 'TimeoutError' ? 'Request timed out' : (err.cause?.message || err.message);
+    }
+
+    const succeeded = !error;
+    const exhausted = currentAttempt >= maxAttempts;
+
+    await deliveries.recordAttempt(delivery.delivery_id, {
+        trigger: jobData.trigger,
+        status_code: statusCode,
+        error: error,
+        duration_ms: Date.now() - started
+    }, succeeded ? 'succeeded' : (exhausted ? 'failed' : 'pending'));
+
+    // Throwing hands the job back to RabbitService for backoff
+    if (!succeeded) {
+        if (exhausted) {
+            console.error(`[Worker] Webhook delivery permanently failed after ${maxAttempts} attempts: ${delivery.delivery_id}`);
+        }
+        throw new Error(`Webhook delivery failed: ${error}`);
+    }
+};
+
+module.exports = handleWebhookDelivery;
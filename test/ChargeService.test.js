@@ -0,0 +1,201 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { QuoteStub, FakeChain, fakeModels } = require('./support/fakes');
+
+const StarknetCardService = require('../src/services/StarknetCardService');
+const ChargeService = require('../src/services/ChargeService');
+const { chargeApprovedRequests } = require('../src/workers/chargeJob');
+
+const CARD = { card_id: 'crd_1', user_id: 'usr_1', address: '0xabc', status: 'active' };
+const TXN = { trans_id: 'txn_1', user_id: 'usr_1', contract_address: '0xabc', request_id: 7, status: 'processing', type: 'payment' };
+
+describe('ChargeService', () => {
+    const create = StarknetCardService.create;
+    let chain;
+
+    const useChain = (options) => {
+        chain = new FakeChain(options);
+        StarknetCardService.create = async () => chain;
+    };
+
+    const service = (quotes, transactions = [TXN]) => {
+        const models = fakeModels(CARD, transactions);
+        return { charges: new ChargeService(models, { quotes }), models };
+    };
+
+    beforeEach(() => useChain());
+    afterEach(() => { StarknetCardService.create = create; });
+
+    it('charges without a quote when the card holds the merchant token', async () => {
+        const quotes = new QuoteStub();
+        const { charges, models } = service(quotes);
+
+        const result = await charges.charge({ cardAddress: '0xabc', requestId: 7 });
+
+        assert.equal(quotes.calls.length, 0);
+        assert.equal(chain.calls.length, 1);
+        assert.equal(chain.calls[0].entrypoint, 'charge_card');
+        assert.equal(chain.calls[0].opts.quote, undefined);
+        assert.equal(result.swap, null);
+        assert.equal(result.status, 'awaiting_settlement');
+        assert.equal(result.transaction_hash, '0xcharge');
+
+        const txn = models.Transactions.txns.get('txn_1');
+        assert.equal(txn.charge_hash, '0xcharge');
+        assert.equal(txn.charge_idempotency_key, undefined);
+        assert.equal(result.idempotency_key, chain.calls[0].opts.idempotencyKey);
+    });
+
+    it('asks the quote stub for the amount plus slippage and passes its quote to the contract', async () => {
+        useChain({ swapNeeded: true });
+        const quotes = new QuoteStub({ rate: 2 });
+        const { charges } = service(quotes);
+
+        const result = await charges.charge({ cardAddress: '0xabc', requestId: 7, slippageBps: 100 });
+
+        assert.equal(quotes.calls.length, 1);
+        assert.equal(quotes.calls[0].buyAmount, 1010000n);
+        assert.equal(quotes.calls[0].sellTokenAddress, '0x5');
+        assert.equal(quotes.calls[0].buyTokenAddress, '0x6');
+        assert.equal(quotes.calls[0].takerAddress, '0xabc');
+
+        const sent = chain.calls[0].opts.quote;
+        assert.equal(sent.quoteId, 'stub-1');
+        assert.equal(sent.sellAmount, '2020000');
+        assert.deepEqual(result.swap, { quote_id: 'stub-1', sell_token: '0x5', sell_amount: '2020000', buy_amount: '1010000' });
+
+        // The stub's quote must serialize into the Cairo OffchainQuote
+        const cairo = StarknetCardService.buildQuote(sent);
+        assert.equal(BigInt(cairo.sell_amount.low), 2020000n);
+        assert.equal(cairo.fee.fee_token, '0x6');
+    });
+
+    it('keeps a slippage of zero instead of falling back to the default', async () => {
+        useChain({ swapNeeded: true });
+        const quotes = new QuoteStub();
+        const { charges } = service(quotes);
+
+        await charges.charge({ cardAddress: '0xabc', requestId: 7, slippageBps: 0 });
+
+        assert.equal(quotes.calls[0].buyAmount, 1000000n);
+        assert.equal(chain.calls[0].opts.slippageBps, 0);
+    });
+
+    it('refuses a swap the card balance cannot cover', async () => {
+        useChain({ swapNeeded: true, sourceBalance: 1500000n });
+        const { charges } = service(new QuoteStub({ rate: 2 }));
+
+        await assert.rejects(charges.charge({ cardAddress: '0xabc', requestId: 7 }), { statusCode: 400, code: 'insufficient_funds' });
+        assert.equal(chain.calls.length, 0);
+    });
+
+    it('reports an unavailable quote as 502 without charging', async () => {
+        useChain({ swapNeeded: true });
+        const { charges } = service(new QuoteStub({ fail: 'no route' }));
+
+        await assert.rejects(charges.charge({ cardAddress: '0xabc', requestId: 7 }), { statusCode: 502 });
+        assert.equal(chain.calls.length, 0);
+    });
+
+    it('only reconciles the mirror when a stored key was already used on-chain', async () => {
+        useChain({ usedKeys: ['0xkey'], status: 'AwaitingSettlement' });
+        const { charges, models } = service(new QuoteStub(), [{ ...TXN, charge_idempotency_key: '0xkey' }]);
+
+        const result = await charges.charge({ cardAddress: '0xabc', requestId: 7 });
+
+        assert.equal(chain.calls.length, 0);
+        assert.equal(result.idempotency_key, '0xkey');
+        assert.equal(models.Transactions.txns.get('txn_1').charged_at, 1);
+    });
+
+    it('settles the mirror in the same step when the merchant settles instantly', async () => {
+        useChain({ settlement: { settled: true } });
+        const { charges, models } = service(new QuoteStub());
+
+        const result = await charges.charge({ cardAddress: '0xabc', requestId: 7 });
+
+        assert.equal(result.settled, true);
+        assert.equal(models.Transactions.txns.get('txn_1').status, 'succeeded');
+    });
+});
+
+describe('chargeJob', () => {
+    const create = StarknetCardService.create;
+    afterEach(() => { StarknetCardService.create = create; });
+
+    it('charges approved requests, then settles them once settle_at has passed', async () => {
+        const chain = new FakeChain({ swapNeeded: true, settlement: { settleAt: 1 } });
+        StarknetCardService.create = async () => chain;
+
+        const quotes = new QuoteStub();
+        const chargeService = new ChargeService(fakeModels(CARD, [TXN]), { quotes });
+
+        await chargeApprovedRequests(null, true, { chargeService });
+
+        assert.deepEqual(chain.calls.map(call => call.entrypoint), ['charge_card', 'process_settlement']);
+        assert.equal(quotes.calls.length, 1);
+        assert.equal(chargeService.Transactions.txns.get('txn_1').status, 'succeeded');
+    });
+});
+
+describe('recurring charges', () => {
+    const create = StarknetCardService.create;
+    afterEach(() => { StarknetCardService.create = create; });
+
+    const SUBSCRIPTION = { ...TXN, type: 'subscription', is_recurring: true };
+
+    it('schedules the next period while the request stays approved and charges it once due', async () => {
+        const chain = new FakeChain({ request: { isRecurring: true }, instant: true });
+        StarknetCardService.create = async () => chain;
+
+        const chargeService = new ChargeService(fakeModels(CARD, [SUBSCRIPTION]), { quotes: new QuoteStub() });
+        const txn = chargeService.Transactions.txns.get('txn_1');
+
+        await chargeApprovedRequests(null, true, { chargeService });
+        assert.equal(txn.status, 'succeeded');
+        assert.equal(txn.next_charge_at, ChargeService.nextChargeAt(chain.request.lastChargedAt));
+        assert.ok(txn.next_charge_at > Date.now() / 1000);
+
+        // Not due yet: the sweep leaves it alone
+        await chargeApprovedRequests(null, true, { chargeService });
+        assert.deepEqual(chain.calls.map(call => call.entrypoint), ['charge_recurring']);
+
+        txn.next_charge_at = 1;
+        await chargeApprovedRequests(null, true, { chargeService });
+        assert.deepEqual(chain.calls.map(call => call.entrypoint), ['charge_recurring', 'charge_recurring']);
+        assert.notEqual(chain.calls[0].opts.idempotencyKey, chain.calls[1].opts.idempotencyKey);
+    });
+
+    it('does not schedule another period once a delayed settlement ends the request', async () => {
+        StarknetCardService.create = async () => new FakeChain({ request: { isRecurring: true } });
+        const { Transactions, Cards } = fakeModels(CARD, [SUBSCRIPTION]);
+
+        await new ChargeService({ Transactions, Cards }, { quotes: new QuoteStub() }).charge({ cardAddress: '0xabc', requestId: 7 });
+
+        assert.equal(Transactions.txns.get('txn_1').next_charge_at, null);
+    });
+
+    it('waits an extra day when the period crosses 29 February, as the contract does', () => {
+        const jan1 = Date.UTC(2024, 0, 1) / 1000;
+        const feb10 = Date.UTC(2024, 1, 10) / 1000;
+        const mar1 = Date.UTC(2024, 2, 1) / 1000;
+
+        assert.equal(ChargeService.nextChargeAt(jan1), jan1 + 30 * 86400);
+        assert.equal(ChargeService.nextChargeAt(feb10), feb10 + 31 * 86400);
+        assert.equal(ChargeService.nextChargeAt(mar1), mar1 + 30 * 86400);
+    });
+});
+
+describe('StarknetCardService charge arguments', () => {
+    it('sends a slippage of zero as zero', async () => {
+        const card = Object.create(StarknetCardService.prototype);
+        card._withAccount = () => ({});
+        card._execute = async (contract, entrypoint, args) => args;
+
+        const args = await card._charge('charge_card', 7, { slippageBps: 0, idempotencyKey: '0x1' });
+        assert.equal(args[3], 0);
+
+        const defaults = await card._charge('charge_card', 7, { idempotencyKey: '0x1' });
+        assert.equal(defaults[3], 100);
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeSandboxModels } = require('./support/fakes');
+
+const SandboxService = require('../src/services/SandboxService');
+
+const card = (status, extra = {}) => ({ card_id: 'crd_1', user_id: 'usr_1', status, address: null, ...extra });
+
+const sandbox = (cards = [], bridges = []) => {
+    const { models, webhooks } = fakeSandboxModels(cards, bridges);
+    return { service: new SandboxService(models, { webhooks }), models, webhooks };
+};
+
+describe('SandboxService.setCardStatus', () => {
+    it('settles a queued deployment and sends card.deployed', async () => {
+        const { service, models, webhooks } = sandbox([card('pending_deployment')]);
+
+        const result = await service.setCardStatus('usr_1', 'crd_1', 'active');
+
+        assert.equal(result.status, 'active');
+        assert.equal(result.previous_status, 'pending_deployment');
+        assert.equal(models.Cards.cards.get('crd_1').status, 'active');
+        assert.deepEqual(webhooks.sent.map(w => [w.event, w.isLive, w.data.status]), [['card.deployed', false, 'active']]);
+    });
+
+    it('refuses to simulate while a real Sepolia deployment is in flight', async () => {
+        for (const status of ['active', 'failed']) {
+            const { service, models, webhooks } = sandbox([card('deploying')]);
+
+            await assert.rejects(service.setCardStatus('usr_1', 'crd_1', status), { statusCode: 409 });
+            assert.equal(models.Cards.cards.get('crd_1').status, 'deploying');
+            assert.equal(webhooks.sent.length, 0);
+        }
+    });
+
+    it('fails a queued deployment with the given reason', async () => {
+        const { service, webhooks } = sandbox([card('pending_deployment', { deploy_attempts: 1 })]);
+
+        const result = await service.setCardStatus('usr_1', 'crd_1', 'failed', 'Out of gas');
+
+        assert.equal(result.status, 'failed');
+        assert.equal(result.deploy_error, 'Out of gas');
+        assert.deepEqual(webhooks.sent[0].data, { card_id: 'crd_1', status: 'failed', error: 'Out of gas', attempts: 2 });
+    });
+
+    it('unfreezes without a deployment webhook', async () => {
+        const { service, webhooks } = sandbox([card('frozen', { address: '0xabc', frozen_reason: 'Test' })]);
+
+        const result = await service.setCardStatus('usr_1', 'crd_1', 'active');
+
+        assert.equal(result.status, 'active');
+        assert.equal(result.frozen_reason, null);
+        assert.equal(webhooks.sent.length, 0);
+    });
+
+    it('rejects unknown statuses and disallowed transitions', async () => {
+        const { service } = sandbox([card('terminated')]);
+
+        await assert.rejects(service.setCardStatus('usr_1', 'crd_1', 'deploying'), { statusCode: 400 });
+        await assert.rejects(service.setCardStatus('usr_1', 'crd_1', 'active'), { statusCode: 409 });
+    });
+
+    it('does not reach another user\'s card', async () => {
+        const { service } = sandbox([card('pending_deployment')]);
+
+        await assert.rejects(service.setCardStatus('usr_2', 'crd_1', 'active'), { statusCode: 404, code: 'card_not_found' });
+    });
+});
+
+describe('SandboxService.completeBridge', () => {
+    const bridge = { reference_id: 'ref_1', user_id: 'usr_1', swap_id: 'swp_1', status: 'pending', amount: 25 };
+
+    it('completes the caller\'s bridge and sends bridge.completed', async () => {
+        const { service, webhooks } = sandbox([], [bridge]);
+
+        const data = await service.completeBridge('usr_1', 'ref_1');
+
+        assert.equal(data.status, 'completed');
+        assert.equal(data.received_amount, 25);
+        assert.deepEqual(webhooks.sent.map(w => [w.event, w.userId]), [['bridge.completed', 'usr_1']]);
+    });
+
+    it('hides other users\' bridges and refuses a second completion', async () => {
+        const { service } = sandbox([], [bridge, { ...bridge, reference_id: 'ref_2', status: 'completed' }]);
+
+        await assert.rejects(service.completeBridge('usr_2', 'ref_1'), { statusCode: 404 });
+        await assert.rejects(service.completeBridge('usr_1', 'ref_2'), { statusCode: 409 });
+    });
+});
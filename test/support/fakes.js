@@ -0,0 +1,192 @@
+/**
+ * In-memory stand-ins for the services that open connections on require.
+ * Load this before anything from src/ so the real Redis client is never built.
+ */
+
+const path = require('path');
+const Avnu = require('../../src/utils/Avnu');
+
+const memory = new Map();
+const redis = {
+    memory,
+    get: async (key) => (memory.has(key) ? memory.get(key) : null),
+    set: async (key, value) => { memory.set(key, value); return true; },
+    del: async (key) => memory.delete(key),
+    exists: async (...keys) => keys.filter(key => memory.has(key)).length
+};
+
+const redisPath = path.resolve(__dirname, '../../src/services/RedisService.js');
+require.cache[redisPath] = { id: redisPath, filename: redisPath, loaded: true, exports: redis };
+
+/**
+ * Local quote source for ChargeService ({ quotes }). Prices every swap at
+ * a fixed sell/buy ratio and answers in the same shape as Avnu.
+ */
+class QuoteStub {
+    /**
+     * @param {Object} [options] — { rate: sell units per buy unit, fail: error message to throw }
+     */
+    constructor(options = {}) {
+        this.rate = options.rate ?? 1;
+        this.fail = options.fail || null;
+        this.calls = [];
+    }
+
+    async getOffchainQuote(params) {
+        this.calls.push(params);
+        if (this.fail) throw new Error(this.fail);
+
+        const buyAmount = BigInt(params.buyAmount);
+        const quote = {
+            quoteId: `stub-${this.calls.length}`,
+            sellTokenAddress: params.sellTokenAddress,
+            buyTokenAddress: params.buyTokenAddress,
+            sellAmount: (buyAmount * BigInt(Math.round(this.rate * 10000))) / 10000n,
+            buyAmount: buyAmount
+        };
+        return Avnu.toOffchainQuote(quote, []);
+    }
+}
+
+/**
+ * Card contract as ChargeService sees it. Records every relayed call.
+ */
+class FakeChain {
+    constructor(options = {}) {
+        this.status = options.status || 'Approved';
+        this.request = { amount: 1000000n, isRecurring: false, lastChargedAt: 0, ...options.request };
+        this.instant = options.instant === true;
+        this.swapNeeded = options.swapNeeded === true;
+        this.sourceToken = options.sourceToken || '0x5';
+        this.merchantToken = options.merchantToken || '0x6';
+        this.sourceBalance = options.sourceBalance ?? 5000000n;
+        this.settlement = { requestId: 1, settleAt: 0, settled: false, cancelled: false, ...options.settlement };
+        this.usedKeys = new Set(options.usedKeys || []);
+        this.revert = options.revert || null;
+        this.calls = [];
+    }
+
+    async getRequestStatus() { return this.status; }
+    async isIdempotencyKeyUsed(key) { return this.usedKeys.has(key); }
+    async getSettlementInfo() { return this.settlement; }
+    async getRequestDetails() { return this.request; }
+
+    async prepareCharge() {
+        return {
+            request: this.request,
+            swapNeeded: this.swapNeeded,
+            sourceToken: this.sourceToken,
+            merchantToken: this.merchantToken,
+            sourceBalance: this.sourceBalance
+        };
+    }
+
+    async chargeCard(requestId, opts) { return this._send('charge_card', requestId, opts); }
+    async chargeRecurring(requestId, opts) { return this._send('charge_recurring', requestId, opts); }
+
+    async processSettlement(requestId) {
+        this.calls.push({ entrypoint: 'process_settlement', requestId });
+        this.settlement = { ...this.settlement, settled: true };
+        return { txHash: '0xsettle', gas: {} };
+    }
+
+    async _send(entrypoint, requestId, opts) {
+        this.calls.push({ entrypoint, requestId, opts });
+        if (this.revert) throw new Error(`Execution reverted: '${this.revert}'`);
+
+        this.usedKeys.add(opts.idempotencyKey);
+        this.request = { ...this.request, lastChargedAt: Math.floor(Date.now() / 1000) };
+        if (this.instant) this.settlement = { ...this.settlement, settled: true };
+
+        // Instantly settled recurring requests stay approved for the next period
+        if (this.request.isRecurring && this.instant) this.status = 'Approved';
+        else this.status = this.settlement.settled ? 'Settled' : 'AwaitingSettlement';
+        return { txHash: '0xcharge', receipt: { execution_status: 'SUCCEEDED' }, gas: { actualStrk: '0.01', actualUsd: '0.002' } };
+    }
+}
+
+/**
+ * The Cards / Transactions methods ChargeService and the charge job use.
+ */
+function fakeModels(card, transactions = []) {
+    const txns = new Map(transactions.map(txn => [txn.trans_id, { timeline: [], ...txn }]));
+
+    const Cards = {
+        getByAddress: async (address) => (card && card.address === address ? card : null)
+    };
+
+    const Transactions = {
+        txns,
+        findByRequest: async (address, requestId) => [...txns.values()]
+            .find(txn => txn.contract_address === address && Number(txn.request_id) === Number(requestId)) || null,
+        startCharge: async (transId, key) => { txns.get(transId).charge_idempotency_key = key; },
+        recordCharge: async (transId, charge) => {
+            const txn = txns.get(transId);
+            delete txn.charge_idempotency_key;
+            Object.assign(txn, {
+                status: 'processing',
+                charge_hash: charge.txHash || null,
+                charged_at: 1,
+                settle_at: charge.settleAt || null,
+                next_charge_at: charge.nextChargeAt || null
+            });
+        },
+        settle: async (transId, status, note) => {
+            const txn = txns.get(transId);
+            txn.status = status;
+            txn.timeline.push({ status, note });
+        },
+        chargesDue: async (now) => [...txns.values()].filter(txn => (txn.status === 'processing' && !txn.charged_at)
+            || (txn.status === 'succeeded' && txn.is_recurring && txn.next_charge_at && txn.next_charge_at <= now)),
+        settlementsDue: async (now) => [...txns.values()]
+            .filter(txn => txn.status === 'processing' && txn.charged_at && txn.settle_at <= now)
+    };
+
+    return { Cards, Transactions };
+}
+
+/**
+ * The Cards / Bridge methods SandboxService uses, plus a webhook recorder.
+ */
+function fakeSandboxModels(cards = [], bridges = []) {
+    const cardMap = new Map(cards.map(card => [card.card_id, { ...card }]));
+    const bridgeMap = new Map(bridges.map(bridge => [bridge.reference_id, { ...bridge }]));
+
+    const Cards = {
+        cards: cardMap,
+        retrieveByUserId: async (userId, cardId) => {
+            const card = cardMap.get(cardId);
+            return card && card.user_id === userId ? { ...card } : null;
+        },
+        confirmDeployment: async (cardId, address, txHash) => {
+            Object.assign(cardMap.get(cardId), { status: 'active', address, transaction_hash: txHash, deploy_error: null });
+        },
+        failDeployment: async (cardId, error, attempts) => {
+            Object.assign(cardMap.get(cardId), { status: 'failed', deploy_error: error, deploy_attempts: attempts });
+        },
+        updateStatus: async (cardId, status, reason) => {
+            Object.assign(cardMap.get(cardId), { status, frozen_reason: reason });
+        },
+        terminate: async (cardId) => { cardMap.get(cardId).status = 'terminated'; }
+    };
+
+    const Bridge = {
+        bridges: bridgeMap,
+        retrieveByUserId: async (userId, referenceId) => {
+            const bridge = bridgeMap.get(referenceId);
+            return bridge && bridge.user_id === userId ? { ...bridge } : null;
+        },
+        updateBridge: async (referenceId, fields) => Object.assign(bridgeMap.get(referenceId), fields)
+    };
+
+    const sent = [];
+    const webhooks = {
+        sent,
+        emit: async (event, userId, isLive, data) => { sent.push({ event, userId, isLive, data }); },
+        emitTransactionUpdated: async (txn, isLive) => { sent.push({ event: 'transaction.updated', userId: txn.user_id, isLive, data: txn }); }
+    };
+
+    return { models: { Cards, Bridge, Transactions: {}, Notification: {} }, webhooks };
+}
+
+module.exports = { redis, QuoteStub, FakeChain, fakeModels, fakeSandboxModels };